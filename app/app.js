@@ -0,0 +1,151 @@
+// Purchase page: connects to an injected wallet, or else to the node in
+// config.json, and drives the sale client in sale.js.
+/* global Web3, DappSale */
+(function () {
+  const $ = id => document.getElementById(id);
+  // How often the sale is read again, the countdown ticks every second
+  const REFRESH_INTERVAL = 10000;
+
+  let web3;
+  let sale;
+  let status;
+  let investor;
+  // Seconds between the chain clock and the browser clock
+  let clockOffset = 0;
+
+  function showError(error) {
+    $('message').textContent = error ? (error.message || String(error)) : '';
+  }
+
+  async function getJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${url}: ${await response.text()}`);
+    }
+    return response.json();
+  }
+
+  const promisify = fn => (...args) => new Promise((resolve, reject) => {
+    fn(...args, (err, result) => err ? reject(err) : resolve(result));
+  });
+
+  async function connect(config) {
+    if (window.ethereum) {
+      web3 = new Web3(window.ethereum);
+      await window.ethereum.request({ method: 'eth_requestAccounts' });
+    } else if (window.web3) {
+      web3 = new Web3(window.web3.currentProvider);
+    } else {
+      web3 = new Web3(new Web3.providers.HttpProvider(config.rpcUrl));
+    }
+    return promisify(web3.eth.getAccounts.bind(web3.eth))();
+  }
+
+  function ether(wei) {
+    return `${web3.fromWei(wei, 'ether').toString(10)} ETH`;
+  }
+
+  function tokens(amount) {
+    const { decimals, symbol } = status.token;
+    return `${amount.dividedBy(web3.toBigNumber(10).pow(decimals)).toString(10)} ${symbol}`;
+  }
+
+  function renderCountdown() {
+    if (!status) return;
+    const now = Math.floor(Date.now() / 1000) + clockOffset;
+    const opening = now < status.openingTime;
+    $('countdown-label').textContent = opening ? 'Opens' : 'Closes';
+    $('countdown').textContent = DappSale.formatCountdown(opening ? status.openingTime : status.closingTime, now);
+  }
+
+  function renderPreview() {
+    const value = $('amount').value;
+    $('preview').textContent = '';
+    if (!value || !investor) return;
+
+    const weiAmount = web3.toWei(value, 'ether');
+    const errors = sale.purchaseErrors(status, investor, weiAmount);
+    const preview = sale.previewTokens(status, investor, weiAmount);
+    const bonus = preview.bonus.gt(0) ? ` plus a ${tokens(preview.bonus)} volume bonus` : '';
+    const refundable = preview.refundableWei.lt(weiAmount)
+      ? `, ${ether(web3.toBigNumber(weiAmount).minus(preview.refundableWei))} of it not refundable` : '';
+    $('preview').textContent = errors.length > 0 ? errors.join('. ') : `You get ${tokens(preview.tokens)}${bonus}${refundable}.`;
+    $('buy-button').disabled = errors.length > 0;
+  }
+
+  function render() {
+    const current = DappSale.phase(status);
+    $('progress').value = status.weiRaised.times(100).dividedBy(status.cap).toNumber();
+    $('raised').textContent = `${ether(status.weiRaised)} of ${ether(status.cap)}`;
+    $('goal').textContent = `${ether(status.goal)}${status.goalReached ? ' (reached)' : ''}`;
+    $('stage').textContent = `${current}, pricing tier ${status.tier} of ${status.tiers.length}`;
+    $('rate').textContent = `${status.rate.toString(10)} ${status.token.symbol} per ETH`;
+    renderCountdown();
+
+    $('whitelisted').textContent = investor.whitelisted ? 'yes' : 'no';
+    $('contribution').textContent = ether(investor.contribution);
+    $('allowance').textContent = ether(investor.allowance);
+    $('balance').textContent = tokens(investor.balance);
+
+    $('buy').classList.toggle('hidden', current !== 'open');
+    $('refund').classList.toggle('hidden', current !== 'refunding' || investor.deposited.isZero());
+    $('refund-amount').textContent = `${ether(investor.deposited)} is waiting for you.`;
+    renderPreview();
+  }
+
+  async function refresh() {
+    status = await sale.loadStatus();
+    investor = await sale.loadInvestor($('account').value);
+    clockOffset = status.timestamp - Math.floor(Date.now() / 1000);
+    render();
+  }
+
+  // Runs an action from a button, keeping it disabled until it settles
+  function action(button, run) {
+    $(button).addEventListener('click', async () => {
+      $(button).disabled = true;
+      showError(null);
+      try {
+        await run();
+        await refresh();
+      } catch (error) {
+        showError(error);
+      }
+      $(button).disabled = false;
+    });
+  }
+
+  async function start() {
+    const config = await getJson('config.json');
+    const accounts = await connect(config);
+    const contracts = {};
+    for (const name of ['DappTokenCrowdsale', 'DappToken', 'RefundVault']) {
+      contracts[name] = await getJson(`contracts/${name}.json`);
+    }
+
+    const networkId = await promisify(web3.version.getNetwork.bind(web3.version))();
+    const deployment = contracts.DappTokenCrowdsale.networks[networkId];
+    const address = new URLSearchParams(window.location.search).get('crowdsale') ||
+      config.crowdsale || (deployment && deployment.address);
+    if (!address) {
+      throw new Error(`DappTokenCrowdsale is not deployed on network ${networkId}`);
+    }
+    if (accounts.length === 0) {
+      throw new Error('No account available, unlock your wallet');
+    }
+
+    accounts.forEach(account => $('account').add(new Option(account, account)));
+    sale = DappSale.createSale(web3, contracts, address);
+
+    $('account').addEventListener('change', () => refresh().catch(showError));
+    $('amount').addEventListener('input', renderPreview);
+    action('buy-button', () => sale.buyTokens($('account').value, web3.toWei($('amount').value, 'ether')));
+    action('refund-button', () => sale.claimRefund($('account').value));
+
+    await refresh();
+    setInterval(renderCountdown, 1000);
+    setInterval(() => refresh().catch(showError), REFRESH_INTERVAL);
+  }
+
+  start().catch(showError);
+}());
@@ -0,0 +1,273 @@
+// Sale client shared by the purchase page and its tests. Loaded as a plain
+// script after lib/saleShared.js it defines `window.DappSale`, under node it
+// is a CommonJS module. It only needs a web3 0.x instance and the ABIs from
+// build/contracts.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../lib/saleShared'));
+  } else {
+    root.DappSale = factory(root.DappSaleShared);
+  }
+}(this, function ({ formatCountdown, tierAt }) {
+  const VAULT_STATES = ['Active', 'Refunding', 'Closed'];
+  // Basis points, as the crowdsale's volume bonuses
+  const TOTAL_SHARES = 10000;
+  // Headroom over the gas estimate, since tier and bonus paths vary with state
+  const GAS_MARGIN = 1.25;
+  // Nodes such as ganache net storage refunds out of their estimates, but a
+  // transaction needs that gas up front and only gets it back at the end
+  const GAS_BUFFER = 50000;
+
+  function promisify(fn) {
+    return (...args) => new Promise((resolve, reject) => {
+      fn(...args, (err, result) => err ? reject(err) : resolve(result));
+    });
+  }
+
+  /**
+   * Where the sale is in its lifecycle: 'upcoming', 'open', 'paused',
+   * 'closed' (awaiting finalization), 'refunding' or 'finalized'.
+   * @param status Result of `loadStatus()`
+   */
+  function phase(status) {
+    if (status.isFinalized) {
+      return status.vaultState === 'Refunding' ? 'refunding' : 'finalized';
+    }
+    if (status.hasClosed) {
+      return 'closed';
+    }
+    if (status.timestamp < status.openingTime) {
+      return 'upcoming';
+    }
+    return status.paused ? 'paused' : 'open';
+  }
+
+  /**
+   * Client for one deployed crowdsale.
+   * @param web3 web3 0.x instance, connected to an injected wallet or a node
+   * @param contracts `{ DappTokenCrowdsale, DappToken, RefundVault }`, artifacts
+   *   from build/contracts or anything else with an `abi`
+   * @param address Crowdsale address
+   */
+  function createSale(web3, contracts, address) {
+    const crowdsale = web3.eth.contract(contracts.DappTokenCrowdsale.abi).at(address);
+    const call = (contract, method, ...args) => promisify(contract[method].bind(contract))(...args);
+    const number = async (contract, method, ...args) => (await call(contract, method, ...args)).toNumber();
+    let linked;
+
+    // Token and vault are read from the crowdsale once
+    async function link() {
+      if (!linked) {
+        linked = {
+          token: web3.eth.contract(contracts.DappToken.abi).at(await call(crowdsale, 'token')),
+          vault: web3.eth.contract(contracts.RefundVault.abi).at(await call(crowdsale, 'vault')),
+        };
+      }
+      return linked;
+    }
+
+    async function collectTiers() {
+      const tiers = [];
+      const count = await number(crowdsale, 'tierCount');
+      for (let i = 0; i < count; i++) {
+        const [rate, startTime, weiThreshold, refundable] = await call(crowdsale, 'tiers', i);
+        tiers.push({ rate, startTime: startTime.toNumber(), weiThreshold, refundable });
+      }
+      return tiers;
+    }
+
+    async function collectVolumeBonuses() {
+      const volumeBonuses = [];
+      const count = await number(crowdsale, 'volumeBonusCount');
+      for (let i = 0; i < count; i++) {
+        const [minContribution, bonus] = await call(crowdsale, 'volumeBonuses', i);
+        volumeBonuses.push({ minContribution, bonus: bonus.toNumber() });
+      }
+      return volumeBonuses;
+    }
+
+    /**
+     * Reads the sale progress as of the latest block.
+     * @return Plain object, amounts as BigNumbers in wei / token units
+     */
+    async function loadStatus() {
+      const { token, vault } = await link();
+      const block = await promisify(web3.eth.getBlock.bind(web3.eth))('latest');
+      return {
+        address,
+        timestamp: block.timestamp,
+        weiRaised: await call(crowdsale, 'weiRaised'),
+        cap: await call(crowdsale, 'cap'),
+        goal: await call(crowdsale, 'goal'),
+        goalReached: await call(crowdsale, 'goalReached'),
+        tier: await number(crowdsale, 'currentTier'),
+        rate: await call(crowdsale, 'currentRate'),
+        tiers: await collectTiers(),
+        volumeBonuses: await collectVolumeBonuses(),
+        investorMinCap: await call(crowdsale, 'investorMinCap'),
+        openingTime: await number(crowdsale, 'openingTime'),
+        closingTime: await number(crowdsale, 'closingTime'),
+        paused: await call(crowdsale, 'paused'),
+        hasClosed: await call(crowdsale, 'hasClosed'),
+        isFinalized: await call(crowdsale, 'isFinalized'),
+        vaultState: VAULT_STATES[await number(vault, 'state')],
+        token: {
+          address: token.address,
+          symbol: await call(token, 'symbol'),
+          decimals: await number(token, 'decimals'),
+        },
+      };
+    }
+
+    /**
+     * Reads what the sale knows about one investor. The allowance is what is
+     * left of the cap of the investor's KYC tier, none when not whitelisted.
+     * @return `{ address, whitelisted, contribution, cap, allowance, deposited,
+     *   balance }`, amounts as BigNumbers
+     */
+    async function loadInvestor(investor) {
+      const { token, vault } = await link();
+      const whitelisted = await call(crowdsale, 'whitelist', investor);
+      const contribution = await call(crowdsale, 'contributions', investor);
+      const cap = await call(crowdsale, 'getUserCap', investor);
+      return {
+        address: investor,
+        whitelisted,
+        contribution,
+        cap,
+        allowance: whitelisted && cap.gt(contribution) ? cap.minus(contribution) : web3.toBigNumber(0),
+        deposited: await call(vault, 'deposited', investor),
+        balance: await call(token, 'balanceOf', investor),
+      };
+    }
+
+    /**
+     * Prices a purchase the way the crowdsale will, each part at the tier it
+     * falls in, plus the volume bonus on the investor's new total. The
+     * referral bonus goes to the referrer and is left out.
+     * @param status Result of `loadStatus()`
+     * @param investor Result of `loadInvestor()`
+     * @param weiAmount Amount to spend, in wei
+     * @return `{ tokens, bonus, refundableWei }` as BigNumbers
+     */
+    function previewTokens(status, investor, weiAmount) {
+      let remaining = web3.toBigNumber(weiAmount);
+      let raised = status.weiRaised;
+      let tokens = web3.toBigNumber(0);
+      let refundableWei = web3.toBigNumber(0);
+      while (remaining.gt(0)) {
+        const index = tierAt(status.tiers, status.timestamp, raised);
+        let portion = remaining;
+
+        // Stop this part where a later tier's threshold kicks in
+        for (let i = index + 1; i < status.tiers.length; i++) {
+          const threshold = status.tiers[i].weiThreshold;
+          if (threshold.gt(raised) && threshold.minus(raised).lt(portion)) {
+            portion = threshold.minus(raised);
+          }
+        }
+
+        tokens = tokens.plus(portion.times(status.tiers[index].rate));
+        if (status.tiers[index].refundable) {
+          refundableWei = refundableWei.plus(portion);
+        }
+        raised = raised.plus(portion);
+        remaining = remaining.minus(portion);
+      }
+
+      const total = investor.contribution.plus(weiAmount);
+      const volumeBonus = status.volumeBonuses.reduce(
+        (bonus, tier) => total.gte(tier.minContribution) ? tier.bonus : bonus, 0);
+      const bonus = tokens.times(volumeBonus).dividedToIntegerBy(TOTAL_SHARES);
+      return { tokens, bonus, refundableWei };
+    }
+
+    /**
+     * Reasons the crowdsale would reject a purchase, as messages for the
+     * investor. Empty when it should go through.
+     */
+    function purchaseErrors(status, investor, weiAmount) {
+      const amount = web3.toBigNumber(weiAmount);
+      const total = investor.contribution.plus(amount);
+      const errors = [];
+      if (phase(status) !== 'open') {
+        errors.push(`The sale is ${phase(status)}`);
+      }
+      if (!investor.whitelisted) {
+        errors.push('This address is not whitelisted');
+      } else if (total.gt(investor.cap)) {
+        errors.push(`At most ${web3.fromWei(investor.allowance, 'ether')} ETH more can be contributed`);
+      }
+      if (!amount.gt(0) || total.lt(status.investorMinCap)) {
+        errors.push(`Contributions start at ${web3.fromWei(status.investorMinCap, 'ether')} ETH`);
+      }
+      if (status.weiRaised.plus(amount).gt(status.cap)) {
+        errors.push(`Only ${web3.fromWei(status.cap.minus(status.weiRaised), 'ether')} ETH is left under the cap`);
+      }
+      return errors;
+    }
+
+    // Sends a transaction with estimated gas and resolves to its mined receipt
+    async function send(method, args, options) {
+      const fn = crowdsale[method];
+      const gas = await promisify(fn.estimateGas.bind(fn))(...args, options);
+      const hash = await promisify(fn.sendTransaction.bind(fn))(
+        ...args, Object.assign({}, options, { gas: Math.ceil(gas * GAS_MARGIN) + GAS_BUFFER }));
+
+      const getReceipt = promisify(web3.eth.getTransactionReceipt.bind(web3.eth));
+      let receipt = await getReceipt(hash);
+      while (!receipt) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        receipt = await getReceipt(hash);
+      }
+      if (receipt.status !== undefined && parseInt(receipt.status, 16) === 0) {
+        throw new Error(`Transaction ${hash} failed`);
+      }
+      return receipt;
+    }
+
+    /**
+     * Buys tokens for `from` with `weiAmount`, after checking purchaseErrors().
+     * @return The transaction receipt
+     */
+    async function buyTokens(from, weiAmount) {
+      const status = await loadStatus();
+      const errors = purchaseErrors(status, await loadInvestor(from), weiAmount);
+      if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+      }
+      return send('buyTokens', [from], { from, value: web3.toBigNumber(weiAmount).toString(10) });
+    }
+
+    /**
+     * Claims the refund of `from` once the sale failed.
+     * @return The transaction receipt
+     */
+    async function claimRefund(from) {
+      const status = await loadStatus();
+      if (phase(status) !== 'refunding') {
+        throw new Error('Refunds are not open');
+      }
+      if ((await loadInvestor(from)).deposited.isZero()) {
+        throw new Error('Nothing to refund for this address');
+      }
+      return send('claimRefund', [], { from });
+    }
+
+    return {
+      address,
+      loadStatus,
+      loadInvestor,
+      previewTokens,
+      purchaseErrors,
+      buyTokens,
+      claimRefund,
+    };
+  }
+
+  return {
+    phase,
+    formatCountdown,
+    createSale,
+  };
+}));
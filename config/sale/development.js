@@ -0,0 +1,56 @@
+const { duration } = require('../../lib/time');
+
+// Local sale: opens a minute after deployment and runs for a week. The PreICO
+// tier lasts two days or until 25 ether are raised, its funds go straight to
+// the wallet and do not count toward the goal; ICO funds go to the refund vault.
+// Investors start with basic KYC (tier 0) and can be moved to the accredited
+// tier (1). A mock stablecoin is accepted at 500 coins per ether. Referrers
+// get 5% on top of the tokens they bring in, and buyers 2.5% once they have
+// put in 10 ether, 5% from 25 ether. Amounts are in ether, times are unix
+// timestamps in seconds.
+module.exports = function ({ accounts, now }) {
+  const openingTime = now + duration.minutes(1);
+  const closingTime = openingTime + duration.weeks(1);
+
+  return {
+    token: {
+      name: 'Dapp Token',
+      symbol: 'DAPP',
+      decimals: 18,
+      // A sold out sale mints about 47,800 tokens with reserves and bonuses
+      // at the tier rates, a little more if a purchase crosses the PreICO
+      // threshold. The cap is checked against maxTokenSupply(), 76,429
+      // tokens: the conservative bound with every ether sold at 500.
+      cap: 100000,
+    },
+    rate: 500,
+    tiers: [
+      { rate: 500, refundable: false },
+      { rate: 250, startTime: openingTime + duration.days(2), weiThreshold: 25, refundable: true },
+    ],
+    refundPolicy: 'exclude-non-refundable',
+    cap: 100,
+    goal: 50,
+    kycTierCaps: [5, 50],
+    stablecoin: { address: 'mock', decimals: 6, rate: 0.002 },
+    referralBonus: 500,
+    volumeBonuses: [
+      { minContribution: 10, bonus: 250 },
+      { minContribution: 25, bonus: 500 },
+    ],
+    // 70% sold, 10% each to the founders, foundation and partners, in basis
+    // points. Founders: 1 year cliff, then linear until 4 years. Foundation:
+    // linear over 2 years. Partners: monthly over a year. All revocable by
+    // the wallet.
+    tokenSaleShare: 7000,
+    reserves: [
+      { fund: accounts[1], share: 1000, cliff: duration.years(1), duration: duration.years(4), revocable: true },
+      { fund: accounts[2], share: 1000, duration: duration.years(2), revocable: true },
+      { fund: accounts[3], share: 1000, duration: duration.days(360), period: duration.days(30), revocable: true },
+    ],
+    openingTime: openingTime,
+    closingTime: closingTime,
+    releaseTime: closingTime + duration.days(1),
+    wallet: accounts[0],
+  };
+};
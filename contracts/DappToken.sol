@@ -1,14 +1,143 @@
 pragma solidity 0.4.24;
 
+import "openzeppelin-solidity/contracts/token/ERC20/CappedToken.sol";
 import "openzeppelin-solidity/contracts/token/ERC20/DetailedERC20.sol";
-import "openzeppelin-solidity/contracts/token/ERC20/MintableToken.sol";
 import "openzeppelin-solidity/contracts/token/ERC20/PausableToken.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/StandardBurnableToken.sol";
 
-contract DappToken is MintableToken, PausableToken, DetailedERC20 {
-    constructor(string _name, string _symbol, uint8 _decimals)
+contract DappToken is CappedToken, PausableToken, StandardBurnableToken, DetailedERC20 {
+    // Balances and total supply as they were when each snapshot was taken.
+    // An account's values are only recorded the first time its balance
+    // changes after a snapshot; until then the current balance still holds
+    // for that snapshot.
+    struct Snapshots {
+        uint256[] ids;
+        uint256[] values;
+    }
+
+    mapping(address => Snapshots) private accountBalanceSnapshots;
+    Snapshots private totalSupplySnapshots;
+    uint256 public currentSnapshotId;
+
+    event Snapshot(uint256 id);
+
+    constructor(string _name, string _symbol, uint8 _decimals, uint256 _cap)
         DetailedERC20(_name, _symbol, _decimals)
+        CappedToken(_cap)
         public
     {
 
     }
+
+    /**
+     * @dev Records the current balances and total supply under a new snapshot id.
+     * @return The id of the new snapshot
+     */
+    function snapshot() public onlyOwner returns (uint256) {
+        currentSnapshotId = currentSnapshotId.add(1);
+        emit Snapshot(currentSnapshotId);
+        return currentSnapshotId;
+    }
+
+    /**
+     * @dev Balance of an account when a snapshot was taken.
+     * @param _owner Account to look up
+     * @param _snapshotId Id returned by snapshot()
+     */
+    function balanceOfAt(address _owner, uint256 _snapshotId) public view returns (uint256) {
+        (bool _snapshotted, uint256 _value) = _valueAt(_snapshotId, accountBalanceSnapshots[_owner]);
+        return _snapshotted ? _value : balanceOf(_owner);
+    }
+
+    /**
+     * @dev Total supply when a snapshot was taken.
+     * @param _snapshotId Id returned by snapshot()
+     */
+    function totalSupplyAt(uint256 _snapshotId) public view returns (uint256) {
+        (bool _snapshotted, uint256 _value) = _valueAt(_snapshotId, totalSupplySnapshots);
+        return _snapshotted ? _value : totalSupply();
+    }
+
+    function transfer(address _to, uint256 _value) public returns (bool) {
+        _updateAccountSnapshot(msg.sender);
+        _updateAccountSnapshot(_to);
+        return super.transfer(_to, _value);
+    }
+
+    function transferFrom(address _from, address _to, uint256 _value) public returns (bool) {
+        _updateAccountSnapshot(_from);
+        _updateAccountSnapshot(_to);
+        return super.transferFrom(_from, _to, _value);
+    }
+
+    function mint(address _to, uint256 _amount) public onlyOwner canMint returns (bool) {
+        _updateAccountSnapshot(_to);
+        _updateSnapshot(totalSupplySnapshots, totalSupply());
+        return super.mint(_to, _amount);
+    }
+
+    /**
+     * @dev Burns tokens of the sender. Like transfers, only once the token is unpaused.
+     * @param _value Amount of tokens to burn
+     */
+    function burn(uint256 _value) public whenNotPaused {
+        super.burn(_value);
+    }
+
+    /**
+     * @dev Burns tokens the sender is allowed to spend. Like transfers, only once the token is unpaused.
+     * @param _from Account to burn tokens from
+     * @param _value Amount of tokens to burn
+     */
+    function burnFrom(address _from, uint256 _value) public whenNotPaused {
+        super.burnFrom(_from, _value);
+    }
+
+    function _burn(address _who, uint256 _value) internal {
+        _updateAccountSnapshot(_who);
+        _updateSnapshot(totalSupplySnapshots, totalSupply());
+        super._burn(_who, _value);
+    }
+
+    /**
+     * @dev Looks up the value a snapshot recorded, which is the first one
+     * recorded at or after that snapshot id.
+     * @return Whether a value was recorded, and the value
+     */
+    function _valueAt(uint256 _snapshotId, Snapshots storage _snapshots) internal view returns (bool, uint256) {
+        require(_snapshotId > 0 && _snapshotId <= currentSnapshotId);
+
+        // Binary search for the first recorded id not below _snapshotId
+        uint256 _low = 0;
+        uint256 _high = _snapshots.ids.length;
+        while (_low < _high) {
+            uint256 _mid = _low.add(_high).div(2);
+            if (_snapshots.ids[_mid] < _snapshotId) {
+                _low = _mid.add(1);
+            } else {
+                _high = _mid;
+            }
+        }
+
+        if (_low == _snapshots.ids.length) {
+            return (false, 0);
+        }
+        return (true, _snapshots.values[_low]);
+    }
+
+    function _updateAccountSnapshot(address _account) internal {
+        _updateSnapshot(accountBalanceSnapshots[_account], balanceOf(_account));
+    }
+
+    /**
+     * @dev Records a value before it changes, unless it was already recorded
+     * for the current snapshot.
+     */
+    function _updateSnapshot(Snapshots storage _snapshots, uint256 _currentValue) internal {
+        uint256 _length = _snapshots.ids.length;
+        if (currentSnapshotId > 0 && (_length == 0 || _snapshots.ids[_length - 1] < currentSnapshotId)) {
+            _snapshots.ids.push(currentSnapshotId);
+            _snapshots.values.push(_currentValue);
+        }
+    }
 }
@@ -0,0 +1,267 @@
+pragma solidity 0.4.24;
+
+import "openzeppelin-solidity/contracts/math/Math.sol";
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "openzeppelin-solidity/contracts/lifecycle/Pausable.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/SafeERC20.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/CappedToken.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/PausableToken.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/MintableToken.sol";
+import "openzeppelin-solidity/contracts/crowdsale/distribution/utils/RefundVault.sol";
+import "./DappTokenSale.sol";
+
+/**
+ * @title DappTokenAuction
+ * @dev Dutch auction variant of DappTokenCrowdsale, with the same whitelist
+ * and reserves, see DappTokenSale, investor caps and refund vault. The price falls over the auction:
+ * the rate, in token units per wei, rises linearly from startRate at the
+ * opening time to floorRate at the closing time. Whitelisted investors bid
+ * ether; the auction ends once the bids buy all tokensOffered at the current
+ * rate, or at the closing time. Every bid then settles at the same clearing
+ * rate, and the part of a bid beyond what was left to sell is refunded
+ * straight away. If the bids miss the goal, they are refunded in full.
+ */
+contract DappTokenAuction is DappTokenSale, Pausable {
+  using SafeMath for uint256;
+  using SafeERC20 for ERC20;
+
+  ERC20 public token;
+  address public wallet;
+  RefundVault public vault;
+
+  // Token units per wei at the opening and closing times, floorRate being
+  // the higher one since the price falls
+  uint256 public startRate;
+  uint256 public floorRate;
+  uint256 public openingTime;
+  uint256 public closingTime;
+  uint256 public tokensOffered;
+  uint256 public goal;
+
+  // Bids in wei, after excess refunds, and whether their tokens were claimed
+  mapping(address => uint256) public bids;
+  mapping(address => bool) public claimed;
+  uint256 public totalBids;
+  uint256 public bidderCount;
+
+  // Bounds on an investor's total bid
+  uint256 public investorMinCap = 2000000000000000; // 0.002 ether
+  uint256 public investorCap = 50000000000000000000; // 50 ether
+
+  bool public isFinalized;
+
+  event InvestorCapSet(uint256 cap);
+  event BidPlaced(address indexed bidder, uint256 amount, uint256 excess, uint256 rate);
+  event TokensClaimed(address indexed bidder, uint256 amount);
+  event Finalized(bool goalReached, uint256 clearingRate, uint256 tokensSold);
+
+  constructor(
+    uint256 _startRate,
+    uint256 _floorRate,
+    address _wallet,
+    ERC20 _token,
+    uint256 _tokensOffered,
+    uint256 _openingTime,
+    uint256 _closingTime,
+    uint256 _goal,
+    uint256 _tokenSaleShare,
+    address[] _reserveFunds,
+    uint256[] _reserveShares,
+    uint256 _releaseTime
+  )
+    public
+  {
+    require(_startRate > 0 && _startRate <= _floorRate);
+    require(_wallet != address(0));
+    require(_token != address(0));
+    require(_tokensOffered > 0);
+    require(_openingTime >= block.timestamp && _openingTime < _closingTime);
+    require(_closingTime < _releaseTime);
+    // The goal must stay reachable as the price falls
+    require(_goal > 0 && _goal.mul(_floorRate) <= _tokensOffered);
+
+    startRate = _startRate;
+    floorRate = _floorRate;
+    wallet = _wallet;
+    token = _token;
+    tokensOffered = _tokensOffered;
+    openingTime = _openingTime;
+    closingTime = _closingTime;
+    goal = _goal;
+    releaseTime = _releaseTime;
+    vault = new RefundVault(_wallet);
+    _setDistribution(_tokenSaleShare, _reserveFunds, _reserveShares);
+
+    // Selling out mints the reserves on top, all within the token's cap
+    require(_tokensOffered.mul(TOTAL_SHARES).div(_tokenSaleShare) <= CappedToken(_token).cap());
+  }
+
+  /**
+  * @dev Returns the rate at a point in time, rising linearly over the auction.
+  * @param _time Unix time in seconds
+  * @return Token units per wei
+  */
+  function rateAt(uint256 _time) public view returns (uint256) {
+    if (_time <= openingTime) {
+      return startRate;
+    }
+    if (_time >= closingTime) {
+      return floorRate;
+    }
+    return startRate.add(
+      floorRate.sub(startRate).mul(_time.sub(openingTime)).div(closingTime.sub(openingTime))
+    );
+  }
+
+  /**
+  * @dev Returns the rate at the latest block.
+  */
+  function currentRate() public view returns (uint256) {
+    return rateAt(block.timestamp);
+  }
+
+  /**
+  * @dev Checks whether there is nothing left to sell at the current rate.
+  */
+  function soldOut() public view returns (bool) {
+    return totalBids >= tokensOffered.div(currentRate());
+  }
+
+  /**
+  * @dev Checks whether the auction is over, sold out or past its closing time.
+  */
+  function hasEnded() public view returns (bool) {
+    return block.timestamp > closingTime || soldOut();
+  }
+
+  /**
+  * @dev Returns the rate every bid settles at: the rate at which the bids
+  * buy all tokens offered once they have sold out, the current rate until
+  * then. It no longer changes once the auction has ended.
+  * @return Token units per wei
+  */
+  function clearingRate() public view returns (uint256) {
+    if (soldOut()) {
+      return tokensOffered.div(totalBids);
+    }
+    return currentRate();
+  }
+
+  /**
+  * @dev Checks whether the bids reached the goal.
+  */
+  function goalReached() public view returns (bool) {
+    return totalBids >= goal;
+  }
+
+  /**
+  * @dev Returns the tokens a bidder gets at the clearing rate.
+  * @param _bidder Bidder address
+  */
+  function tokensOf(address _bidder) public view returns (uint256) {
+    return bids[_bidder].mul(clearingRate());
+  }
+
+  /**
+  * @dev Sets the cap on an investor's total bid, before the auction opens.
+  * @param _cap Cap in wei
+  */
+  function setInvestorCap(uint256 _cap) external onlyOwner {
+    require(block.timestamp < openingTime);
+    require(_cap >= investorMinCap);
+    investorCap = _cap;
+    emit InvestorCapSet(_cap);
+  }
+
+  /**
+  * @dev Bids the ether sent. Only what is left to sell at the current rate
+  * is accepted, the excess is sent back.
+  */
+  function bid() public payable whenNotPaused {
+    require(block.timestamp >= openingTime && !hasEnded());
+    require(whitelist[msg.sender]);
+
+    uint256 _rate = currentRate();
+    uint256 _accepted = Math.min256(msg.value, tokensOffered.div(_rate).sub(totalBids));
+    uint256 _bid = bids[msg.sender].add(_accepted);
+    require(_accepted > 0);
+    require(_bid >= investorMinCap && _bid <= investorCap);
+
+    if (bids[msg.sender] == 0) {
+      bidderCount = bidderCount.add(1);
+    }
+    bids[msg.sender] = _bid;
+    totalBids = totalBids.add(_accepted);
+    vault.deposit.value(_accepted)(msg.sender);
+
+    uint256 _excess = msg.value.sub(_accepted);
+    if (_excess > 0) {
+      msg.sender.transfer(_excess);
+    }
+    emit BidPlaced(msg.sender, _accepted, _excess, _rate);
+  }
+
+  /**
+  * @dev Bids with a plain ether transfer.
+  */
+  function () external payable {
+    bid();
+  }
+
+  /**
+  * @dev Settles the auction once it has ended. If the goal was reached, the
+  * funds go to the wallet, the tokens sold are minted to this contract for
+  * the bidders to claim and the reserves are minted to their vestings, then
+  * the token is unpaused and handed to the wallet. Otherwise bids become
+  * refundable and the token stays paused and non-mintable for good.
+  */
+  function finalize() external onlyOwner {
+    require(!isFinalized);
+    require(hasEnded());
+    isFinalized = true;
+
+    uint256 _rate = clearingRate();
+    uint256 _tokensSold = totalBids.mul(_rate);
+    MintableToken _mintableToken = MintableToken(token);
+    PausableToken _pausableToken = PausableToken(token);
+    if (goalReached()) {
+      vault.close();
+      _mintableToken.mint(this, _tokensSold);
+      // Reserves vest on the default schedule, all at releaseTime
+      _mintReserves(_mintableToken, wallet, _tokensSold);
+      _mintableToken.finishMinting();
+      _pausableToken.unpause();
+      _pausableToken.transferOwnership(wallet);
+    } else {
+      vault.enableRefunds();
+      _mintableToken.finishMinting();
+      _pausableToken.renounceOwnership();
+    }
+    emit Finalized(goalReached(), _rate, _tokensSold);
+  }
+
+  /**
+  * @dev Sends a bidder the tokens of their bid once the auction settled
+  * with its goal reached. Anyone can claim on behalf of a bidder.
+  * @param _bidder Bidder address
+  */
+  function claimTokens(address _bidder) public {
+    require(isFinalized && goalReached());
+    require(!claimed[_bidder]);
+    uint256 _amount = tokensOf(_bidder);
+    require(_amount > 0);
+
+    claimed[_bidder] = true;
+    token.safeTransfer(_bidder, _amount);
+    emit TokensClaimed(_bidder, _amount);
+  }
+
+  /**
+  * @dev Refunds the sender's bid if the auction missed its goal.
+  */
+  function claimRefund() public {
+    require(isFinalized && !goalReached());
+    vault.refund(msg.sender);
+  }
+}
@@ -1,44 +1,135 @@
 pragma solidity 0.4.24;
 
+import "openzeppelin-solidity/contracts/lifecycle/Pausable.sol";
 import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/SafeERC20.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/CappedToken.sol";
 import "openzeppelin-solidity/contracts/token/ERC20/PausableToken.sol";
 import "openzeppelin-solidity/contracts/token/ERC20/MintableToken.sol";
-import "openzeppelin-solidity/contracts/token/ERC20/TokenTimelock.sol";
 import "openzeppelin-solidity/contracts/crowdsale/Crowdsale.sol";
 import "openzeppelin-solidity/contracts/crowdsale/emission/MintedCrowdsale.sol";
 import "openzeppelin-solidity/contracts/crowdsale/validation/CappedCrowdsale.sol";
 import "openzeppelin-solidity/contracts/crowdsale/validation/TimedCrowdsale.sol";
-import "openzeppelin-solidity/contracts/crowdsale/validation/WhitelistedCrowdsale.sol";
 import "openzeppelin-solidity/contracts/crowdsale/distribution/RefundableCrowdsale.sol";
+import "./DappTokenSale.sol";
+import "./SaleApprovals.sol";
+import "./SaleBonuses.sol";
+import "./SaleRefunds.sol";
+import "./SaleTiers.sol";
+import "./StablecoinRefundVault.sol";
 
-contract DappTokenCrowdsale is Crowdsale, MintedCrowdsale, CappedCrowdsale, TimedCrowdsale, WhitelistedCrowdsale, RefundableCrowdsale {
+contract DappTokenCrowdsale is Crowdsale, MintedCrowdsale, CappedCrowdsale, TimedCrowdsale, RefundableCrowdsale, DappTokenSale, Pausable {
+  using SafeERC20 for ERC20;
 
   // Track investor contributions
   uint256 public investorMinCap = 2000000000000000; // 0.002 ether
-  uint256 public investorHardCap = 50000000000000000000; // 50 ether
   mapping(address => uint256) public contributions;
 
-  // Crowdsale Stages
-  enum CrowdsaleStage { PreICO, ICO }
-  // Default to presale stage
-  CrowdsaleStage public stage = CrowdsaleStage.PreICO;
+  // Per-investor hard caps by KYC tier. Investors are in tier 0 until the
+  // owner assigns them another one.
+  uint256[] public kycTierCaps;
+  mapping(address => uint256) public kycTiers;
 
-  // Token Distribution
-  uint256 public tokenSalePercentage   = 70;
-  uint256 public foundersPercentage    = 10;
-  uint256 public foundationPercentage  = 10;
-  uint256 public partnersPercentage    = 10;
+  // Signed off-chain KYC approvals, see SaleApprovals. The approver signs
+  // approvalHash(beneficiary, maxContribution, expiry); each approval can be
+  // used for one purchase until its expiry, and caps the beneficiary's total
+  // contribution instead of their KYC tier. No approvals are accepted while
+  // the approver is unset.
+  address public kycApprover;
+  mapping(bytes32 => bool) public usedApprovals;
+  // Approval of the buyTokensWithApproval() call in progress
+  SaleApprovals.Approval private pendingApproval;
 
-  // Token reserve funds
-  address public foundersFund;
-  address public foundationFund;
-  address public partnersFund;
+  // Pricing tiers, see SaleTiers, with weiRaised as the wei raised. The
+  // `rate` inherited from Crowdsale is not used for pricing: it is pinned to
+  // tier 0's rate, the opening rate, and does not follow the tiers. Read the
+  // rate in effect from currentRate().
+  SaleTiers.Tier[] public tiers;
 
-  // Token time lock
-  uint256 public releaseTime;
-  address public foundersTimelock;
-  address public foundationTimelock;
-  address public partnersTimelock;
+  // Refund policy. AllRefundable sends every purchase to the refund vault and
+  // ignores the tiers' refundable flags. ExcludeNonRefundable sends purchases
+  // in non-refundable tiers straight to the wallet and leaves them out of the
+  // goal, so a missed goal can always be refunded in full from the vault.
+  enum RefundPolicy { AllRefundable, ExcludeNonRefundable }
+  RefundPolicy public refundPolicy = RefundPolicy.AllRefundable;
+
+  // Wei raised through the refund vault, which is what counts toward the goal
+  uint256 public refundableWeiRaised;
+
+  // Bonus tokens, in basis points of the tokens bought. Referrers get
+  // referralBonus on purchases made through buyTokensWithReferral(), and
+  // buyers get the bonus of the highest volume bonus their total contribution
+  // has reached, see SaleBonuses. Bonus tokens are counted apart from
+  // tokensSold, which is what the reserves are derived from on finalization.
+  uint256 public referralBonus;
+  SaleBonuses.VolumeBonus[] public volumeBonuses;
+  uint256 public tokensSold;
+  uint256 public bonusTokens;
+  // Referrer of the buyTokensWithReferral() call in progress
+  address private pendingReferrer;
+
+  // Optional stablecoin purchases, see buyTokensWithStablecoin(). Stablecoins
+  // are valued at stablecoinRate wei per whole coin of stablecoinUnit base
+  // units, and the wei equivalent counts toward weiRaised, the cap, the goal,
+  // the tiers and investor contributions like ether. Refundable stablecoins
+  // are held in stablecoinVault, which follows the refund vault's state.
+  ERC20 public stablecoin;
+  StablecoinRefundVault public stablecoinVault;
+  uint256 public stablecoinUnit;
+  uint256 public stablecoinRate;
+  uint256 public stablecoinRaised;
+
+  // The owner can pause purchases (see Pausable) and extend the sale by up
+  // to MAX_EXTENSION in total, as long as it has not closed and still ends
+  // before releaseTime.
+  uint256 public constant MAX_EXTENSION = 30 days;
+  uint256 public closingTimeExtension;
+
+  // Purchasers with refundable deposits in either vault, in order of their
+  // first deposit. After a failed sale the owner refunds them in batches of
+  // up to MAX_REFUND_BATCH, see processRefunds(); refundsProcessed is how
+  // far through the list the batches have got.
+  uint256 public constant MAX_REFUND_BATCH = 100;
+  address[] public depositors;
+  mapping(address => bool) public isDepositor;
+  uint256 public refundsProcessed;
+
+  // Logged by SaleTiers, declared here for the ABI
+  event TierAdded(
+    uint256 indexed index,
+    uint256 rate,
+    uint256 startTime,
+    uint256 weiThreshold,
+    bool refundable
+  );
+  event RefundPolicySet(uint256 policy);
+  event KycTierCapSet(uint256 indexed tier, uint256 cap);
+  event InvestorKycTierSet(address indexed investor, uint256 indexed tier, uint256 cap);
+  // Logged by SaleReserves, declared here for the ABI
+  event VestingScheduleSet(
+    uint256 indexed reserve,
+    uint256 cliff,
+    uint256 duration,
+    uint256 period,
+    bool revocable
+  );
+  event ReferralBonusSet(uint256 bonus);
+  // Logged by SaleBonuses, declared here for the ABI
+  event VolumeBonusAdded(uint256 indexed index, uint256 minContribution, uint256 bonus);
+  event BonusTokensMinted(address indexed beneficiary, address indexed buyer, uint256 amount, bool referral);
+  event StablecoinSet(address indexed stablecoin, address vault, uint256 rate);
+  event StablecoinPurchase(
+    address indexed purchaser,
+    address indexed beneficiary,
+    uint256 amount,
+    uint256 weiAmount
+  );
+  event ClosingTimeExtended(uint256 previousClosingTime, uint256 newClosingTime);
+  event RefundsProcessed(uint256 from, uint256 to);
+  // Logged by SaleRefunds, declared here for the ABI
+  event RefundFailed(address indexed investor, address vault);
+  event KycApproverSet(address indexed approver);
+  event KycApprovalUsed(bytes32 indexed approvalHash, address indexed beneficiary);
 
   constructor(
     uint256 _rate,
@@ -48,9 +139,9 @@ contract DappTokenCrowdsale is Crowdsale, MintedCrowdsale, CappedCrowdsale, Time
     uint256 _openingTime,
     uint256 _closingTime,
     uint256 _goal,
-    address _foundersFund,
-    address _foundationFund,
-    address _partnersFund,
+    uint256 _tokenSaleShare,
+    address[] _reserveFunds,
+    uint256[] _reserveShares,
     uint256 _releaseTime
   )
     Crowdsale(_rate, _wallet, _token)
@@ -60,10 +151,15 @@ contract DappTokenCrowdsale is Crowdsale, MintedCrowdsale, CappedCrowdsale, Time
     public
   {
     require(_goal <= _cap);
-    foundersFund   = _foundersFund;
-    foundationFund = _foundationFund;
-    partnersFund   = _partnersFund;
-    releaseTime    = _releaseTime;
+    releaseTime = _releaseTime;
+    _setDistribution(_tokenSaleShare, _reserveFunds, _reserveShares);
+
+    // Single refundable tier at the constructor rate until setTiers() is called
+    SaleTiers.addTier(tiers, _rate, 0, 0, true);
+
+    // Single KYC tier until setKycTierCap() adds more
+    kycTierCaps.push(50000000000000000000); // 50 ether
+    emit KycTierCapSet(0, kycTierCaps[0]);
   }
 
   /**
@@ -78,36 +174,471 @@ contract DappTokenCrowdsale is Crowdsale, MintedCrowdsale, CappedCrowdsale, Time
   }
 
   /**
-  * @dev Allows admin to update the crowdsale stage
-  * @param _stage Crowdsale stage
+  * @dev Returns the hard cap on a specific user's total contribution.
+  * @param _beneficiary Address of contributor
+  * @return Cap of the user's KYC tier
+  */
+  function getUserCap(address _beneficiary)
+    public view returns (uint256)
+  {
+    return kycTierCaps[kycTiers[_beneficiary]];
+  }
+
+  /**
+  * @dev Returns the number of KYC tiers.
+  */
+  function kycTierCount() public view returns (uint256) {
+    return kycTierCaps.length;
+  }
+
+  /**
+  * @dev Allows admin to change the cap of a KYC tier, or add the next tier.
+  * @param _tier Index of the tier, at most kycTierCount()
+  * @param _cap Hard cap on each investor's total contribution in that tier
   */
-  function setCrowdsaleStage(uint _stage) public onlyOwner {
-    if(uint(CrowdsaleStage.PreICO) == _stage) {
-      stage = CrowdsaleStage.PreICO;
-    } else if (uint(CrowdsaleStage.ICO) == _stage) {
-      stage = CrowdsaleStage.ICO;
+  function setKycTierCap(uint256 _tier, uint256 _cap) external onlyOwner {
+    require(_tier <= kycTierCaps.length);
+    require(_cap >= investorMinCap);
+
+    if (_tier == kycTierCaps.length) {
+      kycTierCaps.push(_cap);
+    } else {
+      kycTierCaps[_tier] = _cap;
     }
+    emit KycTierCapSet(_tier, _cap);
+  }
+
+  /**
+  * @dev Allows admin to assign KYC tiers to a list of investors.
+  * @param _investors Investor addresses
+  * @param _tiers KYC tier of each investor
+  */
+  function setKycTiers(address[] _investors, uint256[] _tiers) external onlyOwner {
+    require(_investors.length == _tiers.length);
+
+    for (uint256 i = 0; i < _investors.length; i++) {
+      require(_tiers[i] < kycTierCaps.length);
+      kycTiers[_investors[i]] = _tiers[i];
+      emit InvestorKycTierSet(_investors[i], _tiers[i], kycTierCaps[_tiers[i]]);
+    }
+  }
+
+  /**
+  * @dev Allows admin to set or rotate the key that signs KYC approvals.
+  * @param _approver Signing address, or 0 to stop accepting approvals
+  */
+  function setKycApprover(address _approver) external onlyOwner {
+    kycApprover = _approver;
+    emit KycApproverSet(_approver);
+  }
+
+  /**
+  * @dev Hash the KYC approver signs, as an eth_sign message, to approve a beneficiary.
+  * @param _beneficiary Approved token beneficiary
+  * @param _maxContribution Cap on the beneficiary's total contribution in wei
+  * @param _expiry Time after which the approval can no longer be used
+  */
+  function approvalHash(
+    address _beneficiary,
+    uint256 _maxContribution,
+    uint256 _expiry
+  )
+    public view returns (bytes32)
+  {
+    return SaleApprovals.approvalHash(address(this), _beneficiary, _maxContribution, _expiry);
+  }
+
+  /**
+  * @dev Buys tokens for a beneficiary that is not whitelisted, on a signed KYC approval.
+  * @param _beneficiary Approved token beneficiary
+  * @param _maxContribution Cap on the beneficiary's total contribution in wei
+  * @param _expiry Time after which the approval can no longer be used
+  * @param _signature KYC approver's signature of approvalHash()
+  */
+  function buyTokensWithApproval(
+    address _beneficiary,
+    uint256 _maxContribution,
+    uint256 _expiry,
+    bytes _signature
+  )
+    external
+    payable
+  {
+    pendingApproval = SaleApprovals.Approval(_maxContribution, _expiry, _signature);
+    buyTokens(_beneficiary);
+    delete pendingApproval;
+  }
+
+  /**
+  * @dev Buys tokens and rewards a whitelisted referrer with referralBonus.
+  * @param _beneficiary Address performing the token purchase
+  * @param _referrer Whitelisted investor who referred the beneficiary
+  */
+  function buyTokensWithReferral(address _beneficiary, address _referrer) external payable {
+    require(whitelist[_referrer]);
+    require(_referrer != _beneficiary);
+
+    pendingReferrer = _referrer;
+    buyTokens(_beneficiary);
+    delete pendingReferrer;
+  }
+
+  /**
+  * @dev Returns the number of volume bonuses.
+  */
+  function volumeBonusCount() public view returns (uint256) {
+    return volumeBonuses.length;
+  }
+
+  /**
+  * @dev Returns the volume bonus for a total contribution.
+  * @param _contribution Total contribution of the buyer in wei
+  * @return Bonus in basis points
+  */
+  function volumeBonusFor(uint256 _contribution) public view returns (uint256) {
+    return SaleBonuses.volumeBonusFor(volumeBonuses, _contribution);
+  }
+
+  /**
+  * @dev Buys tokens with the stablecoin, which the purchaser must have approved
+  * this contract to transfer.
+  * @param _beneficiary Address performing the token purchase
+  * @param _amount Stablecoin amount in base units
+  */
+  function buyTokensWithStablecoin(address _beneficiary, uint256 _amount) external {
+    require(stablecoin != address(0));
+    uint256 _weiAmount = stablecoinToWei(_amount);
+    _preValidatePurchase(_beneficiary, _weiAmount);
+
+    uint256 _tokens = _getTokenAmount(_weiAmount);
+    weiRaised = weiRaised.add(_weiAmount);
+    stablecoinRaised = stablecoinRaised.add(_amount);
+
+    _processPurchase(_beneficiary, _tokens);
+    emit TokenPurchase(msg.sender, _beneficiary, _weiAmount, _tokens);
+    emit StablecoinPurchase(msg.sender, _beneficiary, _amount, _weiAmount);
+
+    _updatePurchasingState(_beneficiary, _weiAmount);
+    _forwardStablecoin(_amount, _weiAmount);
+    _postValidatePurchase(_beneficiary, _weiAmount);
+  }
+
+  /**
+  * @dev Investors can claim stablecoin refunds here if the crowdsale is unsuccessful.
+  */
+  function claimStablecoinRefund() public {
+    require(isFinalized);
+    require(!goalReached());
+    stablecoinVault.refund(msg.sender);
+  }
+
+  /**
+  * @dev Returns the number of depositors.
+  */
+  function depositorCount() public view returns (uint256) {
+    return depositors.length;
+  }
+
+  /**
+  * @dev Allows admin to refund the next depositors after an unsuccessful
+  * crowdsale, from both vaults. A refund that fails, e.g. to a contract
+  * rejecting ether, is logged and skipped; that investor can still claim it.
+  * @param _count Maximum number of depositors to process
+  */
+  function processRefunds(uint256 _count) external onlyOwner {
+    require(isFinalized);
+    require(!goalReached());
+    require(_count > 0 && _count <= MAX_REFUND_BATCH);
+    require(refundsProcessed < depositors.length);
+
+    uint256 _from = refundsProcessed;
+    uint256 _to = SaleRefunds.processRefunds(depositors, _from, _count, vault, stablecoinVault);
+    refundsProcessed = _to;
+    emit RefundsProcessed(_from, _to);
+  }
+
+  /**
+  * @dev Values a stablecoin amount in wei.
+  * @param _amount Stablecoin amount in base units
+  */
+  function stablecoinToWei(uint256 _amount) public view returns (uint256) {
+    return _amount.mul(stablecoinRate).div(stablecoinUnit);
+  }
+
+  /**
+  * @dev Allows admin to replace the pricing tiers before the sale opens.
+  * @param _rates Token units per wei for each tier
+  * @param _startTimes Time each tier starts at, 0 if it starts by threshold only
+  * @param _weiThresholds weiRaised at which each tier starts, 0 if it starts by time only
+  * @param _refundable Whether each tier's funds go to the refund vault rather than the wallet
+  */
+  function setTiers(
+    uint256[] _rates,
+    uint256[] _startTimes,
+    uint256[] _weiThresholds,
+    bool[] _refundable
+  )
+    external
+    onlyOwner
+  {
+    require(block.timestamp < openingTime);
+    SaleTiers.setTiers(tiers, _rates, _startTimes, _weiThresholds, _refundable);
+    // Keeps the inherited getter at the opening rate, see currentRate()
+    rate = _rates[0];
+  }
+
+  /**
+  * @dev Allows admin to choose the refund policy before the sale opens.
+  * @param _policy RefundPolicy value
+  */
+  function setRefundPolicy(uint256 _policy) external onlyOwner {
+    require(block.timestamp < openingTime);
+    require(_policy <= uint256(RefundPolicy.ExcludeNonRefundable));
+
+    refundPolicy = RefundPolicy(_policy);
+    emit RefundPolicySet(_policy);
+  }
+
+  /**
+  * @dev Allows admin to set the referral bonus before the sale opens.
+  * @param _bonus Bonus in basis points of the tokens bought
+  */
+  function setReferralBonus(uint256 _bonus) external onlyOwner {
+    require(block.timestamp < openingTime);
+    require(_bonus <= TOTAL_SHARES);
+
+    referralBonus = _bonus;
+    emit ReferralBonusSet(_bonus);
+  }
+
+  /**
+  * @dev Allows admin to replace the volume bonuses before the sale opens.
+  * @param _minContributions Total contribution in wei from which each bonus applies, ascending
+  * @param _bonuses Bonus in basis points of the tokens bought
+  */
+  function setVolumeBonuses(uint256[] _minContributions, uint256[] _bonuses) external onlyOwner {
+    require(block.timestamp < openingTime);
+    SaleBonuses.setVolumeBonuses(volumeBonuses, _minContributions, _bonuses);
+  }
+
+  /**
+  * @dev Allows admin to accept a stablecoin before the sale opens.
+  * @param _vault Vault for the stablecoin, owned by this contract and paying out to the wallet
+  * @param _decimals Decimals of the stablecoin
+  * @param _rate Wei per whole stablecoin
+  */
+  function setStablecoin(
+    StablecoinRefundVault _vault,
+    uint256 _decimals,
+    uint256 _rate
+  )
+    external
+    onlyOwner
+  {
+    require(block.timestamp < openingTime);
+    require(_vault.owner() == address(this));
+    require(_vault.wallet() == wallet);
+    // Keeps 10 ** _decimals and the wei conversion from overflowing
+    require(_decimals <= 36);
+    require(_rate > 0);
+
+    stablecoinVault = _vault;
+    stablecoin = _vault.token();
+    stablecoinUnit = 10 ** _decimals;
+    stablecoinRate = _rate;
+    emit StablecoinSet(stablecoin, _vault, _rate);
+  }
+
+  /**
+  * @dev Allows admin to set the vesting schedule of a reserve before the sale opens.
+  * @param _reserve Index of the reserve
+  * @param _cliff Seconds after releaseTime before anything vests
+  * @param _duration Seconds after releaseTime until everything has vested
+  * @param _period Seconds between vesting steps, 0 to vest continuously
+  * @param _revocable Whether the wallet can revoke the unvested part
+  */
+  function setVestingSchedule(
+    uint256 _reserve,
+    uint256 _cliff,
+    uint256 _duration,
+    uint256 _period,
+    bool _revocable
+  )
+    external
+    onlyOwner
+  {
+    require(block.timestamp < openingTime);
+    SaleReserves.setVestingSchedule(reserves, _reserve, _cliff, _duration, _period, _revocable);
+  }
+
+  /**
+  * @dev Allows admin to push back the closing time while the sale has not closed.
+  * @param _extension Seconds to add to the closing time
+  */
+  function extendClosingTime(uint256 _extension) external onlyOwner {
+    require(!hasClosed());
+    require(_extension > 0);
+    require(closingTimeExtension.add(_extension) <= MAX_EXTENSION);
+    require(closingTime.add(_extension) < releaseTime);
+
+    uint256 _previousClosingTime = closingTime;
+    closingTime = closingTime.add(_extension);
+    closingTimeExtension = closingTimeExtension.add(_extension);
+    emit ClosingTimeExtended(_previousClosingTime, closingTime);
+  }
+
+  /**
+  * @dev Checks whether funding goal was reached, counting only refundable wei.
+  * @return Whether funding goal was reached
+  */
+  function goalReached() public view returns (bool) {
+    return refundableWeiRaised >= goal;
+  }
+
+  /**
+  * @dev Returns the token supply once finalization has minted the reserves
+  * for the tokens sold so far.
+  * @return Token supply in token units, bonus tokens included
+  */
+  function finalSupply() public view returns (uint256) {
+    return tokensSold.mul(TOTAL_SHARES).div(tokenSaleShare).add(bonusTokens);
+  }
+
+  /**
+  * @dev Returns the number of pricing tiers.
+  */
+  function tierCount() public view returns (uint256) {
+    return tiers.length;
+  }
+
+  /**
+  * @dev Returns the index of the pricing tier currently in effect.
+  */
+  function currentTier() public view returns (uint256) {
+    return SaleTiers.tierAt(tiers, weiRaised);
+  }
+
+  /**
+  * @dev Returns the rate of the pricing tier currently in effect. Use this
+  * rather than rate(), which stays at the opening rate.
+  */
+  function currentRate() public view returns (uint256) {
+    return tiers[currentTier()].rate;
+  }
+
+  /**
+  * @dev Prices the purchase at the tiers it falls in.
+  * @param _weiAmount Amount of wei contributed
+  * @return Number of tokens bought
+  */
+  function _getTokenAmount(uint256 _weiAmount)
+    internal view returns (uint256)
+  {
+    uint256 _tokens;
+    (_tokens, ) = SaleTiers.priceAcrossTiers(tiers, weiRaised, _weiAmount);
+    return _tokens;
+  }
 
-    if(stage == CrowdsaleStage.PreICO) {
-      rate = 500;
-    } else if (stage == CrowdsaleStage.ICO) {
-      rate = 250;
+  /**
+  * @dev Returns the part of a purchase that is refundable under the refund policy.
+  * @param _raised Amount of wei raised before the purchase
+  * @param _weiAmount Amount of wei contributed
+  */
+  function _refundablePart(uint256 _raised, uint256 _weiAmount)
+    internal view returns (uint256 _refundableWei)
+  {
+    if (refundPolicy == RefundPolicy.AllRefundable) {
+      return _weiAmount;
     }
+    (, _refundableWei) = SaleTiers.priceAcrossTiers(tiers, _raised, _weiAmount);
   }
 
   /**
-   * @dev forwards funds to the wallet during the PreICO stage, then the refund vault during ICO stage
+   * @dev forwards refundable funds to the refund vault, the rest to the wallet, following the refund policy
    */
   function _forwardFunds() internal {
-    if(stage == CrowdsaleStage.PreICO) {
-      wallet.transfer(msg.value);
-    } else if (stage == CrowdsaleStage.ICO) {
-      super._forwardFunds();
+    uint256 _refundableWei = _refundablePart(weiRaised.sub(msg.value), msg.value);
+
+    refundableWeiRaised = refundableWeiRaised.add(_refundableWei);
+    if (_refundableWei > 0) {
+      vault.deposit.value(_refundableWei)(msg.sender);
+      _addDepositor(msg.sender);
+    }
+    if (msg.value > _refundableWei) {
+      wallet.transfer(msg.value.sub(_refundableWei));
+    }
+  }
+
+  /**
+  * @dev Extend parent behavior counting the tokens sold and minting the
+  * buyer's volume bonus and the referrer's bonus on top.
+  * @param _beneficiary Address receiving the tokens
+  * @param _tokenAmount Number of tokens bought
+  */
+  function _processPurchase(address _beneficiary, uint256 _tokenAmount) internal {
+    super._processPurchase(_beneficiary, _tokenAmount);
+    tokensSold = tokensSold.add(_tokenAmount);
+
+    uint256 _volumeBonus = volumeBonusFor(contributions[_beneficiary]);
+    if (_volumeBonus > 0) {
+      _mintBonus(_beneficiary, _beneficiary, _tokenAmount.mul(_volumeBonus).div(TOTAL_SHARES), false);
+    }
+    if (pendingReferrer != address(0) && referralBonus > 0) {
+      _mintBonus(pendingReferrer, _beneficiary, _tokenAmount.mul(referralBonus).div(TOTAL_SHARES), true);
     }
+    // Leave room under the token's supply cap for the reserves minted on finalization
+    require(finalSupply() <= CappedToken(token).cap());
   }
 
   /**
-  * @dev Extend parent behavior requiring purchase to respect investor min/max funding cap.
+  * @dev Mints bonus tokens, which do not count as sold.
+  * @param _to Address receiving the bonus
+  * @param _buyer Beneficiary of the purchase that earned it
+  * @param _amount Number of bonus tokens
+  * @param _referral Whether it is a referral bonus rather than a volume bonus
+  */
+  function _mintBonus(address _to, address _buyer, uint256 _amount, bool _referral) internal {
+    bonusTokens = bonusTokens.add(_amount);
+    MintableToken(token).mint(_to, _amount);
+    emit BonusTokensMinted(_to, _buyer, _amount, _referral);
+  }
+
+  /**
+  * @dev Moves the stablecoins of a purchase from the purchaser to the
+  * stablecoin vault, or to the wallet for the part that is not refundable.
+  * @param _amount Stablecoin amount in base units
+  * @param _weiAmount Wei value of the amount
+  */
+  function _forwardStablecoin(uint256 _amount, uint256 _weiAmount) internal {
+    uint256 _refundableWei = _refundablePart(weiRaised.sub(_weiAmount), _weiAmount);
+    refundableWeiRaised = refundableWeiRaised.add(_refundableWei);
+
+    uint256 _refundable = _amount.mul(_refundableWei).div(_weiAmount);
+    if (_refundable > 0) {
+      stablecoin.safeTransferFrom(msg.sender, stablecoinVault, _refundable);
+      stablecoinVault.deposit(msg.sender, _refundable);
+      _addDepositor(msg.sender);
+    }
+    if (_amount > _refundable) {
+      stablecoin.safeTransferFrom(msg.sender, wallet, _amount.sub(_refundable));
+    }
+  }
+
+  /**
+  * @dev Adds a purchaser to the depositors the first time it deposits.
+  * @param _investor Purchaser whose funds went to a vault
+  */
+  function _addDepositor(address _investor) internal {
+    if (!isDepositor[_investor]) {
+      isDepositor[_investor] = true;
+      depositors.push(_investor);
+    }
+  }
+
+  /**
+  * @dev Extend parent behavior requiring purchases not to be paused, the
+  * beneficiary to be whitelisted and within its KYC tier cap, or to hold a
+  * valid KYC approval, and the purchase to respect the investor min cap.
   * @param _beneficiary Token purchaser
   * @param _weiAmount Amount of wei contributed
   */
@@ -116,38 +647,64 @@ contract DappTokenCrowdsale is Crowdsale, MintedCrowdsale, CappedCrowdsale, Time
     uint256 _weiAmount
   )
     internal
+    whenNotPaused
   {
     super._preValidatePurchase(_beneficiary, _weiAmount);
     uint256 _existingContribution = contributions[_beneficiary];
     uint256 _newContribution = _existingContribution.add(_weiAmount);
-    require(_newContribution >= investorMinCap && _newContribution <= investorHardCap);
+    require(_newContribution >= investorMinCap);
+
+    if (pendingApproval.signature.length > 0) {
+      _useApproval(_beneficiary, _newContribution);
+    } else {
+      require(whitelist[_beneficiary]);
+      require(_newContribution <= getUserCap(_beneficiary));
+    }
     contributions[_beneficiary] = _newContribution;
   }
 
+  /**
+  * @dev Checks the pending KYC approval for a purchase and marks it used.
+  * @param _beneficiary Token beneficiary
+  * @param _newContribution Beneficiary's total contribution including the purchase
+  */
+  function _useApproval(address _beneficiary, uint256 _newContribution) internal {
+    bytes32 _hash = SaleApprovals.checkApproval(pendingApproval, kycApprover, _beneficiary, _newContribution);
+    require(!usedApprovals[_hash]);
+
+    usedApprovals[_hash] = true;
+    emit KycApprovalUsed(_hash, _beneficiary);
+  }
+
 
   /**
    * @dev enables token transfers, called when owner calls finalize()
+   * If the goal was missed, buyers get their funds back, so the token stays
+   * paused and non-mintable for good: minting is finished and the crowdsale
+   * renounces ownership of the token instead of handing it to the wallet.
   */
   function finalization() internal {
-    if(goalReached()) {
-      MintableToken _mintableToken = MintableToken(token);
-      uint256 _alreadyMinted = _mintableToken.totalSupply();
-
-      uint256 _finalTotalSupply = _alreadyMinted.div(tokenSalePercentage).mul(100);
-
-      foundersTimelock   = new TokenTimelock(token, foundersFund, releaseTime);
-      foundationTimelock = new TokenTimelock(token, foundationFund, releaseTime);
-      partnersTimelock   = new TokenTimelock(token, partnersFund, releaseTime);
+    if (stablecoinVault != address(0)) {
+      if (goalReached()) {
+        stablecoinVault.close();
+      } else {
+        stablecoinVault.enableRefunds();
+      }
+    }
 
-      _mintableToken.mint(address(foundersTimelock),   _finalTotalSupply.mul(foundersPercentage).div(100));
-      _mintableToken.mint(address(foundationTimelock), _finalTotalSupply.mul(foundationPercentage).div(100));
-      _mintableToken.mint(address(partnersTimelock),   _finalTotalSupply.mul(partnersPercentage).div(100));
+    MintableToken _mintableToken = MintableToken(token);
+    PausableToken _pausableToken = PausableToken(token);
+    if(goalReached()) {
+      // Bonus tokens are left out so that they do not inflate the reserves
+      _mintReserves(_mintableToken, wallet, tokensSold);
 
       _mintableToken.finishMinting();
       // Unpause the token
-      PausableToken _pausableToken = PausableToken(token);
       _pausableToken.unpause();
       _pausableToken.transferOwnership(wallet);
+    } else {
+      _mintableToken.finishMinting();
+      _pausableToken.renounceOwnership();
     }
 
     super.finalization();
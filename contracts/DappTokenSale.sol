@@ -0,0 +1,103 @@
+pragma solidity 0.4.24;
+
+import "openzeppelin-solidity/contracts/ownership/Ownable.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/MintableToken.sol";
+import "./SaleReserves.sol";
+
+/**
+ * @title DappTokenSale
+ * @dev What DappTokenCrowdsale and DappTokenAuction have in common: the
+ * whitelist of investors the owner lets in, and the token distribution
+ * whose reserves are minted to vesting contracts on finalization, see
+ * SaleReserves.
+ */
+contract DappTokenSale is Ownable {
+  // Investors allowed to buy. Kept here rather than in WhitelistedCrowdsale
+  // so that a signed KYC approval can stand in for it in DappTokenCrowdsale.
+  mapping(address => bool) public whitelist;
+
+  // Token distribution in basis points of the final supply. Finalization
+  // creates one vesting contract per reserve, so their number is capped to
+  // keep it within the block gas limit.
+  uint256 public constant TOTAL_SHARES = 10000;
+  uint256 public constant MAX_RESERVES = 5;
+  uint256 public tokenSaleShare;
+  SaleReserves.Reserve[] public reserves;
+  uint256 public releaseTime;
+
+  event WhitelistedAddressAdded(address indexed beneficiary);
+  event WhitelistedAddressRemoved(address indexed beneficiary);
+  // Logged by SaleReserves, declared here for the sale's ABI
+  event ReserveAdded(uint256 indexed index, address indexed fund, uint256 share);
+  event ReserveMinted(uint256 indexed index, address vesting, uint256 amount);
+
+  /**
+  * @dev Returns the number of token reserves.
+  */
+  function reserveCount() public view returns (uint256) {
+    return reserves.length;
+  }
+
+  /**
+  * @dev Adds single address to whitelist.
+  * @param _beneficiary Address to be added to the whitelist
+  */
+  function addToWhitelist(address _beneficiary) external onlyOwner {
+    _addToWhitelist(_beneficiary);
+  }
+
+  /**
+  * @dev Adds list of addresses to whitelist.
+  * @param _beneficiaries Addresses to be added to the whitelist
+  */
+  function addManyToWhitelist(address[] _beneficiaries) external onlyOwner {
+    for (uint256 i = 0; i < _beneficiaries.length; i++) {
+      _addToWhitelist(_beneficiaries[i]);
+    }
+  }
+
+  /**
+  * @dev Removes single address from whitelist.
+  * @param _beneficiary Address to be removed from the whitelist
+  */
+  function removeFromWhitelist(address _beneficiary) external onlyOwner {
+    whitelist[_beneficiary] = false;
+    emit WhitelistedAddressRemoved(_beneficiary);
+  }
+
+  /**
+  * @dev Whitelists an address and logs it, so the whitelist can be rebuilt from events.
+  * @param _beneficiary Address to be added to the whitelist
+  */
+  function _addToWhitelist(address _beneficiary) internal {
+    whitelist[_beneficiary] = true;
+    emit WhitelistedAddressAdded(_beneficiary);
+  }
+
+  /**
+  * @dev Sets the token distribution table, whose shares must add up to TOTAL_SHARES.
+  * @param _tokenSaleShare Share of the tokens sold
+  * @param _reserveFunds Fund of each reserve
+  * @param _reserveShares Share of each reserve
+  */
+  function _setDistribution(
+    uint256 _tokenSaleShare,
+    address[] _reserveFunds,
+    uint256[] _reserveShares
+  )
+    internal
+  {
+    tokenSaleShare = _tokenSaleShare;
+    SaleReserves.addReserves(reserves, _tokenSaleShare, _reserveFunds, _reserveShares);
+  }
+
+  /**
+  * @dev Mints the reserves for the tokens sold, see SaleReserves.mintReserves().
+  * @param _token Token the sale mints, which it must own
+  * @param _wallet Owner of the vesting contracts
+  * @param _tokensSold Tokens sold, bonus tokens left out
+  */
+  function _mintReserves(MintableToken _token, address _wallet, uint256 _tokensSold) internal {
+    SaleReserves.mintReserves(reserves, tokenSaleShare, _tokensSold, _token, _wallet, releaseTime);
+  }
+}
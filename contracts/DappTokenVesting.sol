@@ -0,0 +1,48 @@
+pragma solidity 0.4.24;
+
+import "openzeppelin-solidity/contracts/token/ERC20/TokenVesting.sol";
+
+/**
+ * @title DappTokenVesting
+ * @dev TokenVesting that can vest in steps of `period` seconds, e.g. monthly,
+ * instead of continuously. A zero period vests continuously, and a zero
+ * duration releases everything at the start.
+ */
+contract DappTokenVesting is TokenVesting {
+  uint256 public period;
+
+  constructor(
+    address _beneficiary,
+    uint256 _start,
+    uint256 _cliff,
+    uint256 _duration,
+    uint256 _period,
+    bool _revocable
+  )
+    TokenVesting(_beneficiary, _start, _cliff, _duration, _revocable)
+    public
+  {
+    require(_period <= _duration);
+    period = _period;
+  }
+
+  /**
+   * @dev Calculates the amount that has already vested, rounded down to whole periods.
+   * @param token ERC20 token which is being vested
+   */
+  function vestedAmount(ERC20Basic token) public view returns (uint256) {
+    uint256 _totalBalance = token.balanceOf(this).add(released[token]);
+
+    if (block.timestamp < cliff) {
+      return 0;
+    } else if (block.timestamp >= start.add(duration) || revoked[token]) {
+      return _totalBalance;
+    }
+
+    uint256 _elapsed = block.timestamp.sub(start);
+    if (period > 0) {
+      _elapsed = _elapsed.sub(_elapsed % period);
+    }
+    return _totalBalance.mul(_elapsed).div(duration);
+  }
+}
@@ -0,0 +1,277 @@
+pragma solidity 0.4.24;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+
+/**
+ * @title MultiSigWallet
+ * @dev M-of-N wallet that can own the crowdsale and, as its wallet, receive
+ * the sale funds and the token once the sale is over. An owner submits a
+ * call, which runs once `required` owners have confirmed it. Owners and the
+ * threshold are changed through calls the wallet makes to itself.
+ */
+contract MultiSigWallet {
+  using SafeMath for uint256;
+
+  uint256 public constant MAX_OWNER_COUNT = 50;
+
+  struct Transaction {
+    address destination;
+    uint256 value;
+    bytes data;
+    bool executed;
+  }
+
+  mapping (uint256 => Transaction) public transactions;
+  // Owner epoch plus one at which each owner confirmed each transaction, 0 if not
+  mapping (uint256 => mapping (address => uint256)) internal confirmationEpochs;
+  // Bumped when an owner is removed, so that its confirmations no longer
+  // count, even once it is added back
+  mapping (address => uint256) public ownerEpochs;
+  mapping (address => bool) public isOwner;
+  address[] public owners;
+  uint256 public required;
+  uint256 public transactionCount;
+
+  event Deposit(address indexed sender, uint256 value);
+  event Submission(uint256 indexed transactionId);
+  event Confirmation(address indexed sender, uint256 indexed transactionId);
+  event Revocation(address indexed sender, uint256 indexed transactionId);
+  event Execution(uint256 indexed transactionId);
+  event ExecutionFailure(uint256 indexed transactionId);
+  event OwnerAddition(address indexed owner);
+  event OwnerRemoval(address indexed owner);
+  event RequirementChange(uint256 required);
+
+  modifier onlyWallet() {
+    require(msg.sender == address(this));
+    _;
+  }
+
+  modifier onlyOwner() {
+    require(isOwner[msg.sender]);
+    _;
+  }
+
+  modifier transactionExists(uint256 _transactionId) {
+    require(transactions[_transactionId].destination != address(0));
+    _;
+  }
+
+  modifier notExecuted(uint256 _transactionId) {
+    require(!transactions[_transactionId].executed);
+    _;
+  }
+
+  modifier validRequirement(uint256 _ownerCount, uint256 _required) {
+    require(_ownerCount <= MAX_OWNER_COUNT);
+    require(_required > 0 && _required <= _ownerCount);
+    _;
+  }
+
+  /**
+   * @param _owners Distinct owner addresses
+   * @param _required Number of confirmations a transaction needs
+   */
+  constructor(address[] _owners, uint256 _required)
+    public
+    validRequirement(_owners.length, _required)
+  {
+    for (uint256 i = 0; i < _owners.length; i++) {
+      require(_owners[i] != address(0) && !isOwner[_owners[i]]);
+      isOwner[_owners[i]] = true;
+    }
+    owners = _owners;
+    required = _required;
+  }
+
+  /**
+   * @dev Accepts ether, e.g. the sale funds, within the 2300 gas of a transfer.
+   */
+  function () external payable {
+    if (msg.value > 0) {
+      emit Deposit(msg.sender, msg.value);
+    }
+  }
+
+  /**
+   * @dev Returns the owners.
+   */
+  function getOwners() public view returns (address[]) {
+    return owners;
+  }
+
+  /**
+   * @dev Adds an owner, through a transaction of the wallet itself.
+   * @param _owner Address of the new owner
+   */
+  function addOwner(address _owner)
+    external
+    onlyWallet
+    validRequirement(owners.length.add(1), required)
+  {
+    require(_owner != address(0) && !isOwner[_owner]);
+    isOwner[_owner] = true;
+    owners.push(_owner);
+    emit OwnerAddition(_owner);
+  }
+
+  /**
+   * @dev Removes an owner, through a transaction of the wallet itself. The
+   * threshold comes down with the number of owners if needed. Confirmations
+   * the owner gave to pending transactions no longer count, even if the owner
+   * is added again.
+   * @param _owner Address of the owner to remove
+   */
+  function removeOwner(address _owner) external onlyWallet {
+    require(isOwner[_owner]);
+    require(owners.length > 1);
+    isOwner[_owner] = false;
+    ownerEpochs[_owner] = ownerEpochs[_owner].add(1);
+    for (uint256 i = 0; i < owners.length - 1; i++) {
+      if (owners[i] == _owner) {
+        owners[i] = owners[owners.length - 1];
+        break;
+      }
+    }
+    owners.length -= 1;
+    emit OwnerRemoval(_owner);
+
+    if (required > owners.length) {
+      _changeRequirement(owners.length);
+    }
+  }
+
+  /**
+   * @dev Changes the number of confirmations a transaction needs, through a
+   * transaction of the wallet itself.
+   * @param _required New threshold
+   */
+  function changeRequirement(uint256 _required)
+    external
+    onlyWallet
+    validRequirement(owners.length, _required)
+  {
+    _changeRequirement(_required);
+  }
+
+  /**
+   * @dev Submits a call and confirms it for the sender.
+   * @param _destination Address called
+   * @param _value Wei sent along
+   * @param _data Calldata
+   * @return Id of the transaction
+   */
+  function submitTransaction(address _destination, uint256 _value, bytes _data)
+    public
+    onlyOwner
+    returns (uint256 _transactionId)
+  {
+    require(_destination != address(0));
+    _transactionId = transactionCount;
+    transactions[_transactionId] = Transaction({
+      destination: _destination,
+      value: _value,
+      data: _data,
+      executed: false
+    });
+    transactionCount = transactionCount.add(1);
+    emit Submission(_transactionId);
+    confirmTransaction(_transactionId);
+  }
+
+  /**
+   * @dev Confirms a transaction, and runs it if that makes enough confirmations.
+   * @param _transactionId Id of the transaction
+   */
+  function confirmTransaction(uint256 _transactionId)
+    public
+    onlyOwner
+    transactionExists(_transactionId)
+    notExecuted(_transactionId)
+  {
+    require(!confirmations(_transactionId, msg.sender));
+    confirmationEpochs[_transactionId][msg.sender] = ownerEpochs[msg.sender].add(1);
+    emit Confirmation(msg.sender, _transactionId);
+    if (isConfirmed(_transactionId)) {
+      _execute(_transactionId);
+    }
+  }
+
+  /**
+   * @dev Withdraws the sender's confirmation of a transaction not run yet.
+   * @param _transactionId Id of the transaction
+   */
+  function revokeConfirmation(uint256 _transactionId)
+    external
+    onlyOwner
+    notExecuted(_transactionId)
+  {
+    require(confirmations(_transactionId, msg.sender));
+    confirmationEpochs[_transactionId][msg.sender] = 0;
+    emit Revocation(msg.sender, _transactionId);
+  }
+
+  /**
+   * @dev Runs a confirmed transaction again after its call failed, e.g.
+   * finalize() before the sale closed.
+   * @param _transactionId Id of the transaction
+   */
+  function executeTransaction(uint256 _transactionId)
+    external
+    onlyOwner
+    notExecuted(_transactionId)
+  {
+    require(isConfirmed(_transactionId));
+    _execute(_transactionId);
+  }
+
+  /**
+   * @dev Checks whether an owner has confirmed a transaction since it was last added.
+   * @param _transactionId Id of the transaction
+   * @param _owner Address of the owner
+   */
+  function confirmations(uint256 _transactionId, address _owner) public view returns (bool) {
+    return confirmationEpochs[_transactionId][_owner] == ownerEpochs[_owner].add(1);
+  }
+
+  /**
+   * @dev Checks whether a transaction has the required confirmations of current owners.
+   * @param _transactionId Id of the transaction
+   */
+  function isConfirmed(uint256 _transactionId) public view returns (bool) {
+    return getConfirmationCount(_transactionId) >= required;
+  }
+
+  /**
+   * @dev Returns the number of current owners who confirmed a transaction.
+   * @param _transactionId Id of the transaction
+   */
+  function getConfirmationCount(uint256 _transactionId) public view returns (uint256 _count) {
+    for (uint256 i = 0; i < owners.length; i++) {
+      if (confirmations(_transactionId, owners[i])) {
+        _count = _count.add(1);
+      }
+    }
+  }
+
+  function _changeRequirement(uint256 _required) internal {
+    required = _required;
+    emit RequirementChange(_required);
+  }
+
+  /**
+   * @dev Makes the call of a transaction. A failed call leaves it pending,
+   * so that it can be run again with executeTransaction().
+   * @param _transactionId Id of the transaction
+   */
+  function _execute(uint256 _transactionId) internal {
+    Transaction storage _transaction = transactions[_transactionId];
+    _transaction.executed = true;
+    if (_transaction.destination.call.value(_transaction.value)(_transaction.data)) {
+      emit Execution(_transactionId);
+    } else {
+      _transaction.executed = false;
+      emit ExecutionFailure(_transactionId);
+    }
+  }
+}
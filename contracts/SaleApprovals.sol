@@ -0,0 +1,64 @@
+pragma solidity 0.4.24;
+
+import "openzeppelin-solidity/contracts/ECRecovery.sol";
+
+/**
+ * @title SaleApprovals
+ * @dev Signed off-chain KYC approvals of DappTokenCrowdsale, in a library
+ * linked at deployment to keep the crowdsale within the block gas limit.
+ * The approver signs approvalHash(sale, beneficiary, maxContribution, expiry)
+ * as an eth_sign message; the sale makes sure each approval is used for one
+ * purchase only.
+ */
+library SaleApprovals {
+  using ECRecovery for bytes32;
+
+  struct Approval {
+    uint256 maxContribution;
+    uint256 expiry;
+    bytes signature;
+  }
+
+  /**
+  * @dev Hash the KYC approver signs to approve a beneficiary.
+  * @param _sale Sale the approval is for
+  * @param _beneficiary Approved token beneficiary
+  * @param _maxContribution Cap on the beneficiary's total contribution in wei
+  * @param _expiry Time after which the approval can no longer be used
+  */
+  function approvalHash(
+    address _sale,
+    address _beneficiary,
+    uint256 _maxContribution,
+    uint256 _expiry
+  )
+    public pure returns (bytes32)
+  {
+    return keccak256(abi.encodePacked(_sale, _beneficiary, _maxContribution, _expiry));
+  }
+
+  /**
+  * @dev Checks an approval for a purchase of the calling sale.
+  * @param _approval Approval the purchase was made on
+  * @param _approver Key that signs approvals, 0 to accept none
+  * @param _beneficiary Token beneficiary
+  * @param _newContribution Beneficiary's total contribution including the purchase
+  * @return Hash of the approval
+  */
+  function checkApproval(
+    Approval storage _approval,
+    address _approver,
+    address _beneficiary,
+    uint256 _newContribution
+  )
+    public view returns (bytes32 _hash)
+  {
+    require(block.timestamp <= _approval.expiry);
+    require(_newContribution <= _approval.maxContribution);
+
+    // Linked libraries run in the sale's context, so this is the sale
+    _hash = approvalHash(address(this), _beneficiary, _approval.maxContribution, _approval.expiry);
+    require(_approver != address(0));
+    require(_hash.toEthSignedMessageHash().recover(_approval.signature) == _approver);
+  }
+}
@@ -0,0 +1,61 @@
+pragma solidity 0.4.24;
+
+/**
+ * @title SaleBonuses
+ * @dev Volume bonuses of DappTokenCrowdsale, in a library linked at
+ * deployment to keep the crowdsale within the block gas limit. Buyers get
+ * the bonus of the highest volume bonus their total contribution has reached.
+ */
+library SaleBonuses {
+  // Bonuses are in basis points of the tokens bought, as DappTokenSale's shares
+  uint256 constant TOTAL_SHARES = 10000;
+
+  struct VolumeBonus {
+    uint256 minContribution;
+    uint256 bonus;
+  }
+
+  event VolumeBonusAdded(uint256 indexed index, uint256 minContribution, uint256 bonus);
+
+  /**
+  * @dev Replaces the volume bonuses.
+  * @param _minContributions Total contribution in wei from which each bonus applies, ascending
+  * @param _bonuses Bonus in basis points of the tokens bought
+  */
+  function setVolumeBonuses(
+    VolumeBonus[] storage _volumeBonuses,
+    uint256[] _minContributions,
+    uint256[] _bonuses
+  )
+    public
+  {
+    require(_minContributions.length == _bonuses.length);
+
+    _volumeBonuses.length = 0;
+    for (uint256 i = 0; i < _minContributions.length; i++) {
+      require(i == 0 || _minContributions[i] > _minContributions[i - 1]);
+      require(_bonuses[i] <= TOTAL_SHARES);
+      _volumeBonuses.push(VolumeBonus(_minContributions[i], _bonuses[i]));
+      emit VolumeBonusAdded(i, _minContributions[i], _bonuses[i]);
+    }
+  }
+
+  /**
+  * @dev Returns the volume bonus for a total contribution.
+  * @param _contribution Total contribution of the buyer in wei
+  * @return Bonus in basis points
+  */
+  function volumeBonusFor(
+    VolumeBonus[] storage _volumeBonuses,
+    uint256 _contribution
+  )
+    public view returns (uint256)
+  {
+    for (uint256 i = _volumeBonuses.length; i > 0; i--) {
+      if (_contribution >= _volumeBonuses[i - 1].minContribution) {
+        return _volumeBonuses[i - 1].bonus;
+      }
+    }
+    return 0;
+  }
+}
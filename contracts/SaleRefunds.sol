@@ -0,0 +1,60 @@
+pragma solidity 0.4.24;
+
+import "openzeppelin-solidity/contracts/math/Math.sol";
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "openzeppelin-solidity/contracts/crowdsale/distribution/utils/RefundVault.sol";
+import "./StablecoinRefundVault.sol";
+
+/**
+ * @title SaleRefunds
+ * @dev Batch refunds of DappTokenCrowdsale after a failed sale, in a library
+ * linked at deployment to keep the crowdsale within the block gas limit.
+ */
+library SaleRefunds {
+  using SafeMath for uint256;
+
+  event RefundFailed(address indexed investor, address vault);
+
+  /**
+  * @dev Refunds the next depositors from both vaults, which the sale must
+  * own. A refund that fails, e.g. to a contract rejecting ether, is logged
+  * and skipped; that investor can still claim it.
+  * @param _depositors Purchasers with refundable deposits, in order of their first deposit
+  * @param _from Index of the first depositor to refund
+  * @param _count Maximum number of depositors to refund
+  * @param _vault Refund vault of the sale
+  * @param _stablecoinVault Stablecoin vault of the sale, or 0 if it has none
+  * @return Index of the depositor after the last one refunded
+  */
+  function processRefunds(
+    address[] storage _depositors,
+    uint256 _from,
+    uint256 _count,
+    RefundVault _vault,
+    StablecoinRefundVault _stablecoinVault
+  )
+    public returns (uint256 _to)
+  {
+    _to = Math.min256(_from.add(_count), _depositors.length);
+    for (uint256 i = _from; i < _to; i++) {
+      address _investor = _depositors[i];
+      if (_vault.deposited(_investor) > 0) {
+        _tryRefund(_vault, _investor);
+      }
+      if (_stablecoinVault != address(0) && _stablecoinVault.deposited(_investor) > 0) {
+        _tryRefund(_stablecoinVault, _investor);
+      }
+    }
+  }
+
+  /**
+  * @dev Refunds an investor from a vault, logging rather than reverting when it fails.
+  * @param _vault RefundVault or StablecoinRefundVault
+  * @param _investor Investor to refund
+  */
+  function _tryRefund(address _vault, address _investor) private {
+    if (!_vault.call(abi.encodeWithSignature("refund(address)", _investor))) {
+      emit RefundFailed(_investor, _vault);
+    }
+  }
+}
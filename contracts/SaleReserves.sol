@@ -0,0 +1,157 @@
+pragma solidity 0.4.24;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/MintableToken.sol";
+import "./DappTokenVesting.sol";
+
+/**
+ * @title SaleReserves
+ * @dev Token reserves of DappTokenSale, in a library linked at deployment so
+ * that the sales do not each carry the code, DappTokenVesting's included.
+ * Shares are in basis points of the final supply: the sale's share is what
+ * investors bought, each reserve's share is minted on finalization to a
+ * vesting contract for its fund.
+ */
+library SaleReserves {
+  using SafeMath for uint256;
+
+  // Same as DappTokenSale's, which contracts cannot read from a library
+  uint256 constant TOTAL_SHARES = 10000;
+  uint256 constant MAX_RESERVES = 5;
+
+  // Each reserve vests from the sale's release time on its own schedule, see
+  // DappTokenVesting; the default schedule releases everything at the
+  // release time. The wallet owns the vesting contracts and can revoke
+  // revocable grants.
+  struct Reserve {
+    address fund;
+    uint256 share;
+    uint256 cliff;
+    uint256 duration;
+    uint256 period;
+    bool revocable;
+    address vesting;
+  }
+
+  event ReserveAdded(uint256 indexed index, address indexed fund, uint256 share);
+  event ReserveMinted(uint256 indexed index, address vesting, uint256 amount);
+  event VestingScheduleSet(
+    uint256 indexed reserve,
+    uint256 cliff,
+    uint256 duration,
+    uint256 period,
+    bool revocable
+  );
+
+  /**
+  * @dev Adds the reserves, whose shares must add up to TOTAL_SHARES with the sale's.
+  * @param _reserves Reserves of the sale, empty
+  * @param _tokenSaleShare Share of the tokens sold
+  * @param _funds Fund of each reserve
+  * @param _shares Share of each reserve
+  */
+  function addReserves(
+    Reserve[] storage _reserves,
+    uint256 _tokenSaleShare,
+    address[] _funds,
+    uint256[] _shares
+  )
+    public
+  {
+    require(_tokenSaleShare > 0);
+    require(_funds.length == _shares.length);
+    require(_funds.length <= MAX_RESERVES);
+
+    uint256 _totalShares = _tokenSaleShare;
+    for (uint256 i = 0; i < _funds.length; i++) {
+      require(_funds[i] != address(0));
+      require(_shares[i] > 0);
+      _reserves.push(Reserve(_funds[i], _shares[i], 0, 0, 0, false, address(0)));
+      emit ReserveAdded(i, _funds[i], _shares[i]);
+      _totalShares = _totalShares.add(_shares[i]);
+    }
+    require(_totalShares == TOTAL_SHARES);
+  }
+
+  /**
+  * @dev Sets the vesting schedule of a reserve.
+  * @param _index Index of the reserve
+  * @param _cliff Seconds after the release time before anything vests
+  * @param _duration Seconds after the release time until everything has vested
+  * @param _period Seconds between vesting steps, 0 to vest continuously
+  * @param _revocable Whether the wallet can revoke the unvested part
+  */
+  function setVestingSchedule(
+    Reserve[] storage _reserves,
+    uint256 _index,
+    uint256 _cliff,
+    uint256 _duration,
+    uint256 _period,
+    bool _revocable
+  )
+    public
+  {
+    require(_index < _reserves.length);
+    require(_cliff <= _duration && _period <= _duration);
+
+    Reserve storage _reserve = _reserves[_index];
+    _reserve.cliff = _cliff;
+    _reserve.duration = _duration;
+    _reserve.period = _period;
+    _reserve.revocable = _revocable;
+    emit VestingScheduleSet(_index, _cliff, _duration, _period, _revocable);
+  }
+
+  /**
+  * @dev Mints each reserve its share of the final supply to a new vesting
+  * contract owned by the wallet. The sale must own the token.
+  * @param _tokenSaleShare Share of the tokens sold
+  * @param _tokensSold Tokens sold, which the final supply is derived from
+  * @param _token Token to mint
+  * @param _wallet Owner of the vesting contracts
+  * @param _releaseTime Time the vestings start at
+  */
+  function mintReserves(
+    Reserve[] storage _reserves,
+    uint256 _tokenSaleShare,
+    uint256 _tokensSold,
+    MintableToken _token,
+    address _wallet,
+    uint256 _releaseTime
+  )
+    public
+  {
+    // Multiply before dividing so no precision is lost
+    uint256 _finalTotalSupply = _tokensSold.mul(TOTAL_SHARES).div(_tokenSaleShare);
+
+    // Each reserve gets its share rounded down. The few token units lost
+    // to rounding go one each to the first reserves, so that the supply
+    // adds up exactly and every reserve stays within one unit of its share.
+    uint256 _leftover = _finalTotalSupply.sub(_tokensSold);
+    for (uint256 i = 0; i < _reserves.length; i++) {
+      _leftover = _leftover.sub(_finalTotalSupply.mul(_reserves[i].share).div(TOTAL_SHARES));
+    }
+
+    for (i = 0; i < _reserves.length; i++) {
+      Reserve storage _reserve = _reserves[i];
+      uint256 _amount = _finalTotalSupply.mul(_reserve.share).div(TOTAL_SHARES);
+      if (i < _leftover) {
+        _amount = _amount.add(1);
+      }
+
+      DappTokenVesting _vesting = new DappTokenVesting(
+        _reserve.fund,
+        _releaseTime,
+        _reserve.cliff,
+        _reserve.duration,
+        _reserve.period,
+        _reserve.revocable
+      );
+      _vesting.transferOwnership(_wallet);
+      _reserve.vesting = address(_vesting);
+
+      _token.mint(_vesting, _amount);
+      emit ReserveMinted(i, _vesting, _amount);
+    }
+  }
+}
@@ -0,0 +1,141 @@
+pragma solidity 0.4.24;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+
+/**
+ * @title SaleTiers
+ * @dev Pricing tiers of DappTokenCrowdsale, in a library linked at deployment
+ * to keep the crowdsale within the block gas limit. Tiers are in order. Tier
+ * 0 is active from the opening time; a later tier takes over once its start
+ * time has passed or the wei raised reaches its threshold, whichever comes
+ * first. A zero start time or threshold is unused; the others increase from
+ * tier to tier.
+ */
+library SaleTiers {
+  using SafeMath for uint256;
+
+  struct Tier {
+    uint256 rate;
+    uint256 startTime;
+    uint256 weiThreshold;
+    bool refundable;
+  }
+
+  event TierAdded(
+    uint256 indexed index,
+    uint256 rate,
+    uint256 startTime,
+    uint256 weiThreshold,
+    bool refundable
+  );
+
+  /**
+  * @dev Replaces the tiers.
+  * @param _rates Token units per wei for each tier
+  * @param _startTimes Time each tier starts at, 0 if it starts by threshold only
+  * @param _weiThresholds Wei raised at which each tier starts, 0 if it starts by time only
+  * @param _refundable Whether each tier's funds go to the refund vault rather than the wallet
+  */
+  function setTiers(
+    Tier[] storage _tiers,
+    uint256[] _rates,
+    uint256[] _startTimes,
+    uint256[] _weiThresholds,
+    bool[] _refundable
+  )
+    public
+  {
+    require(_rates.length > 0);
+    require(_rates.length == _startTimes.length);
+    require(_rates.length == _weiThresholds.length);
+    require(_rates.length == _refundable.length);
+    // The first tier is active from the opening time
+    require(_startTimes[0] == 0 && _weiThresholds[0] == 0);
+
+    _tiers.length = 0;
+    uint256 _lastStartTime = 0;
+    uint256 _lastWeiThreshold = 0;
+    for (uint256 i = 0; i < _rates.length; i++) {
+      require(i == 0 || _startTimes[i] > 0 || _weiThresholds[i] > 0);
+      // Start times and thresholds that are set increase from tier to tier
+      if (_startTimes[i] > 0) {
+        require(_startTimes[i] > _lastStartTime);
+        _lastStartTime = _startTimes[i];
+      }
+      if (_weiThresholds[i] > 0) {
+        require(_weiThresholds[i] > _lastWeiThreshold);
+        _lastWeiThreshold = _weiThresholds[i];
+      }
+      addTier(_tiers, _rates[i], _startTimes[i], _weiThresholds[i], _refundable[i]);
+    }
+  }
+
+  /**
+  * @dev Appends a tier.
+  */
+  function addTier(
+    Tier[] storage _tiers,
+    uint256 _rate,
+    uint256 _startTime,
+    uint256 _weiThreshold,
+    bool _refundable
+  )
+    public
+  {
+    require(_rate > 0);
+    _tiers.push(Tier(_rate, _startTime, _weiThreshold, _refundable));
+    emit TierAdded(_tiers.length - 1, _rate, _startTime, _weiThreshold, _refundable);
+  }
+
+  /**
+  * @dev Returns the last tier that has started once `_raised` wei have been raised.
+  * @param _raised Amount of wei raised
+  */
+  function tierAt(Tier[] storage _tiers, uint256 _raised) public view returns (uint256) {
+    for (uint256 i = _tiers.length - 1; i > 0; i--) {
+      Tier storage _tier = _tiers[i];
+      if (
+        (_tier.startTime > 0 && block.timestamp >= _tier.startTime) ||
+        (_tier.weiThreshold > 0 && _raised >= _tier.weiThreshold)
+      ) {
+        return i;
+      }
+    }
+    return 0;
+  }
+
+  /**
+  * @dev Prices a purchase that may cross tier thresholds, each part at its own tier.
+  * @param _raised Amount of wei raised before the purchase
+  * @param _weiAmount Amount of wei contributed
+  * @return Tokens bought and the part of the wei that falls in refundable tiers
+  */
+  function priceAcrossTiers(
+    Tier[] storage _tiers,
+    uint256 _raised,
+    uint256 _weiAmount
+  )
+    public view returns (uint256 _tokens, uint256 _refundableWei)
+  {
+    uint256 _remaining = _weiAmount;
+    while (_remaining > 0) {
+      uint256 _index = tierAt(_tiers, _raised);
+      uint256 _portion = _remaining;
+
+      // Stop this part where a later tier's threshold kicks in
+      for (uint256 i = _index + 1; i < _tiers.length; i++) {
+        uint256 _threshold = _tiers[i].weiThreshold;
+        if (_threshold > _raised && _threshold.sub(_raised) < _portion) {
+          _portion = _threshold.sub(_raised);
+        }
+      }
+
+      _tokens = _tokens.add(_portion.mul(_tiers[_index].rate));
+      if (_tiers[_index].refundable) {
+        _refundableWei = _refundableWei.add(_portion);
+      }
+      _raised = _raised.add(_portion);
+      _remaining = _remaining.sub(_portion);
+    }
+  }
+}
@@ -0,0 +1,73 @@
+pragma solidity 0.4.24;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "openzeppelin-solidity/contracts/ownership/Ownable.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/SafeERC20.sol";
+
+/**
+ * @title StablecoinRefundVault
+ * @dev RefundVault for an ERC20 token. The owner moves each investor's tokens
+ * into the vault and records them with deposit(); they go to the wallet
+ * when the vault is closed, or back to the investors once refunds are enabled.
+ */
+contract StablecoinRefundVault is Ownable {
+  using SafeMath for uint256;
+  using SafeERC20 for ERC20;
+
+  enum State { Active, Refunding, Closed }
+
+  ERC20 public token;
+  mapping (address => uint256) public deposited;
+  address public wallet;
+  State public state;
+
+  event Closed();
+  event RefundsEnabled();
+  event Refunded(address indexed beneficiary, uint256 amount);
+
+  /**
+   * @param _wallet Address the tokens go to once the vault is closed
+   * @param _token Token held by the vault
+   */
+  constructor(address _wallet, ERC20 _token) public {
+    require(_wallet != address(0));
+    require(_token != address(0));
+    wallet = _wallet;
+    token = _token;
+    state = State.Active;
+  }
+
+  /**
+   * @param _investor Investor address
+   * @param _amount Tokens already transferred to the vault for the investor
+   */
+  function deposit(address _investor, uint256 _amount) onlyOwner public {
+    require(state == State.Active);
+    deposited[_investor] = deposited[_investor].add(_amount);
+  }
+
+  function close() onlyOwner public {
+    require(state == State.Active);
+    state = State.Closed;
+    emit Closed();
+    token.safeTransfer(wallet, token.balanceOf(this));
+  }
+
+  function enableRefunds() onlyOwner public {
+    require(state == State.Active);
+    state = State.Refunding;
+    emit RefundsEnabled();
+  }
+
+  /**
+   * @param _investor Investor address
+   */
+  function refund(address _investor) public {
+    require(state == State.Refunding);
+    uint256 _depositedAmount = deposited[_investor];
+    deposited[_investor] = 0;
+    token.safeTransfer(_investor, _depositedAmount);
+    emit Refunded(_investor, _depositedAmount);
+  }
+}
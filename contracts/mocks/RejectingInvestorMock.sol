@@ -0,0 +1,14 @@
+pragma solidity 0.4.24;
+
+import "../DappTokenCrowdsale.sol";
+
+/**
+ * @title RejectingInvestorMock
+ * @dev Investor contract that buys tokens for itself but cannot receive
+ * ether, so any refund sent to it fails.
+ */
+contract RejectingInvestorMock {
+  function buy(DappTokenCrowdsale _crowdsale) external payable {
+    _crowdsale.buyTokens.value(msg.value)(this);
+  }
+}
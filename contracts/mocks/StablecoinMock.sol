@@ -0,0 +1,22 @@
+pragma solidity 0.4.24;
+
+import "openzeppelin-solidity/contracts/token/ERC20/DetailedERC20.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/StandardToken.sol";
+
+/**
+ * @title StablecoinMock
+ * @dev Stablecoin stand-in for tests and local sales. Anyone can mint.
+ */
+contract StablecoinMock is StandardToken, DetailedERC20 {
+  constructor(string _name, string _symbol, uint8 _decimals)
+    DetailedERC20(_name, _symbol, _decimals)
+    public
+  {
+  }
+
+  function mint(address _to, uint256 _amount) public {
+    totalSupply_ = totalSupply_.add(_amount);
+    balances[_to] = balances[_to].add(_amount);
+    emit Transfer(address(0), _to, _amount);
+  }
+}
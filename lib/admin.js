@@ -0,0 +1,638 @@
+const { getBlock, sameAddress } = require('./chain');
+const { isAddress, ZERO_ADDRESS } = require('./saleConfig');
+const { collectStatus, formatStatus } = require('./status');
+const { collectRefunds, formatRefunds } = require('./refunds');
+const { collectMultisig, formatMultisig, transactionOutcome } = require('./multisig');
+const {
+  GAS_PER_KYC_TIER,
+  loadWhitelistEntries,
+  batchSizeForGasLimit,
+  planWhitelist,
+  planKycTiers,
+  batchGas,
+} = require('./whitelist');
+
+const FLAGS = ['dry-run', 'json'];
+
+// Gas a multisig submission needs on top of the call it runs: the stored
+// transaction, and its calldata at one storage slot per 32 bytes
+const MULTISIG_GAS = 150000;
+const MULTISIG_GAS_PER_WORD = 20000;
+
+const USAGE = `Usage: truffle exec scripts/admin.js <command> [args] [options]
+
+Commands:
+  status                          Print a full snapshot of the sale
+  whitelist add <address...>      Whitelist investors
+  whitelist remove <address>      Remove an investor from the whitelist
+  whitelist import <file>         Whitelist investors and set their KYC tiers from a CSV/JSON file
+  kyc tier <tier> <address...>    Move investors to a KYC tier
+  kyc cap <tier> <ether>          Set the per-investor cap of a KYC tier, or add the next tier
+  kyc approver <address>          Set the key that signs off-chain KYC approvals
+  pause                           Stop purchases in an emergency
+  unpause                         Resume purchases
+  extend <days>                   Push back the closing time
+  finalize                        Finalize the sale once it has closed
+  refunds                         List the refunds of a failed sale, paid and outstanding
+  refunds process                 Refund all remaining depositors of a failed sale in batches
+  release <reserve|address>       Release the vested tokens of a reserve, by index or vesting address
+  revoke <reserve|address>        Revoke the unvested tokens of a reserve (as the wallet)
+  multisig                        List the owners and transactions of the multisig
+  multisig confirm <id>           Confirm a multisig transaction, which runs once it has enough confirmations
+  multisig revoke <id>            Withdraw your confirmation of a pending multisig transaction
+  multisig execute <id>           Run a confirmed multisig transaction again after its call failed
+  multisig add-owner <address>    Propose adding a multisig owner
+  multisig remove-owner <address> Propose removing a multisig owner
+  multisig required <n>           Propose changing the number of confirmations transactions need
+
+Options:
+  --dry-run                       Print calldata and gas estimates without sending
+  --json                          Print the status as JSON
+  --from <address>                Sending account (defaults to the first account)
+  --crowdsale <address>           Crowdsale address (defaults to the deployed one)
+  --multisig <address>            Multisig to propose owner actions through (defaults to the
+                                  deployed one when it owns the crowdsale)
+  --batch-size <n>                Addresses per whitelist transaction, or depositors per refund transaction
+  --from-block <n>                First block to read refund events from`;
+
+/**
+ * Splits command line arguments into positional arguments and `--options`.
+ * Flags without a value (`--dry-run`, `--json`) are set to true.
+ */
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const flag = argv[i].slice(2);
+      const name = flag.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+      options[name] = FLAGS.indexOf(flag) !== -1 ? true : argv[++i];
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { args, options };
+}
+
+/**
+ * Sends `method` on `contract`, or in dry-run mode only prints its calldata
+ * and gas estimate.
+ * @param ctx Command context: `from`, `dryRun` and `log`
+ */
+async function sendTransaction(ctx, contract, method, args, txParams) {
+  const params = Object.assign({ from: ctx.from }, txParams);
+
+  if (ctx.dryRun) {
+    const data = contract.contract[method].getData(...args);
+    const gas = await contract[method].estimateGas(...args, params);
+    ctx.log(`[dry-run] ${method} on ${contract.address}`);
+    ctx.log(`  data: ${data}`);
+    ctx.log(`  gas:  ${gas}`);
+    return { dryRun: true, to: contract.address, data, gas };
+  }
+
+  const result = await contract[method](...args, params);
+  ctx.log(`${method}: ${result.tx}`);
+  return result;
+}
+
+/**
+ * Proposes a call to the multisig, which runs it right away if the sender's
+ * confirmation is the only one needed.
+ * @param txParams Optional transaction params for the call, e.g. its `gas`,
+ *   which is raised by what the multisig needs to store it
+ * @return The submission result, with the multisig transaction `id` and
+ *   whether it was `executed`
+ */
+async function proposeTransaction(ctx, contract, method, args, txParams) {
+  const data = contract.contract[method].getData(...args);
+  const params = Object.assign({}, txParams);
+  if (params.gas) {
+    params.gas += MULTISIG_GAS + Math.ceil((data.length - 2) / 64) * MULTISIG_GAS_PER_WORD;
+  }
+  const result = await sendTransaction(ctx, ctx.multisig, 'submitTransaction', [contract.address, 0, data], params);
+  if (ctx.dryRun) return result;
+
+  const outcome = transactionOutcome(result.logs);
+  if (outcome.failed) {
+    throw new Error(`Multisig transaction ${outcome.id} (${method}) was confirmed but its call failed, ` +
+      `retry with: multisig execute ${outcome.id}`);
+  }
+  ctx.log(outcome.executed
+    ? `${method} executed through the multisig as transaction ${outcome.id}`
+    : `${method} proposed to the multisig as transaction ${outcome.id}, waiting for confirmations`);
+  return Object.assign(result, outcome);
+}
+
+/**
+ * Sends an owner-only call, through the multisig when it owns `contract`.
+ */
+async function sendAsOwner(ctx, contract, method, args, txParams) {
+  if (ctx.multisig && sameAddress(await contract.owner(), ctx.multisig.address)) {
+    return proposeTransaction(ctx, contract, method, args, txParams);
+  }
+  return sendTransaction(ctx, contract, method, args, txParams);
+}
+
+// The sender must be the owner, or an owner of the multisig when that is the owner
+async function requireController(ctx, owner, name) {
+  if (ctx.multisig && sameAddress(owner, ctx.multisig.address)) {
+    if (!(await ctx.multisig.isOwner(ctx.from))) {
+      throw new Error(`${ctx.from} is not an owner of the multisig (${owner}) that owns the ${name}`);
+    }
+  } else if (!sameAddress(owner, ctx.from)) {
+    throw new Error(`${ctx.from} is not the ${name} owner (${owner})`);
+  }
+}
+
+async function requireOwner(ctx) {
+  await requireController(ctx, await ctx.crowdsale.owner(), 'crowdsale');
+}
+
+async function requireNotFinalized(ctx) {
+  if (await ctx.crowdsale.isFinalized()) {
+    throw new Error('The crowdsale is already finalized');
+  }
+}
+
+function requireAddress(address) {
+  if (!isAddress(address)) {
+    throw new Error(`${address} is not an address`);
+  }
+}
+
+async function status(ctx, json) {
+  const snapshot = await collectStatus(ctx);
+  ctx.log(json ? JSON.stringify(snapshot, null, 2) : formatStatus(snapshot));
+  return snapshot;
+}
+
+async function addToWhitelist(ctx, addresses, batchSize) {
+  if (addresses.length === 0) {
+    throw new Error('No addresses given');
+  }
+  addresses.forEach(requireAddress);
+  await requireOwner(ctx);
+
+  const latestBlock = await getBlock(ctx.web3);
+  const plan = await planWhitelist(
+    ctx.crowdsale,
+    addresses,
+    batchSize || batchSizeForGasLimit(latestBlock.gasLimit)
+  );
+  plan.skipped.forEach(address => ctx.log(`${address} is already whitelisted`));
+
+  const results = [];
+  for (const batch of plan.batches) {
+    results.push(await sendAsOwner(ctx, ctx.crowdsale, 'addManyToWhitelist', [batch], { gas: batchGas(batch.length) }));
+  }
+  return results;
+}
+
+async function removeFromWhitelist(ctx, address) {
+  requireAddress(address);
+  await requireOwner(ctx);
+  if (!(await ctx.crowdsale.whitelist(address))) {
+    throw new Error(`${address} is not whitelisted`);
+  }
+
+  return sendAsOwner(ctx, ctx.crowdsale, 'removeFromWhitelist', [address]);
+}
+
+async function setKycTiers(ctx, entries, batchSize) {
+  await requireOwner(ctx);
+
+  const latestBlock = await getBlock(ctx.web3);
+  const plan = await planKycTiers(
+    ctx.crowdsale,
+    entries,
+    batchSize || batchSizeForGasLimit(latestBlock.gasLimit, GAS_PER_KYC_TIER)
+  );
+  plan.unchanged.forEach(address => ctx.log(`${address} is already in that KYC tier`));
+
+  const results = [];
+  for (const batch of plan.batches) {
+    results.push(await sendAsOwner(ctx, ctx.crowdsale, 'setKycTiers', [batch.investors, batch.tiers], {
+      gas: batchGas(batch.investors.length, GAS_PER_KYC_TIER),
+    }));
+  }
+  return results;
+}
+
+async function importWhitelist(ctx, file, batchSize) {
+  if (!file) {
+    throw new Error('No whitelist file given');
+  }
+  const entries = loadWhitelistEntries(file);
+  const results = await addToWhitelist(ctx, entries.map(entry => entry.address), batchSize);
+  return results.concat(await setKycTiers(ctx, entries, batchSize));
+}
+
+function parseKycTier(tier) {
+  if (!/^\d+$/.test(tier || '')) {
+    throw new Error(`${tier} is not a KYC tier`);
+  }
+  return Number(tier);
+}
+
+async function assignKycTier(ctx, tier, addresses) {
+  const index = parseKycTier(tier);
+  if (addresses.length === 0) {
+    throw new Error('No addresses given');
+  }
+  addresses.forEach(requireAddress);
+  return setKycTiers(ctx, addresses.map(address => ({ address, tier: index })));
+}
+
+async function setKycTierCap(ctx, tier, cap) {
+  const index = parseKycTier(tier);
+  if (!(Number(cap) > 0)) {
+    throw new Error(`${cap} is not an ether amount`);
+  }
+  await requireOwner(ctx);
+  const count = (await ctx.crowdsale.kycTierCount()).toNumber();
+  if (index > count) {
+    throw new Error(`KYC tier ${index} cannot be added before tier ${count}`);
+  }
+
+  return sendAsOwner(ctx, ctx.crowdsale, 'setKycTierCap', [index, ctx.web3.toWei(cap, 'ether')]);
+}
+
+async function setKycApprover(ctx, address) {
+  requireAddress(address);
+  await requireOwner(ctx);
+  if (sameAddress(await ctx.crowdsale.kycApprover(), address)) {
+    throw new Error(`${address} is already the KYC approver`);
+  }
+
+  return sendAsOwner(ctx, ctx.crowdsale, 'setKycApprover', [address]);
+}
+
+async function pause(ctx) {
+  await requireOwner(ctx);
+  if (await ctx.crowdsale.paused()) {
+    throw new Error('Purchases are already paused');
+  }
+
+  return sendAsOwner(ctx, ctx.crowdsale, 'pause', []);
+}
+
+async function unpause(ctx) {
+  await requireOwner(ctx);
+  if (!(await ctx.crowdsale.paused())) {
+    throw new Error('Purchases are not paused');
+  }
+
+  return sendAsOwner(ctx, ctx.crowdsale, 'unpause', []);
+}
+
+async function extendClosingTime(ctx, days) {
+  const extension = Math.round(Number(days) * 86400);
+  if (!(extension > 0)) {
+    throw new Error(`${days} is not a number of days`);
+  }
+  await requireOwner(ctx);
+  if (await ctx.crowdsale.hasClosed()) {
+    throw new Error('The crowdsale has already closed');
+  }
+
+  const maxExtension = (await ctx.crowdsale.MAX_EXTENSION()).toNumber();
+  const extended = (await ctx.crowdsale.closingTimeExtension()).toNumber();
+  if (extended + extension > maxExtension) {
+    throw new Error(`The sale can only be extended by ${(maxExtension - extended) / 86400} more days`);
+  }
+  const closingTime = (await ctx.crowdsale.closingTime()).toNumber() + extension;
+  const releaseTime = (await ctx.crowdsale.releaseTime()).toNumber();
+  if (closingTime >= releaseTime) {
+    throw new Error(`The sale must close before the release time (${new Date(releaseTime * 1000).toISOString()})`);
+  }
+
+  return sendAsOwner(ctx, ctx.crowdsale, 'extendClosingTime', [extension]);
+}
+
+async function finalize(ctx) {
+  await requireOwner(ctx);
+  await requireNotFinalized(ctx);
+  if (!(await ctx.crowdsale.hasClosed())) {
+    const closingTime = (await ctx.crowdsale.closingTime()).toNumber();
+    throw new Error(`The crowdsale has not closed yet (closes at ${new Date(closingTime * 1000).toISOString()})`);
+  }
+
+  return sendAsOwner(ctx, ctx.crowdsale, 'finalize', []);
+}
+
+async function refunds(ctx, json, fromBlock) {
+  const report = await collectRefunds(ctx, fromBlock);
+  ctx.log(json ? JSON.stringify(report, null, 2) : formatRefunds(report));
+  return report;
+}
+
+/**
+ * Refunds every depositor not processed yet after a failed sale, one
+ * processRefunds() transaction per batch. In dry-run mode only the first
+ * batch is estimated.
+ */
+async function processRefunds(ctx, batchSize, fromBlock) {
+  await requireOwner(ctx);
+  if (!(await ctx.crowdsale.isFinalized())) {
+    throw new Error('The crowdsale is not finalized yet');
+  }
+  if (await ctx.crowdsale.goalReached()) {
+    throw new Error('The goal was reached, there is nothing to refund');
+  }
+
+  const maxBatch = (await ctx.crowdsale.MAX_REFUND_BATCH()).toNumber();
+  const size = batchSize || maxBatch;
+  if (!(size > 0 && size <= maxBatch)) {
+    throw new Error(`The batch size must be between 1 and ${maxBatch}`);
+  }
+  const count = (await ctx.crowdsale.depositorCount()).toNumber();
+  let processed = (await ctx.crowdsale.refundsProcessed()).toNumber();
+  if (processed >= count) {
+    throw new Error(`All ${count} depositors have already been processed`);
+  }
+
+  while (processed < count) {
+    ctx.log(`Refunding depositors ${processed} to ${Math.min(processed + size, count) - 1}`);
+    const result = await sendAsOwner(ctx, ctx.crowdsale, 'processRefunds', [size]);
+    // A proposal only runs once the other multisig owners confirm it
+    if (ctx.dryRun || result.executed === false) return result;
+    processed = (await ctx.crowdsale.refundsProcessed()).toNumber();
+  }
+  return refunds(ctx, false, fromBlock);
+}
+
+async function getVesting(ctx, reserve) {
+  let address = reserve;
+  if (/^\d+$/.test(reserve || '')) {
+    const count = (await ctx.crowdsale.reserveCount()).toNumber();
+    if (Number(reserve) >= count) {
+      throw new Error(`Reserve ${reserve} does not exist, the crowdsale has ${count}`);
+    }
+    [, , , , , , address] = await ctx.crowdsale.reserves(reserve);
+    if (address === ZERO_ADDRESS) {
+      throw new Error(`The vesting of reserve ${reserve} does not exist until the sale is finalized with its goal reached`);
+    }
+  }
+  requireAddress(address);
+  return ctx.DappTokenVesting.at(address);
+}
+
+async function releaseVesting(ctx, reserve) {
+  const vesting = await getVesting(ctx, reserve);
+  const releasable = await vesting.releasableAmount(ctx.token.address);
+  if (releasable.isZero()) {
+    const cliff = (await vesting.cliff()).toNumber();
+    const latestBlock = await getBlock(ctx.web3);
+    throw new Error(latestBlock.timestamp < cliff
+      ? `Vesting ${vesting.address} has nothing vested until ${new Date(cliff * 1000).toISOString()}`
+      : `Vesting ${vesting.address} has nothing left to release`);
+  }
+
+  return sendTransaction(ctx, vesting, 'release', [ctx.token.address]);
+}
+
+async function revokeVesting(ctx, reserve) {
+  const vesting = await getVesting(ctx, reserve);
+  await requireController(ctx, await vesting.owner(), 'vesting');
+  if (!(await vesting.revocable())) {
+    throw new Error(`Vesting ${vesting.address} is not revocable`);
+  }
+  if (await vesting.revoked(ctx.token.address)) {
+    throw new Error(`Vesting ${vesting.address} is already revoked`);
+  }
+
+  return sendAsOwner(ctx, vesting, 'revoke', [ctx.token.address]);
+}
+
+function requireMultisig(ctx) {
+  if (!ctx.multisig) {
+    throw new Error('No multisig given, pass --multisig <address>');
+  }
+}
+
+async function requireMultisigOwner(ctx) {
+  requireMultisig(ctx);
+  if (!(await ctx.multisig.isOwner(ctx.from))) {
+    throw new Error(`${ctx.from} is not an owner of the multisig (${ctx.multisig.address})`);
+  }
+}
+
+// A multisig transaction that has not run yet
+async function requirePending(ctx, id) {
+  if (!/^\d+$/.test(id || '')) {
+    throw new Error(`${id} is not a multisig transaction id`);
+  }
+  const count = (await ctx.multisig.transactionCount()).toNumber();
+  if (Number(id) >= count) {
+    throw new Error(`Multisig transaction ${id} does not exist, the multisig has ${count}`);
+  }
+  const [, , , executed] = await ctx.multisig.transactions(id);
+  if (executed) {
+    throw new Error(`Multisig transaction ${id} has already been executed`);
+  }
+  return Number(id);
+}
+
+// ABIs of the contracts the multisig may call, to name its transactions
+function multisigAbis(ctx) {
+  return [ctx.crowdsale, ctx.token, ctx.multisig, ctx.DappTokenVesting]
+    .filter(contract => contract && contract.abi)
+    .map(contract => contract.abi);
+}
+
+async function listMultisig(ctx, json) {
+  requireMultisig(ctx);
+  const report = await collectMultisig(ctx.multisig, multisigAbis(ctx));
+  ctx.log(json ? JSON.stringify(report, null, 2) : formatMultisig(report));
+  return report;
+}
+
+// Sends a confirmation or execution and reports what it did
+async function runMultisigTransaction(ctx, method, id) {
+  const result = await sendTransaction(ctx, ctx.multisig, method, [id]);
+  if (ctx.dryRun) return result;
+
+  const outcome = transactionOutcome(result.logs);
+  if (outcome.failed) {
+    throw new Error(`Multisig transaction ${id} is confirmed but its call failed, retry with: multisig execute ${id}`);
+  }
+  if (outcome.executed) {
+    ctx.log(`Multisig transaction ${id} executed`);
+  } else {
+    const count = (await ctx.multisig.getConfirmationCount(id)).toNumber();
+    ctx.log(`Multisig transaction ${id} has ${count} of ${(await ctx.multisig.required()).toNumber()} confirmations`);
+  }
+  return Object.assign(result, outcome, { id });
+}
+
+async function confirmMultisig(ctx, transactionId) {
+  await requireMultisigOwner(ctx);
+  const id = await requirePending(ctx, transactionId);
+  if (await ctx.multisig.confirmations(id, ctx.from)) {
+    throw new Error(`${ctx.from} has already confirmed multisig transaction ${id}`);
+  }
+  return runMultisigTransaction(ctx, 'confirmTransaction', id);
+}
+
+async function revokeMultisig(ctx, transactionId) {
+  await requireMultisigOwner(ctx);
+  const id = await requirePending(ctx, transactionId);
+  if (!(await ctx.multisig.confirmations(id, ctx.from))) {
+    throw new Error(`${ctx.from} has not confirmed multisig transaction ${id}`);
+  }
+  return sendTransaction(ctx, ctx.multisig, 'revokeConfirmation', [id]);
+}
+
+async function executeMultisig(ctx, transactionId) {
+  await requireMultisigOwner(ctx);
+  const id = await requirePending(ctx, transactionId);
+  if (!(await ctx.multisig.isConfirmed(id))) {
+    const count = (await ctx.multisig.getConfirmationCount(id)).toNumber();
+    throw new Error(`Multisig transaction ${id} has ${count} of ${(await ctx.multisig.required()).toNumber()} confirmations`);
+  }
+  return runMultisigTransaction(ctx, 'executeTransaction', id);
+}
+
+async function addMultisigOwner(ctx, address) {
+  requireAddress(address);
+  await requireMultisigOwner(ctx);
+  if (await ctx.multisig.isOwner(address)) {
+    throw new Error(`${address} is already a multisig owner`);
+  }
+  return proposeTransaction(ctx, ctx.multisig, 'addOwner', [address]);
+}
+
+async function removeMultisigOwner(ctx, address) {
+  requireAddress(address);
+  await requireMultisigOwner(ctx);
+  if (!(await ctx.multisig.isOwner(address))) {
+    throw new Error(`${address} is not a multisig owner`);
+  }
+  if ((await ctx.multisig.getOwners()).length === 1) {
+    throw new Error('The last multisig owner cannot be removed');
+  }
+  return proposeTransaction(ctx, ctx.multisig, 'removeOwner', [address]);
+}
+
+async function changeMultisigRequirement(ctx, required) {
+  await requireMultisigOwner(ctx);
+  const owners = (await ctx.multisig.getOwners()).length;
+  if (!(/^\d+$/.test(required || '') && Number(required) >= 1 && Number(required) <= owners)) {
+    throw new Error(`The number of confirmations must be between 1 and ${owners}, the number of owners`);
+  }
+  if ((await ctx.multisig.required()).toNumber() === Number(required)) {
+    throw new Error(`Multisig transactions already need ${required} confirmations`);
+  }
+  return proposeTransaction(ctx, ctx.multisig, 'changeRequirement', [Number(required)]);
+}
+
+/**
+ * Runs an admin command.
+ * @param ctx `{ crowdsale, token, RefundVault, DappTokenVesting, StablecoinRefundVault, web3, from, dryRun, log }`
+ *   and an optional `multisig`, which owner actions are proposed to when it
+ *   owns the contract they are for
+ * @param args Positional command line arguments
+ * @param options Parsed `--options`
+ */
+async function runCommand(ctx, args, options) {
+  const [command, subcommand, ...rest] = args;
+  options = options || {};
+  const batchSize = options.batchSize ? parseInt(options.batchSize, 10) : undefined;
+  const fromBlock = options.fromBlock ? parseInt(options.fromBlock, 10) : undefined;
+
+  switch (command) {
+    case 'status':
+      return status(ctx, options.json);
+    case 'whitelist':
+      switch (subcommand) {
+        case 'add':
+          return addToWhitelist(ctx, rest, batchSize);
+        case 'remove':
+          return removeFromWhitelist(ctx, rest[0]);
+        case 'import':
+          return importWhitelist(ctx, rest[0], batchSize);
+      }
+      break;
+    case 'kyc':
+      switch (subcommand) {
+        case 'tier':
+          return assignKycTier(ctx, rest[0], rest.slice(1));
+        case 'cap':
+          return setKycTierCap(ctx, rest[0], rest[1]);
+        case 'approver':
+          return setKycApprover(ctx, rest[0]);
+      }
+      break;
+    case 'pause':
+      return pause(ctx);
+    case 'unpause':
+      return unpause(ctx);
+    case 'extend':
+      return extendClosingTime(ctx, subcommand);
+    case 'finalize':
+      return finalize(ctx);
+    case 'refunds':
+      if (subcommand === 'process') {
+        return processRefunds(ctx, batchSize, fromBlock);
+      }
+      if (subcommand === undefined) {
+        return refunds(ctx, options.json, fromBlock);
+      }
+      break;
+    case 'release':
+      return releaseVesting(ctx, subcommand);
+    case 'revoke':
+      return revokeVesting(ctx, subcommand);
+    case 'multisig':
+      switch (subcommand) {
+        case undefined:
+          return listMultisig(ctx, options.json);
+        case 'confirm':
+          return confirmMultisig(ctx, rest[0]);
+        case 'revoke':
+          return revokeMultisig(ctx, rest[0]);
+        case 'execute':
+          return executeMultisig(ctx, rest[0]);
+        case 'add-owner':
+          return addMultisigOwner(ctx, rest[0]);
+        case 'remove-owner':
+          return removeMultisigOwner(ctx, rest[0]);
+        case 'required':
+          return changeMultisigRequirement(ctx, rest[0]);
+      }
+      break;
+  }
+
+  throw new Error(USAGE);
+}
+
+module.exports = {
+  USAGE,
+  parseArgs,
+  sendTransaction,
+  proposeTransaction,
+  status,
+  addToWhitelist,
+  removeFromWhitelist,
+  importWhitelist,
+  assignKycTier,
+  setKycTierCap,
+  setKycApprover,
+  pause,
+  unpause,
+  extendClosingTime,
+  finalize,
+  refunds,
+  processRefunds,
+  releaseVesting,
+  revokeVesting,
+  listMultisig,
+  confirmMultisig,
+  revokeMultisig,
+  executeMultisig,
+  addMultisigOwner,
+  removeMultisigOwner,
+  changeMultisigRequirement,
+  runCommand,
+};
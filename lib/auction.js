@@ -0,0 +1,168 @@
+const { formatUnits } = require('./status');
+
+const TOTAL_SHARES = 10000;
+
+/**
+ * Rate of an auction at `time`, same as DappTokenAuction.rateAt().
+ * @param auction `{ startRate, floorRate, openingTime, closingTime }`, rates
+ *   as BigNumbers in token units per wei and times in unix seconds
+ * @param time Unix time in seconds
+ * @return BigNumber
+ */
+function rateAt(auction, time) {
+  if (time <= auction.openingTime) {
+    return auction.startRate;
+  }
+  if (time >= auction.closingTime) {
+    return auction.floorRate;
+  }
+  return auction.startRate.plus(
+    auction.floorRate.minus(auction.startRate)
+      .times(time - auction.openingTime)
+      .dividedToIntegerBy(auction.closingTime - auction.openingTime)
+  );
+}
+
+// Same as DappTokenAuction.soldOut() for the bids so far
+function soldOut(auction, totalBids, time) {
+  return totalBids.gte(auction.tokensOffered.dividedToIntegerBy(rateAt(auction, time)));
+}
+
+/**
+ * Replays bids against an auction the way DappTokenAuction would take them,
+ * every bidder being whitelisted, and settles it.
+ * @param auction `{ startRate, floorRate, openingTime, closingTime,
+ *   tokensOffered, goal, investorMinCap, investorCap, tokenSaleShare,
+ *   reserves }`, amounts as BigNumbers in wei or token units and each reserve
+ *   as `{ fund, share }`
+ * @param bids Array of `{ bidder, time, amount }` in the order they are mined,
+ *   amounts as BigNumbers in wei
+ * @return `{ bids, totalBids, endTime, soldOut, goalReached, clearingRate,
+ *   tokensSold, allocations, reserves }`: each bid with what was `accepted`
+ *   and refunded as `excess` at its `rate`, or the `rejected` reason; the
+ *   time of the bid that sold out the auction, if one did; and once settled,
+ *   each bidder's `{ bidder, bid, tokens }` and each reserve's `amount`,
+ *   both empty when the goal was missed
+ */
+function simulateAuction(auction, bids) {
+  const zero = auction.tokensOffered.times(0);
+  const totals = {};
+  const order = [];
+  let totalBids = zero;
+  let endTime;
+
+  const replayed = bids.map(({ bidder, time, amount }) => {
+    const bid = { bidder, time, amount };
+    const key = bidder.toLowerCase();
+    if (time < auction.openingTime) {
+      return Object.assign(bid, { rejected: 'auction not open' });
+    }
+    if (time > auction.closingTime || soldOut(auction, totalBids, time)) {
+      return Object.assign(bid, { rejected: 'auction ended' });
+    }
+
+    const rate = rateAt(auction, time);
+    const capacity = auction.tokensOffered.dividedToIntegerBy(rate).minus(totalBids);
+    const accepted = amount.lt(capacity) ? amount : capacity;
+    const total = (totals[key] || zero).plus(accepted);
+    if (accepted.isZero()) {
+      return Object.assign(bid, { rejected: 'nothing bid' });
+    }
+    if (total.lt(auction.investorMinCap)) {
+      return Object.assign(bid, { rejected: 'below the minimum bid' });
+    }
+    if (total.gt(auction.investorCap)) {
+      return Object.assign(bid, { rejected: 'above the investor cap' });
+    }
+
+    if (!totals[key]) order.push(bidder);
+    totals[key] = total;
+    totalBids = totalBids.plus(accepted);
+    // The bid that sells out ends the auction
+    if (soldOut(auction, totalBids, time)) endTime = time;
+    return Object.assign(bid, { accepted, excess: amount.minus(accepted), rate });
+  });
+
+  // The rate only rises, so bids that sold out at any point still do at closing
+  const ended = soldOut(auction, totalBids, auction.closingTime);
+  const clearingRate = ended
+    ? auction.tokensOffered.dividedToIntegerBy(totalBids)
+    : auction.floorRate;
+  const goalReached = totalBids.gte(auction.goal);
+  const tokensSold = goalReached ? totalBids.times(clearingRate) : zero;
+
+  return {
+    bids: replayed,
+    totalBids,
+    endTime,
+    soldOut: ended,
+    goalReached,
+    clearingRate,
+    tokensSold,
+    allocations: goalReached
+      ? order.map(bidder => {
+        const bid = totals[bidder.toLowerCase()];
+        return { bidder, bid, tokens: bid.times(clearingRate) };
+      })
+      : [],
+    reserves: goalReached ? reserveAmounts(auction, tokensSold) : [],
+  };
+}
+
+// Same split as SaleReserves.mintReserves(): the rounding leftover goes
+// one token unit at a time to the first reserves
+function reserveAmounts(auction, tokensSold) {
+  const finalTotalSupply = tokensSold.times(TOTAL_SHARES).dividedToIntegerBy(auction.tokenSaleShare);
+  const amounts = auction.reserves.map(reserve =>
+    finalTotalSupply.times(reserve.share).dividedToIntegerBy(TOTAL_SHARES)
+  );
+  const leftover = amounts.reduce((rest, amount) => rest.minus(amount), finalTotalSupply.minus(tokensSold));
+  return auction.reserves.map((reserve, i) => ({
+    fund: reserve.fund,
+    share: reserve.share,
+    amount: leftover.gt(i) ? amounts[i].plus(1) : amounts[i],
+  }));
+}
+
+/**
+ * Renders the result of simulateAuction() as text.
+ * @param result Result of simulateAuction()
+ * @param decimals Token decimals
+ */
+function formatAllocation(result, decimals) {
+  const eth = value => `${formatUnits(value, 18)} ETH`;
+  const tokens = value => formatUnits(value, decimals);
+
+  const bids = result.bids.map(bid => {
+    const outcome = bid.rejected
+      ? `rejected, ${bid.rejected}`
+      : `${eth(bid.accepted)} at ${bid.rate.toString(10)}` + (bid.excess.isZero() ? '' : `, ${eth(bid.excess)} refunded`);
+    return `  ${bid.bidder} bids ${eth(bid.amount)} at ${bid.time}: ${outcome}`;
+  });
+  const ending = result.endTime !== undefined
+    ? `Sold out at ${result.endTime}`
+    : result.soldOut ? 'Sold out as the price fell' : 'Did not sell out';
+
+  const lines = [
+    'Bids',
+    ...bids,
+    '',
+    `${ending}, ${eth(result.totalBids)} bid, clearing rate ${result.clearingRate.toString(10)}`,
+  ];
+  if (!result.goalReached) {
+    return lines.concat('Goal missed: every bid is refunded').join('\n');
+  }
+  return lines.concat(
+    `Tokens sold: ${tokens(result.tokensSold)}`,
+    '',
+    'Allocation',
+    ...result.allocations.map(allocation => `  ${allocation.bidder}: ${tokens(allocation.tokens)} for ${eth(allocation.bid)}`),
+    ...result.reserves.map(reserve => `  reserve ${reserve.fund}: ${tokens(reserve.amount)} (${reserve.share / 100}%)`)
+  ).join('\n');
+}
+
+module.exports = {
+  rateAt,
+  simulateAuction,
+  formatAllocation,
+};
@@ -0,0 +1,63 @@
+// Promise wrappers around the callback-style web3 0.x API
+
+function promisify(fn) {
+  return (...args) => new Promise((resolve, reject) => {
+    fn(...args, (err, result) => err ? reject(err) : resolve(result));
+  });
+}
+
+function getBlock(web3, block) {
+  return promisify(web3.eth.getBlock.bind(web3.eth))(block || 'latest');
+}
+
+function getBalance(web3, address) {
+  return promisify(web3.eth.getBalance.bind(web3.eth))(address);
+}
+
+function getCode(web3, address) {
+  return promisify(web3.eth.getCode.bind(web3.eth))(address);
+}
+
+function getTransaction(web3, hash) {
+  return promisify(web3.eth.getTransaction.bind(web3.eth))(hash);
+}
+
+function getTransactionReceipt(web3, hash) {
+  return promisify(web3.eth.getTransactionReceipt.bind(web3.eth))(hash);
+}
+
+function getNetworkId(web3) {
+  return promisify(web3.version.getNetwork.bind(web3.version))();
+}
+
+function getAccounts(web3) {
+  return promisify(web3.eth.getAccounts.bind(web3.eth))();
+}
+
+// All events of a truffle contract instance in a block range
+function getLogs(contract, fromBlock, toBlock) {
+  return new Promise((resolve, reject) => {
+    const filter = contract.allEvents({ fromBlock, toBlock });
+    filter.get((err, logs) => {
+      filter.stopWatching(() => {});
+      return err ? reject(err) : resolve(logs);
+    });
+  });
+}
+
+function sameAddress(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+module.exports = {
+  promisify,
+  getBlock,
+  getBalance,
+  getCode,
+  getTransaction,
+  getTransactionReceipt,
+  getNetworkId,
+  getAccounts,
+  getLogs,
+  sameAddress,
+};
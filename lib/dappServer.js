@@ -0,0 +1,88 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Artifacts the purchase page loads
+const CONTRACTS = ['DappTokenCrowdsale', 'DappToken', 'RefundVault'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json',
+};
+
+function send(response, status, type, body) {
+  response.writeHead(status, { 'Content-Type': type });
+  response.end(body);
+}
+
+/**
+ * HTTP server for the investor purchase page in app/. It only serves a fixed
+ * set of files: the page, the sale client, web3 and the contract artifacts.
+ *
+ *   GET /                        app/index.html
+ *   GET /app.js, /sale.js        the page scripts
+ *   GET /saleShared.js           lib/saleShared.js, which sale.js needs
+ *   GET /web3.min.js             web3 0.x from node_modules, the version
+ *                                the sale client is written against
+ *   GET /contracts/<name>.json   artifacts from the build directory
+ *   GET /config.json             `{ rpcUrl, crowdsale }` for the page, where
+ *                                a null crowdsale means the artifact's address
+ *
+ * @param options Optional `appDir`, `buildDir`, `rpcUrl` of the node used
+ *   without an injected wallet, `crowdsale` address and `log`
+ * @return http.Server, not yet listening
+ */
+function createDappServer(options = {}) {
+  const appDir = options.appDir || path.join(__dirname, '..', 'app');
+  const buildDir = options.buildDir || path.join(__dirname, '..', 'build', 'contracts');
+  const log = options.log || (() => {});
+  const config = JSON.stringify({
+    rpcUrl: options.rpcUrl || 'http://localhost:8545',
+    crowdsale: options.crowdsale || null,
+  });
+
+  const files = {
+    '/': path.join(appDir, 'index.html'),
+    '/app.js': path.join(appDir, 'app.js'),
+    '/sale.js': path.join(appDir, 'sale.js'),
+    '/saleShared.js': path.join(__dirname, 'saleShared.js'),
+    '/web3.min.js': () => require.resolve('web3/dist/web3.min.js'),
+  };
+  CONTRACTS.forEach(name => {
+    files[`/contracts/${name}.json`] = path.join(buildDir, `${name}.json`);
+  });
+
+  return http.createServer((request, response) => {
+    const url = request.url.split('?')[0];
+    log(`${request.method} ${url}`);
+    if (request.method !== 'GET') {
+      return send(response, 405, 'text/plain', 'Method not allowed');
+    }
+    if (url === '/config.json') {
+      return send(response, 200, CONTENT_TYPES['.json'], config);
+    }
+    if (!files[url]) {
+      return send(response, 404, 'text/plain', 'Not found');
+    }
+
+    let file;
+    try {
+      file = typeof files[url] === 'function' ? files[url]() : files[url];
+    } catch (error) {
+      return send(response, 500, 'text/plain', error.message);
+    }
+    fs.readFile(file, (err, body) => {
+      if (err) {
+        return send(response, err.code === 'ENOENT' ? 404 : 500, 'text/plain',
+          err.code === 'ENOENT' ? `${path.basename(file)} not found, run truffle compile` : err.message);
+      }
+      send(response, 200, CONTENT_TYPES[path.extname(file)], body);
+    });
+  });
+}
+
+module.exports = {
+  CONTRACTS,
+  createDappServer,
+};
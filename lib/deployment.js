@@ -0,0 +1,75 @@
+const { sameAddress } = require('./chain');
+
+/**
+ * Pauses the token and hands its ownership to the crowdsale, which needs it
+ * to mint during the sale and to unpause the token in finalization().
+ * @param token Deployed DappToken instance, still owned by `from`
+ * @param crowdsale Deployed DappTokenCrowdsale instance
+ * @param from Current token owner
+ */
+async function handOffToken(token, crowdsale, from) {
+  if (!(await token.paused())) {
+    await token.pause({ from });
+  }
+  if (!sameAddress(await token.owner(), crowdsale.address)) {
+    await token.transferOwnership(crowdsale.address, { from });
+  }
+}
+
+/**
+ * Reads back the token state the crowdsale relies on.
+ * @return List of problems, empty when the handoff is complete
+ */
+async function checkHandoff(token, crowdsale) {
+  const errors = [];
+  const owner = await token.owner();
+
+  if (!sameAddress(owner, crowdsale.address)) {
+    errors.push(`token owner is ${owner}, expected the crowdsale at ${crowdsale.address}`);
+  }
+  if (!(await token.paused())) {
+    errors.push('token is not paused');
+  }
+  if (await token.mintingFinished()) {
+    errors.push('token minting is already finished');
+  }
+  if (!sameAddress(await crowdsale.token(), token.address)) {
+    errors.push(`crowdsale sells ${await crowdsale.token()}, expected ${token.address}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Throws when the on-chain handoff state is not what the sale needs.
+ */
+async function assertHandoff(token, crowdsale) {
+  const errors = await checkHandoff(token, crowdsale);
+  if (errors.length > 0) {
+    throw new Error('Token handoff failed:\n  - ' + errors.join('\n  - '));
+  }
+}
+
+/**
+ * Hands ownership of the crowdsale to the multisig once the deployer is done
+ * setting it up, so that admin actions need its owners' confirmations.
+ * @param crowdsale Deployed DappTokenCrowdsale instance, still owned by `from`
+ * @param multisig Deployed MultiSigWallet instance
+ * @param from Current crowdsale owner
+ */
+async function handOffCrowdsale(crowdsale, multisig, from) {
+  if (!sameAddress(await crowdsale.owner(), multisig.address)) {
+    await crowdsale.transferOwnership(multisig.address, { from });
+  }
+  const owner = await crowdsale.owner();
+  if (!sameAddress(owner, multisig.address)) {
+    throw new Error(`Crowdsale handoff failed: owner is ${owner}, expected the multisig at ${multisig.address}`);
+  }
+}
+
+module.exports = {
+  handOffToken,
+  checkHandoff,
+  assertHandoff,
+  handOffCrowdsale,
+};
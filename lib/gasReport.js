@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+
+// Allowed increase over the baseline, in percent
+const DEFAULT_THRESHOLD = 5;
+// Gas price used for the cost column, in gwei
+const DEFAULT_GAS_PRICE = 20;
+
+/**
+ * Collects the gas used by named operations, in the order they are recorded.
+ * @return `{ record(name, result), measurements }`, where `result` is a
+ *   transaction result with a receipt, a receipt or a deployed contract, and
+ *   `measurements` is a list of `{ name, gasUsed }`
+ */
+function createGasRecorder(web3) {
+  const measurements = [];
+
+  function record(name, result) {
+    let receipt = result.receipt || result;
+    if (receipt.gasUsed === undefined && result.transactionHash) {
+      receipt = web3.eth.getTransactionReceipt(result.transactionHash);
+    }
+    if (measurements.some(measurement => measurement.name === name)) {
+      throw new Error(`Gas of "${name}" was already recorded`);
+    }
+    measurements.push({ name, gasUsed: receipt.gasUsed });
+    return result;
+  }
+
+  return { record, measurements };
+}
+
+/**
+ * Compares measurements with a baseline of `{ [name]: gasUsed }`.
+ * @param threshold Allowed increase in percent
+ * @return List of `{ name, gasUsed, baseline, change }` for every measurement,
+ *   `change` in percent and null for operations missing from the baseline,
+ *   each flagged `regressed` when it went up by more than the threshold
+ */
+function compareGas(measurements, baseline, threshold) {
+  const limit = threshold === undefined ? DEFAULT_THRESHOLD : threshold;
+
+  return measurements.map(({ name, gasUsed }) => {
+    const previous = baseline[name];
+    const change = previous ? (gasUsed - previous) / previous * 100 : null;
+    return {
+      name,
+      gasUsed,
+      baseline: previous === undefined ? null : previous,
+      change,
+      regressed: change !== null && change > limit,
+    };
+  });
+}
+
+/**
+ * Baseline file contents for a list of measurements.
+ */
+function toBaseline(measurements) {
+  const baseline = {};
+  measurements.forEach(({ name, gasUsed }) => { baseline[name] = gasUsed; });
+  return baseline;
+}
+
+// Cost in ether of an amount of gas at a price in gwei
+function formatCost(gasUsed, gasPrice) {
+  return (gasUsed * gasPrice / 1e9).toFixed(6);
+}
+
+function formatChange(change) {
+  if (change === null) return 'new';
+  return `${change > 0 ? '+' : ''}${change.toFixed(2)}%`;
+}
+
+/**
+ * Renders a comparison from compareGas() as a markdown table.
+ * @param gasPrice Gas price in gwei for the cost column
+ */
+function formatGasMarkdown(comparison, gasPrice) {
+  const price = gasPrice || DEFAULT_GAS_PRICE;
+  const lines = [
+    `| Operation | Gas used | Baseline | Change | Cost at ${price} gwei (ETH) |`,
+    '| --- | ---: | ---: | ---: | ---: |',
+  ];
+  comparison.forEach(row => {
+    lines.push(`| ${row.name} | ${row.gasUsed} | ${row.baseline === null ? '-' : row.baseline} | ` +
+      `${formatChange(row.change)}${row.regressed ? ' ⚠' : ''} | ${formatCost(row.gasUsed, price)} |`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes gas-report.json and gas-report.md into a directory.
+ * @param gasPrice Gas price in gwei for the costs
+ */
+function writeGasReport(dir, comparison, gasPrice) {
+  const price = gasPrice || DEFAULT_GAS_PRICE;
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir);
+  }
+
+  const json = {
+    gasPrice: price,
+    operations: comparison.map(row => Object.assign({}, row, { cost: formatCost(row.gasUsed, price) })),
+  };
+  fs.writeFileSync(path.join(dir, 'gas-report.json'), JSON.stringify(json, null, 2) + '\n');
+  fs.writeFileSync(path.join(dir, 'gas-report.md'), formatGasMarkdown(comparison, price));
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  createGasRecorder,
+  compareGas,
+  toBaseline,
+  formatGasMarkdown,
+  writeGasReport,
+};
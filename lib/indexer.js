@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const { getBlock, getLogs } = require('./chain');
+const { tierAt } = require('./saleShared');
+
+const STORE_VERSION = 1;
+// Number of block hashes kept to detect reorganizations
+const REORG_WINDOW = 64;
+// Largest block range requested from the node at once
+const BLOCK_RANGE = 5000;
+
+const INDEXED_EVENTS = {
+  crowdsale: ['TokenPurchase', 'WhitelistedAddressAdded', 'WhitelistedAddressRemoved', 'Finalized'],
+  vault: ['RefundsEnabled', 'Refunded', 'Closed'],
+  token: ['Mint', 'Transfer'],
+};
+
+const CSV_COLUMNS = ['event', 'blockNumber', 'timestamp', 'transactionHash', 'purchaser', 'weiAmount', 'tokens', 'tier', 'rate'];
+
+function emptyStore(startBlock) {
+  return {
+    version: STORE_VERSION,
+    startBlock: startBlock,
+    lastBlock: startBlock - 1,
+    checkpoints: [],
+    events: [],
+  };
+}
+
+/**
+ * Reads the indexer store from a JSON file, or starts a new one.
+ * @param file Path of the store file
+ * @param startBlock First block to index when the store is new
+ */
+function loadStore(file, startBlock) {
+  if (!fs.existsSync(file)) {
+    return emptyStore(startBlock || 0);
+  }
+  const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (store.version !== STORE_VERSION) {
+    throw new Error(`Unsupported store version ${store.version} in ${file}`);
+  }
+  return store;
+}
+
+/**
+ * Writes the store atomically, so an interrupted run leaves the previous one intact.
+ */
+function saveStore(file, store) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+async function getTiers(crowdsale) {
+  const tiers = [];
+  const count = (await crowdsale.tierCount()).toNumber();
+  for (let i = 0; i < count; i++) {
+    const [, startTime, weiThreshold] = await crowdsale.tiers(i);
+    tiers.push({ startTime: startTime.toNumber(), weiThreshold });
+  }
+  return tiers;
+}
+
+function serializeArgs(args) {
+  const result = {};
+  Object.keys(args).forEach(key => {
+    result[key] = typeof args[key] === 'object' ? args[key].toString(10) : args[key];
+  });
+  return result;
+}
+
+/**
+ * Walks the stored checkpoints back until one matches the chain and drops
+ * everything indexed after it.
+ * @return Number of the block indexing resumes after, or null without a reorg
+ */
+async function rollBackReorgs(web3, store) {
+  let rolledBack = false;
+  while (store.checkpoints.length > 0) {
+    const checkpoint = store.checkpoints[store.checkpoints.length - 1];
+    const block = await getBlock(web3, checkpoint.number);
+    if (block && block.hash === checkpoint.hash) break;
+
+    store.checkpoints.pop();
+    rolledBack = true;
+  }
+
+  if (!rolledBack) return null;
+
+  if (store.checkpoints.length === 0) {
+    throw new Error(`Chain reorganization deeper than the last ${REORG_WINDOW} checkpoints, reindex from scratch`);
+  }
+
+  const ancestor = store.checkpoints[store.checkpoints.length - 1].number;
+  store.events = store.events.filter(event => event.blockNumber <= ancestor);
+  store.lastBlock = ancestor;
+  return ancestor;
+}
+
+function addCheckpoint(store, block) {
+  const last = store.checkpoints[store.checkpoints.length - 1];
+  if (last && last.number >= block.number) return;
+
+  store.checkpoints.push({ number: block.number, hash: block.hash });
+  if (store.checkpoints.length > REORG_WINDOW) {
+    store.checkpoints.shift();
+  }
+}
+
+async function fetchEvents(ctx, fromBlock, toBlock) {
+  const events = [];
+  for (const name of Object.keys(INDEXED_EVENTS)) {
+    const logs = await getLogs(ctx[name], fromBlock, toBlock);
+    logs
+      .filter(log => INDEXED_EVENTS[name].indexOf(log.event) !== -1)
+      .forEach(log => events.push({
+        contract: name,
+        event: log.event,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        args: serializeArgs(log.args),
+      }));
+  }
+  return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * Indexes the sale's events from where the store left off up to the latest
+ * block minus `confirmations`, after rolling back any reorganized blocks.
+ * Purchases are annotated with the pricing tier in effect when they were made
+ * and the rate they actually got, which blends tiers for a purchase that
+ * crosses a tier threshold. The tier is worked out from the purchases before
+ * it, so the store has to start at or before the crowdsale's deployment.
+ * @param ctx `{ web3, crowdsale, token, vault }` contract instances
+ * @param store Store from loadStore(), updated in place
+ * @param options Optional `confirmations`
+ * @return `{ fromBlock, toBlock, added, rolledBackTo }`
+ */
+async function indexEvents(ctx, store, options) {
+  const confirmations = (options && options.confirmations) || 0;
+  const rolledBackTo = await rollBackReorgs(ctx.web3, store);
+
+  const latest = await getBlock(ctx.web3);
+  const fromBlock = store.lastBlock + 1;
+  const toBlock = latest.number - confirmations;
+  let added = 0;
+
+  // Tiers cannot change once the sale opens, i.e. before the first purchase
+  const tiers = await getTiers(ctx.crowdsale);
+  let weiRaised = store.events
+    .filter(event => event.event === 'TokenPurchase')
+    .reduce((total, event) => total.plus(event.args.value), new ctx.web3.BigNumber(0));
+
+  for (let start = fromBlock; start <= toBlock; start += BLOCK_RANGE) {
+    const end = Math.min(start + BLOCK_RANGE - 1, toBlock);
+    const events = await fetchEvents(ctx, start, end);
+    const timestamps = {};
+
+    for (const event of events) {
+      if (timestamps[event.blockNumber] === undefined) {
+        const block = await getBlock(ctx.web3, event.blockNumber);
+        timestamps[event.blockNumber] = block.timestamp;
+        addCheckpoint(store, block);
+      }
+      event.timestamp = timestamps[event.blockNumber];
+
+      if (event.event === 'TokenPurchase') {
+        event.tier = tierAt(tiers, event.timestamp, weiRaised);
+        event.rate = new ctx.web3.BigNumber(event.args.amount).div(event.args.value).toString(10);
+        weiRaised = weiRaised.plus(event.args.value);
+      }
+      store.events.push(event);
+    }
+
+    addCheckpoint(store, await getBlock(ctx.web3, end));
+    store.lastBlock = end;
+    added += events.length;
+  }
+
+  return { fromBlock, toBlock, added, rolledBackTo };
+}
+
+/**
+ * Purchases and refunds of one investor, oldest first.
+ */
+function investorHistory(store, investor) {
+  const address = investor.toLowerCase();
+  return store.events.filter(event =>
+    (event.event === 'TokenPurchase' || event.event === 'Refunded') &&
+    event.args.beneficiary.toLowerCase() === address
+  );
+}
+
+function toCsvRow(event) {
+  const row = {
+    event: event.event,
+    blockNumber: event.blockNumber,
+    timestamp: new Date(event.timestamp * 1000).toISOString(),
+    transactionHash: event.transactionHash,
+    purchaser: event.args.purchaser || '',
+    weiAmount: event.event === 'Refunded' ? event.args.weiAmount : event.args.value,
+    tokens: event.args.amount || '',
+    tier: event.tier === undefined ? '' : event.tier,
+    rate: event.rate || '',
+  };
+  return CSV_COLUMNS.map(column => row[column]).join(',');
+}
+
+/**
+ * Writes one CSV of purchases and refunds per investor into `directory`.
+ * @return Paths of the written files
+ */
+function exportInvestorReports(store, directory) {
+  const investors = {};
+  store.events
+    .filter(event => event.event === 'TokenPurchase')
+    .forEach(event => { investors[event.args.beneficiary.toLowerCase()] = true; });
+
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory);
+  }
+
+  return Object.keys(investors).map(investor => {
+    const file = path.join(directory, `${investor}.csv`);
+    const rows = investorHistory(store, investor).map(toCsvRow);
+    fs.writeFileSync(file, [CSV_COLUMNS.join(',')].concat(rows).join('\n') + '\n');
+    return file;
+  });
+}
+
+module.exports = {
+  REORG_WINDOW,
+  loadStore,
+  saveStore,
+  indexEvents,
+  investorHistory,
+  exportInvestorReports,
+};
@@ -0,0 +1,102 @@
+const util = require('ethereumjs-util');
+const { isAddress } = require('./saleConfig');
+
+function uint256(value) {
+  return util.setLengthLeft(new util.BN(String(value), 10).toArrayLike(Buffer), 32);
+}
+
+function toPrivateKey(privateKey) {
+  const key = Buffer.isBuffer(privateKey) ? privateKey : util.toBuffer(util.addHexPrefix(privateKey));
+  if (!util.isValidPrivate(key)) {
+    throw new Error('Invalid approver private key');
+  }
+  return key;
+}
+
+/**
+ * Hash of an approval, same as DappTokenCrowdsale.approvalHash().
+ * @param approval `{ crowdsale, beneficiary, maxContribution, expiry }`,
+ *   `maxContribution` in wei and `expiry` in unix seconds
+ * @return 0x-prefixed hex string
+ */
+function approvalHash(approval) {
+  return util.bufferToHex(util.keccak256(Buffer.concat([
+    util.toBuffer(approval.crowdsale),
+    util.toBuffer(approval.beneficiary),
+    uint256(approval.maxContribution),
+    uint256(approval.expiry),
+  ])));
+}
+
+/**
+ * Address of the approver key, to register with setKycApprover().
+ */
+function approverAddress(privateKey) {
+  return util.bufferToHex(util.privateToAddress(toPrivateKey(privateKey)));
+}
+
+/**
+ * Checks the fields of an approval before it is signed.
+ * @return List of problems, empty when the approval is valid
+ */
+function validateApproval(approval) {
+  const errors = [];
+  if (!isAddress(approval.crowdsale)) errors.push('crowdsale must be an address');
+  if (!isAddress(approval.beneficiary)) errors.push('beneficiary must be an address');
+  if (!/^[1-9]\d*$/.test(String(approval.maxContribution))) {
+    errors.push('maxContribution must be a positive integer amount of wei');
+  }
+  if (!Number.isInteger(approval.expiry) || approval.expiry <= 0) {
+    errors.push('expiry must be a unix timestamp in seconds');
+  }
+  return errors;
+}
+
+/**
+ * Signs an approval the way the crowdsale checks it: an eth_sign signature of
+ * approvalHash().
+ * @param privateKey Approver private key, hex string or Buffer
+ * @param approval `{ crowdsale, beneficiary, maxContribution, expiry }`
+ * @return The approval with its `signature`, ready for buyTokensWithApproval()
+ */
+function signApproval(privateKey, approval) {
+  const errors = validateApproval(approval);
+  if (errors.length > 0) {
+    throw new Error('Invalid approval: ' + errors.join(', '));
+  }
+
+  const message = util.hashPersonalMessage(util.toBuffer(approvalHash(approval)));
+  const { v, r, s } = util.ecsign(message, toPrivateKey(privateKey));
+  return {
+    crowdsale: approval.crowdsale,
+    beneficiary: approval.beneficiary,
+    maxContribution: String(approval.maxContribution),
+    expiry: approval.expiry,
+    signature: util.toRpcSig(v, r, s),
+  };
+}
+
+/**
+ * Address that signed an approval.
+ */
+function recoverApprover(approval) {
+  const message = util.hashPersonalMessage(util.toBuffer(approvalHash(approval)));
+  const { v, r, s } = util.fromRpcSig(approval.signature);
+  return util.bufferToHex(util.pubToAddress(util.ecrecover(message, v, r, s)));
+}
+
+/**
+ * Arguments for DappTokenCrowdsale.buyTokensWithApproval().
+ */
+function approvalArguments(approval) {
+  return [approval.beneficiary, approval.maxContribution, approval.expiry, approval.signature];
+}
+
+module.exports = {
+  approvalHash,
+  approverAddress,
+  validateApproval,
+  signApproval,
+  recoverApprover,
+  approvalArguments,
+};
@@ -0,0 +1,110 @@
+const http = require('http');
+const net = require('net');
+const { approverAddress, signApproval, validateApproval } = require('./kycApproval');
+
+// Largest request body accepted, approvals are a few hundred bytes
+const MAX_BODY = 4096;
+// Default lifetime of an approval in seconds
+const DEFAULT_TTL = 24 * 60 * 60;
+
+// Closes the connection after the response when the request body was not
+// read to the end, as when it was too large
+function send(request, response, status, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (!request.complete) {
+    headers.Connection = 'close';
+  }
+  response.writeHead(status, headers);
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Whether the signer may listen on `host`: localhost, 127.0.0.0/8 or ::1.
+ */
+function isLoopbackHost(host) {
+  return host === 'localhost' || host === '::1' || (net.isIPv4(host) && host.split('.')[0] === '127');
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let tooLarge = false;
+    request.on('data', data => {
+      // The rest of a body that is too large is discarded
+      if (tooLarge) {
+        return;
+      }
+      body += data;
+      if (body.length > MAX_BODY) {
+        tooLarge = true;
+        reject(new Error('Request body too large'));
+      }
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * HTTP service that signs KYC approvals for the KYC backend, so that the
+ * approver key stays on one machine. It has no authentication of its own, so
+ * scripts/kyc-signer.js only lets it listen on a loopback address.
+ *
+ *   GET  /approver   `{ approver, crowdsale }`
+ *   POST /approvals  `{ beneficiary, maxContribution }` (wei) returns the
+ *                    signed approval, expiring `ttl` seconds from now
+ *
+ * @param options `privateKey`, `crowdsale` address, optional `ttl` in seconds,
+ *   `now` (returns unix seconds) and `log`
+ * @return http.Server, not yet listening
+ */
+function createSignerServer(options) {
+  const approver = approverAddress(options.privateKey);
+  const ttl = options.ttl || DEFAULT_TTL;
+  const now = options.now || (() => Math.floor(Date.now() / 1000));
+  const log = options.log || (() => {});
+
+  async function signRequest(request) {
+    let body;
+    try {
+      body = JSON.parse(await readBody(request)) || {};
+    } catch (error) {
+      return [400, { error: error instanceof SyntaxError ? 'Request body must be JSON' : error.message }];
+    }
+
+    const approval = {
+      crowdsale: options.crowdsale,
+      beneficiary: body.beneficiary,
+      maxContribution: body.maxContribution,
+      expiry: now() + ttl,
+    };
+    const errors = validateApproval(approval);
+    if (errors.length > 0) {
+      return [400, { error: errors.join(', ') }];
+    }
+
+    log(`Approved ${approval.beneficiary} for up to ${approval.maxContribution} wei until ${approval.expiry}`);
+    return [200, signApproval(options.privateKey, approval)];
+  }
+
+  return http.createServer((request, response) => {
+    let handled;
+    if (request.method === 'GET' && request.url === '/approver') {
+      handled = Promise.resolve([200, { approver, crowdsale: options.crowdsale }]);
+    } else if (request.method === 'POST' && request.url === '/approvals') {
+      handled = signRequest(request);
+    } else {
+      handled = Promise.resolve([404, { error: 'Not found' }]);
+    }
+
+    handled
+      .then(([status, body]) => send(request, response, status, body))
+      .catch(error => send(request, response, 500, { error: error.message }));
+  });
+}
+
+module.exports = {
+  DEFAULT_TTL,
+  createSignerServer,
+  isLoopbackHost,
+};
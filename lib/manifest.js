@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  getBlock,
+  getCode,
+  getTransaction,
+  getTransactionReceipt,
+  getNetworkId,
+  sameAddress,
+} = require('./chain');
+const { ZERO_ADDRESS } = require('./saleConfig');
+
+const MANIFEST_DIR = path.join(__dirname, '..', 'deployments');
+
+// Swarm hash solc 0.4 appends to each contract's code. It changes with the
+// source paths and comments, not with what the code does, so it is left out
+// when comparing code with the artifacts.
+const METADATA = /a165627a7a72305820[0-9a-f]{64}0029/g;
+
+// Array constructor arguments, read back through the getters below since
+// their public getters only return one element at a time
+const ARRAY_READERS = {
+  DappTokenCrowdsale: {
+    reserveFunds: (crowdsale, length) => readReserves(crowdsale, length, 0),
+    reserveShares: (crowdsale, length) => readReserves(crowdsale, length, 1),
+  },
+  MultiSigWallet: {
+    owners: multisig => multisig.getOwners(),
+  },
+};
+
+async function readReserves(crowdsale, length, field) {
+  const values = [];
+  for (let i = 0; i < length; i++) {
+    values.push((await crowdsale.reserves(i))[field]);
+  }
+  return values;
+}
+
+// Turns argument and getter values into plain JSON values that compare
+// equal when they are: BigNumbers as decimal strings, addresses in lowercase
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value !== null && typeof value === 'object' && typeof value.toFixed === 'function') {
+    return value.toString(10);
+  }
+  if (typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value)) {
+    return value.toLowerCase();
+  }
+  return typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+}
+
+/**
+ * Records a deployed contract for the manifest.
+ * @param web3 web3 0.x instance
+ * @param entry `{ contract, args, address, transactionHash }`: the truffle
+ *   contract and the arguments it was deployed with; `address` and
+ *   `transactionHash` default to its deployed ones, and are given for
+ *   contracts created by another contract's constructor
+ * @return `{ contractName, address, args, deployer, transactionHash,
+ *   blockNumber, blockHash }`, with the arguments keyed by the constructor's
+ *   parameter names without their leading underscore
+ */
+async function contractRecord(web3, entry) {
+  const { contract } = entry;
+  const address = entry.address || contract.address;
+  const transactionHash = entry.transactionHash || contract.transactionHash;
+  const transaction = await getTransaction(web3, transactionHash);
+  const receipt = await getTransactionReceipt(web3, transactionHash);
+
+  const constructor = contract.abi.find(item => item.type === 'constructor');
+  const inputs = constructor ? constructor.inputs : [];
+  if (inputs.length !== entry.args.length) {
+    throw new Error(`${contract.contractName} takes ${inputs.length} constructor arguments, got ${entry.args.length}`);
+  }
+  const args = {};
+  inputs.forEach((input, i) => {
+    args[input.name.replace(/^_/, '')] = normalize(entry.args[i]);
+  });
+
+  return {
+    contractName: contract.contractName,
+    address: address.toLowerCase(),
+    args,
+    deployer: transaction.from,
+    transactionHash,
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+  };
+}
+
+/**
+ * Builds the manifest of a deployment.
+ * @param web3 web3 0.x instance
+ * @param network Truffle network name
+ * @param entries Contracts by role, e.g. `token` or `crowdsale`, each as
+ *   given to contractRecord()
+ * @return `{ network, networkId, deployer, deployedAt, contracts, timelocks }`,
+ *   with the crowdsale's reserves as `timelocks`: each fund, its share and
+ *   the time its vesting starts. The vesting contracts themselves are only
+ *   created when the sale is finalized.
+ */
+async function buildManifest(web3, network, entries) {
+  const contracts = {};
+  for (const role of Object.keys(entries)) {
+    contracts[role] = await contractRecord(web3, entries[role]);
+  }
+
+  const crowdsale = contracts.crowdsale.args;
+  return {
+    network,
+    networkId: await getNetworkId(web3),
+    deployer: contracts.crowdsale.deployer,
+    deployedAt: (await getBlock(web3, contracts.crowdsale.blockNumber)).timestamp,
+    contracts,
+    timelocks: crowdsale.reserveFunds.map((fund, reserve) => ({
+      reserve,
+      fund,
+      share: crowdsale.reserveShares[reserve],
+      releaseTime: crowdsale.releaseTime,
+    })),
+  };
+}
+
+// Versions of the manifests saved for a network, in ascending order
+function manifestVersions(dir, network) {
+  const networkDir = path.join(dir, network);
+  if (!fs.existsSync(networkDir)) {
+    return [];
+  }
+  return fs.readdirSync(networkDir)
+    .map(file => /^v(\d+)\.json$/.exec(file))
+    .filter(match => match)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Saves a manifest as the next version for its network, as
+ * `<dir>/<network>/v<version>.json`. Earlier versions are kept.
+ * @param manifest Result of buildManifest()
+ * @param dir Defaults to deployments/ at the repo root
+ * @return Path of the written file
+ */
+function writeManifest(manifest, dir) {
+  const root = dir || MANIFEST_DIR;
+  const versions = manifestVersions(root, manifest.network);
+  const version = versions.length > 0 ? versions[versions.length - 1] + 1 : 1;
+  const file = path.join(root, manifest.network, `v${version}.json`);
+
+  [root, path.join(root, manifest.network)].forEach(directory => {
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory);
+    }
+  });
+  fs.writeFileSync(file, JSON.stringify(Object.assign({}, manifest, { version }), null, 2) + '\n');
+  return file;
+}
+
+/**
+ * Reads a saved manifest.
+ * @param network Truffle network name
+ * @param version Version to read, the latest by default
+ * @param dir Defaults to deployments/ at the repo root
+ */
+function loadManifest(network, version, dir) {
+  const root = dir || MANIFEST_DIR;
+  const versions = manifestVersions(root, network);
+  if (versions.length === 0) {
+    throw new Error(`No deployment manifest for network "${network}" in ${root}`);
+  }
+  const wanted = version !== undefined ? Number(version) : versions[versions.length - 1];
+  if (versions.indexOf(wanted) === -1) {
+    throw new Error(`No manifest version ${version} for network "${network}", found: ${versions.join(', ')}`);
+  }
+  return JSON.parse(fs.readFileSync(path.join(root, network, `v${wanted}.json`), 'utf8'));
+}
+
+function stripMetadata(code) {
+  return (code || '0x').toLowerCase().replace(METADATA, '');
+}
+
+// Compares the code at `address` with the artifact's deployed bytecode,
+// linked to the libraries its migration deployed. A library's code starts by
+// pushing its own address, which the artifact leaves as zeros.
+async function checkCode(web3, role, address, contract) {
+  const code = await getCode(web3, address);
+  if (code === '0x' || code === '0x0') {
+    return [{ contract: role, field: 'code', expected: contract.contractName, actual: `no code at ${address}` }];
+  }
+  const deployed = stripMetadata(code).replace(`0x73${address.slice(2).toLowerCase()}`, `0x73${ZERO_ADDRESS.slice(2)}`);
+  if (deployed !== stripMetadata(contract.deployedBinary)) {
+    return [{ contract: role, field: 'code', expected: contract.contractName, actual: 'different runtime bytecode' }];
+  }
+  return [];
+}
+
+// Reads back each constructor argument that has a getter of the same name
+async function checkArgs(role, record, instance, contract) {
+  const drift = [];
+  const readers = ARRAY_READERS[record.contractName] || {};
+
+  for (const name of Object.keys(record.args)) {
+    const expected = record.args[name];
+    let actual;
+    if (readers[name]) {
+      actual = await readers[name](instance, expected.length);
+    } else if (contract.abi.some(item => item.type === 'function' && item.name === name && item.inputs.length === 0)) {
+      actual = await instance[name]();
+    } else {
+      continue;
+    }
+    if (JSON.stringify(normalize(actual)) !== JSON.stringify(expected)) {
+      drift.push({ contract: role, field: name, expected, actual: normalize(actual) });
+    }
+  }
+  return drift;
+}
+
+/**
+ * Checks a deployment against its manifest: the runtime bytecode of every
+ * contract against build/contracts, each constructor argument against what
+ * its getter reads back, that the crowdsale uses the recorded vault, and the
+ * reserve vesting contracts once the sale has created them. Throws when the
+ * connected chain is not the network the manifest was written for.
+ * @param ctx `{ web3, contracts }`, with the truffle contracts by name
+ * @param manifest Result of loadManifest()
+ * @return `{ network, version, now, openingTime, saleOpen, drift }`, each
+ *   drift as `{ contract, field, expected, actual }`
+ */
+async function verifyDeployment(ctx, manifest) {
+  const { web3, contracts } = ctx;
+  const networkId = await getNetworkId(web3);
+  if (String(networkId) !== String(manifest.networkId)) {
+    throw new Error(`The ${manifest.network} manifest is for network id ${manifest.networkId}, but the connected chain has id ${networkId}`);
+  }
+  const drift = [];
+  const contractFor = (role, name) => {
+    if (!contracts[name]) {
+      throw new Error(`No artifact for ${name}, the ${role} contract`);
+    }
+    return contracts[name];
+  };
+
+  for (const role of Object.keys(manifest.contracts)) {
+    const record = manifest.contracts[role];
+    const contract = contractFor(role, record.contractName);
+    const codeDrift = await checkCode(web3, role, record.address, contract);
+    drift.push(...codeDrift);
+    if (codeDrift.length === 0) {
+      drift.push(...await checkArgs(role, record, contract.at(record.address), contract));
+    }
+  }
+
+  const crowdsaleRecord = manifest.contracts.crowdsale;
+  const crowdsale = contractFor('crowdsale', crowdsaleRecord.contractName).at(crowdsaleRecord.address);
+  if (manifest.contracts.vault) {
+    const vault = await crowdsale.vault();
+    if (!sameAddress(vault, manifest.contracts.vault.address)) {
+      drift.push({ contract: 'crowdsale', field: 'vault', expected: manifest.contracts.vault.address, actual: vault });
+    }
+  }
+
+  const DappTokenVesting = contractFor('timelocks', 'DappTokenVesting');
+  for (const timelock of manifest.timelocks) {
+    const address = (await crowdsale.reserves(timelock.reserve))[6];
+    if (address === ZERO_ADDRESS) continue;
+
+    const role = `timelock ${timelock.reserve}`;
+    const codeDrift = await checkCode(web3, role, address, DappTokenVesting);
+    drift.push(...codeDrift);
+    if (codeDrift.length > 0) continue;
+
+    const vesting = DappTokenVesting.at(address);
+    const beneficiary = await vesting.beneficiary();
+    if (!sameAddress(beneficiary, timelock.fund)) {
+      drift.push({ contract: role, field: 'beneficiary', expected: timelock.fund, actual: beneficiary });
+    }
+    const start = (await vesting.start()).toString(10);
+    if (start !== timelock.releaseTime) {
+      drift.push({ contract: role, field: 'start', expected: timelock.releaseTime, actual: start });
+    }
+  }
+
+  const now = (await getBlock(web3, 'latest')).timestamp;
+  const openingTime = Number(crowdsaleRecord.args.openingTime);
+  return {
+    network: manifest.network,
+    version: manifest.version,
+    now,
+    openingTime,
+    saleOpen: now >= openingTime,
+    drift,
+  };
+}
+
+/**
+ * Renders the result of verifyDeployment() as text.
+ */
+function formatVerification(report) {
+  const timing = report.saleOpen
+    ? `The sale opened at ${report.openingTime}, ${report.now - report.openingTime}s ago`
+    : `The sale opens at ${report.openingTime}, in ${report.openingTime - report.now}s`;
+  const value = value => Array.isArray(value) ? value.join(', ') : value;
+
+  return [
+    `Deployment v${report.version} on ${report.network}`,
+    timing,
+    '',
+    report.drift.length === 0 ? 'No drift: the deployment matches its manifest' : `Drift found in ${report.drift.length} places`,
+    ...report.drift.map(item => `  ${item.contract}.${item.field}: expected ${value(item.expected)}, found ${value(item.actual)}`),
+  ].join('\n');
+}
+
+module.exports = {
+  MANIFEST_DIR,
+  contractRecord,
+  buildManifest,
+  writeManifest,
+  loadManifest,
+  verifyDeployment,
+  formatVerification,
+};
@@ -0,0 +1,109 @@
+const abi = require('ethjs-abi');
+const { formatUnits } = require('./status');
+
+/**
+ * Names the call a multisig transaction makes, e.g. `finalize()` or
+ * `addOwner(0x...)`, from the ABIs of the contracts the multisig operates.
+ * @param abis List of contract ABIs
+ * @param data Calldata of the transaction
+ * @return The call, or the raw calldata when no ABI has its selector
+ */
+function describeCall(abis, data) {
+  const selector = (data || '0x').slice(0, 10);
+  for (const contractAbi of abis) {
+    const method = contractAbi.find(item => item.type === 'function' && abi.encodeSignature(item) === selector);
+    if (method) {
+      const decoded = abi.decodeParams(method.inputs.map(input => input.type), '0x' + data.slice(10));
+      const args = method.inputs.map((input, i) => String(decoded[i]));
+      return `${method.name}(${args.join(', ')})`;
+    }
+  }
+  return data === '0x' ? 'plain transfer' : data;
+}
+
+/**
+ * Reads the owners, threshold and transactions of a multisig.
+ * @param multisig MultiSigWallet instance
+ * @param abis ABIs to name calls with, see describeCall()
+ * @return `{ address, owners, required, transactions }`, each transaction as
+ *   `{ id, destination, value, call, executed, confirmations }` with the
+ *   value as a decimal string in wei and the addresses of the owners who
+ *   confirmed it since they were last added
+ */
+async function collectMultisig(multisig, abis) {
+  const owners = await multisig.getOwners();
+  const count = (await multisig.transactionCount()).toNumber();
+
+  const transactions = [];
+  for (let id = 0; id < count; id++) {
+    const [destination, value, data, executed] = await multisig.transactions(id);
+    const confirmations = [];
+    for (const owner of owners) {
+      if (await multisig.confirmations(id, owner)) {
+        confirmations.push(owner);
+      }
+    }
+    transactions.push({
+      id,
+      destination,
+      value: value.toString(10),
+      call: describeCall(abis, data),
+      executed,
+      confirmations,
+    });
+  }
+
+  return {
+    address: multisig.address,
+    owners,
+    required: (await multisig.required()).toNumber(),
+    transactions,
+  };
+}
+
+/**
+ * Renders a report from collectMultisig() as text, pending transactions first.
+ */
+function formatMultisig(report) {
+  const line = transaction => {
+    const value = transaction.value !== '0' ? ` with ${formatUnits(transaction.value, 18)} ETH` : '';
+    const state = transaction.executed
+      ? 'executed'
+      : `${transaction.confirmations.length} of ${report.required} confirmations (${transaction.confirmations.join(', ')})`;
+    return `  #${transaction.id} ${transaction.call} on ${transaction.destination}${value}: ${state}`;
+  };
+  const pending = report.transactions.filter(transaction => !transaction.executed);
+  const executed = report.transactions.filter(transaction => transaction.executed);
+
+  return [
+    `Multisig ${report.address}, ${report.required} of ${report.owners.length} owners`,
+    ...report.owners.map(owner => `  owner: ${owner}`),
+    '',
+    pending.length > 0 ? 'Pending transactions' : 'No pending transactions',
+    ...pending.map(line),
+  ].concat(executed.length > 0 ? ['', 'Executed transactions', ...executed.map(line)] : []).join('\n');
+}
+
+/**
+ * Finds what a multisig transaction did from the logs of the submission or
+ * confirmation that sent it.
+ * @param logs Decoded logs of a truffle transaction result
+ * @return `{ id, executed, failed }`, with `id` undefined when the logs do not
+ *   name a transaction
+ */
+function transactionOutcome(logs) {
+  const find = name => logs.find(log => log.event === name);
+  const event = find('Submission') || find('Confirmation') || find('Execution') || find('ExecutionFailure');
+  return {
+    id: event ? event.args.transactionId.toNumber() : undefined,
+    executed: find('Execution') !== undefined,
+    failed: find('ExecutionFailure') !== undefined,
+  };
+}
+
+module.exports = {
+  describeCall,
+  collectMultisig,
+  formatMultisig,
+  transactionOutcome,
+};
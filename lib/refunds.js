@@ -0,0 +1,90 @@
+const { getLogs } = require('./chain');
+const { ZERO_ADDRESS } = require('./saleConfig');
+const { formatUnits } = require('./status');
+
+// Sums the Refunded events of a vault per investor, by lowercase address
+async function refundedAmounts(vault, fromBlock) {
+  const amounts = {};
+  const logs = await getLogs(vault, fromBlock, 'latest');
+  logs.filter(log => log.event === 'Refunded').forEach(log => {
+    const investor = log.args.beneficiary.toLowerCase();
+    const amount = log.args.weiAmount || log.args.amount;
+    amounts[investor] = amounts[investor] ? amounts[investor].plus(amount) : amount;
+  });
+  return amounts;
+}
+
+/**
+ * Lists the depositors of a sale, in the order processRefunds() goes
+ * through them, with what each vault has refunded them according to its
+ * Refunded events and what it still holds for them.
+ * @param ctx `{ crowdsale, RefundVault, StablecoinRefundVault }`
+ * @param fromBlock First block to read refunds from, e.g. the deployment block
+ * @return `{ processed, depositors }`, each depositor as `{ investor, processed,
+ *   refunded, outstanding }` in wei, plus `stablecoinRefunded` and
+ *   `stablecoinOutstanding` in base units when a stablecoin is accepted,
+ *   amounts as decimal strings
+ */
+async function collectRefunds(ctx, fromBlock) {
+  const { crowdsale } = ctx;
+  const vault = ctx.RefundVault.at(await crowdsale.vault());
+  const stablecoinVaultAddress = await crowdsale.stablecoinVault();
+  const stablecoinVault = stablecoinVaultAddress === ZERO_ADDRESS
+    ? null
+    : ctx.StablecoinRefundVault.at(stablecoinVaultAddress);
+
+  const refunded = await refundedAmounts(vault, fromBlock || 0);
+  const stablecoinRefunded = stablecoinVault ? await refundedAmounts(stablecoinVault, fromBlock || 0) : {};
+  const processed = (await crowdsale.refundsProcessed()).toNumber();
+  const count = (await crowdsale.depositorCount()).toNumber();
+
+  const depositors = [];
+  for (let i = 0; i < count; i++) {
+    const investor = await crowdsale.depositors(i);
+    const depositor = {
+      investor,
+      processed: i < processed,
+      refunded: (refunded[investor.toLowerCase()] || 0).toString(10),
+      outstanding: (await vault.deposited(investor)).toString(10),
+    };
+    if (stablecoinVault) {
+      depositor.stablecoinRefunded = (stablecoinRefunded[investor.toLowerCase()] || 0).toString(10);
+      depositor.stablecoinOutstanding = (await stablecoinVault.deposited(investor)).toString(10);
+    }
+    depositors.push(depositor);
+  }
+  return { processed, depositors };
+}
+
+function isOutstanding(depositor) {
+  return depositor.outstanding !== '0' || (depositor.stablecoinOutstanding || '0') !== '0';
+}
+
+/**
+ * Renders a report from collectRefunds() as text. Depositors that were
+ * processed but are still owed funds had their refund fail.
+ */
+function formatRefunds(report) {
+  const amounts = (wei, coins) => `${formatUnits(wei, 18)} ETH` +
+    (coins !== undefined && coins !== '0' ? ` and ${coins} stablecoin units` : '');
+
+  const outstanding = report.depositors.filter(isOutstanding);
+  const lines = [
+    `Refunds: ${report.processed} of ${report.depositors.length} depositors processed, ` +
+      `${report.depositors.length - outstanding.length} paid, ${outstanding.length} outstanding`,
+  ];
+  report.depositors.forEach(depositor => {
+    if (isOutstanding(depositor)) {
+      lines.push(`  ${depositor.investor}  owed ${amounts(depositor.outstanding, depositor.stablecoinOutstanding)}` +
+        (depositor.processed ? ' (refund failed)' : ''));
+    } else {
+      lines.push(`  ${depositor.investor}  paid ${amounts(depositor.refunded, depositor.stablecoinRefunded)}`);
+    }
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  collectRefunds,
+  formatRefunds,
+};
@@ -0,0 +1,510 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CONFIG_DIR = path.join(ROOT_DIR, 'config', 'sale');
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+// DappTokenCrowdsale.TOTAL_SHARES and MAX_RESERVES
+const TOTAL_SHARES = 10000;
+const MAX_RESERVES = 5;
+const VESTING_FIELDS = ['cliff', 'duration', 'period', 'revocable'];
+// DappTokenCrowdsale.investorMinCap, in ether
+const INVESTOR_MIN_CAP = 0.002;
+// MultiSigWallet.MAX_OWNER_COUNT
+const MAX_MULTISIG_OWNERS = 50;
+// Values of DappTokenCrowdsale.RefundPolicy
+const REFUND_POLICIES = {
+  'all-refundable': 0,
+  'exclude-non-refundable': 1,
+};
+
+/**
+ * Loads the sale config for a network from config/sale/<network>.js or
+ * config/sale/<network>.json. Set SALE_CONFIG to point at another file.
+ * JS configs may export a function, which is called with `context`
+ * (e.g. `{ accounts, now }`) and must return the config object.
+ * An optional `tiers` list replaces the single pricing tier at `rate`, see
+ * validateTiers(), and `refundPolicy` names one of REFUND_POLICIES, which
+ * defaults to 'all-refundable'. An optional `kycTierCaps` list sets the
+ * per-investor cap of each KYC tier in ether; investors are in tier 0 until
+ * assigned another one. An optional `kycApprover` address signs off-chain
+ * KYC approvals, see lib/kycApproval.js. `tokenSaleShare` and `reserves`
+ * make up the token distribution, see validateReserves(). An optional
+ * `stablecoin` is accepted alongside ether, see validateStablecoin(), and
+ * optional `referralBonus` and `volumeBonuses` mint bonus tokens on top of
+ * purchases, see validateBonuses(). An optional `whitelist` entry names a CSV/JSON file,
+ * relative to the project root, of investors to whitelist right after
+ * deployment, with their KYC tiers. `token.cap` is the hard cap on the
+ * token supply in whole tokens, see maxTokenSupply(). An optional `multisig`
+ * is deployed to own the crowdsale once it is set up, see validateMultisig().
+ * @param network Truffle network name
+ * @param context Values handed to function configs
+ * @return Sale config object
+ */
+function loadSaleConfig(network, context) {
+  const file = process.env.SALE_CONFIG
+    ? path.resolve(process.env.SALE_CONFIG)
+    : ['.js', '.json']
+      .map(ext => path.join(CONFIG_DIR, network + ext))
+      .find(candidate => fs.existsSync(candidate));
+
+  if (!file || !fs.existsSync(file)) {
+    throw new Error(`No sale config found for network "${network}" in ${CONFIG_DIR}`);
+  }
+
+  let config = path.extname(file) === '.json'
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : require(file);
+
+  if (typeof config === 'function') {
+    config = config(context || {});
+  }
+
+  return config;
+}
+
+function isAddress(value) {
+  return typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+}
+
+function isPositive(value) {
+  return value !== undefined && value !== null && Number(value) > 0;
+}
+
+/**
+ * Checks a sale config before anything is deployed.
+ * @param config Sale config, amounts in ether and times in unix seconds
+ * @param now Current block timestamp in seconds
+ * @return List of problems, empty when the config is valid
+ */
+function validateSaleConfig(config, now) {
+  const errors = [];
+  const token = config.token || {};
+
+  if (!token.name) errors.push('token.name is required');
+  if (!token.symbol) errors.push('token.symbol is required');
+  if (!Number.isInteger(token.decimals) || token.decimals < 0) {
+    errors.push('token.decimals must be a non-negative integer');
+  }
+  if (!isPositive(token.cap)) errors.push('token.cap must be greater than zero');
+
+  if (!isPositive(config.rate)) errors.push('rate must be greater than zero');
+  if (!isPositive(config.cap)) errors.push('cap must be greater than zero');
+  if (!isPositive(config.goal)) errors.push('goal must be greater than zero');
+  if (Number(config.goal) > Number(config.cap)) errors.push('goal must not exceed cap');
+
+  // A 'multisig' wallet is the multisig deployed with the sale
+  const wallet = config.wallet === 'multisig' && config.multisig !== undefined ? [] : [['wallet', config.wallet]];
+  const funds = wallet.concat(
+    (Array.isArray(config.reserves) ? config.reserves : [])
+      .map((reserve, i) => [`reserves[${i}].fund`, (reserve || {}).fund])
+  );
+  const seen = {};
+  funds.forEach(([field, address]) => {
+    if (!isAddress(address)) {
+      errors.push(`${field} must be an address`);
+    } else if (address === ZERO_ADDRESS) {
+      errors.push(`${field} must not be the zero address`);
+    } else if (seen[address.toLowerCase()]) {
+      errors.push(`${field} duplicates ${seen[address.toLowerCase()]}`);
+    } else {
+      seen[address.toLowerCase()] = field;
+    }
+  });
+
+  if (!(config.openingTime < config.closingTime)) {
+    errors.push('openingTime must be before closingTime');
+  }
+  if (!(config.closingTime < config.releaseTime)) {
+    errors.push('closingTime must be before releaseTime');
+  }
+  if (!(config.openingTime > now)) {
+    errors.push(`openingTime must be in the future (latest block time is ${now})`);
+  }
+
+  if (config.tiers !== undefined) {
+    errors.push(...validateTiers(config));
+  }
+
+  if (config.refundPolicy !== undefined && REFUND_POLICIES[config.refundPolicy] === undefined) {
+    errors.push(`refundPolicy must be one of: ${Object.keys(REFUND_POLICIES).join(', ')}`);
+  }
+
+  if (config.kycTierCaps !== undefined) {
+    errors.push(...validateKycTierCaps(config));
+  }
+
+  errors.push(...validateReserves(config));
+
+  if (config.stablecoin !== undefined) {
+    errors.push(...validateStablecoin(config.stablecoin));
+  }
+
+  errors.push(...validateBonuses(config));
+
+  if (config.kycApprover !== undefined && (!isAddress(config.kycApprover) || config.kycApprover === ZERO_ADDRESS)) {
+    errors.push('kycApprover must be an address');
+  }
+
+  if (config.multisig !== undefined) {
+    errors.push(...validateMultisig(config.multisig));
+  }
+
+  if (config.whitelist && !fs.existsSync(path.resolve(ROOT_DIR, config.whitelist))) {
+    errors.push(`whitelist file ${config.whitelist} does not exist`);
+  }
+
+  // Only meaningful once the amounts it is derived from are valid
+  if (errors.length === 0 && Number(token.cap) < maxTokenSupply(config)) {
+    errors.push(`token.cap must be at least ${Math.ceil(maxTokenSupply(config))} tokens, the supply of a sold out sale`);
+  }
+
+  return errors;
+}
+
+/**
+ * Largest token supply the sale can reach, in whole tokens: the cap sold at
+ * the best rate, the reserves finalization mints for it, and the highest
+ * referral and volume bonuses on every purchase. The crowdsale rejects
+ * purchases that would leave the reserves no room under `token.cap`, so a
+ * lower cap would stop the sale short of its own cap.
+ * @param config Valid sale config
+ */
+function maxTokenSupply(config) {
+  const rates = [config.rate].concat((config.tiers || []).map(tier => tier.rate)).map(Number);
+  const volumeBonus = Math.max(0, ...(config.volumeBonuses || []).map(volumeBonus => volumeBonus.bonus));
+  const bonus = (config.referralBonus || 0) + volumeBonus;
+  // Token units per wei, in whole tokens per ether
+  const sold = Number(config.cap) * Math.max(...rates) * Math.pow(10, 18 - config.token.decimals);
+  return sold * TOTAL_SHARES / config.tokenSaleShare + sold * bonus / TOTAL_SHARES;
+}
+
+/**
+ * Checks the pricing tiers. Each tier is `{ rate, startTime, weiThreshold, refundable }`
+ * with `weiThreshold` in ether. The first tier runs from the opening time at
+ * `rate`; every later tier needs a start time within the sale, a threshold
+ * within the cap, or both. Start times and thresholds increase from tier to
+ * tier, as SaleTiers.setTiers() requires.
+ * @return List of problems
+ */
+function validateTiers(config) {
+  const errors = [];
+  const tiers = config.tiers;
+  let lastStartTime = 0;
+  let lastWeiThreshold = 0;
+
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return ['tiers must be a non-empty list'];
+  }
+
+  const excludesNonRefundable = config.refundPolicy === 'exclude-non-refundable';
+
+  tiers.forEach((tier, i) => {
+    if (!isPositive(tier.rate)) {
+      errors.push(`tiers[${i}].rate must be greater than zero`);
+    }
+    if (typeof tier.refundable !== 'boolean') {
+      errors.push(`tiers[${i}].refundable must be true or false`);
+    } else if (!tier.refundable && !excludesNonRefundable) {
+      // Otherwise the flag would be silently ignored on-chain
+      errors.push(`tiers[${i}] is not refundable, which needs refundPolicy 'exclude-non-refundable'`);
+    }
+
+    if (i === 0) {
+      if (tier.startTime || tier.weiThreshold) {
+        errors.push('tiers[0] starts with the sale and takes no startTime or weiThreshold');
+      }
+      if (Number(tier.rate) !== Number(config.rate)) {
+        errors.push('tiers[0].rate must equal rate');
+      }
+      return;
+    }
+
+    if (!tier.startTime && !tier.weiThreshold) {
+      errors.push(`tiers[${i}] needs a startTime or a weiThreshold`);
+    }
+    if (tier.startTime && !(tier.startTime > config.openingTime && tier.startTime < config.closingTime)) {
+      errors.push(`tiers[${i}].startTime must be within the sale`);
+    }
+    if (tier.weiThreshold && !(Number(tier.weiThreshold) > 0 && Number(tier.weiThreshold) < Number(config.cap))) {
+      errors.push(`tiers[${i}].weiThreshold must be between zero and cap`);
+    }
+    if (tier.startTime) {
+      if (!(tier.startTime > lastStartTime)) {
+        errors.push(`tiers[${i}].startTime must be after the start times of the tiers before it`);
+      }
+      lastStartTime = tier.startTime;
+    }
+    if (tier.weiThreshold) {
+      if (!(Number(tier.weiThreshold) > lastWeiThreshold)) {
+        errors.push(`tiers[${i}].weiThreshold must be above the thresholds of the tiers before it`);
+      }
+      lastWeiThreshold = Number(tier.weiThreshold);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Checks the KYC tier caps, each between the minimum contribution and the sale cap.
+ * @return List of problems
+ */
+function validateKycTierCaps(config) {
+  const caps = config.kycTierCaps;
+  if (!Array.isArray(caps) || caps.length === 0) {
+    return ['kycTierCaps must be a non-empty list'];
+  }
+
+  return caps
+    .map((cap, i) => !(Number(cap) >= INVESTOR_MIN_CAP && Number(cap) <= Number(config.cap))
+      ? `kycTierCaps[${i}] must be between ${INVESTOR_MIN_CAP} and cap`
+      : null)
+    .filter(error => error !== null);
+}
+
+/**
+ * Arguments for DappTokenCrowdsale.setTiers().
+ * @param tiers Validated tiers from the sale config
+ * @param ether Converts an ether amount to wei
+ */
+function tierArguments(tiers, ether) {
+  return [
+    tiers.map(tier => tier.rate),
+    tiers.map(tier => tier.startTime || 0),
+    tiers.map(tier => tier.weiThreshold ? ether(tier.weiThreshold) : 0),
+    tiers.map(tier => tier.refundable),
+  ];
+}
+
+function isSeconds(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Checks the token distribution. `tokenSaleShare` is the part of the final
+ * supply that is sold and `reserves` lists the rest as
+ * `{ fund, share, cliff, duration, period, revocable }`, shares in basis
+ * points adding up to 10000 with the sale's. Each reserve vests to its fund
+ * from releaseTime, times in seconds from it: nothing vests before the
+ * cliff, then the grant vests linearly until `duration`, in steps of
+ * `period` if set. Reserves without a schedule release everything at
+ * releaseTime.
+ * @return List of problems
+ */
+function validateReserves(config) {
+  const reserves = config.reserves;
+  const errors = [];
+
+  if (!(Number.isInteger(config.tokenSaleShare) && config.tokenSaleShare > 0)) {
+    errors.push('tokenSaleShare must be a positive number of basis points');
+  }
+  if (!Array.isArray(reserves)) {
+    return errors.concat('reserves must be a list');
+  }
+  if (reserves.length > MAX_RESERVES) {
+    errors.push(`reserves must not have more than ${MAX_RESERVES} entries`);
+  }
+
+  let total = Number(config.tokenSaleShare) || 0;
+  reserves.forEach((reserve, i) => {
+    if (!(Number.isInteger(reserve.share) && reserve.share > 0)) {
+      errors.push(`reserves[${i}].share must be a positive number of basis points`);
+    } else {
+      total += reserve.share;
+    }
+    ['cliff', 'duration', 'period'].forEach(field => {
+      if (reserve[field] !== undefined && !isSeconds(reserve[field])) {
+        errors.push(`reserves[${i}].${field} must be a whole number of seconds`);
+      }
+    });
+    if ((reserve.cliff || 0) > (reserve.duration || 0)) {
+      errors.push(`reserves[${i}].cliff must not exceed its duration`);
+    }
+    if ((reserve.period || 0) > (reserve.duration || 0)) {
+      errors.push(`reserves[${i}].period must not exceed its duration`);
+    }
+    if (reserve.revocable !== undefined && typeof reserve.revocable !== 'boolean') {
+      errors.push(`reserves[${i}].revocable must be true or false`);
+    }
+  });
+
+  if (errors.length === 0 && total !== TOTAL_SHARES) {
+    errors.push(`tokenSaleShare and reserve shares must add up to ${TOTAL_SHARES} basis points, not ${total}`);
+  }
+  return errors;
+}
+
+/**
+ * Distribution arguments of the DappTokenCrowdsale constructor:
+ * `tokenSaleShare`, the reserve funds and their shares.
+ * @param config Validated sale config
+ */
+function reserveArguments(config) {
+  return [
+    config.tokenSaleShare,
+    config.reserves.map(reserve => reserve.fund),
+    config.reserves.map(reserve => reserve.share),
+  ];
+}
+
+/**
+ * Whether a reserve sets a vesting schedule rather than the default one.
+ */
+function hasVestingSchedule(reserve) {
+  return VESTING_FIELDS.some(field => reserve[field] !== undefined);
+}
+
+/**
+ * Arguments for DappTokenCrowdsale.setVestingSchedule().
+ * @param index Index of the reserve
+ * @param reserve Validated reserve from the sale config
+ */
+function vestingArguments(index, reserve) {
+  return [
+    index,
+    reserve.cliff || 0,
+    reserve.duration || 0,
+    reserve.period || 0,
+    reserve.revocable || false,
+  ];
+}
+
+/**
+ * Checks the stablecoin, `{ address, decimals, rate }` with `rate` in ether
+ * per whole coin. An address of 'mock' deploys a StablecoinMock for local sales.
+ * @return List of problems
+ */
+function validateStablecoin(stablecoin) {
+  if (typeof stablecoin !== 'object' || stablecoin === null) {
+    return ['stablecoin must be an object'];
+  }
+
+  const errors = [];
+  if (stablecoin.address !== 'mock' && (!isAddress(stablecoin.address) || stablecoin.address === ZERO_ADDRESS)) {
+    errors.push("stablecoin.address must be an address or 'mock'");
+  }
+  if (!(Number.isInteger(stablecoin.decimals) && stablecoin.decimals >= 0 && stablecoin.decimals <= 36)) {
+    errors.push('stablecoin.decimals must be an integer from 0 to 36');
+  }
+  if (!isPositive(stablecoin.rate)) {
+    errors.push('stablecoin.rate must be greater than zero');
+  }
+  return errors;
+}
+
+/**
+ * Checks the bonuses, in basis points of the tokens bought. `referralBonus`
+ * goes to the referrer of purchases made with buyTokensWithReferral(), and
+ * `volumeBonuses` lists `{ minContribution, bonus }` with `minContribution`
+ * in ether, ascending: buyers get the bonus of the highest entry their total
+ * contribution has reached.
+ * @return List of problems
+ */
+function validateBonuses(config) {
+  const errors = [];
+  const isBonus = value => Number.isInteger(value) && value >= 0 && value <= TOTAL_SHARES;
+
+  if (config.referralBonus !== undefined && !isBonus(config.referralBonus)) {
+    errors.push(`referralBonus must be a number of basis points from 0 to ${TOTAL_SHARES}`);
+  }
+  if (config.volumeBonuses === undefined) {
+    return errors;
+  }
+  if (!Array.isArray(config.volumeBonuses)) {
+    return errors.concat('volumeBonuses must be a list');
+  }
+
+  config.volumeBonuses.forEach((volumeBonus, i) => {
+    if (!isPositive(volumeBonus.minContribution)) {
+      errors.push(`volumeBonuses[${i}].minContribution must be greater than zero`);
+    } else if (i > 0 && !(Number(volumeBonus.minContribution) > Number(config.volumeBonuses[i - 1].minContribution))) {
+      errors.push(`volumeBonuses[${i}].minContribution must be above the previous one`);
+    }
+    if (!isBonus(volumeBonus.bonus)) {
+      errors.push(`volumeBonuses[${i}].bonus must be a number of basis points from 0 to ${TOTAL_SHARES}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Arguments for DappTokenCrowdsale.setVolumeBonuses().
+ * @param volumeBonuses Validated volume bonuses from the sale config
+ * @param ether Converts an ether amount to wei
+ */
+function volumeBonusArguments(volumeBonuses, ether) {
+  return [
+    volumeBonuses.map(volumeBonus => ether(volumeBonus.minContribution)),
+    volumeBonuses.map(volumeBonus => volumeBonus.bonus),
+  ];
+}
+
+/**
+ * Checks the multisig, `{ owners, required }`: a MultiSigWallet of those
+ * owners that runs a call once `required` of them have confirmed it. The
+ * migrations hand it ownership of the crowdsale once the sale is set up. With
+ * `wallet: 'multisig'` it is also the sale's wallet, so it receives the funds
+ * and owns the token and the revocable vestings after the sale.
+ * @return List of problems
+ */
+function validateMultisig(multisig) {
+  if (typeof multisig !== 'object' || multisig === null) {
+    return ['multisig must be an object'];
+  }
+  if (!Array.isArray(multisig.owners) || multisig.owners.length === 0) {
+    return ['multisig.owners must be a non-empty list'];
+  }
+
+  const errors = [];
+  if (multisig.owners.length > MAX_MULTISIG_OWNERS) {
+    errors.push(`multisig.owners must not have more than ${MAX_MULTISIG_OWNERS} entries`);
+  }
+  const seen = {};
+  multisig.owners.forEach((owner, i) => {
+    if (!isAddress(owner) || owner === ZERO_ADDRESS) {
+      errors.push(`multisig.owners[${i}] must be an address`);
+    } else if (seen[owner.toLowerCase()] !== undefined) {
+      errors.push(`multisig.owners[${i}] duplicates multisig.owners[${seen[owner.toLowerCase()]}]`);
+    } else {
+      seen[owner.toLowerCase()] = i;
+    }
+  });
+  if (!(Number.isInteger(multisig.required) && multisig.required > 0 && multisig.required <= multisig.owners.length)) {
+    errors.push('multisig.required must be a number of owners from 1 to the number of owners');
+  }
+  return errors;
+}
+
+/**
+ * Throws when the config has any problems.
+ */
+function assertValidSaleConfig(config, now) {
+  const errors = validateSaleConfig(config, now);
+  if (errors.length > 0) {
+    throw new Error('Invalid sale config:\n  - ' + errors.join('\n  - '));
+  }
+  return config;
+}
+
+module.exports = {
+  ZERO_ADDRESS,
+  TOTAL_SHARES,
+  REFUND_POLICIES,
+  isAddress,
+  loadSaleConfig,
+  validateSaleConfig,
+  validateTiers,
+  validateKycTierCaps,
+  validateReserves,
+  validateStablecoin,
+  validateBonuses,
+  maxTokenSupply,
+  reserveArguments,
+  hasVestingSchedule,
+  vestingArguments,
+  tierArguments,
+  volumeBonusArguments,
+  validateMultisig,
+  assertValidSaleConfig,
+};
@@ -0,0 +1,50 @@
+// Sale helpers shared by lib/ and the purchase page, so that they cannot
+// drift apart. Loaded as a plain script it defines `window.DappSaleShared`,
+// under node it is a CommonJS module.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DappSaleShared = factory();
+  }
+}(this, function () {
+  /**
+   * Human-readable time left until `target`, or how long ago it passed.
+   */
+  function formatCountdown(target, now) {
+    let seconds = Math.abs(target - now);
+    const parts = [];
+    [['d', 86400], ['h', 3600], ['m', 60]].forEach(([unit, size]) => {
+      if (seconds >= size) {
+        parts.push(`${Math.floor(seconds / size)}${unit}`);
+        seconds %= size;
+      }
+    });
+    parts.push(`${seconds}s`);
+    return target >= now ? `in ${parts.join(' ')}` : `${parts.join(' ')} ago`;
+  }
+
+  /**
+   * Index of the tier a purchase falls in, same as SaleTiers.tierAt():
+   * the last tier that has started by time or by the wei raised.
+   * @param tiers Array of `{ startTime, weiThreshold }`, the start time in unix
+   *   seconds and the threshold as a BigNumber in wei
+   * @param timestamp Unix time in seconds
+   * @param raised Wei raised before the purchase, as a BigNumber
+   */
+  function tierAt(tiers, timestamp, raised) {
+    for (let i = tiers.length - 1; i > 0; i--) {
+      const tier = tiers[i];
+      if ((tier.startTime > 0 && timestamp >= tier.startTime) ||
+        (tier.weiThreshold.gt(0) && raised.gte(tier.weiThreshold))) {
+        return i;
+      }
+    }
+    return 0;
+  }
+
+  return {
+    formatCountdown,
+    tierAt,
+  };
+}));
@@ -0,0 +1,286 @@
+const { getBlock, getBalance } = require('./chain');
+const { ZERO_ADDRESS } = require('./saleConfig');
+const { collectVesting } = require('./vesting');
+const { formatCountdown } = require('./saleShared');
+
+const VAULT_STATES = ['Active', 'Refunding', 'Closed'];
+const REFUND_POLICIES = ['all-refundable', 'exclude-non-refundable'];
+
+/**
+ * Shifts an integer string by `decimals` places, e.g. wei to ether.
+ * @param value Integer amount as a string or BigNumber
+ * @param decimals Number of decimals of the unit
+ */
+function formatUnits(value, decimals) {
+  const digits = String(value).padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole;
+}
+
+// Basis points as a percentage
+function formatShare(share) {
+  return `${formatUnits(share, 2)}%`;
+}
+
+function formatDays(seconds) {
+  return seconds % 86400 === 0 ? `${seconds / 86400} days` : `${seconds} seconds`;
+}
+
+function formatPeriod(seconds) {
+  return seconds === 0 ? 'continuously' : `every ${formatDays(seconds)}`;
+}
+
+function formatReserve(reserve) {
+  if (reserve.duration === 0) {
+    return `${formatShare(reserve.share)} to ${reserve.fund}, released at the release time`;
+  }
+  const cliff = reserve.cliff > 0 ? ` after a ${formatDays(reserve.cliff)} cliff` : '';
+  return `${formatShare(reserve.share)} to ${reserve.fund}, vesting over ${formatDays(reserve.duration)}` +
+    `${cliff}, ${formatPeriod(reserve.period)}${reserve.revocable ? ', revocable' : ''}`;
+}
+
+async function collectTiers(crowdsale) {
+  const tiers = [];
+  const count = (await crowdsale.tierCount()).toNumber();
+  for (let i = 0; i < count; i++) {
+    const [rate, startTime, weiThreshold, refundable] = await crowdsale.tiers(i);
+    tiers.push({
+      rate: rate.toString(10),
+      startTime: startTime.toNumber(),
+      weiThreshold: weiThreshold.toString(10),
+      refundable,
+    });
+  }
+  return tiers;
+}
+
+async function collectReserves(crowdsale) {
+  const reserves = [];
+  const count = (await crowdsale.reserveCount()).toNumber();
+  for (let i = 0; i < count; i++) {
+    const [fund, share, cliff, duration, period, revocable] = await crowdsale.reserves(i);
+    reserves.push({
+      fund,
+      share: share.toNumber(),
+      cliff: cliff.toNumber(),
+      duration: duration.toNumber(),
+      period: period.toNumber(),
+      revocable,
+    });
+  }
+  return reserves;
+}
+
+async function collectVolumeBonuses(crowdsale) {
+  const volumeBonuses = [];
+  const count = (await crowdsale.volumeBonusCount()).toNumber();
+  for (let i = 0; i < count; i++) {
+    const [minContribution, bonus] = await crowdsale.volumeBonuses(i);
+    volumeBonuses.push({ minContribution: minContribution.toString(10), bonus: bonus.toNumber() });
+  }
+  return volumeBonuses;
+}
+
+// The accepted stablecoin and its vault, or null
+async function collectStablecoin(ctx) {
+  const vaultAddress = await ctx.crowdsale.stablecoinVault();
+  if (vaultAddress === ZERO_ADDRESS) {
+    return null;
+  }
+
+  const vault = ctx.StablecoinRefundVault.at(vaultAddress);
+  const stablecoin = ctx.DetailedERC20.at(await ctx.crowdsale.stablecoin());
+  return {
+    address: stablecoin.address,
+    symbol: await stablecoin.symbol(),
+    decimals: (await stablecoin.decimals()).toNumber(),
+    rate: (await ctx.crowdsale.stablecoinRate()).toString(10),
+    raised: (await ctx.crowdsale.stablecoinRaised()).toString(10),
+    vault: {
+      address: vaultAddress,
+      state: VAULT_STATES[(await vault.state()).toNumber()],
+      balance: (await stablecoin.balanceOf(vaultAddress)).toString(10),
+    },
+  };
+}
+
+async function collectKycTierCaps(crowdsale) {
+  const caps = [];
+  const count = (await crowdsale.kycTierCount()).toNumber();
+  for (let i = 0; i < count; i++) {
+    caps.push((await crowdsale.kycTierCaps(i)).toString(10));
+  }
+  return caps;
+}
+
+/**
+ * Reads the full on-chain state of a sale in one go.
+ * @param ctx `{ crowdsale, token, RefundVault, DappTokenVesting, StablecoinRefundVault, DetailedERC20, web3 }`
+ * @return Plain object, amounts as decimal strings in wei / token units
+ */
+async function collectStatus(ctx) {
+  const { crowdsale, token, web3 } = ctx;
+  const latestBlock = await getBlock(web3);
+  const vaultAddress = await crowdsale.vault();
+  const vault = ctx.RefundVault.at(vaultAddress);
+  const isFinalized = await crowdsale.isFinalized();
+
+  return {
+    blockNumber: latestBlock.number,
+    timestamp: latestBlock.timestamp,
+    crowdsale: {
+      address: crowdsale.address,
+      owner: await crowdsale.owner(),
+      wallet: await crowdsale.wallet(),
+      tier: (await crowdsale.currentTier()).toNumber(),
+      rate: (await crowdsale.currentRate()).toString(10),
+      tiers: await collectTiers(crowdsale),
+      kycTierCaps: await collectKycTierCaps(crowdsale),
+      kycApprover: await crowdsale.kycApprover(),
+      tokenSaleShare: (await crowdsale.tokenSaleShare()).toNumber(),
+      reserves: await collectReserves(crowdsale),
+      referralBonus: (await crowdsale.referralBonus()).toNumber(),
+      volumeBonuses: await collectVolumeBonuses(crowdsale),
+      tokensSold: (await crowdsale.tokensSold()).toString(10),
+      bonusTokens: (await crowdsale.bonusTokens()).toString(10),
+      finalSupply: (await crowdsale.finalSupply()).toString(10),
+      weiRaised: (await crowdsale.weiRaised()).toString(10),
+      refundableWeiRaised: (await crowdsale.refundableWeiRaised()).toString(10),
+      refundPolicy: REFUND_POLICIES[(await crowdsale.refundPolicy()).toNumber()],
+      cap: (await crowdsale.cap()).toString(10),
+      goal: (await crowdsale.goal()).toString(10),
+      capReached: await crowdsale.capReached(),
+      goalReached: await crowdsale.goalReached(),
+      openingTime: (await crowdsale.openingTime()).toNumber(),
+      closingTime: (await crowdsale.closingTime()).toNumber(),
+      closingTimeExtension: (await crowdsale.closingTimeExtension()).toNumber(),
+      paused: await crowdsale.paused(),
+      hasClosed: await crowdsale.hasClosed(),
+      isFinalized,
+    },
+    vault: {
+      address: vaultAddress,
+      state: VAULT_STATES[(await vault.state()).toNumber()],
+      balance: (await getBalance(web3, vaultAddress)).toString(10),
+      depositors: (await crowdsale.depositorCount()).toNumber(),
+      refundsProcessed: (await crowdsale.refundsProcessed()).toNumber(),
+    },
+    stablecoin: await collectStablecoin(ctx),
+    token: {
+      address: token.address,
+      name: await token.name(),
+      symbol: await token.symbol(),
+      decimals: (await token.decimals()).toNumber(),
+      owner: await token.owner(),
+      totalSupply: (await token.totalSupply()).toString(10),
+      cap: (await token.cap()).toString(10),
+      currentSnapshotId: (await token.currentSnapshotId()).toNumber(),
+      paused: await token.paused(),
+      mintingFinished: await token.mintingFinished(),
+    },
+    vesting: isFinalized ? await collectVesting(ctx) : [],
+  };
+}
+
+function formatTime(time, now) {
+  return `${new Date(time * 1000).toISOString()} (${formatCountdown(time, now)})`;
+}
+
+/**
+ * Renders a status object from collectStatus() as text.
+ */
+function formatStatus(status) {
+  const { crowdsale, vault, token, timestamp } = status;
+  const ether = (wei) => `${formatUnits(wei, 18)} ETH`;
+  const tokens = (amount) => `${formatUnits(amount, token.decimals)} ${token.symbol}`;
+  const lines = [
+    `Block ${status.blockNumber} at ${new Date(timestamp * 1000).toISOString()}`,
+    '',
+    `Crowdsale ${crowdsale.address}`,
+    `  owner:        ${crowdsale.owner}`,
+    `  wallet:       ${crowdsale.wallet}`,
+    `  tier:         ${crowdsale.tier} at rate ${crowdsale.rate}`,
+    `  raised:       ${ether(crowdsale.weiRaised)} (${ether(crowdsale.refundableWeiRaised)} refundable)`,
+    `  refunds:      ${crowdsale.refundPolicy}`,
+    `  cap:          ${ether(crowdsale.cap)}${crowdsale.capReached ? ' (reached)' : ''}`,
+    `  goal:         ${ether(crowdsale.goal)}${crowdsale.goalReached ? ' (reached)' : ''}`,
+    `  opens:        ${formatTime(crowdsale.openingTime, timestamp)}`,
+    `  closes:       ${formatTime(crowdsale.closingTime, timestamp)}` +
+      (crowdsale.closingTimeExtension > 0 ? `, extended by ${formatDays(crowdsale.closingTimeExtension)}` : ''),
+    `  purchases:    ${crowdsale.paused ? 'paused' : 'allowed'}`,
+    `  finalized:    ${crowdsale.isFinalized}`,
+    '',
+    'Pricing tiers',
+    ...crowdsale.tiers.map((tier, i) => {
+      const starts = [];
+      if (tier.startTime > 0) starts.push(`at ${new Date(tier.startTime * 1000).toISOString()}`);
+      if (tier.weiThreshold !== '0') starts.push(`at ${ether(tier.weiThreshold)} raised`);
+      return `  ${i === crowdsale.tier ? '*' : ' '} ${i}: rate ${tier.rate}, ` +
+        `${tier.refundable ? 'refundable' : 'to wallet'}, starts ${starts.join(' or ') || 'with the sale'}`;
+    }),
+    '',
+    'KYC',
+    `  approver:     ${crowdsale.kycApprover === ZERO_ADDRESS ? 'none' : crowdsale.kycApprover}`,
+    ...crowdsale.kycTierCaps.map((cap, i) => `  tier ${i} cap:   ${ether(cap)} per investor`),
+    '',
+    'Distribution',
+    `  token sale:   ${formatShare(crowdsale.tokenSaleShare)}`,
+    ...crowdsale.reserves.map((reserve, i) => `  reserve ${i}:    ${formatReserve(reserve)}`),
+    '',
+    'Bonuses',
+    `  referral:     ${crowdsale.referralBonus > 0 ? formatShare(crowdsale.referralBonus) : 'none'}`,
+    ...crowdsale.volumeBonuses.map((volumeBonus, i) =>
+      `  volume ${i}:     ${formatShare(volumeBonus.bonus)} from ${ether(volumeBonus.minContribution)} contributed`),
+    `  minted:       ${tokens(crowdsale.bonusTokens)}`,
+    '',
+    `Refund vault ${vault.address}`,
+    `  state:        ${vault.state}`,
+    `  balance:      ${ether(vault.balance)}`,
+    `  depositors:   ${vault.depositors} (${vault.refundsProcessed} refunded in batches)`,
+    '',
+    `Token ${token.address} (${token.name})`,
+    `  owner:        ${token.owner === ZERO_ADDRESS ? 'none (renounced)' : token.owner}`,
+    `  total supply: ${tokens(token.totalSupply)} (${tokens(crowdsale.tokensSold)} sold)`,
+    `  supply cap:   ${tokens(token.cap)} (${tokens(crowdsale.finalSupply)} with reserves)`,
+    `  paused:       ${token.paused}`,
+    `  minting done: ${token.mintingFinished}`,
+    `  snapshots:    ${token.currentSnapshotId}`,
+  ];
+
+  if (status.stablecoin) {
+    const { stablecoin } = status;
+    const coins = (amount) => `${formatUnits(amount, stablecoin.decimals)} ${stablecoin.symbol}`;
+    lines.push(
+      '',
+      `Stablecoin ${stablecoin.address} (${stablecoin.symbol})`,
+      `  rate:         ${ether(stablecoin.rate)} per ${stablecoin.symbol}`,
+      `  raised:       ${coins(stablecoin.raised)}`,
+      `  vault:        ${stablecoin.vault.address}`,
+      `  vault state:  ${stablecoin.vault.state}`,
+      `  vault funds:  ${coins(stablecoin.vault.balance)}`
+    );
+  }
+
+  status.vesting.forEach(grant => {
+    lines.push(
+      '',
+      `Reserve ${grant.reserve} vesting ${grant.address}`,
+      `  beneficiary:  ${grant.beneficiary}`,
+      `  balance:      ${tokens(grant.balance)}`,
+      `  vested:       ${tokens(grant.vested)} (${tokens(grant.released)} released, ${tokens(grant.releasable)} releasable)`,
+      `  cliff:        ${formatTime(grant.start + grant.cliff, timestamp)}`,
+      `  fully vested: ${formatTime(grant.start + grant.duration, timestamp)}, ${formatPeriod(grant.period)}`,
+      `  revocable:    ${grant.revoked ? 'revoked' : grant.revocable}`
+    );
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatUnits,
+  formatCountdown,
+  collectStatus,
+  formatStatus,
+};
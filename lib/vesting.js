@@ -0,0 +1,97 @@
+const { ZERO_ADDRESS } = require('./saleConfig');
+
+/**
+ * Amount vested at `time`, same as DappTokenVesting.vestedAmount() for a grant
+ * that has not been revoked.
+ * @param schedule `{ start, cliff, duration, period }`, `start` in unix seconds
+ *   and the others in seconds from it
+ * @param total Total grant as a BigNumber
+ * @param time Unix time in seconds
+ * @return BigNumber
+ */
+function vestedAmount(schedule, total, time) {
+  const period = schedule.period || 0;
+  if (time < schedule.start + (schedule.cliff || 0)) {
+    return total.times(0);
+  }
+  if (time >= schedule.start + schedule.duration) {
+    return total;
+  }
+
+  let elapsed = time - schedule.start;
+  if (period > 0) {
+    elapsed -= elapsed % period;
+  }
+  return total.times(elapsed).dividedToIntegerBy(schedule.duration);
+}
+
+/**
+ * Times at which the vested amount of a grant steps up: the cliff, every
+ * period after it and the end, each with the amount vested by then.
+ * Continuous schedules only list the cliff and the end.
+ * @param schedule `{ start, cliff, duration, period }`, see vestedAmount()
+ * @param total Total grant as a BigNumber
+ * @return Array of `{ time, vested }`
+ */
+function vestingMilestones(schedule, total) {
+  const cliff = schedule.start + (schedule.cliff || 0);
+  const end = schedule.start + schedule.duration;
+  const times = [cliff];
+
+  if (schedule.period > 0) {
+    const firstStep = schedule.start + Math.ceil((schedule.cliff || 0) / schedule.period) * schedule.period;
+    for (let time = firstStep; time < end; time += schedule.period) {
+      if (time > cliff) times.push(time);
+    }
+  }
+  if (end > cliff) times.push(end);
+
+  // Leave out steps where nothing new vests, e.g. a cliff at the start
+  const milestones = [];
+  times.forEach(time => {
+    const vested = vestedAmount(schedule, total, time);
+    const previous = milestones.length > 0 ? milestones[milestones.length - 1].vested : total.times(0);
+    if (vested.gt(previous)) milestones.push({ time, vested });
+  });
+  return milestones;
+}
+
+/**
+ * Reads the reserve vesting contracts of a finalized sale.
+ * @param ctx `{ crowdsale, token, DappTokenVesting }`
+ * @return Array of plain objects, amounts as decimal strings in token units
+ */
+async function collectVesting(ctx) {
+  const grants = [];
+  const count = (await ctx.crowdsale.reserveCount()).toNumber();
+  for (let reserve = 0; reserve < count; reserve++) {
+    const [, , , , , , address] = await ctx.crowdsale.reserves(reserve);
+    if (address === ZERO_ADDRESS) continue;
+
+    const vesting = ctx.DappTokenVesting.at(address);
+    const start = (await vesting.start()).toNumber();
+    grants.push({
+      reserve,
+      address,
+      beneficiary: await vesting.beneficiary(),
+      owner: await vesting.owner(),
+      start,
+      cliff: (await vesting.cliff()).toNumber() - start,
+      duration: (await vesting.duration()).toNumber(),
+      period: (await vesting.period()).toNumber(),
+      revocable: await vesting.revocable(),
+      revoked: await vesting.revoked(ctx.token.address),
+      balance: (await ctx.token.balanceOf(address)).toString(10),
+      released: (await vesting.released(ctx.token.address)).toString(10),
+      vested: (await vesting.vestedAmount(ctx.token.address)).toString(10),
+      releasable: (await vesting.releasableAmount(ctx.token.address)).toString(10),
+    });
+  }
+  return grants;
+}
+
+module.exports = {
+  vestedAmount,
+  vestingMilestones,
+  collectVesting,
+};
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const { isAddress } = require('./saleConfig');
+
+// Rough cost of whitelisting one more address in addManyToWhitelist:
+// a fresh storage slot plus its calldata. Kept on the high side on purpose.
+const GAS_PER_ADDRESS = 25000;
+// Same for one more investor in setKycTiers, which also logs an event
+const GAS_PER_KYC_TIER = 35000;
+const GAS_PER_BATCH = 50000;
+// Share of the block gas limit a single batch may use
+const GAS_LIMIT_SHARE = 0.8;
+
+function parseCsv(contents) {
+  const rows = contents
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line !== '' && !line.startsWith('#'))
+    .map(line => line.split(',').map(column => column.trim()));
+
+  // A header row such as "address,tier" names the columns
+  let tierColumn = -1;
+  if (rows.length > 0 && !isAddress(rows[0][0])) {
+    tierColumn = rows.shift().map(column => column.toLowerCase()).indexOf('tier');
+  }
+
+  return rows.map(row => ({
+    address: row[0],
+    tier: tierColumn === -1 ? undefined : row[tierColumn],
+  }));
+}
+
+function parseJson(contents) {
+  const entries = JSON.parse(contents);
+  if (!Array.isArray(entries)) {
+    throw new Error('Whitelist JSON must be an array');
+  }
+  return entries.map(entry => typeof entry === 'string'
+    ? { address: entry }
+    : { address: entry.address, tier: entry.tier });
+}
+
+function parseTier(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return /^\d+$/.test(String(value)) ? Number(value) : NaN;
+}
+
+/**
+ * Reads investors from a CSV or a JSON array. The CSV has the address in the
+ * first column and, when its header has a `tier` column, the investor's KYC
+ * tier there. The JSON holds addresses or `{ address, tier }` objects.
+ * Investors without a tier keep the one they have on-chain. Duplicates are
+ * dropped.
+ * @param file Path to the whitelist file
+ * @return Array of `{ address, tier }`, `tier` a number or undefined
+ */
+function loadWhitelistEntries(file) {
+  const contents = fs.readFileSync(file, 'utf8');
+  const entries = (path.extname(file) === '.json' ? parseJson(contents) : parseCsv(contents))
+    .map(entry => ({ address: entry.address, tier: parseTier(entry.tier) }));
+
+  const invalid = entries.filter(entry => !isAddress(entry.address));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid addresses in ${file}: ${invalid.map(entry => entry.address).join(', ')}`);
+  }
+  const invalidTiers = entries.filter(entry => Number.isNaN(entry.tier));
+  if (invalidTiers.length > 0) {
+    throw new Error(`Invalid KYC tiers in ${file} for: ${invalidTiers.map(entry => entry.address).join(', ')}`);
+  }
+
+  const seen = {};
+  return entries.filter(entry => {
+    const key = entry.address.toLowerCase();
+    if (seen[key]) {
+      if (seen[key].tier !== entry.tier) {
+        throw new Error(`Conflicting KYC tiers in ${file} for ${entry.address}`);
+      }
+      return false;
+    }
+    seen[key] = entry;
+    return true;
+  });
+}
+
+/**
+ * Reads investor addresses from a whitelist file, see loadWhitelistEntries().
+ * @param file Path to the whitelist file
+ * @return Array of addresses
+ */
+function loadWhitelist(file) {
+  return loadWhitelistEntries(file).map(entry => entry.address);
+}
+
+/**
+ * Largest addManyToWhitelist or setKycTiers batch that fits comfortably in a block.
+ * @param gasLimit Block gas limit
+ * @param gasPerAddress Gas per address, GAS_PER_KYC_TIER for setKycTiers
+ */
+function batchSizeForGasLimit(gasLimit, gasPerAddress) {
+  const size = Math.floor((gasLimit * GAS_LIMIT_SHARE - GAS_PER_BATCH) / (gasPerAddress || GAS_PER_ADDRESS));
+  if (size < 1) {
+    throw new Error(`Gas limit ${gasLimit} is too low to whitelist any address`);
+  }
+  return size;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Splits the addresses that still need whitelisting into gas-bounded batches.
+ * @param crowdsale Deployed DappTokenCrowdsale instance
+ * @param addresses Addresses to whitelist
+ * @param batchSize Maximum addresses per addManyToWhitelist call
+ * @return `{ batches, skipped }`, where `skipped` lists already whitelisted addresses
+ */
+async function planWhitelist(crowdsale, addresses, batchSize) {
+  const pending = [];
+  const skipped = [];
+  for (const address of addresses) {
+    if (await crowdsale.whitelist(address)) {
+      skipped.push(address);
+    } else {
+      pending.push(address);
+    }
+  }
+
+  return { batches: chunk(pending, batchSize), skipped };
+}
+
+/**
+ * Splits the investors whose KYC tier needs changing into gas-bounded batches.
+ * @param crowdsale Deployed DappTokenCrowdsale instance
+ * @param entries `{ address, tier }` entries, see loadWhitelistEntries()
+ * @param batchSize Maximum investors per setKycTiers call
+ * @return `{ batches, unchanged }`, each batch `{ investors, tiers }`
+ */
+async function planKycTiers(crowdsale, entries, batchSize) {
+  const tierCount = (await crowdsale.kycTierCount()).toNumber();
+  const pending = [];
+  const unchanged = [];
+  for (const entry of entries.filter(entry => entry.tier !== undefined)) {
+    if (entry.tier >= tierCount) {
+      throw new Error(`KYC tier ${entry.tier} of ${entry.address} does not exist, the crowdsale has ${tierCount}`);
+    }
+    if ((await crowdsale.kycTiers(entry.address)).toNumber() === entry.tier) {
+      unchanged.push(entry.address);
+    } else {
+      pending.push(entry);
+    }
+  }
+
+  const batches = chunk(pending, batchSize).map(batch => ({
+    investors: batch.map(entry => entry.address),
+    tiers: batch.map(entry => entry.tier),
+  }));
+  return { batches, unchanged };
+}
+
+/**
+ * Gas to send with an addManyToWhitelist or setKycTiers call for `count` addresses.
+ * @param gasPerAddress Gas per address, GAS_PER_KYC_TIER for setKycTiers
+ */
+function batchGas(count, gasPerAddress) {
+  return GAS_PER_BATCH + count * (gasPerAddress || GAS_PER_ADDRESS);
+}
+
+/**
+ * Whitelists addresses on the crowdsale in batches, skipping the ones that
+ * are already whitelisted.
+ * @param crowdsale Deployed DappTokenCrowdsale instance
+ * @param addresses Addresses to whitelist
+ * @param options `from`, `gasLimit` (block gas limit), optional `batchSize` and `log`
+ * @return `{ added, skipped }` address lists
+ */
+async function bootstrapWhitelist(crowdsale, addresses, options) {
+  const log = options.log || (() => {});
+  const batchSize = options.batchSize || batchSizeForGasLimit(options.gasLimit);
+  const { batches, skipped } = await planWhitelist(crowdsale, addresses, batchSize);
+
+  const added = [];
+  for (let i = 0; i < batches.length; i++) {
+    log(`Whitelisting batch ${i + 1}/${batches.length} (${batches[i].length} addresses)`);
+    await crowdsale.addManyToWhitelist(batches[i], {
+      from: options.from,
+      gas: batchGas(batches[i].length),
+    });
+    added.push(...batches[i]);
+  }
+
+  return { added, skipped };
+}
+
+/**
+ * Assigns the KYC tiers listed in the whitelist entries in batches, skipping
+ * investors that already have their tier.
+ * @param crowdsale Deployed DappTokenCrowdsale instance
+ * @param entries `{ address, tier }` entries, see loadWhitelistEntries()
+ * @param options `from`, `gasLimit` (block gas limit), optional `batchSize` and `log`
+ * @return `{ assigned, unchanged }` address lists
+ */
+async function bootstrapKycTiers(crowdsale, entries, options) {
+  const log = options.log || (() => {});
+  const batchSize = options.batchSize || batchSizeForGasLimit(options.gasLimit, GAS_PER_KYC_TIER);
+  const { batches, unchanged } = await planKycTiers(crowdsale, entries, batchSize);
+
+  const assigned = [];
+  for (let i = 0; i < batches.length; i++) {
+    log(`Setting KYC tiers batch ${i + 1}/${batches.length} (${batches[i].investors.length} addresses)`);
+    await crowdsale.setKycTiers(batches[i].investors, batches[i].tiers, {
+      from: options.from,
+      gas: batchGas(batches[i].investors.length, GAS_PER_KYC_TIER),
+    });
+    assigned.push(...batches[i].investors);
+  }
+
+  return { assigned, unchanged };
+}
+
+module.exports = {
+  GAS_PER_ADDRESS,
+  GAS_PER_KYC_TIER,
+  GAS_PER_BATCH,
+  loadWhitelistEntries,
+  loadWhitelist,
+  batchSizeForGasLimit,
+  chunk,
+  planWhitelist,
+  planKycTiers,
+  batchGas,
+  bootstrapWhitelist,
+  bootstrapKycTiers,
+};
@@ -1,53 +1,148 @@
+const path = require("path");
 const DappToken = artifacts.require("./DappToken.sol");
 const DappTokenCrowdsale = artifacts.require("./DappTokenCrowdsale.sol");
+const DappTokenAuction = artifacts.require("./DappTokenAuction.sol");
+const SaleReserves = artifacts.require("./SaleReserves.sol");
+const SaleBonuses = artifacts.require("./SaleBonuses.sol");
+const SaleRefunds = artifacts.require("./SaleRefunds.sol");
+const SaleTiers = artifacts.require("./SaleTiers.sol");
+const SaleApprovals = artifacts.require("./SaleApprovals.sol");
+const StablecoinMock = artifacts.require("./StablecoinMock.sol");
+const StablecoinRefundVault = artifacts.require("./StablecoinRefundVault.sol");
+const MultiSigWallet = artifacts.require("./MultiSigWallet.sol");
+const RefundVault = artifacts.require("./RefundVault.sol");
+const {
+  loadSaleConfig,
+  assertValidSaleConfig,
+  tierArguments,
+  reserveArguments,
+  hasVestingSchedule,
+  vestingArguments,
+  volumeBonusArguments,
+  REFUND_POLICIES,
+} = require("../lib/saleConfig");
+const { buildManifest, writeManifest } = require("../lib/manifest");
 
 const ether = (n) => new web3.BigNumber(web3.toWei(n, 'ether'));
 
-const duration = {
-  seconds: function (val) { return val; },
-  minutes: function (val) { return val * this.seconds(60); },
-  hours: function (val) { return val * this.minutes(60); },
-  days: function (val) { return val * this.hours(24); },
-  weeks: function (val) { return val * this.days(7); },
-  years: function (val) { return val * this.days(365); },
-};
+module.exports = function(deployer, network, accounts) {
+  // Run inside the deployer chain so that a failure aborts the migration
+  deployer.then(async () => {
+    // Block timestamps are in seconds, unlike Date.getTime()
+    const latestTime = web3.eth.getBlock('latest').timestamp;
+
+    const config = loadSaleConfig(network, { accounts, now: latestTime });
+    assertValidSaleConfig(config, latestTime);
+
+    // Contracts for the deployment manifest, with their constructor arguments
+    const manifestEntries = {};
+
+    // Takes over the crowdsale in the next migration, and is the wallet if so configured
+    let wallet = config.wallet;
+    if (config.multisig) {
+      const multisigArgs = [config.multisig.owners, config.multisig.required];
+      await deployer.deploy(MultiSigWallet, ...multisigArgs);
+      manifestEntries.multisig = { contract: MultiSigWallet, args: multisigArgs };
+      if (wallet === 'multisig') {
+        wallet = (await MultiSigWallet.deployed()).address;
+      }
+    }
+
+    const tokenArgs = [
+      config.token.name,
+      config.token.symbol,
+      config.token.decimals,
+      new web3.BigNumber(10).pow(config.token.decimals).times(config.token.cap),
+    ];
+    await deployer.deploy(DappToken, ...tokenArgs);
+    const deployedToken = await DappToken.deployed();
+    manifestEntries.token = { contract: DappToken, args: tokenArgs };
+
+    // Libraries that keep the crowdsale within the block gas limit.
+    // SaleReserves is linked into both sales, so that DappTokenAuction can be
+    // deployed too.
+    const libraries = {
+      saleReserves: SaleReserves,
+      saleTiers: SaleTiers,
+      saleBonuses: SaleBonuses,
+      saleRefunds: SaleRefunds,
+      saleApprovals: SaleApprovals,
+    };
+    for (const role of Object.keys(libraries)) {
+      const library = libraries[role];
+      await deployer.deploy(library);
+      await deployer.link(library, library === SaleReserves ? [DappTokenCrowdsale, DappTokenAuction] : DappTokenCrowdsale);
+      manifestEntries[role] = { contract: library, args: [] };
+    }
+
+    const crowdsaleArgs = [
+      config.rate,
+      wallet,
+      deployedToken.address,
+      ether(config.cap),
+      config.openingTime,
+      config.closingTime,
+      ether(config.goal),
+      ...reserveArguments(config),
+      config.releaseTime,
+    ];
+    await deployer.deploy(DappTokenCrowdsale, ...crowdsaleArgs);
+
+    // Tiers, the refund policy and vesting can only be set before the sale opens
+    const crowdsale = await DappTokenCrowdsale.deployed();
+    manifestEntries.crowdsale = { contract: DappTokenCrowdsale, args: crowdsaleArgs };
+    // Created by the crowdsale's constructor
+    manifestEntries.vault = {
+      contract: RefundVault,
+      args: [wallet],
+      address: await crowdsale.vault(),
+      transactionHash: DappTokenCrowdsale.transactionHash,
+    };
+    if (config.tiers) {
+      await crowdsale.setTiers(...tierArguments(config.tiers, ether));
+    }
+    if (config.refundPolicy) {
+      await crowdsale.setRefundPolicy(REFUND_POLICIES[config.refundPolicy]);
+    }
+
+    if (config.kycTierCaps) {
+      for (let tier = 0; tier < config.kycTierCaps.length; tier++) {
+        await crowdsale.setKycTierCap(tier, ether(config.kycTierCaps[tier]));
+      }
+    }
+    for (let i = 0; i < config.reserves.length; i++) {
+      if (hasVestingSchedule(config.reserves[i])) {
+        await crowdsale.setVestingSchedule(...vestingArguments(i, config.reserves[i]));
+      }
+    }
+    if (config.kycApprover) {
+      await crowdsale.setKycApprover(config.kycApprover);
+    }
+    if (config.referralBonus) {
+      await crowdsale.setReferralBonus(config.referralBonus);
+    }
+    if (config.volumeBonuses) {
+      await crowdsale.setVolumeBonuses(...volumeBonusArguments(config.volumeBonuses, ether));
+    }
+
+    if (config.stablecoin) {
+      let stablecoinAddress = config.stablecoin.address;
+      if (stablecoinAddress === 'mock') {
+        const stablecoinArgs = ['Mock USD', 'MUSD', config.stablecoin.decimals];
+        await deployer.deploy(StablecoinMock, ...stablecoinArgs);
+        stablecoinAddress = (await StablecoinMock.deployed()).address;
+        manifestEntries.stablecoin = { contract: StablecoinMock, args: stablecoinArgs };
+      }
+      await deployer.deploy(StablecoinRefundVault, wallet, stablecoinAddress);
+      manifestEntries.stablecoinVault = { contract: StablecoinRefundVault, args: [wallet, stablecoinAddress] };
+      const vault = await StablecoinRefundVault.deployed();
+      await vault.transferOwnership(crowdsale.address);
+      await crowdsale.setStablecoin(vault.address, config.stablecoin.decimals, ether(config.stablecoin.rate));
+    }
+
+    const file = writeManifest(await buildManifest(web3, network, manifestEntries));
+    console.log(`  Deployment manifest written to ${path.relative(process.cwd(), file)}`);
 
-module.exports = async function(deployer, network, accounts) {
-  const _name = "Dapp Token";
-  const _symbol = "DAPP";
-  const _decimals = 18;
-
-  await deployer.deploy(DappToken, _name, _symbol, _decimals);
-  const deployedToken = await DappToken.deployed();
-
-  const latestTime = (new Date).getTime();
-
-  const _rate           = 500;
-  const _wallet         = accounts[0]; // TODO: Replace me
-  const _token          = deployedToken.address;
-  const _openingTime    = latestTime + duration.minutes(1);
-  const _closingTime    = _openingTime + duration.weeks(1);
-  const _cap            = ether(100);
-  const _goal           = ether(50);
-  const _foundersFund   = accounts[0]; // TODO: Replace me
-  const _foundationFund = accounts[0]; // TODO: Replace me
-  const _partnersFund   = accounts[0]; // TODO: Replace me
-  const _releaseTime    = _closingTime + duration.days(1);
-
-  await deployer.deploy(
-    DappTokenCrowdsale,
-    _rate,
-    _wallet,
-    _token,
-    _cap,
-    _openingTime,
-    _closingTime,
-    _goal,
-    _foundersFund,
-    _foundationFund,
-    _partnersFund,
-    _releaseTime
-  );
-
-  return true;
+    return true;
+  });
 };
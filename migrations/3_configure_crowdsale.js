@@ -0,0 +1,45 @@
+const path = require("path");
+const DappToken = artifacts.require("./DappToken.sol");
+const DappTokenCrowdsale = artifacts.require("./DappTokenCrowdsale.sol");
+const MultiSigWallet = artifacts.require("./MultiSigWallet.sol");
+const { loadSaleConfig } = require("../lib/saleConfig");
+const { handOffToken, assertHandoff, handOffCrowdsale } = require("../lib/deployment");
+const { loadWhitelistEntries, bootstrapWhitelist, bootstrapKycTiers } = require("../lib/whitelist");
+
+module.exports = function(deployer, network, accounts) {
+  deployer.then(async () => {
+    const latestBlock = web3.eth.getBlock('latest');
+    const config = loadSaleConfig(network, { accounts, now: latestBlock.timestamp });
+
+    const token = await DappToken.deployed();
+    const crowdsale = await DappTokenCrowdsale.deployed();
+    const owner = accounts[0];
+
+    await handOffToken(token, crowdsale, owner);
+    await assertHandoff(token, crowdsale);
+
+    if (config.whitelist) {
+      const entries = loadWhitelistEntries(path.resolve(__dirname, '..', config.whitelist));
+      const options = {
+        from: owner,
+        gasLimit: latestBlock.gasLimit,
+        batchSize: config.whitelistBatchSize,
+        log: (message) => console.log('  ' + message),
+      };
+      const { added, skipped } = await bootstrapWhitelist(crowdsale, entries.map(entry => entry.address), options);
+      console.log(`  Whitelisted ${added.length} addresses, ${skipped.length} already whitelisted`);
+
+      const { assigned, unchanged } = await bootstrapKycTiers(crowdsale, entries, options);
+      console.log(`  Set KYC tiers of ${assigned.length} addresses, ${unchanged.length} unchanged`);
+    }
+
+    // Last, since every step above needs the deployer to own the crowdsale
+    if (config.multisig) {
+      const multisig = await MultiSigWallet.deployed();
+      await handOffCrowdsale(crowdsale, multisig, owner);
+      console.log(`  Crowdsale owned by the ${config.multisig.required}-of-${config.multisig.owners.length} multisig at ${multisig.address}`);
+    }
+
+    return true;
+  });
+};
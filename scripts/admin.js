@@ -0,0 +1,49 @@
+// Operates a deployed DappTokenCrowdsale.
+// Run with: truffle exec scripts/admin.js <command> [args] [--network <name>]
+const path = require('path');
+const { parseArgs, runCommand } = require('../lib/admin');
+const { getAccounts, sameAddress } = require('../lib/chain');
+
+const DappToken = artifacts.require('./DappToken.sol');
+const DappTokenCrowdsale = artifacts.require('./DappTokenCrowdsale.sol');
+const RefundVault = artifacts.require('./RefundVault.sol');
+const DappTokenVesting = artifacts.require('./DappTokenVesting.sol');
+const StablecoinRefundVault = artifacts.require('./StablecoinRefundVault.sol');
+const DetailedERC20 = artifacts.require('DetailedERC20');
+const MultiSigWallet = artifacts.require('./MultiSigWallet.sol');
+
+module.exports = async function(callback) {
+  try {
+    const argv = process.argv.slice(process.argv.findIndex(arg => path.resolve(arg) === __filename) + 1);
+    const { args, options } = parseArgs(argv);
+
+    const crowdsale = options.crowdsale
+      ? DappTokenCrowdsale.at(options.crowdsale)
+      : await DappTokenCrowdsale.deployed();
+    const token = DappToken.at(await crowdsale.token());
+    // The migrated multisig, once the crowdsale has been handed to it
+    const multisig = options.multisig
+      ? MultiSigWallet.at(options.multisig)
+      : MultiSigWallet.isDeployed() && sameAddress(await crowdsale.owner(), MultiSigWallet.address)
+        ? MultiSigWallet.at(MultiSigWallet.address)
+        : undefined;
+
+    await runCommand({
+      crowdsale,
+      token,
+      RefundVault,
+      DappTokenVesting,
+      StablecoinRefundVault,
+      DetailedERC20,
+      multisig,
+      web3,
+      from: options.from || (await getAccounts(web3))[0],
+      dryRun: options.dryRun,
+      log: console.log,
+    }, args, options);
+
+    callback();
+  } catch (error) {
+    callback(error);
+  }
+};
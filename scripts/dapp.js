@@ -0,0 +1,14 @@
+// Serves the investor purchase page, see lib/dappServer.js.
+// Run with: node scripts/dapp.js [--crowdsale <address>] [--rpc <url>] [--port <port>] [--host <host>]
+const { parseArgs } = require('../lib/admin');
+const { createDappServer } = require('../lib/dappServer');
+
+const { options } = parseArgs(process.argv.slice(2));
+
+const server = createDappServer({
+  crowdsale: options.crowdsale,
+  rpcUrl: options.rpc,
+});
+const port = options.port ? parseInt(options.port, 10) : 3000;
+const host = options.host || '127.0.0.1';
+server.listen(port, host, () => console.log(`Purchase page on http://${host}:${port}`));
@@ -0,0 +1,44 @@
+// Indexes the sale's events into a JSON store and exports per-investor CSV reports.
+// Run with: truffle exec scripts/index-events.js [--store <file>] [--from-block <n>]
+//   [--confirmations <n>] [--export <directory>] [--crowdsale <address>] [--network <name>]
+const path = require('path');
+const { parseArgs } = require('../lib/admin');
+const { loadStore, saveStore, indexEvents, exportInvestorReports } = require('../lib/indexer');
+
+const DappToken = artifacts.require('./DappToken.sol');
+const DappTokenCrowdsale = artifacts.require('./DappTokenCrowdsale.sol');
+const RefundVault = artifacts.require('./RefundVault.sol');
+
+module.exports = async function(callback) {
+  try {
+    const argv = process.argv.slice(process.argv.findIndex(arg => path.resolve(arg) === __filename) + 1);
+    const { options } = parseArgs(argv);
+
+    const crowdsale = options.crowdsale
+      ? DappTokenCrowdsale.at(options.crowdsale)
+      : await DappTokenCrowdsale.deployed();
+    const token = DappToken.at(await crowdsale.token());
+    const vault = RefundVault.at(await crowdsale.vault());
+
+    const file = path.resolve(options.store || 'events.json');
+    const store = loadStore(file, parseInt(options.fromBlock || '0', 10));
+    const result = await indexEvents({ web3, crowdsale, token, vault }, store, {
+      confirmations: parseInt(options.confirmations || '0', 10),
+    });
+    saveStore(file, store);
+
+    if (result.rolledBackTo !== null) {
+      console.log(`Chain reorganization: rolled back to block ${result.rolledBackTo}`);
+    }
+    console.log(`Indexed ${result.added} events from blocks ${result.fromBlock}-${result.toBlock} into ${file}`);
+
+    if (options.export) {
+      const files = exportInvestorReports(store, path.resolve(options.export));
+      console.log(`Wrote ${files.length} investor reports to ${options.export}`);
+    }
+
+    callback();
+  } catch (error) {
+    callback(error);
+  }
+};
@@ -0,0 +1,35 @@
+// Serves signed KYC approvals to the KYC backend, see lib/kycSigner.js. The
+// signer has no authentication, so --host must be a loopback address.
+// Run with: KYC_APPROVER_KEY=<private key> node scripts/kyc-signer.js --crowdsale <address>
+//   [--port <port>] [--host <host>] [--ttl <seconds>]
+require('dotenv').config();
+const { parseArgs } = require('../lib/admin');
+const { createSignerServer, isLoopbackHost } = require('../lib/kycSigner');
+
+const { options } = parseArgs(process.argv.slice(2));
+
+try {
+  if (!process.env.KYC_APPROVER_KEY) {
+    throw new Error('Set KYC_APPROVER_KEY to the approver private key');
+  }
+  if (!options.crowdsale) {
+    throw new Error('No --crowdsale address given');
+  }
+
+  const host = options.host || '127.0.0.1';
+  if (!isLoopbackHost(host)) {
+    throw new Error(`Refusing to listen on ${host}: the signer has no authentication, use a loopback address`);
+  }
+
+  const server = createSignerServer({
+    privateKey: process.env.KYC_APPROVER_KEY,
+    crowdsale: options.crowdsale,
+    ttl: options.ttl ? parseInt(options.ttl, 10) : undefined,
+    log: console.log,
+  });
+  const port = options.port ? parseInt(options.port, 10) : 8546;
+  server.listen(port, host, () => console.log(`KYC signer listening on http://${host}:${port}`));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
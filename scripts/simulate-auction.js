@@ -0,0 +1,48 @@
+// Replays bids against a DappTokenAuction offline and prints the allocation.
+// Run with: truffle exec scripts/simulate-auction.js <bids.json> [--json]
+// The file holds `auction`, with amounts in ether or whole tokens, rates in
+// whole tokens per ether and the duration in seconds, and `bids`, each as
+// `{ bidder, at, amount }` with `at` in seconds after the opening, in the
+// order they are mined. See config/auction/example.json.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('../lib/admin');
+const { simulateAuction, formatAllocation } = require('../lib/auction');
+
+const BigNumber = web3.BigNumber;
+
+module.exports = async function(callback) {
+  try {
+    const argv = process.argv.slice(process.argv.findIndex(arg => path.resolve(arg) === __filename) + 1);
+    const { args, options } = parseArgs(argv);
+    if (args.length !== 1) {
+      throw new Error('Usage: truffle exec scripts/simulate-auction.js <bids.json> [--json]');
+    }
+
+    const input = JSON.parse(fs.readFileSync(path.resolve(args[0]), 'utf8'));
+    const settings = input.auction;
+    const ether = amount => new BigNumber(web3.toWei(String(amount), 'ether'));
+    const tokens = amount => new BigNumber(String(amount)).times(new BigNumber(10).pow(settings.decimals));
+
+    const auction = {
+      startRate: new BigNumber(settings.startRate),
+      floorRate: new BigNumber(settings.floorRate),
+      openingTime: 0,
+      closingTime: settings.duration,
+      tokensOffered: tokens(settings.tokensOffered),
+      goal: ether(settings.goal),
+      investorMinCap: ether(settings.investorMinCap),
+      investorCap: ether(settings.investorCap),
+      tokenSaleShare: settings.tokenSaleShare,
+      reserves: settings.reserves,
+    };
+    const bids = input.bids.map(bid => ({ bidder: bid.bidder, time: bid.at, amount: ether(bid.amount) }));
+
+    const result = simulateAuction(auction, bids);
+    console.log(options.json ? JSON.stringify(result, null, 2) : formatAllocation(result, settings.decimals));
+
+    callback();
+  } catch (error) {
+    callback(error);
+  }
+};
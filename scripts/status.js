@@ -0,0 +1,39 @@
+// Prints a snapshot of a deployed sale, for people or dashboards.
+// Run with: truffle exec scripts/status.js [--json] [--crowdsale <address>] [--network <name>]
+const path = require('path');
+const { parseArgs } = require('../lib/admin');
+const { collectStatus, formatStatus } = require('../lib/status');
+
+const DappToken = artifacts.require('./DappToken.sol');
+const DappTokenCrowdsale = artifacts.require('./DappTokenCrowdsale.sol');
+const RefundVault = artifacts.require('./RefundVault.sol');
+const DappTokenVesting = artifacts.require('./DappTokenVesting.sol');
+const StablecoinRefundVault = artifacts.require('./StablecoinRefundVault.sol');
+const DetailedERC20 = artifacts.require('DetailedERC20');
+
+module.exports = async function(callback) {
+  try {
+    const argv = process.argv.slice(process.argv.findIndex(arg => path.resolve(arg) === __filename) + 1);
+    const { options } = parseArgs(argv);
+
+    const crowdsale = options.crowdsale
+      ? DappTokenCrowdsale.at(options.crowdsale)
+      : await DappTokenCrowdsale.deployed();
+    const token = DappToken.at(await crowdsale.token());
+
+    const status = await collectStatus({
+      crowdsale,
+      token,
+      RefundVault,
+      DappTokenVesting,
+      StablecoinRefundVault,
+      DetailedERC20,
+      web3,
+    });
+    console.log(options.json ? JSON.stringify(status, null, 2) : formatStatus(status));
+
+    callback();
+  } catch (error) {
+    callback(error);
+  }
+};
@@ -0,0 +1,37 @@
+// Checks a deployed sale against the manifest its migration wrote: runtime
+// bytecode against build/contracts and constructor arguments against what
+// the contracts read back. Run it before the sale opens. Truffle takes
+// --network anywhere on the command line, so it is read from the whole argv,
+// and the manifest's network id is checked against the connected chain.
+// Run with: truffle exec scripts/verify-deployment.js [--manifest-version <n>] [--json] [--network <name>]
+const { parseArgs } = require('../lib/admin');
+const { loadManifest, verifyDeployment, formatVerification } = require('../lib/manifest');
+
+const contracts = {
+  DappToken: artifacts.require('./DappToken.sol'),
+  DappTokenCrowdsale: artifacts.require('./DappTokenCrowdsale.sol'),
+  SaleReserves: artifacts.require('./SaleReserves.sol'),
+  SaleBonuses: artifacts.require('./SaleBonuses.sol'),
+  SaleRefunds: artifacts.require('./SaleRefunds.sol'),
+  SaleTiers: artifacts.require('./SaleTiers.sol'),
+  SaleApprovals: artifacts.require('./SaleApprovals.sol'),
+  RefundVault: artifacts.require('./RefundVault.sol'),
+  DappTokenVesting: artifacts.require('./DappTokenVesting.sol'),
+  StablecoinMock: artifacts.require('./StablecoinMock.sol'),
+  StablecoinRefundVault: artifacts.require('./StablecoinRefundVault.sol'),
+  MultiSigWallet: artifacts.require('./MultiSigWallet.sol'),
+};
+
+module.exports = async function(callback) {
+  try {
+    const { options } = parseArgs(process.argv.slice(2));
+
+    const manifest = loadManifest(options.network || 'development', options.manifestVersion);
+    const report = await verifyDeployment({ web3, contracts }, manifest);
+    console.log(options.json ? JSON.stringify(report, null, 2) : formatVerification(report));
+
+    callback(report.drift.length > 0 ? new Error('The deployment does not match its manifest') : undefined);
+  } catch (error) {
+    callback(error);
+  }
+};
@@ -1,18 +1,24 @@
+import ether from './helpers/ether';
+import EVMRevert from './helpers/EVMRevert';
+
 const BigNumber = web3.BigNumber;
 
 const DappToken = artifacts.require('DappToken');
 
 require('chai')
+  .use(require('chai-as-promised'))
   .use(require('chai-bignumber')(BigNumber))
   .should();
 
 contract('DappToken', accounts => {
+  const [, holder1, holder2, spender] = accounts;
   const _name = 'Dapp Token';
   const _symbol = 'DAPP';
   const _decimals = 18;
+  const _cap = ether(1000);
 
   beforeEach(async function () {
-    this.token = await DappToken.new(_name, _symbol, _decimals);
+    this.token = await DappToken.new(_name, _symbol, _decimals, _cap);
   });
 
   describe('token attributes', function() {
@@ -30,5 +36,120 @@ contract('DappToken', accounts => {
       const decimals = await this.token.decimals();
       decimals.should.be.bignumber.equal(_decimals);
     });
+
+    it('has the correct cap', async function() {
+      const cap = await this.token.cap();
+      cap.should.be.bignumber.equal(_cap);
+    });
+  });
+
+  describe('supply cap', function() {
+    it('requires a cap', async function () {
+      await DappToken.new(_name, _symbol, _decimals, 0).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('mints up to the cap and no further', async function () {
+      await this.token.mint(holder1, ether(999));
+      await this.token.mint(holder1, ether(2)).should.be.rejectedWith(EVMRevert);
+      await this.token.mint(holder1, ether(1)).should.be.fulfilled;
+      (await this.token.totalSupply()).should.be.bignumber.equal(_cap);
+    });
+  });
+
+  describe('burning', function() {
+    beforeEach(async function () {
+      await this.token.mint(holder1, ether(100));
+    });
+
+    it('lets holders burn their tokens', async function () {
+      const { logs } = await this.token.burn(ether(40), { from: holder1 });
+      logs[0].event.should.equal('Burn');
+      (await this.token.balanceOf(holder1)).should.be.bignumber.equal(ether(60));
+      (await this.token.totalSupply()).should.be.bignumber.equal(ether(60));
+
+      await this.token.burn(ether(61), { from: holder1 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('burns within an allowance', async function () {
+      await this.token.approve(spender, ether(10), { from: holder1 });
+      await this.token.burnFrom(holder1, ether(11), { from: spender }).should.be.rejectedWith(EVMRevert);
+      await this.token.burnFrom(holder1, ether(10), { from: spender });
+      (await this.token.balanceOf(holder1)).should.be.bignumber.equal(ether(90));
+      (await this.token.allowance(holder1, spender)).should.be.bignumber.equal(0);
+    });
+
+    it('does not burn while paused', async function () {
+      await this.token.pause();
+      await this.token.burn(1, { from: holder1 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('frees room under the cap for what was burnt', async function () {
+      await this.token.burn(ether(100), { from: holder1 });
+      await this.token.mint(holder2, _cap).should.be.fulfilled;
+      await this.token.mint(holder2, 1).should.be.rejectedWith(EVMRevert);
+    });
+  });
+
+  describe('snapshots', function() {
+    beforeEach(async function () {
+      await this.token.mint(holder1, ether(100));
+    });
+
+    it('only lets the owner take snapshots', async function () {
+      await this.token.snapshot({ from: holder1 }).should.be.rejectedWith(EVMRevert);
+      const { logs } = await this.token.snapshot();
+      logs[0].event.should.equal('Snapshot');
+      logs[0].args.id.should.be.bignumber.equal(1);
+      (await this.token.currentSnapshotId()).should.be.bignumber.equal(1);
+    });
+
+    it('rejects snapshot ids that were not taken', async function () {
+      await this.token.balanceOfAt(holder1, 1).should.be.rejectedWith(EVMRevert);
+      await this.token.snapshot();
+      await this.token.totalSupplyAt(0).should.be.rejectedWith(EVMRevert);
+      await this.token.totalSupplyAt(2).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('keeps balances and supply as they were at each snapshot', async function () {
+      await this.token.snapshot();
+      await this.token.transfer(holder2, ether(30), { from: holder1 });
+      await this.token.snapshot();
+      await this.token.mint(holder2, ether(50));
+      await this.token.burn(ether(10), { from: holder1 });
+      await this.token.snapshot();
+
+      (await this.token.balanceOfAt(holder1, 1)).should.be.bignumber.equal(ether(100));
+      (await this.token.balanceOfAt(holder2, 1)).should.be.bignumber.equal(0);
+      (await this.token.totalSupplyAt(1)).should.be.bignumber.equal(ether(100));
+
+      (await this.token.balanceOfAt(holder1, 2)).should.be.bignumber.equal(ether(70));
+      (await this.token.balanceOfAt(holder2, 2)).should.be.bignumber.equal(ether(30));
+      (await this.token.totalSupplyAt(2)).should.be.bignumber.equal(ether(100));
+
+      // Nothing changed since the last snapshot, so it reads current values
+      (await this.token.balanceOfAt(holder1, 3)).should.be.bignumber.equal(ether(60));
+      (await this.token.balanceOfAt(holder2, 3)).should.be.bignumber.equal(ether(80));
+      (await this.token.totalSupplyAt(3)).should.be.bignumber.equal(ether(140));
+    });
+
+    it('tracks transfers on behalf of holders', async function () {
+      await this.token.approve(spender, ether(20), { from: holder1 });
+      await this.token.snapshot();
+      await this.token.transferFrom(holder1, holder2, ether(20), { from: spender });
+
+      (await this.token.balanceOfAt(holder1, 1)).should.be.bignumber.equal(ether(100));
+      (await this.token.balanceOfAt(holder2, 1)).should.be.bignumber.equal(0);
+      (await this.token.balanceOf(holder2)).should.be.bignumber.equal(ether(20));
+    });
+
+    it('records only the first change after a snapshot', async function () {
+      await this.token.snapshot();
+      await this.token.transfer(holder2, ether(10), { from: holder1 });
+      await this.token.transfer(holder2, ether(10), { from: holder1 });
+      await this.token.transfer(holder1, ether(5), { from: holder2 });
+
+      (await this.token.balanceOfAt(holder1, 1)).should.be.bignumber.equal(ether(100));
+      (await this.token.balanceOfAt(holder2, 1)).should.be.bignumber.equal(0);
+    });
   });
 });
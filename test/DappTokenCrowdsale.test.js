@@ -2,6 +2,10 @@ import ether from './helpers/ether';
 import EVMRevert from './helpers/EVMRevert';
 import { increaseTimeTo, duration } from './helpers/increaseTime';
 import latestTime from './helpers/latestTime';
+import saleFixtures from './helpers/fixtures';
+
+const crypto = require('crypto');
+const { approverAddress, signApproval, approvalHash, approvalArguments } = require('../lib/kycApproval');
 
 const BigNumber = web3.BigNumber;
 
@@ -10,88 +14,43 @@ require('chai')
   .use(require('chai-bignumber')(BigNumber))
   .should();
 
-const DappToken = artifacts.require('DappToken');
 const DappTokenCrowdsale = artifacts.require('DappTokenCrowdsale');
-const RefundVault = artifacts.require('./RefundVault');
-const TokenTimelock = artifacts.require('./TokenTimelock');
+const DappTokenVesting = artifacts.require('./DappTokenVesting');
 
-contract('DappTokenCrowdsale', function([_, wallet, investor1, investor2, foundersFund, foundationFund, partnersFund]) {
+contract('DappTokenCrowdsale', function([_, wallet, investor1, investor2, foundersFund, foundationFund, partnersFund, investor3]) {
 
   before(async function() {
     // Transfer extra ether to investor1's account for testing
     await web3.eth.sendTransaction({ from: _, to: investor1, value: ether(25) })
   });
 
+  const fixtures = saleFixtures({
+    owner: _,
+    wallet,
+    investors: [investor1, investor2],
+    funds: [foundersFund, foundationFund, partnersFund],
+  });
+
   beforeEach(async function () {
-    // Token config
-    this.name = "DappToken";
-    this.symbol = "DAPP";
-    this.decimals = 18;
-
-    // Deploy Token
-    this.token = await DappToken.new(
-      this.name,
-      this.symbol,
-      this.decimals
-    );
-
-    // Crowdsale config
-    this.rate = 500;
-    this.wallet = wallet;
-    this.cap = ether(100);
-    this.openingTime = latestTime() + duration.weeks(1);
-    this.closingTime = this.openingTime + duration.weeks(1);
-    this.goal = ether(50);
-    this.foundersFund = foundersFund;
-    this.foundationFund = foundationFund;
-    this.partnersFund = partnersFund;
-    this.releaseTime  = this.closingTime + duration.years(1);
+    // Deployed, whitelisted and open, in the PreICO tier
+    Object.assign(this, await fixtures.load('sale open'));
 
     // Investor caps
     this.investorMinCap = ether(0.002);
     this.inestorHardCap = ether(50);
 
-    // ICO Stages
-    this.preIcoStage = 0;
-    this.preIcoRate = 500;
-    this.icoStage = 1;
-    this.icoRate = 250;
+    // Pricing tiers: PreICO until two days in or 25 ether raised, then ICO
+    this.preIcoTier = 0;
+    this.icoTier = 1;
+
+    // Refund policies
+    this.allRefundable = 0;
+    this.excludeNonRefundable = 1;
 
     // Token Distribution
-    this.tokenSalePercentage  = 70;
     this.foundersPercentage   = 10;
     this.foundationPercentage = 10;
     this.partnersPercentage   = 10;
-
-    this.crowdsale = await DappTokenCrowdsale.new(
-      this.rate,
-      this.wallet,
-      this.token.address,
-      this.cap,
-      this.openingTime,
-      this.closingTime,
-      this.goal,
-      this.foundersFund,
-      this.foundationFund,
-      this.partnersFund,
-      this.releaseTime
-    );
-
-    // Pause Token
-    await this.token.pause();
-
-    // Transfer token ownership to crowdsale
-    await this.token.transferOwnership(this.crowdsale.address);
-
-    // Add investors to whitelist
-    await this.crowdsale.addManyToWhitelist([investor1, investor2]);
-
-    // Track refund vault
-    this.vaultAddress = await this.crowdsale.vault();
-    this.vault = RefundVault.at(this.vaultAddress);
-
-    // Advance time to crowdsale start
-    await increaseTimeTo(this.openingTime + 1);
   });
 
   describe('crowdsale', function() {
@@ -139,6 +98,16 @@ contract('DappTokenCrowdsale', function([_, wallet, investor1, investor2, founde
       const notWhitelisted = _;
       await this.crowdsale.buyTokens(notWhitelisted, { value: ether(1), from: notWhitelisted }).should.be.rejectedWith(EVMRevert);
     });
+
+    it('logs whitelist changes', async function() {
+      const { logs: added } = await this.crowdsale.addToWhitelist(_);
+      added[0].event.should.equal('WhitelistedAddressAdded');
+      added[0].args.beneficiary.should.equal(_);
+
+      const { logs: removed } = await this.crowdsale.removeFromWhitelist(_);
+      removed[0].event.should.equal('WhitelistedAddressRemoved');
+      removed[0].args.beneficiary.should.equal(_);
+    });
   });
 
   describe('refundable crowdsale', function() {
@@ -152,53 +121,324 @@ contract('DappTokenCrowdsale', function([_, wallet, investor1, investor2, founde
       });
     });
 
-    describe('when the corwdsale stage is PreICO', function() {
+    describe('when the crowdsale is in the PreICO tier', function() {
       beforeEach(async function () {
-        // Crowdsale stage is already PreICO by default
+        // Crowdsale starts in the PreICO tier
+        this.walletBalance = await web3.eth.getBalance(this.wallet);
         await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
       });
 
       it('forwards funds to the wallet', async function () {
         const balance = await web3.eth.getBalance(this.wallet);
-        expect(balance.toNumber()).to.be.above(ether(100));
+        balance.should.be.bignumber.equal(this.walletBalance.plus(ether(1)));
       });
     });
 
-    describe('when the crowdsale stage is ICO', function() {
+    describe('when the crowdsale is in the ICO tier', function() {
       beforeEach(async function () {
-        await this.crowdsale.setCrowdsaleStage(this.icoStage, { from: _ });
+        await increaseTimeTo(this.icoStartTime);
         await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
       });
 
       it('forwards funds to the refund vault', async function () {
         const balance = await web3.eth.getBalance(this.vaultAddress);
-        expect(balance.toNumber()).to.be.above(0);
+        balance.should.be.bignumber.equal(ether(1));
       });
     });
   });
 
-  describe('crowdsale stages', function() {
+  describe('pricing tiers', function() {
 
-    it('it starts in PreICO', async function () {
-      const stage = await this.crowdsale.stage();
-      stage.should.be.bignumber.equal(this.preIcoStage);
+    it('starts in the PreICO tier', async function () {
+      const tier = await this.crowdsale.currentTier();
+      tier.should.be.bignumber.equal(this.preIcoTier);
     });
 
     it('starts at the preICO rate', async function () {
-      const rate = await this.crowdsale.rate();
+      const rate = await this.crowdsale.currentRate();
       rate.should.be.bignumber.equal(this.preIcoRate);
     });
 
-    it('allows admin to update the stage & rate', async function() {
-      await this.crowdsale.setCrowdsaleStage(this.icoStage, { from: _ });
-      const stage = await this.crowdsale.stage();
-      stage.should.be.bignumber.equal(this.icoStage);
-      const rate = await this.crowdsale.rate();
+    it('tracks the tier schedule', async function () {
+      const tierCount = await this.crowdsale.tierCount();
+      tierCount.should.be.bignumber.equal(2);
+      const [rate, startTime, weiThreshold, refundable] = await this.crowdsale.tiers(this.icoTier);
+      rate.should.be.bignumber.equal(this.icoRate);
+      startTime.should.be.bignumber.equal(this.icoStartTime);
+      weiThreshold.should.be.bignumber.equal(this.icoThreshold);
+      refundable.should.be.true;
+    });
+
+    it('moves to the ICO tier at its start time', async function () {
+      await increaseTimeTo(this.icoStartTime);
+      const tier = await this.crowdsale.currentTier();
+      tier.should.be.bignumber.equal(this.icoTier);
+      const rate = await this.crowdsale.currentRate();
       rate.should.be.bignumber.equal(this.icoRate);
     });
 
-    it('prevents non-admin from updating the stage', async function () {
-      await this.crowdsale.setCrowdsaleStage(this.icoStage, { from: investor1 }).should.be.rejectedWith(EVMRevert);
+    it('keeps the inherited rate at the opening rate', async function () {
+      await increaseTimeTo(this.icoStartTime);
+      const rate = await this.crowdsale.rate();
+      rate.should.be.bignumber.equal(this.preIcoRate);
+    });
+
+    it('prices a purchase right before the threshold at the PreICO rate', async function () {
+      await this.crowdsale.buyTokens(investor1, { value: ether(24), from: investor1 });
+      const balance = await this.token.balanceOf(investor1);
+      balance.should.be.bignumber.equal(ether(24).times(this.preIcoRate));
+      const tier = await this.crowdsale.currentTier();
+      tier.should.be.bignumber.equal(this.preIcoTier);
+    });
+
+    it('moves to the ICO tier once the threshold is reached', async function () {
+      await this.crowdsale.buyTokens(investor1, { value: ether(25), from: investor1 });
+      const tier = await this.crowdsale.currentTier();
+      tier.should.be.bignumber.equal(this.icoTier);
+
+      await this.crowdsale.buyTokens(investor2, { value: ether(1), from: investor2 });
+      const balance = await this.token.balanceOf(investor2);
+      balance.should.be.bignumber.equal(ether(1).times(this.icoRate));
+    });
+
+    describe('when a purchase crosses the threshold', function() {
+      beforeEach(async function () {
+        await this.crowdsale.buyTokens(investor1, { value: ether(20), from: investor1 });
+        this.walletBalance = await web3.eth.getBalance(this.wallet);
+        await this.crowdsale.buyTokens(investor2, { value: ether(10), from: investor2 });
+      });
+
+      it('prices each part at its own tier', async function () {
+        const balance = await this.token.balanceOf(investor2);
+        balance.should.be.bignumber.equal(ether(5).times(this.preIcoRate).plus(ether(5).times(this.icoRate)));
+      });
+
+      it('splits the funds between the wallet and the refund vault', async function () {
+        const walletBalance = await web3.eth.getBalance(this.wallet);
+        walletBalance.should.be.bignumber.equal(this.walletBalance.plus(ether(5)));
+        const vaultBalance = await web3.eth.getBalance(this.vaultAddress);
+        vaultBalance.should.be.bignumber.equal(ether(5));
+      });
+    });
+
+    it('prevents updating the tiers once the sale has opened', async function () {
+      await this.crowdsale.setTiers([this.preIcoRate], [0], [0], [true], { from: _ }).should.be.rejectedWith(EVMRevert);
+    });
+
+    describe('before the sale opens', function() {
+      beforeEach(async function () {
+        // Deployed with the single tier of the constructor rate
+        Object.assign(this, await fixtures.load('deployed'));
+      });
+
+      it('defaults to a single refundable tier at the constructor rate', async function () {
+        const tierCount = await this.crowdsale.tierCount();
+        tierCount.should.be.bignumber.equal(1);
+        const [rate, , , refundable] = await this.crowdsale.tiers(0);
+        rate.should.be.bignumber.equal(this.rate);
+        refundable.should.be.true;
+      });
+
+      it('logs each tier', async function () {
+        const { logs } = await this.crowdsale.setTiers([400, 200], [0, 0], [0, ether(10)], [true, true]);
+        logs.map(log => log.event).should.deep.equal(['TierAdded', 'TierAdded']);
+        logs[1].args.index.should.be.bignumber.equal(1);
+        logs[1].args.rate.should.be.bignumber.equal(200);
+        const rate = await this.crowdsale.rate();
+        rate.should.be.bignumber.equal(400);
+      });
+
+      it('prevents non-admin from updating the tiers', async function () {
+        await this.crowdsale.setTiers([400], [0], [0], [true], { from: investor1 }).should.be.rejectedWith(EVMRevert);
+      });
+
+      it('requires the first tier to start with the sale', async function () {
+        await this.crowdsale.setTiers([400], [this.openingTime + 1], [0], [true]).should.be.rejectedWith(EVMRevert);
+      });
+
+      it('requires later tiers to have a start time or threshold', async function () {
+        await this.crowdsale.setTiers([400, 200], [0, 0], [0, 0], [true, true]).should.be.rejectedWith(EVMRevert);
+      });
+
+      it('requires start times and thresholds to increase from tier to tier', async function () {
+        const later = this.openingTime + duration.days(2);
+        await this.crowdsale.setTiers([400, 300, 200], [0, later, later - 1], [0, 0, 0], [true, true, true])
+          .should.be.rejectedWith(EVMRevert);
+        await this.crowdsale.setTiers([400, 300, 200], [0, 0, later], [0, ether(10), ether(10)], [true, true, true])
+          .should.be.rejectedWith(EVMRevert);
+        // Unset values are skipped
+        await this.crowdsale.setTiers([400, 300, 200], [0, later, 0], [0, ether(10), ether(20)], [true, true, true]);
+      });
+
+      it('rejects tiers with mismatched lengths', async function () {
+        await this.crowdsale.setTiers([400, 200], [0], [0, ether(10)], [true, true]).should.be.rejectedWith(EVMRevert);
+      });
+    });
+  });
+
+  describe('refund policy', function() {
+    // Refund claimed by the vault for an investor, in wei
+    const refundOf = async function (vault, investor) {
+      const { logs } = await vault.refund(investor, { from: investor });
+      return logs.find(log => log.event === 'Refunded').args.weiAmount;
+    };
+
+    it('tracks the refund policy', async function () {
+      const refundPolicy = await this.crowdsale.refundPolicy();
+      refundPolicy.should.be.bignumber.equal(this.excludeNonRefundable);
+    });
+
+    it('prevents non-admin from setting the refund policy', async function () {
+      await this.crowdsale.setRefundPolicy(this.allRefundable, { from: investor1 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('prevents changing the refund policy once the sale has opened', async function () {
+      await this.crowdsale.setRefundPolicy(this.allRefundable, { from: _ }).should.be.rejectedWith(EVMRevert);
+    });
+
+    describe('when non-refundable tiers are excluded from the goal', function() {
+      beforeEach(async function () {
+        await this.crowdsale.addToWhitelist(investor3);
+        // PreICO only, crossing into ICO, then ICO only
+        await this.crowdsale.buyTokens(investor1, { value: ether(20), from: investor1 });
+        await this.crowdsale.buyTokens(investor2, { value: ether(10), from: investor2 });
+        await this.crowdsale.buyTokens(investor3, { value: ether(25), from: investor3 });
+      });
+
+      it('only counts refundable funds toward the goal', async function () {
+        const weiRaised = await this.crowdsale.weiRaised();
+        weiRaised.should.be.bignumber.equal(ether(55));
+        const refundableWeiRaised = await this.crowdsale.refundableWeiRaised();
+        refundableWeiRaised.should.be.bignumber.equal(ether(30));
+        const goalReached = await this.crowdsale.goalReached();
+        goalReached.should.be.false;
+      });
+
+      it('refunds every investor what reached the vault when the goal is missed', async function () {
+        await increaseTimeTo(this.closingTime + 1);
+        await this.crowdsale.finalize({ from: _ });
+
+        (await refundOf(this.vault, investor1)).should.be.bignumber.equal(0);
+        (await refundOf(this.vault, investor2)).should.be.bignumber.equal(ether(5));
+        (await refundOf(this.vault, investor3)).should.be.bignumber.equal(ether(25));
+
+        const vaultBalance = await web3.eth.getBalance(this.vaultAddress);
+        vaultBalance.should.be.bignumber.equal(0);
+      });
+    });
+
+    describe('when every tier is refundable', function() {
+      beforeEach(async function () {
+        // Tier flags are ignored under the default policy
+        Object.assign(this, await fixtures.load('sale open', { refundPolicy: this.allRefundable }));
+        await this.crowdsale.addToWhitelist(investor3);
+      });
+
+      it('defaults to refunding every tier', async function () {
+        const refundPolicy = await this.crowdsale.refundPolicy();
+        refundPolicy.should.be.bignumber.equal(this.allRefundable);
+      });
+
+      describe('after mixed purchases', function() {
+        beforeEach(async function () {
+          this.walletBalance = await web3.eth.getBalance(this.wallet);
+          // PreICO only, crossing into ICO, then ICO only
+          await this.crowdsale.buyTokens(investor1, { value: ether(20), from: investor1 });
+          await this.crowdsale.buyTokens(investor2, { value: ether(10), from: investor2 });
+          await this.crowdsale.buyTokens(investor3, { value: ether(10), from: investor3 });
+        });
+
+        it('sends every purchase to the refund vault', async function () {
+          const vaultBalance = await web3.eth.getBalance(this.vaultAddress);
+          vaultBalance.should.be.bignumber.equal(ether(40));
+          const walletBalance = await web3.eth.getBalance(this.wallet);
+          walletBalance.should.be.bignumber.equal(this.walletBalance);
+          const refundableWeiRaised = await this.crowdsale.refundableWeiRaised();
+          refundableWeiRaised.should.be.bignumber.equal(ether(40));
+        });
+
+        it('refunds every investor in full when the goal is missed', async function () {
+          await increaseTimeTo(this.closingTime + 1);
+          await this.crowdsale.finalize({ from: _ });
+
+          (await refundOf(this.vault, investor1)).should.be.bignumber.equal(ether(20));
+          (await refundOf(this.vault, investor2)).should.be.bignumber.equal(ether(10));
+          (await refundOf(this.vault, investor3)).should.be.bignumber.equal(ether(10));
+        });
+      });
+    });
+  });
+
+  describe('pausing', function() {
+    it('lets the owner pause and unpause purchases', async function () {
+      const { logs } = await this.crowdsale.pause({ from: _ });
+      logs[0].event.should.equal('Pause');
+      (await this.crowdsale.paused()).should.be.true;
+      await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 }).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.sendTransaction({ value: ether(1), from: investor1 }).should.be.rejectedWith(EVMRevert);
+
+      await this.crowdsale.unpause({ from: _ });
+      await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 }).should.be.fulfilled;
+    });
+
+    it('prevents non-admin from pausing', async function () {
+      await this.crowdsale.pause({ from: investor1 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('still finalizes and refunds while paused', async function () {
+      await this.crowdsale.buyTokens(investor2, { value: ether(30), from: investor2 });
+      await this.crowdsale.pause({ from: _ });
+      await increaseTimeTo(this.closingTime + 1);
+      await this.crowdsale.finalize({ from: _ });
+      await this.crowdsale.claimRefund({ from: investor2 }).should.be.fulfilled;
+    });
+  });
+
+  describe('extending the sale', function() {
+    it('pushes back the closing time and logs it', async function () {
+      const { logs } = await this.crowdsale.extendClosingTime(duration.days(3), { from: _ });
+      logs[0].event.should.equal('ClosingTimeExtended');
+      logs[0].args.previousClosingTime.should.be.bignumber.equal(this.closingTime);
+      logs[0].args.newClosingTime.should.be.bignumber.equal(this.closingTime + duration.days(3));
+      (await this.crowdsale.closingTimeExtension()).should.be.bignumber.equal(duration.days(3));
+
+      await increaseTimeTo(this.closingTime + duration.days(1));
+      (await this.crowdsale.hasClosed()).should.be.false;
+      await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 }).should.be.fulfilled;
+    });
+
+    it('limits the total extension', async function () {
+      await this.crowdsale.extendClosingTime(duration.days(20), { from: _ });
+      await this.crowdsale.extendClosingTime(duration.days(11), { from: _ }).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.extendClosingTime(duration.days(10), { from: _ }).should.be.fulfilled;
+    });
+
+    it('never extends the sale past the release time', async function () {
+      const closingTime = latestTime() + duration.days(1);
+      const crowdsale = await DappTokenCrowdsale.new(
+        this.rate,
+        this.wallet,
+        this.token.address,
+        this.cap,
+        latestTime() + 1,
+        closingTime,
+        this.goal,
+        this.tokenSaleShare,
+        this.reserveFunds,
+        this.reserveShares,
+        closingTime + duration.days(2)
+      );
+      await crowdsale.extendClosingTime(duration.days(2)).should.be.rejectedWith(EVMRevert);
+      await crowdsale.extendClosingTime(duration.days(2) - 1).should.be.fulfilled;
+    });
+
+    it('cannot extend a closed sale', async function () {
+      await increaseTimeTo(this.closingTime + 1);
+      await this.crowdsale.extendClosingTime(duration.days(1), { from: _ }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('prevents non-admin from extending the sale', async function () {
+      await this.crowdsale.extendClosingTime(duration.days(1), { from: investor1 }).should.be.rejectedWith(EVMRevert);
     });
   });
 
@@ -242,6 +482,151 @@ contract('DappTokenCrowdsale', function([_, wallet, investor1, investor2, founde
     });
   });
 
+  describe('KYC tiers', function() {
+    beforeEach(async function () {
+      // Tier 0 for basic KYC, tier 1 for accredited investors
+      this.basicCap = ether(5);
+      await this.crowdsale.setKycTierCap(0, this.basicCap, { from: _ });
+      await this.crowdsale.setKycTierCap(1, this.inestorHardCap, { from: _ });
+    });
+
+    it('caps investors at their tier', async function () {
+      (await this.crowdsale.kycTierCount()).should.be.bignumber.equal(2);
+      (await this.crowdsale.getUserCap(investor1)).should.be.bignumber.equal(this.basicCap);
+      await this.crowdsale.buyTokens(investor1, { value: ether(5), from: investor1 }).should.be.fulfilled;
+      await this.crowdsale.buyTokens(investor1, { value: 1, from: investor1 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('raises the cap of investors moved to a higher tier', async function () {
+      await this.crowdsale.buyTokens(investor1, { value: ether(5), from: investor1 });
+      const { logs } = await this.crowdsale.setKycTiers([investor1, investor2], [1, 0], { from: _ });
+
+      logs.map(log => log.event).should.deep.equal(['InvestorKycTierSet', 'InvestorKycTierSet']);
+      logs[0].args.investor.should.equal(investor1);
+      logs[0].args.tier.should.be.bignumber.equal(1);
+      logs[0].args.cap.should.be.bignumber.equal(this.inestorHardCap);
+      (await this.crowdsale.kycTiers(investor1)).should.be.bignumber.equal(1);
+      await this.crowdsale.buyTokens(investor1, { value: ether(10), from: investor1 }).should.be.fulfilled;
+    });
+
+    it('applies cap changes to every investor in the tier', async function () {
+      const { logs } = await this.crowdsale.setKycTierCap(0, ether(10), { from: _ });
+      logs[0].event.should.equal('KycTierCapSet');
+      logs[0].args.tier.should.be.bignumber.equal(0);
+      logs[0].args.cap.should.be.bignumber.equal(ether(10));
+      await this.crowdsale.buyTokens(investor2, { value: ether(10), from: investor2 }).should.be.fulfilled;
+    });
+
+    it('rejects unknown tiers', async function () {
+      await this.crowdsale.setKycTierCap(3, ether(10), { from: _ }).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.setKycTiers([investor1], [2], { from: _ }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('rejects caps below the minimum contribution', async function () {
+      await this.crowdsale.setKycTierCap(0, 1, { from: _ }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('rejects mismatched investor and tier lists', async function () {
+      await this.crowdsale.setKycTiers([investor1, investor2], [1], { from: _ }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('prevents non-admin from changing caps and tiers', async function () {
+      await this.crowdsale.setKycTierCap(0, ether(10), { from: investor1 }).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.setKycTiers([investor1], [1], { from: investor1 }).should.be.rejectedWith(EVMRevert);
+    });
+  });
+
+  describe('KYC approvals', function() {
+    beforeEach(async function () {
+      this.approverKey = crypto.randomBytes(32);
+      await this.crowdsale.setKycApprover(approverAddress(this.approverKey), { from: _ });
+
+      // investor3 is not whitelisted
+      this.approval = (fields, key) => signApproval(key || this.approverKey, Object.assign({
+        crowdsale: this.crowdsale.address,
+        beneficiary: investor3,
+        maxContribution: ether(10).toString(10),
+        expiry: latestTime() + duration.hours(1),
+      }, fields));
+      this.buyWithApproval = (approval, value) =>
+        this.crowdsale.buyTokensWithApproval(...approvalArguments(approval), { value: value, from: investor3 });
+    });
+
+    it('accepts purchases from investors with a valid approval', async function () {
+      const approval = this.approval();
+      const { logs } = await this.buyWithApproval(approval, ether(2));
+
+      const used = logs.find(log => log.event === 'KycApprovalUsed');
+      used.args.approvalHash.should.equal(approvalHash(approval));
+      used.args.beneficiary.should.equal(investor3);
+      (await this.crowdsale.getUserContribution(investor3)).should.be.bignumber.equal(ether(2));
+      (await this.token.balanceOf(investor3)).should.be.bignumber.equal(ether(2).mul(this.preIcoRate));
+      (await this.crowdsale.whitelist(investor3)).should.be.false;
+    });
+
+    it('matches the hash computed by the signing library', async function () {
+      const approval = this.approval();
+      (await this.crowdsale.approvalHash(investor3, approval.maxContribution, approval.expiry))
+        .should.equal(approvalHash(approval));
+    });
+
+    it('rejects expired approvals', async function () {
+      const approval = this.approval();
+      await increaseTimeTo(approval.expiry + 1);
+      await this.buyWithApproval(approval, ether(1)).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('rejects replayed approvals', async function () {
+      const approval = this.approval();
+      await this.buyWithApproval(approval, ether(1));
+      (await this.crowdsale.usedApprovals(approvalHash(approval))).should.be.true;
+      await this.buyWithApproval(approval, ether(1)).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('rejects approvals signed for another crowdsale', async function () {
+      const approval = this.approval({ crowdsale: this.token.address });
+      await this.buyWithApproval(approval, ether(1)).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('rejects approvals for another beneficiary', async function () {
+      const approval = Object.assign(this.approval(), { beneficiary: investor2 });
+      await this.buyWithApproval(approval, ether(1)).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('rejects approvals from the wrong signer', async function () {
+      const approval = this.approval({}, crypto.randomBytes(32));
+      await this.buyWithApproval(approval, ether(1)).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('rejects approvals once the approver is unset', async function () {
+      await this.crowdsale.setKycApprover(0, { from: _ });
+      await this.buyWithApproval(this.approval(), ether(1)).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('rejects purchases over the approved contribution', async function () {
+      await this.buyWithApproval(this.approval(), ether(11)).should.be.rejectedWith(EVMRevert);
+
+      // The cap covers earlier purchases too
+      await this.buyWithApproval(this.approval({ expiry: latestTime() + duration.hours(2) }), ether(6));
+      await this.buyWithApproval(this.approval(), ether(5)).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('still requires the whitelist for plain purchases', async function () {
+      await this.buyWithApproval(this.approval(), ether(1));
+      await this.crowdsale.buyTokens(investor3, { value: ether(1), from: investor3 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('logs approver changes', async function () {
+      const { logs } = await this.crowdsale.setKycApprover(investor1, { from: _ });
+      logs[0].event.should.equal('KycApproverSet');
+      logs[0].args.approver.should.equal(investor1);
+    });
+
+    it('prevents non-admin from setting the approver', async function () {
+      await this.crowdsale.setKycApprover(investor3, { from: investor3 }).should.be.rejectedWith(EVMRevert);
+    });
+  });
+
   describe('when the contribution is within the valid range', function () {
     const value = ether(2);
     it('succeeds & updates the contribution amount', async function () {
@@ -260,34 +645,51 @@ contract('DappTokenCrowdsale', function([_, wallet, investor1, investor2, founde
     });
   });
 
+  describe('token supply cap', function() {
+    beforeEach(async function () {
+      // Room for 1 ether at the PreICO rate with its reserves, 714.28 tokens
+      Object.assign(this, await fixtures.load('sale open', { tokenCap: ether(1000), tiered: false }));
+    });
+
+    it('tracks the supply after finalization', async function () {
+      await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
+      (await this.crowdsale.finalSupply()).should.be.bignumber.equal(ether(500).times(10000).dividedToIntegerBy(7000));
+    });
+
+    it('rejects purchases that leave no room for the reserves', async function () {
+      await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
+      await this.crowdsale.buyTokens(investor2, { value: ether(0.5), from: investor2 }).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.buyTokens(investor2, { value: ether(0.3), from: investor2 }).should.be.fulfilled;
+    });
+  });
+
   describe('finalizing the crowdsale', function() {
     describe('when the goal is not reached', function() {
       beforeEach(async function () {
-        // Do not meet the toal
-        await this.crowdsale.buyTokens(investor2, { value: ether(1), from: investor2 });
-        // Fastforward past end time
-        await increaseTimeTo(this.closingTime + 1);
-        // Finalize the crowdsale
-        await this.crowdsale.finalize({ from: _ });
+        // investor1 and investor2 put 2 and 1 ether into the ICO tier
+        Object.assign(this, await fixtures.load('refunding'));
       });
 
       it('allows the investor to claim refund', async function () {
         await this.vault.refund(investor2, { from: investor2 }).should.be.fulfilled;
       });
+
+      it('leaves the token paused and non-mintable, with no owner', async function () {
+        (await this.token.mintingFinished()).should.be.true;
+        (await this.token.paused()).should.be.true;
+        (await this.token.owner()).should.equal('0x0000000000000000000000000000000000000000');
+
+        await this.token.transfer(investor1, 1, { from: investor2 }).should.be.rejectedWith(EVMRevert);
+        await this.token.burn(1, { from: investor2 }).should.be.rejectedWith(EVMRevert);
+        await this.token.unpause({ from: wallet }).should.be.rejectedWith(EVMRevert);
+        await this.token.mint(wallet, 1, { from: wallet }).should.be.rejectedWith(EVMRevert);
+      });
     });
 
     describe('when the goal is reached', function() {
       beforeEach(async function () {
-        // track current wallet balance
-        this.walletBalance = await web3.eth.getBalance(wallet);
-
-        // Meet the goal
-        await this.crowdsale.buyTokens(investor1, { value: ether(26), from: investor1 });
-        await this.crowdsale.buyTokens(investor2, { value: ether(26), from: investor2 });
-        // Fastforward past end time
-        await increaseTimeTo(this.closingTime + 1);
-        // Finalize the crowdsale
-        await this.crowdsale.finalize({ from: _ });
+        // investor1 and investor2 met the goal with 26 ether each in the ICO tier
+        Object.assign(this, await fixtures.load('finalized'));
       });
 
       it('handles goal reached', async function () {
@@ -310,57 +712,57 @@ contract('DappTokenCrowdsale', function([_, wallet, investor1, investor2, founde
         totalSupply = totalSupply.toString();
 
         // Founders
-        const foundersTimelockAddress = await this.crowdsale.foundersTimelock();
-        let foundersTimelockBalance = await this.token.balanceOf(foundersTimelockAddress);
-        foundersTimelockBalance = foundersTimelockBalance.toString();
-        foundersTimelockBalance = foundersTimelockBalance / (10 ** this.decimals);
+        const [, , , , , , foundersVestingAddress] = await this.crowdsale.reserves(0);
+        let foundersVestingBalance = await this.token.balanceOf(foundersVestingAddress);
+        foundersVestingBalance = foundersVestingBalance.toString();
+        foundersVestingBalance = foundersVestingBalance / (10 ** this.decimals);
 
         let foundersAmount = totalSupply / this.foundersPercentage;
         foundersAmount = foundersAmount.toString();
         foundersAmount = foundersAmount / (10 ** this.decimals);
 
-        assert.equal(foundersTimelockBalance.toString(), foundersAmount.toString());
+        assert.equal(foundersVestingBalance.toString(), foundersAmount.toString());
 
         // Foundation
-        const foundationTimelockAddress = await this.crowdsale.foundationTimelock();
-        let foundationTimelockBalance = await this.token.balanceOf(foundationTimelockAddress);
-        foundationTimelockBalance = foundationTimelockBalance.toString();
-        foundationTimelockBalance = foundationTimelockBalance / (10 ** this.decimals);
+        const [, , , , , , foundationVestingAddress] = await this.crowdsale.reserves(1);
+        let foundationVestingBalance = await this.token.balanceOf(foundationVestingAddress);
+        foundationVestingBalance = foundationVestingBalance.toString();
+        foundationVestingBalance = foundationVestingBalance / (10 ** this.decimals);
 
         let foundationAmount = totalSupply / this.foundationPercentage;
         foundationAmount = foundationAmount.toString();
         foundationAmount = foundationAmount / (10 ** this.decimals);
 
-        assert.equal(foundationTimelockBalance.toString(), foundationAmount.toString());
+        assert.equal(foundationVestingBalance.toString(), foundationAmount.toString());
 
         // Partners
-        const partnersTimelockAddress = await this.crowdsale.partnersTimelock();
-        let partnersTimelockBalance = await this.token.balanceOf(partnersTimelockAddress);
-        partnersTimelockBalance = partnersTimelockBalance.toString();
-        partnersTimelockBalance = partnersTimelockBalance / (10 ** this.decimals);
+        const [, , , , , , partnersVestingAddress] = await this.crowdsale.reserves(2);
+        let partnersVestingBalance = await this.token.balanceOf(partnersVestingAddress);
+        partnersVestingBalance = partnersVestingBalance.toString();
+        partnersVestingBalance = partnersVestingBalance / (10 ** this.decimals);
 
         let partnersAmount = totalSupply / this.partnersPercentage;
         partnersAmount = partnersAmount.toString();
         partnersAmount = partnersAmount / (10 ** this.decimals);
 
-        assert.equal(partnersTimelockBalance.toString(), partnersAmount.toString());
+        assert.equal(partnersVestingBalance.toString(), partnersAmount.toString());
 
-        // Can't withdraw from timelocks
-        const foundersTimelock = await TokenTimelock.at(foundersTimelockAddress);
-        await foundersTimelock.release().should.be.rejectedWith(EVMRevert);
+        // Can't withdraw from vesting contracts
+        const foundersVesting = await DappTokenVesting.at(foundersVestingAddress);
+        await foundersVesting.release(this.token.address).should.be.rejectedWith(EVMRevert);
 
-        const foundationTimelock = await TokenTimelock.at(foundationTimelockAddress);
-        await foundationTimelock.release().should.be.rejectedWith(EVMRevert);
+        const foundationVesting = await DappTokenVesting.at(foundationVestingAddress);
+        await foundationVesting.release(this.token.address).should.be.rejectedWith(EVMRevert);
 
-        const partnersTimelock = await TokenTimelock.at(partnersTimelockAddress);
-        await partnersTimelock.release().should.be.rejectedWith(EVMRevert);
+        const partnersVesting = await DappTokenVesting.at(partnersVestingAddress);
+        await partnersVesting.release(this.token.address).should.be.rejectedWith(EVMRevert);
 
-        // Can withdraw from timelocks
+        // Can withdraw from vesting contracts
         await increaseTimeTo(this.releaseTime + 1);
 
-        await foundersTimelock.release().should.be.fulfilled;
-        await foundationTimelock.release().should.be.fulfilled;
-        await partnersTimelock.release().should.be.fulfilled;
+        await foundersVesting.release(this.token.address).should.be.fulfilled;
+        await foundationVesting.release(this.token.address).should.be.fulfilled;
+        await partnersVesting.release(this.token.address).should.be.fulfilled;
 
         // Funds now have balances
 
@@ -385,9 +787,10 @@ contract('DappTokenCrowdsale', function([_, wallet, investor1, investor2, founde
 
         assert.equal(partnersBalance.toString(), partnersAmount.toString());
 
-        // Transfers ownership to the wallet
+        // Transfers ownership to the wallet, which cannot mint any more
         const owner = await this.token.owner();
         owner.should.equal(this.wallet);
+        await this.token.mint(wallet, 1, { from: wallet }).should.be.rejectedWith(EVMRevert);
 
         // Prevents investor from claiming refund
         await this.vault.refund(investor1, { from: investor1 }).should.be.rejectedWith(EVMRevert);
@@ -398,24 +801,102 @@ contract('DappTokenCrowdsale', function([_, wallet, investor1, investor2, founde
 
   describe('token distribution', function() {
     it('tracks token distribution correctly', async function () {
-      const tokenSalePercentage = await this.crowdsale.tokenSalePercentage();
-      tokenSalePercentage.should.be.bignumber.eq(this.tokenSalePercentage, 'has correct tokenSalePercentage');
-      const foundersPercentage = await this.crowdsale.foundersPercentage();
-      foundersPercentage.should.be.bignumber.eq(this.foundersPercentage, 'has correct foundersPercentage');
-      const foundationPercentage = await this.crowdsale.foundationPercentage();
-      foundationPercentage.should.be.bignumber.eq(this.foundationPercentage, 'has correct foundationPercentage');
-      const partnersPercentage = await this.crowdsale.partnersPercentage();
-      partnersPercentage.should.be.bignumber.eq(this.partnersPercentage, 'has correct partnersPercentage');
+      const tokenSaleShare = await this.crowdsale.tokenSaleShare();
+      tokenSaleShare.should.be.bignumber.eq(this.tokenSaleShare, 'has correct tokenSaleShare');
+      const reserveCount = await this.crowdsale.reserveCount();
+      reserveCount.should.be.bignumber.eq(this.reserveFunds.length);
+
+      for (let i = 0; i < this.reserveFunds.length; i++) {
+        const [fund, share] = await this.crowdsale.reserves(i);
+        fund.should.equal(this.reserveFunds[i]);
+        share.should.be.bignumber.eq(this.reserveShares[i]);
+      }
     });
 
     it('is a valid percentage breakdown', async function () {
-      const tokenSalePercentage = await this.crowdsale.tokenSalePercentage();
-      const foundersPercentage = await this.crowdsale.foundersPercentage();
-      const foundationPercentage = await this.crowdsale.foundationPercentage();
-      const partnersPercentage = await this.crowdsale.partnersPercentage();
+      let total = (await this.crowdsale.tokenSaleShare()).toNumber();
+      const reserveCount = (await this.crowdsale.reserveCount()).toNumber();
+      for (let i = 0; i < reserveCount; i++) {
+        const [, share] = await this.crowdsale.reserves(i);
+        total += share.toNumber();
+      }
+      total.should.equal(10000);
+    });
 
-      const total = tokenSalePercentage.toNumber() + foundersPercentage.toNumber() + foundationPercentage.toNumber() + partnersPercentage.toNumber()
-      total.should.equal(100);
+    describe('when the table is invalid', function() {
+      const deploy = function (context, tokenSaleShare, funds, shares) {
+        return DappTokenCrowdsale.new(
+          context.rate,
+          context.wallet,
+          context.token.address,
+          context.cap,
+          latestTime() + duration.weeks(1),
+          latestTime() + duration.weeks(2),
+          context.goal,
+          tokenSaleShare,
+          funds,
+          shares,
+          latestTime() + duration.weeks(3)
+        );
+      };
+
+      it('rejects shares that do not add up to 100%', async function () {
+        await deploy(this, 7000, this.reserveFunds, [1000, 1000, 999]).should.be.rejectedWith(EVMRevert);
+        await deploy(this, 7000, this.reserveFunds, [1000, 1000, 1001]).should.be.rejectedWith(EVMRevert);
+      });
+
+      it('rejects empty shares and funds', async function () {
+        await deploy(this, 0, [foundersFund], [10000]).should.be.rejectedWith(EVMRevert);
+        await deploy(this, 7000, [foundersFund, foundationFund], [3000, 0]).should.be.rejectedWith(EVMRevert);
+        await deploy(this, 7000, [foundersFund, '0x0000000000000000000000000000000000000000'], [1500, 1500])
+          .should.be.rejectedWith(EVMRevert);
+      });
+
+      it('rejects mismatched lists and too many reserves', async function () {
+        await deploy(this, 7000, this.reserveFunds, [1500, 1500]).should.be.rejectedWith(EVMRevert);
+        const funds = [foundersFund, foundationFund, partnersFund, investor1, investor2, investor3];
+        await deploy(this, 4000, funds, [1000, 1000, 1000, 1000, 1000, 1000]).should.be.rejectedWith(EVMRevert);
+      });
+
+      it('allows a sale without reserves', async function () {
+        const crowdsale = await deploy(this, 10000, [], []);
+        (await crowdsale.reserveCount()).should.be.bignumber.equal(0);
+      });
+    });
+
+    describe('when odd amounts are raised', function() {
+      [
+        { tokenSaleShare: 7000, reserveShares: [1000, 1000, 1000] },
+        { tokenSaleShare: 6667, reserveShares: [1111, 1111, 1111] },
+        { tokenSaleShare: 5003, reserveShares: [2999, 1997, 1] },
+      ].forEach(({ tokenSaleShare, reserveShares }) => {
+        it(`mints the ${[tokenSaleShare].concat(reserveShares).join('/')} split within one token unit`, async function () {
+          const { token, crowdsale, closingTime } = await fixtures.load('sale open', {
+            rate: 333,
+            goal: ether(5),
+            tiered: false,
+            tokenSaleShare,
+            reserveShares,
+          });
+          await crowdsale.buyTokens(investor1, { value: ether(3).plus(7), from: investor1 });
+          await crowdsale.buyTokens(investor2, { value: ether(2).plus(123457), from: investor2 });
+          await increaseTimeTo(closingTime + 1);
+          await crowdsale.finalize();
+
+          const totalSupply = await token.totalSupply();
+          const sold = ether(5).plus(123464).times(333);
+          sold.minus(totalSupply.times(tokenSaleShare).div(10000)).abs().should.be.bignumber.most(1);
+
+          let minted = sold;
+          for (let i = 0; i < reserveShares.length; i++) {
+            const [, , , , , , vesting] = await crowdsale.reserves(i);
+            const balance = await token.balanceOf(vesting);
+            balance.minus(totalSupply.times(reserveShares[i]).div(10000)).abs().should.be.bignumber.most(1);
+            minted = minted.plus(balance);
+          }
+          minted.should.be.bignumber.equal(totalSupply);
+        });
+      });
     });
   });
 });
@@ -0,0 +1,225 @@
+import ether from './helpers/ether';
+import { increaseTimeTo, duration } from './helpers/increaseTime';
+import saleFixtures from './helpers/fixtures';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const admin = require('../lib/admin');
+
+const BigNumber = web3.BigNumber;
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .use(require('chai-bignumber')(BigNumber))
+  .should();
+
+const RefundVault = artifacts.require('./RefundVault');
+const DappTokenVesting = artifacts.require('./DappTokenVesting');
+
+contract('admin commands', function([_, wallet, investor1, investor2, foundersFund, foundationFund, partnersFund, investor3]) {
+  // investor2 is left off the whitelist
+  const fixtures = saleFixtures({
+    owner: _,
+    wallet,
+    investors: [investor1, investor3],
+    funds: [foundersFund, foundationFund, partnersFund],
+  }, {
+    // The foundation vests over a year and can be revoked
+    vestingSchedules: [{ reserve: 1, cliff: 0, duration: duration.years(1), period: 0, revocable: true }],
+  });
+
+  beforeEach(async function () {
+    this.load = async (name) => {
+      Object.assign(this, await fixtures.load(name));
+      this.messages = [];
+      this.ctx = {
+        crowdsale: this.crowdsale,
+        token: this.token,
+        RefundVault,
+        DappTokenVesting,
+        web3,
+        from: _,
+        log: (message) => this.messages.push(message),
+      };
+    };
+    // Configured and whitelisted, not open yet
+    await this.load('ready');
+  });
+
+  describe('argument parsing', function() {
+    it('separates commands from options', function () {
+      const { args, options } = admin.parseArgs(['whitelist', 'add', investor1, '--dry-run', '--batch-size', '10']);
+      args.should.deep.equal(['whitelist', 'add', investor1]);
+      options.should.deep.equal({ dryRun: true, batchSize: '10' });
+    });
+
+    it('treats --json as a flag', function () {
+      admin.parseArgs(['status', '--json']).options.should.deep.equal({ json: true });
+    });
+
+    it('rejects unknown commands with the usage text', async function () {
+      await admin.runCommand(this.ctx, ['launch']).should.be.rejectedWith(/Usage/);
+    });
+  });
+
+  describe('status', function() {
+    it('prints the status as JSON', async function () {
+      const status = await admin.runCommand(this.ctx, ['status'], { json: true });
+      JSON.parse(this.messages[0]).should.deep.equal(status);
+    });
+  });
+
+  describe('whitelist', function() {
+    it('adds new investors and skips whitelisted ones', async function () {
+      const results = await admin.runCommand(this.ctx, ['whitelist', 'add', investor1, investor2]);
+
+      results.should.have.lengthOf(1);
+      this.messages.should.include(`${investor1} is already whitelisted`);
+      (await this.crowdsale.whitelist(investor2)).should.be.true;
+    });
+
+    it('removes whitelisted investors', async function () {
+      await admin.runCommand(this.ctx, ['whitelist', 'remove', investor1]);
+      (await this.crowdsale.whitelist(investor1)).should.be.false;
+    });
+
+    it('refuses to remove investors that are not whitelisted', async function () {
+      await admin.runCommand(this.ctx, ['whitelist', 'remove', investor2]).should.be.rejectedWith(/not whitelisted/);
+    });
+
+    it('rejects invalid addresses', async function () {
+      await admin.runCommand(this.ctx, ['whitelist', 'add', '0x1234']).should.be.rejectedWith(/not an address/);
+    });
+
+    it('checks the sender is the owner', async function () {
+      this.ctx.from = investor1;
+      await admin.runCommand(this.ctx, ['whitelist', 'add', investor2]).should.be.rejectedWith(/not the crowdsale owner/);
+    });
+
+    it('only prints calldata and gas in dry-run mode', async function () {
+      this.ctx.dryRun = true;
+      const [result] = await admin.runCommand(this.ctx, ['whitelist', 'add', investor2]);
+
+      result.data.should.equal(this.crowdsale.contract.addManyToWhitelist.getData([investor2]));
+      result.gas.should.be.above(0);
+      (await this.crowdsale.whitelist(investor2)).should.be.false;
+    });
+  });
+
+  describe('kyc', function() {
+    beforeEach(async function () {
+      await this.crowdsale.setKycTierCap(0, ether(5));
+    });
+
+    it('adds the next KYC tier and updates its cap', async function () {
+      await admin.runCommand(this.ctx, ['kyc', 'cap', '1', '25']);
+      await admin.runCommand(this.ctx, ['kyc', 'cap', '1', '30']);
+      (await this.crowdsale.kycTierCaps(1)).should.be.bignumber.equal(ether(30));
+
+      await admin.runCommand(this.ctx, ['kyc', 'cap', '3', '30']).should.be.rejectedWith(/cannot be added before tier 2/);
+    });
+
+    it('moves investors to a KYC tier', async function () {
+      await this.crowdsale.setKycTierCap(1, ether(50));
+      await admin.runCommand(this.ctx, ['kyc', 'tier', '1', investor1, investor2]);
+      (await this.crowdsale.getUserCap(investor2)).should.be.bignumber.equal(ether(50));
+
+      await admin.runCommand(this.ctx, ['kyc', 'tier', '1', investor1]);
+      this.messages.should.include(`${investor1} is already in that KYC tier`);
+    });
+
+    it('rejects unknown KYC tiers', async function () {
+      await admin.runCommand(this.ctx, ['kyc', 'tier', '1', investor1]).should.be.rejectedWith(/does not exist/);
+      await admin.runCommand(this.ctx, ['kyc', 'tier', 'basic', investor1]).should.be.rejectedWith(/not a KYC tier/);
+    });
+
+    it('sets the KYC approver', async function () {
+      await admin.runCommand(this.ctx, ['kyc', 'approver', investor2]);
+      (await this.crowdsale.kycApprover()).should.equal(investor2);
+
+      await admin.runCommand(this.ctx, ['kyc', 'approver', investor2]).should.be.rejectedWith(/already the KYC approver/);
+    });
+
+    it('imports investors with their KYC tiers', async function () {
+      await this.crowdsale.setKycTierCap(1, ether(50));
+      const file = path.join(os.tmpdir(), `whitelist-${Date.now()}.csv`);
+      fs.writeFileSync(file, `address,tier\n${investor1},1\n${investor2},0\n`);
+
+      await admin.runCommand(this.ctx, ['whitelist', 'import', file]);
+      (await this.crowdsale.whitelist(investor2)).should.be.true;
+      (await this.crowdsale.kycTiers(investor1)).should.be.bignumber.equal(1);
+      this.messages.should.include(`${investor2} is already in that KYC tier`);
+    });
+  });
+
+  describe('emergency controls', function() {
+    it('pauses and unpauses purchases', async function () {
+      await admin.runCommand(this.ctx, ['pause']);
+      (await this.crowdsale.paused()).should.be.true;
+      await admin.runCommand(this.ctx, ['pause']).should.be.rejectedWith('Purchases are already paused');
+
+      await admin.runCommand(this.ctx, ['unpause']);
+      (await this.crowdsale.paused()).should.be.false;
+      await admin.runCommand(this.ctx, ['unpause']).should.be.rejectedWith('Purchases are not paused');
+    });
+
+    it('extends the sale within the allowed total', async function () {
+      await admin.runCommand(this.ctx, ['extend', '3']);
+      (await this.crowdsale.closingTime()).should.be.bignumber.equal(this.closingTime + duration.days(3));
+
+      await admin.runCommand(this.ctx, ['extend', '28']).should.be.rejectedWith('The sale can only be extended by 27 more days');
+      await admin.runCommand(this.ctx, ['extend', 'soon']).should.be.rejectedWith('soon is not a number of days');
+    });
+
+    it('refuses to extend a closed sale', async function () {
+      await increaseTimeTo(this.closingTime + 1);
+      await admin.runCommand(this.ctx, ['extend', '1']).should.be.rejectedWith('The crowdsale has already closed');
+    });
+  });
+
+  describe('finalize', function() {
+    it('refuses to finalize before the sale closes', async function () {
+      await increaseTimeTo(this.openingTime + 1);
+      await admin.runCommand(this.ctx, ['finalize']).should.be.rejectedWith(/not closed yet/);
+    });
+
+    it('finalizes once the sale has closed', async function () {
+      await increaseTimeTo(this.closingTime + 1);
+      await admin.runCommand(this.ctx, ['finalize']);
+      (await this.crowdsale.isFinalized()).should.be.true;
+
+      await admin.runCommand(this.ctx, ['finalize']).should.be.rejectedWith(/already finalized/);
+    });
+  });
+
+  describe('release', function() {
+    it('refuses to release before finalization', async function () {
+      await this.load('goal reached and closed');
+      await admin.runCommand(this.ctx, ['release', '0']).should.be.rejectedWith(/does not exist/);
+      await admin.runCommand(this.ctx, ['release', '3']).should.be.rejectedWith('Reserve 3 does not exist, the crowdsale has 3');
+    });
+
+    it('releases a reserve only after its release time', async function () {
+      await this.load('finalized');
+      await admin.runCommand(this.ctx, ['release', '0']).should.be.rejectedWith(/nothing vested until/);
+
+      await increaseTimeTo(this.releaseTime + 1);
+      await admin.runCommand(this.ctx, ['release', '0']);
+      (await this.token.balanceOf(foundersFund)).should.be.bignumber.above(0);
+
+      await admin.runCommand(this.ctx, ['release', '0']).should.be.rejectedWith(/nothing left to release/);
+    });
+
+    it('revokes revocable reserves as the wallet', async function () {
+      await this.load('finalized');
+      await admin.runCommand(this.ctx, ['revoke', '2']).should.be.rejectedWith(/not the vesting owner/);
+
+      this.ctx.from = wallet;
+      await admin.runCommand(this.ctx, ['revoke', '1']);
+      (await this.token.balanceOf(wallet)).should.be.bignumber.above(0);
+      await admin.runCommand(this.ctx, ['revoke', '1']).should.be.rejectedWith(/already revoked/);
+      await admin.runCommand(this.ctx, ['revoke', '2']).should.be.rejectedWith(/not revocable/);
+    });
+  });
+});
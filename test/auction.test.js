@@ -0,0 +1,189 @@
+import ether from './helpers/ether';
+import EVMRevert from './helpers/EVMRevert';
+import { increaseTimeTo, duration } from './helpers/increaseTime';
+import latestTime from './helpers/latestTime';
+
+const { rateAt, simulateAuction } = require('../lib/auction');
+
+const BigNumber = web3.BigNumber;
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .use(require('chai-bignumber')(BigNumber))
+  .should();
+
+const DappToken = artifacts.require('DappToken');
+const DappTokenAuction = artifacts.require('DappTokenAuction');
+const DappTokenVesting = artifacts.require('DappTokenVesting');
+const RefundVault = artifacts.require('./RefundVault');
+
+contract('DappTokenAuction', function([_, wallet, investor1, investor2, investor3, outsider, foundersFund, foundationFund, partnersFund]) {
+  // 20,000 tokens, from 250 up to 500 tokens per ether over a week: 80 ether
+  // buy them all at the opening and 40 ether at the closing
+  const startRate = new BigNumber(250);
+  const floorRate = new BigNumber(500);
+  const tokensOffered = ether(20000);
+  const goal = ether(20);
+  const funds = [foundersFund, foundationFund, partnersFund];
+
+  beforeEach(async function () {
+    this.token = await DappToken.new('Dapp Token', 'DAPP', 18, ether(1000000));
+    this.openingTime = latestTime() + duration.weeks(1);
+    this.closingTime = this.openingTime + duration.weeks(1);
+    this.releaseTime = this.closingTime + duration.years(1);
+    this.auction = await DappTokenAuction.new(
+      startRate,
+      floorRate,
+      wallet,
+      this.token.address,
+      tokensOffered,
+      this.openingTime,
+      this.closingTime,
+      goal,
+      7000,
+      funds,
+      [1000, 1000, 1000],
+      this.releaseTime
+    );
+    await this.token.pause();
+    await this.token.transferOwnership(this.auction.address);
+    await this.auction.addManyToWhitelist([investor1, investor2, investor3]);
+    this.vault = RefundVault.at(await this.auction.vault());
+
+    // The same auction for lib/auction.js
+    this.settings = {
+      startRate,
+      floorRate,
+      openingTime: this.openingTime,
+      closingTime: this.closingTime,
+      tokensOffered,
+      goal,
+      investorMinCap: await this.auction.investorMinCap(),
+      investorCap: await this.auction.investorCap(),
+      tokenSaleShare: 7000,
+      reserves: funds.map(fund => ({ fund, share: 1000 })),
+    };
+    // Bids at `time` with no gas cost, so that balances only move by the
+    // ether the auction keeps, and returns the bid for simulateAuction()
+    this.bid = async (bidder, amount, time) => {
+      await increaseTimeTo(time);
+      const { receipt } = await this.auction.bid({ from: bidder, value: amount, gasPrice: 0 });
+      return { bidder, time: web3.eth.getBlock(receipt.blockNumber).timestamp, amount };
+    };
+  });
+
+  it('rejects a goal that falling prices could put out of reach', async function () {
+    await DappTokenAuction.new(
+      startRate, floorRate, wallet, this.token.address, tokensOffered, this.openingTime, this.closingTime,
+      ether(41), 7000, funds, [1000, 1000, 1000], this.releaseTime
+    ).should.be.rejectedWith(EVMRevert);
+  });
+
+  it('raises the rate from the start rate to the floor rate', async function () {
+    (await this.auction.rateAt(this.openingTime)).should.be.bignumber.equal(startRate);
+    (await this.auction.rateAt(this.closingTime + 1)).should.be.bignumber.equal(floorRate);
+    for (const offset of [duration.hours(1), duration.days(3), duration.days(6) + 7]) {
+      const time = this.openingTime + offset;
+      (await this.auction.rateAt(time)).should.be.bignumber.equal(rateAt(this.settings, time));
+    }
+  });
+
+  it('only takes bids from whitelisted investors, within the caps, while open', async function () {
+    await this.auction.bid({ from: investor1, value: ether(1) }).should.be.rejectedWith(EVMRevert);
+    await this.auction.setInvestorCap(ether(20));
+    await increaseTimeTo(this.openingTime + 1);
+    await this.auction.setInvestorCap(ether(30)).should.be.rejectedWith(EVMRevert);
+
+    await this.auction.bid({ from: outsider, value: ether(1) }).should.be.rejectedWith(EVMRevert);
+    await this.auction.bid({ from: investor1, value: ether(0.001) }).should.be.rejectedWith(EVMRevert);
+    await this.auction.bid({ from: investor1, value: ether(21) }).should.be.rejectedWith(EVMRevert);
+    await this.auction.bid({ from: investor1, value: ether(15) });
+    await this.auction.sendTransaction({ from: investor1, value: ether(5) });
+    await this.auction.bid({ from: investor1, value: ether(1) }).should.be.rejectedWith(EVMRevert);
+
+    (await this.auction.bids(investor1)).should.be.bignumber.equal(ether(20));
+    (await this.vault.deposited(investor1)).should.be.bignumber.equal(ether(20));
+    await increaseTimeTo(this.closingTime + 1);
+    await this.auction.bid({ from: investor2, value: ether(1) }).should.be.rejectedWith(EVMRevert);
+  });
+
+  it('refunds the part of a bid beyond the tokens left and ends the auction', async function () {
+    await this.bid(investor1, ether(10), this.openingTime + duration.hours(12));
+    await this.bid(investor2, ether(30), this.openingTime + duration.days(2));
+    const balance = web3.eth.getBalance(investor3);
+    const { time } = await this.bid(investor3, ether(20), this.openingTime + duration.days(4));
+
+    const accepted = tokensOffered.dividedToIntegerBy(rateAt(this.settings, time)).minus(ether(40));
+    (await this.auction.bids(investor3)).should.be.bignumber.equal(accepted);
+    web3.eth.getBalance(investor3).should.be.bignumber.equal(balance.minus(accepted));
+    (await this.auction.soldOut()).should.be.true;
+    (await this.auction.hasEnded()).should.be.true;
+    await this.auction.bid({ from: investor1, value: ether(1) }).should.be.rejectedWith(EVMRevert);
+  });
+
+  it('settles every bid at the clearing rate, as simulated', async function () {
+    const bids = [
+      await this.bid(investor1, ether(10), this.openingTime + duration.hours(12)),
+      await this.bid(investor2, ether(30), this.openingTime + duration.days(2)),
+      await this.bid(investor3, ether(20), this.openingTime + duration.days(4)),
+    ];
+    const result = simulateAuction(this.settings, bids);
+    const walletBalance = web3.eth.getBalance(wallet);
+
+    await this.auction.finalize({ from: outsider }).should.be.rejectedWith(EVMRevert);
+    await this.auction.finalize();
+    (await this.auction.clearingRate()).should.be.bignumber.equal(result.clearingRate);
+    web3.eth.getBalance(wallet).should.be.bignumber.equal(walletBalance.plus(result.totalBids));
+
+    for (const allocation of result.allocations) {
+      await this.auction.claimTokens(allocation.bidder, { from: outsider });
+      (await this.token.balanceOf(allocation.bidder)).should.be.bignumber.equal(allocation.tokens);
+    }
+    await this.auction.claimTokens(investor1).should.be.rejectedWith(EVMRevert);
+    (await this.token.balanceOf(this.auction.address)).should.be.bignumber.equal(0);
+    result.tokensSold.should.be.bignumber.at.most(tokensOffered);
+
+    for (let i = 0; i < funds.length; i++) {
+      const [fund, , , , , , vesting] = await this.auction.reserves(i);
+      fund.should.equal(result.reserves[i].fund);
+      (await this.token.balanceOf(vesting)).should.be.bignumber.equal(result.reserves[i].amount);
+      (await DappTokenVesting.at(vesting).owner()).should.equal(wallet);
+    }
+
+    // The token is live and belongs to the wallet
+    (await this.token.owner()).should.equal(wallet);
+    (await this.token.mintingFinished()).should.be.true;
+    await this.token.transfer(outsider, 1, { from: investor1 });
+  });
+
+  it('settles at the floor rate when the bids do not sell out', async function () {
+    const bids = [
+      await this.bid(investor1, ether(10), this.openingTime + duration.days(1)),
+      await this.bid(investor2, ether(15), this.openingTime + duration.days(6)),
+    ];
+    await this.auction.finalize().should.be.rejectedWith(EVMRevert);
+    await increaseTimeTo(this.closingTime + 1);
+    await this.auction.finalize();
+
+    const result = simulateAuction(this.settings, bids);
+    result.clearingRate.should.be.bignumber.equal(floorRate);
+    (await this.auction.clearingRate()).should.be.bignumber.equal(floorRate);
+    await this.auction.claimTokens(investor1);
+    (await this.token.balanceOf(investor1)).should.be.bignumber.equal(ether(10).times(floorRate));
+  });
+
+  it('refunds every bid when the goal is missed', async function () {
+    const balance = web3.eth.getBalance(investor1);
+    await this.bid(investor1, ether(5), this.openingTime + duration.days(1));
+    await increaseTimeTo(this.closingTime + 1);
+    await this.auction.finalize();
+
+    await this.auction.claimTokens(investor1).should.be.rejectedWith(EVMRevert);
+    await this.auction.claimRefund({ from: investor1, gasPrice: 0 });
+    web3.eth.getBalance(investor1).should.be.bignumber.equal(balance);
+
+    (await this.token.totalSupply()).should.be.bignumber.equal(0);
+    (await this.token.mintingFinished()).should.be.true;
+    (await this.token.owner()).should.equal('0x0000000000000000000000000000000000000000');
+  });
+});
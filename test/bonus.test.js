@@ -0,0 +1,151 @@
+import ether from './helpers/ether';
+import EVMRevert from './helpers/EVMRevert';
+import { increaseTimeTo } from './helpers/increaseTime';
+import saleFixtures from './helpers/fixtures';
+
+const BigNumber = web3.BigNumber;
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .use(require('chai-bignumber')(BigNumber))
+  .should();
+
+contract('purchase bonuses', function([_, wallet, investor1, investor2, foundersFund, foundationFund, partnersFund, other]) {
+  const RATE = 500;
+  const tokens = (wei) => wei.times(RATE);
+  const bonus = (amount, share) => amount.times(share).dividedToIntegerBy(10000);
+
+  const fixtures = saleFixtures({
+    owner: _,
+    wallet,
+    investors: [investor1, investor2],
+    funds: [foundersFund, foundationFund, partnersFund],
+  }, { rate: RATE, tiered: false });
+
+  beforeEach(async function () {
+    // Whitelisted and at a single rate, not open yet
+    Object.assign(this, await fixtures.load('ready'));
+  });
+
+  describe('configuration', function() {
+    it('logs the referral bonus', async function () {
+      const { logs } = await this.crowdsale.setReferralBonus(500);
+      logs[0].event.should.equal('ReferralBonusSet');
+      logs[0].args.bonus.should.be.bignumber.equal(500);
+      (await this.crowdsale.referralBonus()).should.be.bignumber.equal(500);
+    });
+
+    it('replaces the volume bonuses and logs them', async function () {
+      await this.crowdsale.setVolumeBonuses([ether(1)], [100]);
+      const { logs } = await this.crowdsale.setVolumeBonuses([ether(10), ether(20)], [250, 500]);
+      logs.map(log => log.event).should.deep.equal(['VolumeBonusAdded', 'VolumeBonusAdded']);
+      logs[1].args.minContribution.should.be.bignumber.equal(ether(20));
+
+      (await this.crowdsale.volumeBonusCount()).should.be.bignumber.equal(2);
+      (await this.crowdsale.volumeBonusFor(ether(9))).should.be.bignumber.equal(0);
+      (await this.crowdsale.volumeBonusFor(ether(10))).should.be.bignumber.equal(250);
+      (await this.crowdsale.volumeBonusFor(ether(40))).should.be.bignumber.equal(500);
+    });
+
+    it('rejects invalid bonuses', async function () {
+      await this.crowdsale.setReferralBonus(10001).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.setVolumeBonuses([ether(10), ether(10)], [250, 500]).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.setVolumeBonuses([ether(10)], [250, 500]).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.setVolumeBonuses([ether(10)], [10001]).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('prevents non-admin from setting bonuses', async function () {
+      await this.crowdsale.setReferralBonus(500, { from: investor1 }).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.setVolumeBonuses([ether(10)], [250], { from: investor1 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('prevents changing bonuses once the sale has opened', async function () {
+      await increaseTimeTo(this.openingTime + 1);
+      await this.crowdsale.setReferralBonus(500).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.setVolumeBonuses([ether(10)], [250]).should.be.rejectedWith(EVMRevert);
+    });
+  });
+
+  describe('during the sale', function() {
+    beforeEach(async function () {
+      await this.crowdsale.setReferralBonus(500);
+      await this.crowdsale.setVolumeBonuses([ether(10), ether(20)], [250, 500]);
+      await increaseTimeTo(this.openingTime + 1);
+    });
+
+    it('mints the referral bonus to the referrer', async function () {
+      const { logs } = await this.crowdsale.buyTokensWithReferral(investor1, investor2, { value: ether(2), from: investor1 });
+      const referral = bonus(tokens(ether(2)), 500);
+
+      (await this.token.balanceOf(investor1)).should.be.bignumber.equal(tokens(ether(2)));
+      (await this.token.balanceOf(investor2)).should.be.bignumber.equal(referral);
+      (await this.crowdsale.tokensSold()).should.be.bignumber.equal(tokens(ether(2)));
+      (await this.crowdsale.bonusTokens()).should.be.bignumber.equal(referral);
+
+      const event = logs.find(log => log.event === 'BonusTokensMinted');
+      event.args.beneficiary.should.equal(investor2);
+      event.args.buyer.should.equal(investor1);
+      event.args.amount.should.be.bignumber.equal(referral);
+      event.args.referral.should.be.true;
+    });
+
+    it('only rewards whitelisted referrers other than the beneficiary', async function () {
+      await this.crowdsale.buyTokensWithReferral(investor1, other, { value: ether(2), from: investor1 }).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.buyTokensWithReferral(investor1, investor1, { value: ether(2), from: investor1 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('does not reward anyone on plain purchases', async function () {
+      await this.crowdsale.buyTokensWithReferral(investor1, investor2, { value: ether(2), from: investor1 });
+      await this.crowdsale.buyTokens(investor1, { value: ether(2), from: investor1 });
+      (await this.token.balanceOf(investor2)).should.be.bignumber.equal(bonus(tokens(ether(2)), 500));
+    });
+
+    it('gives the volume bonus reached by the total contribution', async function () {
+      await this.crowdsale.buyTokens(investor1, { value: ether(5), from: investor1 });
+      (await this.token.balanceOf(investor1)).should.be.bignumber.equal(tokens(ether(5)));
+
+      await this.crowdsale.buyTokens(investor1, { value: ether(5), from: investor1 });
+      const firstBonus = bonus(tokens(ether(5)), 250);
+      (await this.token.balanceOf(investor1)).should.be.bignumber.equal(tokens(ether(10)).plus(firstBonus));
+
+      await this.crowdsale.buyTokens(investor1, { value: ether(10), from: investor1 });
+      const secondBonus = bonus(tokens(ether(10)), 500);
+      (await this.token.balanceOf(investor1)).should.be.bignumber.equal(tokens(ether(20)).plus(firstBonus).plus(secondBonus));
+      (await this.crowdsale.tokensSold()).should.be.bignumber.equal(tokens(ether(20)));
+      (await this.crowdsale.bonusTokens()).should.be.bignumber.equal(firstBonus.plus(secondBonus));
+    });
+  });
+
+  describe('finalization', function() {
+    beforeEach(async function () {
+      await this.crowdsale.setReferralBonus(500);
+      await this.crowdsale.setVolumeBonuses([ether(10), ether(20)], [250, 500]);
+      await increaseTimeTo(this.openingTime + 1);
+      await this.crowdsale.buyTokensWithReferral(investor1, investor2, { value: ether(30), from: investor1 });
+      await this.crowdsale.buyTokens(investor2, { value: ether(26), from: investor2 });
+      await increaseTimeTo(this.closingTime + 1);
+      await this.crowdsale.finalize();
+
+      this.tokensSold = await this.crowdsale.tokensSold();
+      this.bonusTokens = await this.crowdsale.bonusTokens();
+    });
+
+    it('counts sale and bonus tokens apart', async function () {
+      this.tokensSold.should.be.bignumber.equal(tokens(ether(56)));
+      // Volume bonuses of both buyers and the referral bonus of investor2
+      this.bonusTokens.should.be.bignumber.equal(
+        bonus(tokens(ether(30)), 500).plus(bonus(tokens(ether(26)), 500)).plus(bonus(tokens(ether(30)), 500))
+      );
+    });
+
+    it('keeps the reserve percentages of the sold supply', async function () {
+      // 28000 tokens sold make up 70%, so the reserves get 4000 each
+      const distributed = this.tokensSold.times(10000).dividedBy(7000);
+      for (let i = 0; i < 3; i++) {
+        const [, , , , , , vesting] = await this.crowdsale.reserves(i);
+        (await this.token.balanceOf(vesting)).should.be.bignumber.equal(distributed.times(1000).dividedBy(10000));
+      }
+      (await this.token.totalSupply()).should.be.bignumber.equal(distributed.plus(this.bonusTokens));
+    });
+  });
+});
@@ -0,0 +1,180 @@
+import ether from './helpers/ether';
+import saleFixtures from './helpers/fixtures';
+
+const http = require('http');
+const { phase, createSale } = require('../app/sale');
+const { createDappServer } = require('../lib/dappServer');
+
+const BigNumber = web3.BigNumber;
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .use(require('chai-bignumber')(BigNumber))
+  .should();
+
+const DappToken = artifacts.require('DappToken');
+const DappTokenCrowdsale = artifacts.require('DappTokenCrowdsale');
+const RefundVault = artifacts.require('./RefundVault');
+
+contract('purchase dapp', function([_, wallet, investor1, investor2, foundersFund, foundationFund, partnersFund, investor3]) {
+  // 2.5% more tokens from 3 ether, set before the sale opens
+  const volumeBonus = { minContribution: ether(3), bonus: 250 };
+  const fixtures = saleFixtures({
+    owner: _,
+    wallet,
+    investors: [investor1, investor2],
+    funds: [foundersFund, foundationFund, partnersFund],
+  }, { volumeBonuses: [volumeBonus] });
+
+  describe('phase', function() {
+    const status = { timestamp: 1000, openingTime: 2000, hasClosed: false, paused: false, isFinalized: false };
+
+    it('follows the sale lifecycle', function () {
+      phase(status).should.equal('upcoming');
+      phase(Object.assign({}, status, { timestamp: 2000 })).should.equal('open');
+      phase(Object.assign({}, status, { timestamp: 2000, paused: true })).should.equal('paused');
+      phase(Object.assign({}, status, { hasClosed: true })).should.equal('closed');
+      phase(Object.assign({}, status, { isFinalized: true, vaultState: 'Refunding' })).should.equal('refunding');
+      phase(Object.assign({}, status, { isFinalized: true, vaultState: 'Closed' })).should.equal('finalized');
+    });
+  });
+
+  describe('during the sale', function() {
+    beforeEach(async function () {
+      Object.assign(this, await fixtures.load('sale open'));
+      // The same client the page uses, on a plain web3 contract rather than truffle's
+      this.sale = createSale(web3, { DappTokenCrowdsale, DappToken, RefundVault }, this.crowdsale.address);
+    });
+
+    it('reads the sale progress', async function () {
+      const status = await this.sale.loadStatus();
+      phase(status).should.equal('open');
+      status.weiRaised.should.be.bignumber.equal(0);
+      status.cap.should.be.bignumber.equal(this.cap);
+      status.goal.should.be.bignumber.equal(this.goal);
+      status.tier.should.equal(0);
+      status.rate.should.be.bignumber.equal(this.preIcoRate);
+      status.closingTime.should.equal(this.closingTime);
+      status.token.should.deep.equal({ address: this.token.address, symbol: 'DAPP', decimals: 18 });
+    });
+
+    it('reports the remaining allowance of whitelisted investors only', async function () {
+      await this.crowdsale.buyTokens(investor2, { value: ether(1), from: investor2 });
+
+      const whitelisted = await this.sale.loadInvestor(investor2);
+      whitelisted.whitelisted.should.be.true;
+      whitelisted.contribution.should.be.bignumber.equal(ether(1));
+      whitelisted.allowance.should.be.bignumber.equal(ether(49));
+
+      const stranger = await this.sale.loadInvestor(investor3);
+      stranger.whitelisted.should.be.false;
+      stranger.allowance.should.be.bignumber.equal(0);
+    });
+
+    it('previews a purchase across tiers as the crowdsale prices it', async function () {
+      await this.crowdsale.buyTokens(investor1, { value: ether(24), from: investor1 });
+      const status = await this.sale.loadStatus();
+      const investor = await this.sale.loadInvestor(investor2);
+
+      // 1 ether left in the PreICO tier, 1 ether in the refundable ICO tier
+      const preview = this.sale.previewTokens(status, investor, ether(2));
+      preview.tokens.should.be.bignumber.equal(ether(1).times(this.preIcoRate).plus(ether(1).times(this.icoRate)));
+      preview.refundableWei.should.be.bignumber.equal(ether(1));
+      preview.bonus.should.be.bignumber.equal(0);
+
+      await this.sale.buyTokens(investor2, ether(2));
+      (await this.token.balanceOf(investor2)).should.be.bignumber.equal(preview.tokens);
+    });
+
+    it('includes the volume bonus in the preview', async function () {
+      await this.crowdsale.buyTokens(investor2, { value: ether(2), from: investor2 });
+      const status = await this.sale.loadStatus();
+      const investor = await this.sale.loadInvestor(investor2);
+
+      this.sale.previewTokens(status, investor, ether(0.5)).bonus.should.be.bignumber.equal(0);
+      const preview = this.sale.previewTokens(status, investor, ether(1));
+      preview.bonus.should.be.bignumber.equal(ether(1).times(this.preIcoRate).times(volumeBonus.bonus).dividedToIntegerBy(10000));
+
+      await this.sale.buyTokens(investor2, ether(1));
+      (await this.token.balanceOf(investor2)).should.be.bignumber.equal(
+        ether(2).times(this.preIcoRate).plus(preview.tokens).plus(preview.bonus)
+      );
+    });
+
+    it('refuses purchases the crowdsale would reject without sending them', async function () {
+      await this.sale.buyTokens(investor3, ether(1)).should.be.rejectedWith('This address is not whitelisted');
+      await this.sale.buyTokens(investor2, ether(51)).should.be.rejectedWith('At most 50 ETH more can be contributed');
+      await this.sale.buyTokens(investor2, ether(0.001)).should.be.rejectedWith('Contributions start at 0.002 ETH');
+      (await this.crowdsale.weiRaised()).should.be.bignumber.equal(0);
+    });
+
+    it('only offers refunds once the sale failed', async function () {
+      await this.sale.claimRefund(investor2).should.be.rejectedWith('Refunds are not open');
+    });
+  });
+
+  describe('after a failed sale', function() {
+    beforeEach(async function () {
+      // investor1 and investor2 put 2 and 1 ether into the ICO tier
+      Object.assign(this, await fixtures.load('refunding'));
+      this.sale = createSale(web3, { DappTokenCrowdsale, DappToken, RefundVault }, this.crowdsale.address);
+    });
+
+    it('claims the refund of the investor', async function () {
+      phase(await this.sale.loadStatus()).should.equal('refunding');
+      (await this.sale.loadInvestor(investor2)).deposited.should.be.bignumber.equal(ether(1));
+
+      await this.sale.claimRefund(investor2);
+      (await this.sale.loadInvestor(investor2)).deposited.should.be.bignumber.equal(0);
+      await this.sale.claimRefund(investor2).should.be.rejectedWith('Nothing to refund for this address');
+    });
+
+    it('no longer accepts purchases', async function () {
+      await this.sale.buyTokens(investor2, ether(1)).should.be.rejectedWith('The sale is refunding');
+    });
+  });
+
+  describe('page server', function() {
+    const request = (server, method, url) => new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path: url }, res => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body: data }));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+
+    beforeEach(function (done) {
+      this.server = createDappServer({ crowdsale: investor3, rpcUrl: 'http://127.0.0.1:7545' });
+      this.server.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(function (done) {
+      this.server.close(done);
+    });
+
+    it('serves the page and its configuration', async function () {
+      const page = await request(this.server, 'GET', '/?crowdsale=0x0');
+      page.status.should.equal(200);
+      page.type.should.match(/^text\/html/);
+      page.body.should.include('<script src="sale.js">');
+      (await request(this.server, 'GET', '/saleShared.js')).body.should.include('root.DappSaleShared');
+
+      const config = await request(this.server, 'GET', '/config.json');
+      JSON.parse(config.body).should.deep.equal({ rpcUrl: 'http://127.0.0.1:7545', crowdsale: investor3 });
+    });
+
+    it('serves the contract artifacts the page needs', async function () {
+      const artifact = await request(this.server, 'GET', '/contracts/DappTokenCrowdsale.json');
+      artifact.status.should.equal(200);
+      JSON.parse(artifact.body).contractName.should.equal('DappTokenCrowdsale');
+    });
+
+    it('serves nothing else', async function () {
+      (await request(this.server, 'GET', '/contracts/Migrations.json')).status.should.equal(404);
+      (await request(this.server, 'GET', '/contracts/../../package.json')).status.should.equal(404);
+      (await request(this.server, 'POST', '/config.json')).status.should.equal(405);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import saleFixtures from './helpers/fixtures';
+
+const { handOffToken, checkHandoff, handOffCrowdsale } = require('../lib/deployment');
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .should();
+
+const MultiSigWallet = artifacts.require('MultiSigWallet');
+
+contract('deployment handoff', function([_, wallet, investor1, investor2, foundersFund, foundationFund, partnersFund]) {
+  const fixtures = saleFixtures({
+    owner: _,
+    wallet,
+    investors: [investor1, investor2],
+    funds: [foundersFund, foundationFund, partnersFund],
+  });
+
+  beforeEach(async function () {
+    // Deployed, the token still owned by the deployer
+    Object.assign(this, await fixtures.load('deployed'));
+  });
+
+  it('reports an incomplete handoff', async function () {
+    const errors = await checkHandoff(this.token, this.crowdsale);
+    errors.should.have.lengthOf(2);
+  });
+
+  it('pauses the token and transfers ownership to the crowdsale', async function () {
+    await handOffToken(this.token, this.crowdsale, _);
+
+    (await this.token.paused()).should.be.true;
+    (await this.token.owner()).should.equal(this.crowdsale.address);
+    (await checkHandoff(this.token, this.crowdsale)).should.be.empty;
+  });
+
+  it('can be run again once the handoff is done', async function () {
+    await handOffToken(this.token, this.crowdsale, _);
+    await handOffToken(this.token, this.crowdsale, _).should.be.fulfilled;
+  });
+
+  it('hands the crowdsale to the multisig', async function () {
+    const multisig = await MultiSigWallet.new([_, wallet], 2);
+    await handOffCrowdsale(this.crowdsale, multisig, _);
+    (await this.crowdsale.owner()).should.equal(multisig.address);
+    await handOffCrowdsale(this.crowdsale, multisig, _).should.be.fulfilled;
+  });
+});
@@ -0,0 +1,155 @@
+import ether from './helpers/ether';
+import { increaseTimeTo, duration } from './helpers/increaseTime';
+import saleFixtures from './helpers/fixtures';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_THRESHOLD,
+  createGasRecorder,
+  compareGas,
+  toBaseline,
+  formatGasMarkdown,
+  writeGasReport,
+} = require('../lib/gasReport');
+
+const BigNumber = web3.BigNumber;
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .use(require('chai-bignumber')(BigNumber))
+  .should();
+
+const DappTokenVesting = artifacts.require('DappTokenVesting');
+
+// Gas report mode, run with:
+//   GAS_REPORT=1 truffle test test/gasReport.test.js
+// Writes gas-report.json and gas-report.md to GAS_REPORT_DIR (gas-report/ by
+// default) and fails when an operation uses more than GAS_THRESHOLD percent
+// (5 by default) over test/gas-baseline.json. GAS_PRICE sets the gas price in
+// gwei for the costs, and UPDATE_GAS_BASELINE=1 rewrites the baseline instead
+// of comparing against it.
+const BASELINE_FILE = path.join(__dirname, 'gas-baseline.json');
+const REPORT_DIR = process.env.GAS_REPORT_DIR || path.join(__dirname, '..', 'gas-report');
+
+contract('gas usage', function([_, wallet, investor1, investor2, foundersFund, foundationFund, partnersFund]) {
+  describe('report helpers', function() {
+    const measurements = [
+      { name: 'buyTokens', gasUsed: 110000 },
+      { name: 'finalize', gasUsed: 3000000 },
+      { name: 'claimRefund', gasUsed: 40000 },
+    ];
+    const baseline = { buyTokens: 100000, finalize: 3000000 };
+
+    it('flags operations that went up by more than the threshold', function () {
+      const comparison = compareGas(measurements, baseline, 5);
+      comparison.map(row => row.regressed).should.deep.equal([true, false, false]);
+      comparison[0].change.should.equal(10);
+      (comparison[2].baseline === null).should.be.true;
+      compareGas(measurements, baseline, 10)[0].regressed.should.be.false;
+    });
+
+    it('renders a markdown table with costs', function () {
+      const markdown = formatGasMarkdown(compareGas(measurements, baseline), 20);
+      markdown.should.include('| buyTokens | 110000 | 100000 | +10.00% ⚠ | 0.002200 |');
+      markdown.should.include('| claimRefund | 40000 | - | new | 0.000800 |');
+    });
+
+    it('rejects operations recorded twice', function () {
+      const recorder = createGasRecorder(web3);
+      recorder.record('buyTokens', { receipt: { gasUsed: 100 } });
+      (() => recorder.record('buyTokens', { receipt: { gasUsed: 100 } })).should.throw(/already recorded/);
+      toBaseline(recorder.measurements).should.deep.equal({ buyTokens: 100 });
+    });
+  });
+
+  (process.env.GAS_REPORT ? describe : describe.skip)('crowdsale operations', function() {
+    const recorder = createGasRecorder(web3);
+    const record = recorder.record;
+    // Deterministic investor addresses, so that calldata costs do not vary between runs
+    const investors = (count, offset) => Array.from({ length: count }, (value, i) => web3.sha3(`investor ${offset + i}`).slice(0, 42));
+
+    // A single tier, so that setTiers below is measured from the default
+    const fixtures = saleFixtures({
+      owner: _,
+      wallet,
+      investors: [investor1, investor2],
+      funds: [foundersFund, foundationFund, partnersFund],
+    }, { tiered: false });
+
+    it('deploys the token and crowdsale', async function () {
+      Object.assign(this, await fixtures.load('deployed'));
+      record('deploy DappToken', this.token);
+      record('deploy DappTokenCrowdsale', this.crowdsale);
+      // Its migration sends the gas configured for the network
+      const { gasUsed } = web3.eth.getTransactionReceipt(this.crowdsale.transactionHash);
+      gasUsed.should.be.below(require('../truffle').networks.ropsten.gas);
+
+      await this.token.pause();
+      await this.token.transferOwnership(this.crowdsale.address);
+    });
+
+    it('whitelists investors in batches', async function () {
+      let offset = 0;
+      for (const size of [1, 10, 50]) {
+        record(`addManyToWhitelist (${size} investor${size === 1 ? '' : 's'})`, await this.crowdsale.addManyToWhitelist(investors(size, offset)));
+        offset += size;
+      }
+      record('addToWhitelist', await this.crowdsale.addToWhitelist(investor1));
+      await this.crowdsale.addToWhitelist(investor2);
+    });
+
+    it('configures the sale', async function () {
+      record('setTiers (2 tiers)', await this.crowdsale.setTiers([500, 250], [0, 0], [0, ether(40)], [true, true]));
+      record('setVestingSchedule', await this.crowdsale.setVestingSchedule(2, 0, duration.days(360), duration.days(30), true));
+      record('setReferralBonus', await this.crowdsale.setReferralBonus(500));
+    });
+
+    it('buys tokens', async function () {
+      await increaseTimeTo(this.openingTime + 1);
+      record('buyTokens (first purchase)', await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 }));
+      record('buyTokens (repeat purchase)', await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 }));
+      record('buyTokensWithReferral', await this.crowdsale.buyTokensWithReferral(investor2, investor1, { value: ether(1), from: investor2 }));
+    });
+
+    it('finalizes a successful sale and releases a reserve', async function () {
+      await this.crowdsale.buyTokens(investor2, { value: ether(48), from: investor2 });
+      await increaseTimeTo(this.closingTime + 1);
+      record('finalize (goal reached, 3 reserves)', await this.crowdsale.finalize());
+
+      const [, , , , , , address] = await this.crowdsale.reserves(1);
+      await increaseTimeTo(this.releaseTime);
+      record('release (reserve vesting)', await DappTokenVesting.at(address).release(this.token.address));
+    });
+
+    it('refunds a failed sale', async function () {
+      // Deployed again and whitelisted, the clock having moved past the first sale
+      const failed = await fixtures.load('ready');
+      await increaseTimeTo(failed.openingTime + 1);
+      await failed.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
+      await failed.crowdsale.buyTokens(investor2, { value: ether(1), from: investor2 });
+      await increaseTimeTo(failed.closingTime + 1);
+
+      record('finalize (goal missed)', await failed.crowdsale.finalize());
+      record('claimRefund', await failed.crowdsale.claimRefund({ from: investor1 }));
+      record('processRefunds (2 depositors, 1 refunded)', await failed.crowdsale.processRefunds(2));
+    });
+
+    it('stays within the gas baseline', function () {
+      const threshold = process.env.GAS_THRESHOLD ? Number(process.env.GAS_THRESHOLD) : DEFAULT_THRESHOLD;
+      const gasPrice = process.env.GAS_PRICE ? Number(process.env.GAS_PRICE) : undefined;
+
+      if (process.env.UPDATE_GAS_BASELINE) {
+        fs.writeFileSync(BASELINE_FILE, JSON.stringify(toBaseline(recorder.measurements), null, 2) + '\n');
+      }
+      const baseline = JSON.parse(fs.readFileSync(BASELINE_FILE, 'utf8'));
+      const comparison = compareGas(recorder.measurements, baseline, threshold);
+      writeGasReport(REPORT_DIR, comparison, gasPrice);
+      console.log('\n' + formatGasMarkdown(comparison, gasPrice));
+
+      const regressions = comparison.filter(row => row.regressed);
+      regressions.map(row => `${row.name}: ${row.baseline} -> ${row.gasUsed}`)
+        .should.deep.equal([], `gas use went up by more than ${threshold}%`);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+function send (method, params = []) {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.sendAsync({
+      jsonrpc: '2.0',
+      method: method,
+      params: params,
+      id: Date.now(),
+    }, (err, res) => {
+      return err ? reject(err) : resolve(res.result);
+    });
+  });
+}
+
+// Saves the current ganache state and returns its snapshot id
+export default function snapshot () {
+  return send('evm_snapshot');
+}
+
+// Restores the ganache state saved under the snapshot id. A snapshot can only be reverted once.
+export function revert (id) {
+  return send('evm_revert', [id]);
+}
+
+// Total number of seconds evm_increaseTime has moved the ganache clock by.
+// evm_revert does not roll the clock back, so a restored state can find the
+// clock ahead of where it was saved.
+export function timeOffset () {
+  return send('evm_increaseTime', [0]);
+}
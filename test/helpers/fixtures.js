@@ -0,0 +1,236 @@
+import ether from './ether';
+import snapshot, { revert, timeOffset } from './evmSnapshot';
+import increaseTime, { increaseTimeTo, duration } from './increaseTime';
+import latestTime from './latestTime';
+
+const DappToken = artifacts.require('DappToken');
+const DappTokenCrowdsale = artifacts.require('DappTokenCrowdsale');
+const RefundVault = artifacts.require('./RefundVault');
+
+// PreICO until two days in or 25 ether raised, its funds going straight to
+// the wallet, then a refundable ICO tier. With `tiered: false` the sale keeps
+// the single refundable tier at `rate` it was deployed with. 70% of the
+// tokens are sold and 10% go to each reserve fund.
+const SALE = {
+  name: 'Dapp Token',
+  symbol: 'DAPP',
+  decimals: 18,
+  tokenCap: ether(1000000),
+  rate: 500,
+  cap: ether(100),
+  goal: ether(50),
+  tiered: true,
+  preIcoRate: 500,
+  icoRate: 250,
+  icoThreshold: ether(25),
+  // Only the ICO tier is refundable; 0 keeps the crowdsale's default of
+  // refunding every tier
+  refundPolicy: 1,
+  tokenSaleShare: 7000,
+  reserveShares: [1000, 1000, 1000],
+  // `{ minContribution, bonus }` in wei and basis points, none by default
+  volumeBonuses: [],
+  // `{ reserve, cliff, duration, period, revocable }` in seconds, each
+  // reserve is released in full at the release time by default
+  vestingSchedules: [],
+};
+
+async function deploySale (state, { owner, wallet, funds }, sale) {
+  const tokenArgs = [sale.name, sale.symbol, sale.decimals, sale.tokenCap];
+  const token = await DappToken.new(...tokenArgs, { from: owner });
+  const openingTime = latestTime() + duration.weeks(1);
+  const closingTime = openingTime + duration.weeks(1);
+  const releaseTime = closingTime + duration.years(1);
+  const icoStartTime = openingTime + duration.days(2);
+
+  const crowdsaleArgs = [
+    sale.rate,
+    wallet,
+    token.address,
+    sale.cap,
+    openingTime,
+    closingTime,
+    sale.goal,
+    sale.tokenSaleShare,
+    funds,
+    sale.reserveShares,
+    releaseTime,
+  ];
+  const crowdsale = await DappTokenCrowdsale.new(...crowdsaleArgs, { from: owner });
+  const vaultAddress = await crowdsale.vault();
+
+  return Object.assign(state, sale, {
+    wallet,
+    reserveFunds: funds,
+    foundersFund: funds[0],
+    foundationFund: funds[1],
+    partnersFund: funds[2],
+    openingTime,
+    closingTime,
+    releaseTime,
+    icoStartTime,
+    tokenArgs,
+    crowdsaleArgs,
+    token,
+    crowdsale,
+    vaultAddress,
+    vault: RefundVault.at(vaultAddress),
+  });
+}
+
+async function prepareSale (state, { owner, investors }, sale) {
+  const { token, crowdsale } = state;
+  if (sale.tiered) {
+    await crowdsale.setTiers(
+      [sale.preIcoRate, sale.icoRate],
+      [0, state.icoStartTime],
+      [0, sale.icoThreshold],
+      [false, true],
+      { from: owner }
+    );
+  }
+  if (sale.refundPolicy !== 0) {
+    await crowdsale.setRefundPolicy(sale.refundPolicy, { from: owner });
+  }
+  if (sale.volumeBonuses.length > 0) {
+    await crowdsale.setVolumeBonuses(
+      sale.volumeBonuses.map(tier => tier.minContribution),
+      sale.volumeBonuses.map(tier => tier.bonus),
+      { from: owner }
+    );
+  }
+  for (const schedule of sale.vestingSchedules) {
+    await crowdsale.setVestingSchedule(
+      schedule.reserve,
+      schedule.cliff,
+      schedule.duration,
+      schedule.period,
+      schedule.revocable,
+      { from: owner }
+    );
+  }
+  await token.pause({ from: owner });
+  await token.transferOwnership(crowdsale.address, { from: owner });
+  await crowdsale.addManyToWhitelist(investors, { from: owner });
+  return state;
+}
+
+async function openSale (state) {
+  await increaseTimeTo(state.openingTime + 1);
+  return state;
+}
+
+// The first two investors put 26 ether each into the ICO tier
+async function reachGoalAndClose (state, { investors }) {
+  await increaseTimeTo(state.icoStartTime);
+  await state.crowdsale.buyTokens(investors[0], { value: ether(26), from: investors[0] });
+  await state.crowdsale.buyTokens(investors[1], { value: ether(26), from: investors[1] });
+  await increaseTimeTo(state.closingTime + 1);
+  return state;
+}
+
+async function finalize (state, { owner }) {
+  await state.crowdsale.finalize({ from: owner });
+  return state;
+}
+
+// The first two investors put 2 and 1 ether into the ICO tier, short of the goal
+async function missGoalAndFinalize (state, { owner, investors }) {
+  await increaseTimeTo(state.icoStartTime);
+  await state.crowdsale.buyTokens(investors[0], { value: ether(2), from: investors[0] });
+  await state.crowdsale.buyTokens(investors[1], { value: ether(1), from: investors[1] });
+  await increaseTimeTo(state.closingTime + 1);
+  await state.crowdsale.finalize({ from: owner });
+  return state;
+}
+
+// Each state is built on top of its parent
+const STATES = {
+  'deployed': { build: deploySale },
+  'ready': { parent: 'deployed', build: prepareSale },
+  'sale open': { parent: 'ready', build: openSale },
+  'goal reached and closed': { parent: 'sale open', build: reachGoalAndClose },
+  'finalized': { parent: 'goal reached and closed', build: finalize },
+  'refunding': { parent: 'sale open', build: missGoalAndFinalize },
+};
+
+/**
+ * Named lifecycle states of the standard test sale, each built once and then
+ * restored with evm_snapshot/evm_revert instead of redeploying:
+ * - 'deployed': the token and crowdsale deployed, nothing else
+ * - 'ready': tiers, refund policy, bonuses and vesting schedules set, the
+ *   token paused and owned by the crowdsale, the investors whitelisted, and
+ *   the sale not open yet
+ * - 'sale open': the above, just past the opening time
+ * - 'goal reached and closed': the goal was met in the ICO tier and the sale closed
+ * - 'finalized': the above, finalized
+ * - 'refunding': the goal was missed and the sale finalized, refunds are open
+ *
+ * Create one per contract() block, since Truffle reverts the chain between
+ * them. Ganache does not roll its clock back on evm_revert, so once a test has
+ * moved time forward, the states saved before are rebuilt from scratch on
+ * their next use rather than restored. A rebuild first reverts to where the
+ * first state was built, which undoes everything since and gives the
+ * accounts back the ether spent on the way.
+ * @param accounts `{ owner, wallet, investors, funds }`, with at least two
+ *   investors, who get whitelisted, and the three reserve funds
+ * @param settings Optional overrides of the SALE settings, for those that can
+ *   only be set before the sale opens, e.g. `volumeBonuses`
+ * @return `{ load }`, where `load(name, settings)` brings the chain to that
+ *   state, with `settings` overriding those above for it, and resolves to its
+ *   values: the SALE settings, times, constructor arguments, `token`,
+ *   `crowdsale` and `vault`
+ */
+export default function saleFixtures (accounts, settings) {
+  // Saved states in the order they were saved, like ganache's own snapshots:
+  // reverting to one also discards every snapshot taken after it
+  let saved = [];
+  // Snapshot of the chain before the first state was built
+  let base = null;
+
+  async function save (key, state) {
+    saved.push({ key, state, id: await snapshot(), offset: await timeOffset() });
+    return Object.assign({}, state);
+  }
+
+  async function restore (id) {
+    await revert(id);
+    // Mine a block so that latestTime() catches up with the clock
+    await increaseTime(0);
+  }
+
+  async function build (name, sale) {
+    const fixture = STATES[name];
+    if (!fixture) {
+      throw new Error(`Unknown fixture "${name}", expected one of: ${Object.keys(STATES).join(', ')}`);
+    }
+    // BigNumber settings serialize to their value
+    const key = JSON.stringify([name, sale]);
+
+    const offset = await timeOffset();
+    saved = saved.filter(entry => entry.offset === offset);
+    const index = saved.findIndex(entry => entry.key === key);
+    if (index !== -1) {
+      const { state, id } = saved[index];
+      saved = saved.slice(0, index);
+      await restore(id);
+      return save(key, state);
+    }
+
+    if (fixture.parent) {
+      return save(key, await fixture.build(await build(fixture.parent, sale), accounts, sale));
+    }
+    if (base) {
+      saved = [];
+      await restore(base);
+    }
+    base = await snapshot();
+    return save(key, await fixture.build({}, accounts, sale));
+  }
+
+  function load (name, overrides) {
+    return build(name, Object.assign({}, SALE, settings, overrides));
+  }
+
+  return { load };
+}
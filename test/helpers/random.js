@@ -0,0 +1,30 @@
+/**
+ * Seeded pseudo-random generator (mulberry32), so that a randomized test
+ * run can be repeated exactly from its seed.
+ * @param seed 32-bit integer
+ * @return `{ next, int, pick, chance }`
+ */
+export default function random (seed) {
+  let state = seed >>> 0;
+
+  // Float in [0, 1)
+  const next = function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Integer in [min, max]
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (list) => list[int(0, list.length - 1)];
+  const chance = (probability) => next() < probability;
+
+  return { next, int, pick, chance };
+}
+
+// A fresh seed for runs that do not ask for one
+export function randomSeed () {
+  return Math.floor(Math.random() * 4294967296);
+}
@@ -0,0 +1,411 @@
+import ether from './ether';
+import { increaseTimeTo, duration } from './increaseTime';
+import latestTime from './latestTime';
+import random from './random';
+
+const { vestedAmount } = require('../../lib/vesting');
+const { tierAt } = require('../../lib/saleShared');
+
+const BigNumber = web3.BigNumber;
+const DappToken = artifacts.require('DappToken');
+const DappTokenCrowdsale = artifacts.require('DappTokenCrowdsale');
+const DappTokenVesting = artifacts.require('DappTokenVesting');
+
+// DappTokenCrowdsale.investorMinCap
+const MIN_CONTRIBUTION = ether(0.002);
+const TOKEN_SALE_SHARE = 7000;
+const RESERVE_SHARES = [1000, 1000, 1000];
+// Block timestamps are only known once mined, so the runner stays this far
+// from the opening and closing times
+const MARGIN = duration.minutes(10);
+
+const zero = () => new BigNumber(0);
+const sum = (values) => values.reduce((total, value) => total.plus(value), zero());
+
+function isRevert(error) {
+  return error.message.search('revert') >= 0 || error.message.search('invalid opcode') >= 0;
+}
+
+// Sends a transaction and reports whether it reverted
+async function attempt(send) {
+  try {
+    return { result: await send(), reverted: false };
+  } catch (error) {
+    if (!isRevert(error)) throw error;
+    return { reverted: true };
+  }
+}
+
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function expectEqual(actual, expected, what) {
+  expect(new BigNumber(actual).equals(expected), `${what} is ${actual.toString(10)}, expected ${expected.toString(10)}`);
+}
+
+function blockTime(result) {
+  return web3.eth.getBlock(result.receipt.blockNumber).timestamp;
+}
+
+// Fraction of a wei amount, in percent
+function percentOf(amount, percent) {
+  return amount.times(percent).dividedToIntegerBy(100);
+}
+
+/**
+ * Draws the parameters of a sale: up to three pricing tiers switching on
+ * time, raised wei or both, a refund policy, two KYC tiers and a vesting
+ * schedule for some reserves.
+ */
+function generateSale(rng, now) {
+  const cap = ether(rng.int(5, 20));
+  const openingTime = now + duration.days(1);
+  const closingTime = openingTime + duration.days(rng.int(2, 10));
+
+  const tiers = [{ rate: rng.int(100, 1000), startTime: 0, weiThreshold: zero(), refundable: rng.chance(0.7) }];
+  const tierCount = rng.int(1, 3);
+  // Each later tier draws from its own slice of the range, so that start
+  // times and thresholds increase from tier to tier
+  const inSlice = (min, max, i) => {
+    const size = (max - min + 1) / (tierCount - 1);
+    return rng.int(min + Math.ceil(size * (i - 1)), min + Math.ceil(size * i) - 1);
+  };
+  for (let i = 1; i < tierCount; i++) {
+    const kind = rng.pick(['time', 'threshold', 'both']);
+    tiers.push({
+      rate: rng.int(100, 1000),
+      startTime: kind === 'threshold' ? 0 : inSlice(openingTime + MARGIN, closingTime - MARGIN, i),
+      weiThreshold: kind === 'time' ? zero() : percentOf(cap, inSlice(5, 95, i)),
+      refundable: rng.chance(0.7),
+    });
+  }
+
+  return {
+    cap,
+    goal: percentOf(cap, rng.int(20, 90)),
+    openingTime,
+    closingTime,
+    releaseTime: closingTime + duration.days(1),
+    tiers,
+    refundPolicy: rng.int(0, 1),
+    kycTierCaps: [BigNumber.max(MIN_CONTRIBUTION, percentOf(cap, rng.int(5, 40))), cap],
+    vesting: RESERVE_SHARES.map(() => rng.chance(0.5) ? null : {
+      cliff: duration.days(rng.pick([0, 30, 90])),
+      duration: duration.days(rng.pick([90, 180, 360])),
+      period: duration.days(rng.pick([0, 30])),
+    }),
+  };
+}
+
+// Same as SaleTiers.priceAcrossTiers(), from the rates drawn for the sale
+function priceAcrossTiers(sale, raised, amount, time) {
+  let remaining = amount;
+  let tokens = zero();
+  let refundable = zero();
+  while (remaining.gt(0)) {
+    const index = tierAt(sale.tiers, time, raised);
+    let portion = remaining;
+    for (let i = index + 1; i < sale.tiers.length; i++) {
+      const threshold = sale.tiers[i].weiThreshold;
+      if (threshold.gt(raised) && threshold.minus(raised).lt(portion)) {
+        portion = threshold.minus(raised);
+      }
+    }
+    tokens = tokens.plus(portion.times(sale.tiers[index].rate));
+    if (sale.tiers[index].refundable) {
+      refundable = refundable.plus(portion);
+    }
+    raised = raised.plus(portion);
+    remaining = remaining.minus(portion);
+  }
+  return { tokens, refundable: sale.refundPolicy === 0 ? amount : refundable };
+}
+
+// Same split as DappTokenCrowdsale.finalization()
+function reserveAmounts(tokensSold) {
+  const finalSupply = tokensSold.times(10000).dividedToIntegerBy(TOKEN_SALE_SHARE);
+  const amounts = RESERVE_SHARES.map(share => finalSupply.times(share).dividedToIntegerBy(10000));
+  const leftover = finalSupply.minus(tokensSold).minus(sum(amounts)).toNumber();
+  return amounts.map((amount, i) => i < leftover ? amount.plus(1) : amount);
+}
+
+async function deployCrowdsale(sale, token, { owner, wallet, funds }) {
+  const crowdsale = await DappTokenCrowdsale.new(
+    sale.tiers[0].rate,
+    wallet,
+    token.address,
+    sale.cap,
+    sale.openingTime,
+    sale.closingTime,
+    sale.goal,
+    TOKEN_SALE_SHARE,
+    funds,
+    RESERVE_SHARES,
+    sale.releaseTime,
+    { from: owner }
+  );
+  await token.pause({ from: owner });
+  await token.transferOwnership(crowdsale.address, { from: owner });
+
+  await crowdsale.setTiers(
+    sale.tiers.map(tier => tier.rate),
+    sale.tiers.map(tier => tier.startTime),
+    sale.tiers.map(tier => tier.weiThreshold),
+    sale.tiers.map(tier => tier.refundable),
+    { from: owner }
+  );
+  await crowdsale.setRefundPolicy(sale.refundPolicy, { from: owner });
+  for (let tier = 0; tier < sale.kycTierCaps.length; tier++) {
+    await crowdsale.setKycTierCap(tier, sale.kycTierCaps[tier], { from: owner });
+  }
+  for (let i = 0; i < sale.vesting.length; i++) {
+    const schedule = sale.vesting[i];
+    if (schedule) {
+      await crowdsale.setVestingSchedule(i, schedule.cliff, schedule.duration, schedule.period, false, { from: owner });
+    }
+  }
+  return crowdsale;
+}
+
+/**
+ * Runs a randomized sale from deployment to refunds or reserve releases,
+ * checking the invariants after every step. The same seed always draws the
+ * same sale and steps, so a failure can be replayed from the seed in its
+ * message.
+ * @param seed Seed of the run
+ * @param accounts `{ owner, wallet, funds, investors }`, three reserve funds
+ * @param steps Number of steps while the sale is open
+ */
+export default async function runScenario (seed, { owner, wallet, funds, investors }, steps) {
+  const rng = random(seed);
+  // Deploy the token first: latestTime() lags behind the chain time after a
+  // snapshot has been reverted, until the next block is mined
+  const token = await DappToken.new('Dapp Token', 'DAPP', 18, ether(1000000), { from: owner });
+  const sale = generateSale(rng, latestTime());
+  const crowdsale = await deployCrowdsale(sale, token, { owner, wallet, funds });
+  const vault = await crowdsale.vault();
+  const walletStart = web3.eth.getBalance(wallet);
+
+  // What the sale should look like, kept from the drawn parameters alone
+  const model = {
+    weiRaised: zero(),
+    refundableWeiRaised: zero(),
+    tokensSold: zero(),
+    vaultBalance: zero(),
+    walletReceived: zero(),
+    refunded: zero(),
+    paused: false,
+    finalized: false,
+    contributions: {},
+    deposits: {},
+    tokens: {},
+    whitelisted: {},
+    kycTiers: {},
+    reserves: [],
+  };
+  investors.forEach(investor => {
+    model.contributions[investor] = zero();
+    model.deposits[investor] = zero();
+    model.tokens[investor] = zero();
+    model.kycTiers[investor] = 0;
+  });
+
+  const checkInvariants = async function () {
+    const weiRaised = await crowdsale.weiRaised();
+    const contributions = [];
+    for (const investor of investors) {
+      const contribution = await crowdsale.contributions(investor);
+      contributions.push(contribution);
+      expectEqual(contribution, model.contributions[investor], `contribution of ${investor}`);
+      const cap = await crowdsale.getUserCap(investor);
+      expect(contribution.lte(cap), `${investor} contributed ${contribution} over their cap of ${cap}`);
+      expectEqual(await token.balanceOf(investor), model.tokens[investor], `token balance of ${investor}`);
+    }
+    expectEqual(sum(contributions), weiRaised, 'sum of the contributions');
+    expectEqual(weiRaised, model.weiRaised, 'weiRaised');
+    expect(weiRaised.lte(sale.cap), `weiRaised ${weiRaised} is over the cap`);
+    expectEqual(await crowdsale.refundableWeiRaised(), model.refundableWeiRaised, 'refundableWeiRaised');
+
+    const vaultBalance = web3.eth.getBalance(vault);
+    const walletReceived = web3.eth.getBalance(wallet).minus(walletStart);
+    expectEqual(vaultBalance, model.vaultBalance, 'vault balance');
+    expectEqual(walletReceived, model.walletReceived, 'ether received by the wallet');
+    expectEqual(vaultBalance.plus(walletReceived).plus(model.refunded), weiRaised, 'vault, wallet and refunds');
+
+    const reserved = sum(model.reserves.map(reserve => reserve.amount));
+    expectEqual(await token.totalSupply(), model.tokensSold.plus(reserved), 'token supply');
+    for (const reserve of model.reserves) {
+      expectEqual((await token.balanceOf(reserve.vesting.address)).plus(reserve.released), reserve.amount, 'reserve grant');
+    }
+  };
+
+  const purchase = async function () {
+    // Mostly whitelisted investors, so that most purchases can go through
+    const whitelisted = investors.filter(investor => model.whitelisted[investor]);
+    const investor = rng.pick(whitelisted.length > 0 && rng.chance(0.8) ? whitelisted : investors);
+    const contribution = model.contributions[investor];
+    const userRoom = sale.kycTierCaps[model.kycTiers[investor]].minus(contribution);
+    const saleRoom = sale.cap.minus(model.weiRaised);
+    // Half the time an amount within the limits, otherwise right at or just
+    // past one of them
+    const amount = rng.chance(0.5) && userRoom.gt(0) && saleRoom.gt(0)
+      ? BigNumber.max(1, percentOf(BigNumber.min(userRoom, saleRoom), rng.int(1, 60)))
+      : rng.pick([
+        MIN_CONTRIBUTION.minus(1),
+        MIN_CONTRIBUTION,
+        userRoom,
+        userRoom.plus(1),
+        saleRoom,
+        saleRoom.plus(1),
+      ].filter(candidate => candidate.gt(0)));
+    const description = `${investor} buys for ${amount.toString(10)} wei`;
+
+    const newContribution = contribution.plus(amount);
+    const allowed = !model.paused && model.whitelisted[investor] &&
+      newContribution.gte(MIN_CONTRIBUTION) && amount.lte(userRoom) && amount.lte(saleRoom);
+    const { result, reverted } = await attempt(() => crowdsale.buyTokens(investor, { value: amount, from: investor }));
+    expect(reverted === !allowed, `${description}: expected it to ${allowed ? 'succeed' : 'revert'}`);
+    if (reverted) return `${description}, rejected`;
+
+    const { tokens, refundable } = priceAcrossTiers(sale, model.weiRaised, amount, blockTime(result));
+    model.weiRaised = model.weiRaised.plus(amount);
+    model.refundableWeiRaised = model.refundableWeiRaised.plus(refundable);
+    model.tokensSold = model.tokensSold.plus(tokens);
+    model.contributions[investor] = newContribution;
+    model.tokens[investor] = model.tokens[investor].plus(tokens);
+    model.deposits[investor] = model.deposits[investor].plus(refundable);
+    model.vaultBalance = model.vaultBalance.plus(refundable);
+    model.walletReceived = model.walletReceived.plus(amount.minus(refundable));
+    return `${description}, ${tokens.toString(10)} tokens`;
+  };
+
+  const whitelist = async function () {
+    const batch = investors.filter(() => rng.chance(0.6));
+    await crowdsale.addManyToWhitelist(batch, { from: owner });
+    batch.forEach(investor => { model.whitelisted[investor] = true; });
+    return `whitelist ${batch.length} investors`;
+  };
+
+  // Only ever raises KYC tiers, so that no contribution ends up over its cap
+  const raiseKycTier = async function () {
+    const investor = rng.pick(investors);
+    await crowdsale.setKycTiers([investor], [1], { from: owner });
+    model.kycTiers[investor] = 1;
+    return `move ${investor} to KYC tier 1`;
+  };
+
+  const togglePause = async function () {
+    await (model.paused ? crowdsale.unpause({ from: owner }) : crowdsale.pause({ from: owner }));
+    model.paused = !model.paused;
+    return model.paused ? 'pause' : 'unpause';
+  };
+
+  const jumpWithinSale = async function () {
+    const latest = latestTime();
+    const end = sale.closingTime - MARGIN;
+    if (latest + duration.hours(1) >= end) return 'no time left to skip';
+    const target = rng.int(latest + duration.hours(1), end);
+    await increaseTimeTo(target);
+    return `skip to ${target}`;
+  };
+
+  const release = async function () {
+    const index = rng.int(0, model.reserves.length - 1);
+    const reserve = model.reserves[index];
+    const schedule = Object.assign({ start: sale.releaseTime }, sale.vesting[index] || { cliff: 0, duration: 0, period: 0 });
+    // Walk through the schedules in steps of up to two months
+    await increaseTimeTo(latestTime() + rng.int(1, duration.days(60)));
+
+    const { result, reverted } = await attempt(() => reserve.vesting.release(token.address));
+    const time = reverted ? latestTime() : blockTime(result);
+    const vested = vestedAmount(schedule, reserve.amount, time);
+    const description = `release reserve ${index} at ${time}`;
+    if (reverted) {
+      expectEqual(vested, reserve.released, `${description}: reverted with vested amount`);
+      return `${description}, nothing vested`;
+    }
+    expectEqual(await token.balanceOf(funds[index]), vested, `${description}: released to the fund`);
+    reserve.released = vested;
+    return `${description}, ${vested.toString(10)} vested`;
+  };
+
+  const claimRefund = async function () {
+    const depositors = investors.filter(investor => model.deposits[investor].gt(0));
+    const investor = rng.pick(depositors.length > 0 && rng.chance(0.8) ? depositors : investors);
+    const before = web3.eth.getBalance(investor);
+    const { receipt } = await crowdsale.claimRefund({ from: investor });
+    const gasPrice = web3.eth.getTransaction(receipt.transactionHash).gasPrice;
+    const received = web3.eth.getBalance(investor).minus(before).plus(gasPrice.times(receipt.gasUsed));
+
+    expectEqual(received, model.deposits[investor], `refund of ${investor}`);
+    model.refunded = model.refunded.plus(received);
+    model.vaultBalance = model.vaultBalance.minus(received);
+    model.deposits[investor] = zero();
+    return `${investor} claims a refund of ${received.toString(10)} wei`;
+  };
+
+  const history = [];
+  const step = async function (action) {
+    try {
+      history.push(await action());
+      await checkInvariants();
+    } catch (error) {
+      throw new Error(`Scenario with seed ${seed} failed at step ${history.length}: ${error.message}\n` +
+        `    last steps: ${history.slice(-5).join('; ')}\n` +
+        `    replay with SCENARIO_SEED=${seed}`);
+    }
+  };
+
+  // Before the sale: whitelisting and KYC, purchases are rejected
+  await step(whitelist);
+  await step(raiseKycTier);
+  await step(async () => {
+    const investor = rng.pick(investors);
+    const { reverted } = await attempt(() => crowdsale.buyTokens(investor, { value: MIN_CONTRIBUTION, from: investor }));
+    expect(reverted, 'purchase before the opening time went through');
+    return 'buy before the sale, rejected';
+  });
+
+  // During the sale
+  await increaseTimeTo(sale.openingTime + MARGIN);
+  for (let i = 0; i < steps; i++) {
+    const roll = rng.next();
+    if (roll < 0.6) await step(purchase);
+    else if (roll < 0.7) await step(whitelist);
+    else if (roll < 0.8) await step(raiseKycTier);
+    else if (roll < 0.85) await step(togglePause);
+    else await step(jumpWithinSale);
+  }
+
+  // After the sale
+  await increaseTimeTo(sale.closingTime + MARGIN);
+  if (model.paused) await step(togglePause);
+  await step(async () => {
+    const { reverted } = await attempt(() => crowdsale.buyTokens(investors[0], { value: MIN_CONTRIBUTION, from: investors[0] }));
+    expect(reverted, 'purchase after the closing time went through');
+    return 'buy after the sale, rejected';
+  });
+  await step(async () => {
+    await crowdsale.finalize({ from: owner });
+    model.finalized = true;
+    if (!model.refundableWeiRaised.gte(sale.goal)) {
+      return 'finalize, goal missed';
+    }
+
+    model.walletReceived = model.walletReceived.plus(model.vaultBalance);
+    model.vaultBalance = zero();
+    const amounts = reserveAmounts(model.tokensSold);
+    for (let i = 0; i < amounts.length; i++) {
+      const [, , , , , , address] = await crowdsale.reserves(i);
+      model.reserves.push({ vesting: DappTokenVesting.at(address), amount: amounts[i], released: zero() });
+    }
+    return 'finalize, goal reached';
+  });
+
+  const afterSale = model.reserves.length > 0 ? release : claimRefund;
+  for (let i = 0; i < Math.ceil(steps / 3); i++) {
+    await step(afterSale);
+  }
+  return history;
+}
@@ -0,0 +1,24 @@
+const StablecoinMock = artifacts.require('StablecoinMock');
+const StablecoinRefundVault = artifacts.require('StablecoinRefundVault');
+
+/**
+ * Deploys a mock stablecoin and its refund vault and accepts it on the
+ * crowdsale, which must not have opened yet. Each investor gets `balance`
+ * whole coins and approves the crowdsale to spend them.
+ * @param crowdsale DappTokenCrowdsale owned by the default account
+ * @param options `{ wallet, decimals, rate, investors, balance }`, `rate` in wei per whole coin
+ * @return `{ stablecoin, vault, coins }`, where `coins(n)` converts whole coins to base units
+ */
+export default async function setupStablecoin (crowdsale, { wallet, decimals, rate, investors, balance }) {
+  const stablecoin = await StablecoinMock.new('Mock USD', 'MUSD', decimals);
+  const vault = await StablecoinRefundVault.new(wallet, stablecoin.address);
+  await vault.transferOwnership(crowdsale.address);
+  await crowdsale.setStablecoin(vault.address, decimals, rate);
+
+  const coins = (n) => new web3.BigNumber(10).pow(decimals).times(n);
+  for (const investor of investors || []) {
+    await stablecoin.mint(investor, coins(balance));
+    await stablecoin.approve(crowdsale.address, coins(balance), { from: investor });
+  }
+  return { stablecoin, vault, coins };
+}
@@ -0,0 +1,131 @@
+import ether from './helpers/ether';
+import { increaseTimeTo } from './helpers/increaseTime';
+import snapshot, { revert } from './helpers/evmSnapshot';
+import saleFixtures from './helpers/fixtures';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadStore, saveStore, indexEvents, investorHistory, exportInvestorReports } = require('../lib/indexer');
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .should();
+
+contract('event indexer', function([_, wallet, investor1, investor2, foundersFund, foundationFund, partnersFund]) {
+  const purchases = (store) => store.events.filter(event => event.event === 'TokenPurchase');
+
+  const fixtures = saleFixtures({
+    owner: _,
+    wallet,
+    investors: [investor1, investor2],
+    funds: [foundersFund, foundationFund, partnersFund],
+  });
+
+  beforeEach(async function () {
+    Object.assign(this, await fixtures.load('ready'));
+    this.startBlock = web3.eth.getTransactionReceipt(this.token.transactionHash).blockNumber;
+    // PreICO for the first 2 ether only
+    await this.crowdsale.setTiers([500, 250], [0, 0], [0, ether(2)], [false, true]);
+    await increaseTimeTo(this.openingTime + 1);
+
+    // PreICO purchase, then one that crosses into the ICO tier
+    await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
+    await this.crowdsale.buyTokens(investor2, { value: ether(2), from: investor1 });
+
+    this.ctx = {
+      web3,
+      crowdsale: this.crowdsale,
+      token: this.token,
+      vault: this.vault,
+    };
+    this.store = loadStore(path.join(os.tmpdir(), `missing-${Date.now()}.json`), this.startBlock);
+  });
+
+  it('records every purchase with the tier and rate in effect', async function () {
+    await indexEvents(this.ctx, this.store);
+
+    const [first, second] = purchases(this.store);
+    first.args.should.include({ purchaser: investor1, beneficiary: investor1, value: ether(1).toString(10), amount: ether(500).toString(10) });
+    first.tier.should.equal(0);
+    first.rate.should.equal('500');
+    first.timestamp.should.be.at.least(this.openingTime);
+
+    second.args.should.include({ purchaser: investor1, beneficiary: investor2, value: ether(2).toString(10) });
+    second.tier.should.equal(0);
+    // Half at the PreICO rate, half at the ICO rate
+    second.rate.should.equal('375');
+  });
+
+  it('records whitelist, mint and transfer events', async function () {
+    await indexEvents(this.ctx, this.store);
+
+    const names = this.store.events.map(event => event.event);
+    names.filter(name => name === 'WhitelistedAddressAdded').should.have.lengthOf(2);
+    names.filter(name => name === 'Mint').should.have.lengthOf(2);
+    names.filter(name => name === 'Transfer').should.have.lengthOf(2);
+  });
+
+  it('records refunds after a failed sale', async function () {
+    await increaseTimeTo(this.closingTime + 1);
+    await this.crowdsale.finalize();
+    // The vault credits the purchaser, who paid for investor2's ICO purchase
+    await this.crowdsale.claimRefund({ from: investor1 });
+    await indexEvents(this.ctx, this.store);
+
+    const names = this.store.events.map(event => event.event);
+    names.should.include.members(['Finalized', 'RefundsEnabled', 'Refunded']);
+
+    const history = investorHistory(this.store, investor1);
+    history.map(event => event.event).should.deep.equal(['TokenPurchase', 'Refunded']);
+    // Only the ICO part of that purchase went to the vault
+    history[1].args.weiAmount.should.equal(ether(1).toString(10));
+  });
+
+  it('resumes from the last indexed block', async function () {
+    const file = path.join(os.tmpdir(), `events-${Date.now()}.json`);
+    await indexEvents(this.ctx, this.store);
+    saveStore(file, this.store);
+    const indexed = this.store.events.length;
+
+    await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
+
+    const store = loadStore(file);
+    const result = await indexEvents(this.ctx, store);
+    result.fromBlock.should.equal(this.store.lastBlock + 1);
+    result.added.should.equal(3);
+    store.events.should.have.lengthOf(indexed + 3);
+    const third = purchases(store)[2];
+    third.tier.should.equal(1);
+    third.rate.should.equal('250');
+  });
+
+  it('rolls back events from reorganized blocks', async function () {
+    const id = await snapshot();
+    await this.crowdsale.buyTokens(investor1, { value: ether(3), from: investor1 });
+    await indexEvents(this.ctx, this.store);
+    purchases(this.store).should.have.lengthOf(3);
+
+    // Replace the last block with a different one
+    await revert(id);
+    await this.crowdsale.buyTokens(investor2, { value: ether(4), from: investor2 });
+
+    const result = await indexEvents(this.ctx, this.store);
+    result.rolledBackTo.should.be.below(result.fromBlock);
+    const last = purchases(this.store).pop();
+    purchases(this.store).should.have.lengthOf(3);
+    last.args.beneficiary.should.equal(investor2);
+    last.args.value.should.equal(ether(4).toString(10));
+  });
+
+  it('exports a CSV report per investor', async function () {
+    await indexEvents(this.ctx, this.store);
+    const directory = path.join(os.tmpdir(), `reports-${Date.now()}`);
+    const files = exportInvestorReports(this.store, directory);
+
+    files.should.have.lengthOf(2);
+    const lines = fs.readFileSync(path.join(directory, `${investor2}.csv`), 'utf8').trim().split('\n');
+    lines[0].should.equal('event,blockNumber,timestamp,transactionHash,purchaser,weiAmount,tokens,tier,rate');
+    lines[1].should.match(new RegExp(`^TokenPurchase,\\d+,[^,]+,0x[0-9a-f]{64},${investor1},${ether(2).toString(10)},${ether(750).toString(10)},0,375$`));
+  });
+});
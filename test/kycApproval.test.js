@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const http = require('http');
+const { approverAddress, signApproval, recoverApprover } = require('../lib/kycApproval');
+const { createSignerServer, isLoopbackHost } = require('../lib/kycSigner');
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .should();
+
+contract('KYC approvals', function([_, crowdsale, investor1]) {
+  const privateKey = '0x' + crypto.randomBytes(32).toString('hex');
+  const approver = approverAddress(privateKey);
+
+  describe('signing', function() {
+    beforeEach(function () {
+      this.approval = {
+        crowdsale: crowdsale,
+        beneficiary: investor1,
+        maxContribution: '5000000000000000000',
+        expiry: 1600000000,
+      };
+    });
+
+    it('signs approvals that recover to the approver', function () {
+      const signed = signApproval(privateKey, this.approval);
+      signed.signature.should.match(/^0x[0-9a-f]{130}$/);
+      recoverApprover(signed).should.equal(approver);
+    });
+
+    it('binds the signature to every field', function () {
+      const signed = signApproval(privateKey, this.approval);
+      recoverApprover(Object.assign({}, signed, { maxContribution: '6000000000000000000' })).should.not.equal(approver);
+      recoverApprover(Object.assign({}, signed, { crowdsale: investor1 })).should.not.equal(approver);
+    });
+
+    it('rejects invalid approvals', function () {
+      this.approval.maxContribution = '5.5';
+      this.approval.expiry = 'tomorrow';
+      (() => signApproval(privateKey, this.approval)).should.throw(
+        'Invalid approval: maxContribution must be a positive integer amount of wei, expiry must be a unix timestamp in seconds'
+      );
+    });
+
+    it('rejects invalid private keys', function () {
+      (() => approverAddress('0x1234')).should.throw(/Invalid approver private key/);
+    });
+  });
+
+  describe('signer service', function() {
+    const request = (server, method, url, body) => new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path: url }, res => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+
+    beforeEach(function (done) {
+      this.server = createSignerServer({ privateKey, crowdsale, ttl: 600, now: () => 1500000000 });
+      this.server.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(function (done) {
+      this.server.close(done);
+    });
+
+    it('reports the approver and crowdsale', async function () {
+      const response = await request(this.server, 'GET', '/approver');
+      response.body.should.deep.equal({ approver, crowdsale });
+    });
+
+    it('signs approvals that expire after the configured time', async function () {
+      const response = await request(this.server, 'POST', '/approvals', { beneficiary: investor1, maxContribution: '1000' });
+
+      response.status.should.equal(200);
+      response.body.should.include({ crowdsale, beneficiary: investor1, maxContribution: '1000', expiry: 1500000600 });
+      recoverApprover(response.body).should.equal(approver);
+    });
+
+    it('rejects invalid requests', async function () {
+      const response = await request(this.server, 'POST', '/approvals', { beneficiary: '0x1234', maxContribution: '1000' });
+      response.status.should.equal(400);
+      response.body.error.should.equal('beneficiary must be an address');
+
+      (await request(this.server, 'GET', '/approvals')).status.should.equal(404);
+    });
+
+    it('answers bodies that are too large before closing the connection', async function () {
+      const response = await request(this.server, 'POST', '/approvals', { beneficiary: investor1, padding: 'x'.repeat(10000) });
+      response.status.should.equal(400);
+      response.body.error.should.equal('Request body too large');
+    });
+
+    it('only listens on loopback addresses', function () {
+      ['localhost', '127.0.0.1', '127.1.2.3', '::1'].forEach(host => isLoopbackHost(host).should.be.true);
+      ['0.0.0.0', '192.168.1.10', '::', 'example.com', '128.0.0.1'].forEach(host => isLoopbackHost(host).should.be.false);
+    });
+  });
+});
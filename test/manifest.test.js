@@ -0,0 +1,116 @@
+import ether from './helpers/ether';
+import { duration } from './helpers/increaseTime';
+import saleFixtures from './helpers/fixtures';
+
+const os = require('os');
+const path = require('path');
+const { buildManifest, writeManifest, loadManifest, verifyDeployment, formatVerification } = require('../lib/manifest');
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .should();
+
+const DappToken = artifacts.require('DappToken');
+const DappTokenCrowdsale = artifacts.require('DappTokenCrowdsale');
+const DappTokenVesting = artifacts.require('DappTokenVesting');
+const RefundVault = artifacts.require('./RefundVault');
+const SaleReserves = artifacts.require('SaleReserves');
+
+contract('deployment manifest', function([_, wallet, investor1, investor2, foundersFund, foundationFund, partnersFund]) {
+  const funds = [foundersFund, foundationFund, partnersFund];
+  const contracts = { DappToken, DappTokenCrowdsale, DappTokenVesting, RefundVault, SaleReserves };
+  const fixtures = saleFixtures({ owner: _, wallet, investors: [investor1, investor2], funds });
+
+  beforeEach(async function () {
+    Object.assign(this, await fixtures.load('deployed'));
+
+    const deployed = (contract, instance, args) => ({
+      contract,
+      args,
+      address: instance.address,
+      transactionHash: instance.transactionHash,
+    });
+    this.manifest = Object.assign({ version: 1 }, await buildManifest(web3, 'test', {
+      saleReserves: deployed(SaleReserves, await SaleReserves.deployed(), []),
+      token: deployed(DappToken, this.token, this.tokenArgs),
+      crowdsale: deployed(DappTokenCrowdsale, this.crowdsale, this.crowdsaleArgs),
+      vault: {
+        contract: RefundVault,
+        args: [wallet],
+        address: await this.crowdsale.vault(),
+        transactionHash: this.crowdsale.transactionHash,
+      },
+    }));
+  });
+
+  it('records each contract with its constructor arguments and deployment', async function () {
+    const { crowdsale, vault } = this.manifest.contracts;
+    const receipt = web3.eth.getTransactionReceipt(this.crowdsale.transactionHash);
+
+    crowdsale.contractName.should.equal('DappTokenCrowdsale');
+    crowdsale.args.rate.should.equal('500');
+    crowdsale.args.goal.should.equal(ether(50).toString(10));
+    crowdsale.args.reserveFunds.should.deep.equal(funds.map(fund => fund.toLowerCase()));
+    crowdsale.blockNumber.should.equal(receipt.blockNumber);
+    crowdsale.blockHash.should.equal(receipt.blockHash);
+    this.manifest.deployer.should.equal(_);
+
+    vault.address.should.equal((await this.crowdsale.vault()).toLowerCase());
+    vault.transactionHash.should.equal(this.crowdsale.transactionHash);
+    this.manifest.timelocks.map(timelock => timelock.fund).should.deep.equal(crowdsale.args.reserveFunds);
+    this.manifest.timelocks[0].releaseTime.should.equal(String(this.releaseTime));
+  });
+
+  it('saves a new version per deploy and loads the latest', function () {
+    const dir = path.join(os.tmpdir(), `deployments-${Date.now()}`);
+    path.basename(writeManifest(this.manifest, dir)).should.equal('v1.json');
+    path.basename(writeManifest(this.manifest, dir)).should.equal('v2.json');
+
+    loadManifest('test', undefined, dir).version.should.equal(2);
+    loadManifest('test', 1, dir).version.should.equal(1);
+    (() => loadManifest('test', 3, dir)).should.throw(/found: 1, 2/);
+    (() => loadManifest('ropsten', undefined, dir)).should.throw(/No deployment manifest/);
+  });
+
+  it('finds no drift in a deployment that matches its manifest', async function () {
+    const report = await verifyDeployment({ web3, contracts }, this.manifest);
+    report.drift.should.be.empty;
+    report.saleOpen.should.be.false;
+    formatVerification(report).should.contain('No drift');
+  });
+
+  it('reports parameters that changed on chain or differ from the manifest', async function () {
+    await this.crowdsale.extendClosingTime(duration.days(1));
+    this.manifest.contracts.crowdsale.args.reserveFunds.reverse();
+    this.manifest.contracts.token.args.symbol = 'DAP';
+
+    const { drift } = await verifyDeployment({ web3, contracts }, this.manifest);
+    drift.map(item => `${item.contract}.${item.field}`).should.deep.equal([
+      'token.symbol',
+      'crowdsale.closingTime',
+      'crowdsale.reserveFunds',
+    ]);
+    drift[1].actual.should.equal(String(this.closingTime + duration.days(1)));
+  });
+
+  it('reports code that does not match the artifacts', async function () {
+    this.manifest.contracts.token.address = this.crowdsale.address;
+    this.manifest.contracts.vault.address = wallet;
+
+    const report = await verifyDeployment({ web3, contracts }, this.manifest);
+    report.drift.map(item => [item.contract, item.field, item.actual]).should.deep.equal([
+      ['token', 'code', 'different runtime bytecode'],
+      ['vault', 'code', `no code at ${wallet}`],
+      ['crowdsale', 'vault', await this.crowdsale.vault()],
+    ]);
+    formatVerification(report).should.contain('Drift found in 3 places');
+  });
+
+  it('refuses to check a manifest written for another network', async function () {
+    this.manifest.network = 'ropsten';
+    this.manifest.networkId = '3';
+
+    await verifyDeployment({ web3, contracts }, this.manifest)
+      .should.be.rejectedWith(/ropsten manifest is for network id 3, but the connected chain has id/);
+  });
+});
@@ -0,0 +1,235 @@
+import ether from './helpers/ether';
+import EVMRevert from './helpers/EVMRevert';
+import { increaseTimeTo } from './helpers/increaseTime';
+import saleFixtures from './helpers/fixtures';
+
+const admin = require('../lib/admin');
+const { describeCall, collectMultisig } = require('../lib/multisig');
+const { batchGas } = require('../lib/whitelist');
+
+const BigNumber = web3.BigNumber;
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .use(require('chai-bignumber')(BigNumber))
+  .should();
+
+const DappTokenCrowdsale = artifacts.require('DappTokenCrowdsale');
+const MultiSigWallet = artifacts.require('MultiSigWallet');
+
+contract('multisig', function([_, wallet, investor1, investor2, foundersFund, foundationFund, partnersFund, owner2, owner3]) {
+  const submitted = result => result.logs.find(log => log.event === 'Submission').args.transactionId;
+
+  describe('wallet', function() {
+    beforeEach(async function () {
+      this.multisig = await MultiSigWallet.new([_, owner2, owner3], 2);
+      await web3.eth.sendTransaction({ from: _, to: this.multisig.address, value: ether(2) });
+      // Calls the wallet makes to itself
+      this.selfCall = (method, ...args) => this.multisig.contract[method].getData(...args);
+    });
+
+    it('rejects invalid owners and thresholds', async function () {
+      await MultiSigWallet.new([_, _], 1).should.be.rejectedWith(EVMRevert);
+      await MultiSigWallet.new([_, '0x0000000000000000000000000000000000000000'], 1).should.be.rejectedWith(EVMRevert);
+      await MultiSigWallet.new([_], 2).should.be.rejectedWith(EVMRevert);
+      await MultiSigWallet.new([_], 0).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('runs a call once enough owners confirm it', async function () {
+      const id = submitted(await this.multisig.submitTransaction(investor1, ether(1), '0x', { from: _ }));
+      const balance = await web3.eth.getBalance(investor1);
+      (await this.multisig.isConfirmed(id)).should.be.false;
+
+      await this.multisig.confirmTransaction(id, { from: owner2 });
+      (await web3.eth.getBalance(investor1)).should.be.bignumber.equal(balance.plus(ether(1)));
+      const [, , , executed] = await this.multisig.transactions(id);
+      executed.should.be.true;
+      await this.multisig.confirmTransaction(id, { from: owner3 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('only lets owners submit and confirm', async function () {
+      await this.multisig.submitTransaction(investor1, ether(1), '0x', { from: investor1 }).should.be.rejectedWith(EVMRevert);
+      const id = submitted(await this.multisig.submitTransaction(investor1, ether(1), '0x', { from: _ }));
+      await this.multisig.confirmTransaction(id, { from: investor1 }).should.be.rejectedWith(EVMRevert);
+      await this.multisig.confirmTransaction(id, { from: _ }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('drops revoked confirmations', async function () {
+      const id = submitted(await this.multisig.submitTransaction(investor1, ether(1), '0x', { from: _ }));
+      await this.multisig.revokeConfirmation(id, { from: _ });
+      await this.multisig.confirmTransaction(id, { from: owner2 });
+
+      (await this.multisig.getConfirmationCount(id)).should.be.bignumber.equal(1);
+      const [, , , executed] = await this.multisig.transactions(id);
+      executed.should.be.false;
+      await this.multisig.revokeConfirmation(id, { from: owner3 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('only changes owners and threshold through its own transactions', async function () {
+      await this.multisig.changeRequirement(1, { from: _ }).should.be.rejectedWith(EVMRevert);
+      await this.multisig.addOwner(investor1, { from: _ }).should.be.rejectedWith(EVMRevert);
+      await this.multisig.removeOwner(owner3, { from: _ }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('raises the threshold and adds owners', async function () {
+      let id = submitted(await this.multisig.submitTransaction(this.multisig.address, 0, this.selfCall('changeRequirement', 3), { from: _ }));
+      await this.multisig.confirmTransaction(id, { from: owner2 });
+      (await this.multisig.required()).should.be.bignumber.equal(3);
+
+      id = submitted(await this.multisig.submitTransaction(this.multisig.address, 0, this.selfCall('addOwner', investor1), { from: _ }));
+      await this.multisig.confirmTransaction(id, { from: owner2 });
+      (await this.multisig.isConfirmed(id)).should.be.false;
+      await this.multisig.confirmTransaction(id, { from: owner3 });
+      (await this.multisig.getOwners()).should.deep.equal([_, owner2, owner3, investor1]);
+    });
+
+    it('refuses a threshold above the number of owners', async function () {
+      const id = submitted(await this.multisig.submitTransaction(this.multisig.address, 0, this.selfCall('changeRequirement', 4), { from: _ }));
+      const { logs } = await this.multisig.confirmTransaction(id, { from: owner2 });
+
+      logs.map(log => log.event).should.include('ExecutionFailure');
+      (await this.multisig.required()).should.be.bignumber.equal(2);
+    });
+
+    it('lowers the threshold with the owners and ignores removed owners\' confirmations', async function () {
+      const pending = submitted(await this.multisig.submitTransaction(investor1, ether(1), '0x', { from: owner3 }));
+      const id = submitted(await this.multisig.submitTransaction(this.multisig.address, 0, this.selfCall('removeOwner', owner3), { from: _ }));
+      await this.multisig.confirmTransaction(id, { from: owner2 });
+      (await this.multisig.getOwners()).should.deep.equal([_, owner2]);
+      (await this.multisig.getConfirmationCount(pending)).should.be.bignumber.equal(0);
+
+      const remove = submitted(await this.multisig.submitTransaction(this.multisig.address, 0, this.selfCall('removeOwner', owner2), { from: _ }));
+      await this.multisig.confirmTransaction(remove, { from: owner2 });
+      (await this.multisig.getOwners()).should.deep.equal([_]);
+      (await this.multisig.required()).should.be.bignumber.equal(1);
+    });
+
+    it('drops the confirmations of a removed owner that is added again', async function () {
+      const pending = submitted(await this.multisig.submitTransaction(investor1, ether(1), '0x', { from: owner3 }));
+      const remove = submitted(await this.multisig.submitTransaction(this.multisig.address, 0, this.selfCall('removeOwner', owner3), { from: _ }));
+      await this.multisig.confirmTransaction(remove, { from: owner2 });
+      const add = submitted(await this.multisig.submitTransaction(this.multisig.address, 0, this.selfCall('addOwner', owner3), { from: _ }));
+      await this.multisig.confirmTransaction(add, { from: owner2 });
+
+      (await this.multisig.getOwners()).should.deep.equal([_, owner2, owner3]);
+      (await this.multisig.confirmations(pending, owner3)).should.be.false;
+      (await this.multisig.getConfirmationCount(pending)).should.be.bignumber.equal(0);
+      const { transactions } = await collectMultisig(this.multisig, [MultiSigWallet.abi]);
+      transactions[pending.toNumber()].confirmations.should.be.empty;
+
+      await this.multisig.confirmTransaction(pending, { from: owner3 });
+      (await this.multisig.isConfirmed(pending)).should.be.false;
+      await this.multisig.confirmTransaction(pending, { from: owner2 });
+      const [, , , executed] = await this.multisig.transactions(pending);
+      executed.should.be.true;
+    });
+
+    it('changes the threshold from the admin commands', async function () {
+      const messages = [];
+      const ctx = { multisig: this.multisig, from: _, log: message => messages.push(message) };
+
+      const { id } = await admin.runCommand(ctx, ['multisig', 'required', '3']);
+      messages.should.include(`changeRequirement proposed to the multisig as transaction ${id}, waiting for confirmations`);
+      await admin.runCommand(ctx, ['multisig', 'confirm', String(id)]).should.be.rejectedWith(/already confirmed/);
+
+      ctx.from = owner2;
+      await admin.runCommand(ctx, ['multisig', 'confirm', String(id)]);
+      (await this.multisig.required()).should.be.bignumber.equal(3);
+      await admin.runCommand(ctx, ['multisig', 'required', '4']).should.be.rejectedWith(/between 1 and 3/);
+    });
+
+    it('names the calls of its transactions', function () {
+      describeCall([MultiSigWallet.abi], this.selfCall('addOwner', investor1)).should.equal(`addOwner(${investor1})`);
+      const finalize = web3.eth.contract(DappTokenCrowdsale.abi).at(_).finalize.getData();
+      describeCall([DappTokenCrowdsale.abi], finalize).should.equal('finalize()');
+      describeCall([MultiSigWallet.abi], '0x').should.equal('plain transfer');
+    });
+  });
+
+  describe('owning the sale', function() {
+    // The crowdsale's wallet, filled in once the multisig is deployed
+    const accounts = {
+      owner: _,
+      investors: [investor1, investor2],
+      funds: [foundersFund, foundationFund, partnersFund],
+    };
+    const fixtures = saleFixtures(accounts);
+
+    before(async function () {
+      // Not changed by these tests, so it can outlive the fixtures
+      this.multisig = await MultiSigWallet.new([_, owner2, owner3], 2);
+      accounts.wallet = this.multisig.address;
+    });
+
+    beforeEach(async function () {
+      this.load = async (name) => {
+        Object.assign(this, await fixtures.load(name));
+        await this.crowdsale.transferOwnership(this.multisig.address, { from: _ });
+        this.messages = [];
+        this.ctx = {
+          crowdsale: this.crowdsale,
+          token: this.token,
+          multisig: this.multisig,
+          web3,
+          from: _,
+          log: (message) => this.messages.push(message),
+        };
+      };
+    });
+
+    it('finalizes once a second owner confirms', async function () {
+      await this.load('goal reached and closed');
+      const balance = await web3.eth.getBalance(this.multisig.address);
+
+      const { id, executed } = await admin.runCommand(this.ctx, ['finalize']);
+      executed.should.be.false;
+      (await this.crowdsale.isFinalized()).should.be.false;
+
+      await admin.runCommand(this.ctx, ['multisig']);
+      this.messages.join('\n').should.include(`  #${id} finalize() on ${this.crowdsale.address}: 1 of 2 confirmations (${_})`);
+
+      this.ctx.from = owner2;
+      (await admin.runCommand(this.ctx, ['multisig', 'confirm', String(id)])).executed.should.be.true;
+      (await this.crowdsale.isFinalized()).should.be.true;
+
+      // The multisig is the wallet: it owns the token and got the vault's funds
+      (await this.token.owner()).should.equal(this.multisig.address);
+      (await web3.eth.getBalance(this.multisig.address)).should.be.bignumber.equal(balance.plus(ether(52)));
+    });
+
+    it('only takes admin actions from its owners', async function () {
+      await this.load('sale open');
+      await this.crowdsale.pause({ from: _ }).should.be.rejectedWith(EVMRevert);
+
+      this.ctx.from = investor1;
+      await admin.runCommand(this.ctx, ['pause']).should.be.rejectedWith(/not an owner of the multisig/);
+      await admin.runCommand(this.ctx, ['multisig', 'confirm', '0']).should.be.rejectedWith(/not an owner of the multisig/);
+    });
+
+    it('sends batch calls with the gas of the batch and its storage in the multisig', async function () {
+      await this.load('sale open');
+      const [{ id, tx }] = await admin.runCommand(this.ctx, ['whitelist', 'add', owner2, owner3]);
+      // Sized for the batch rather than left to the default gas
+      web3.eth.getTransaction(tx).gas.should.be.within(batchGas(2), batchGas(2) + 500000);
+
+      this.ctx.from = owner2;
+      await admin.runCommand(this.ctx, ['multisig', 'confirm', String(id)]);
+      (await this.crowdsale.whitelist(owner3)).should.be.true;
+    });
+
+    it('runs a failed call again once it can succeed', async function () {
+      await this.load('sale open');
+      // finalize() refuses to propose before the sale closes, so go around it
+      const { id } = await admin.proposeTransaction(this.ctx, this.crowdsale, 'finalize', []);
+
+      this.ctx.from = owner2;
+      await admin.runCommand(this.ctx, ['multisig', 'confirm', String(id)]).should.be.rejectedWith(/call failed/);
+      (await this.crowdsale.isFinalized()).should.be.false;
+
+      await increaseTimeTo(this.closingTime + 1);
+      await admin.runCommand(this.ctx, ['multisig', 'execute', String(id)]);
+      (await this.crowdsale.isFinalized()).should.be.true;
+      await admin.runCommand(this.ctx, ['multisig', 'execute', String(id)]).should.be.rejectedWith(/already been executed/);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+import ether from './helpers/ether';
+import EVMRevert from './helpers/EVMRevert';
+import { increaseTimeTo } from './helpers/increaseTime';
+import saleFixtures from './helpers/fixtures';
+import setupStablecoin from './helpers/stablecoin';
+
+const admin = require('../lib/admin');
+
+const BigNumber = web3.BigNumber;
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .use(require('chai-bignumber')(BigNumber))
+  .should();
+
+const RefundVault = artifacts.require('./RefundVault');
+const StablecoinRefundVault = artifacts.require('StablecoinRefundVault');
+const RejectingInvestorMock = artifacts.require('RejectingInvestorMock');
+
+contract('batch refunds', function([_, wallet, investor1, investor2, investor3, foundersFund, foundationFund, partnersFund]) {
+  const fixtures = saleFixtures({
+    owner: _,
+    wallet,
+    investors: [investor1, investor2, investor3],
+    funds: [foundersFund, foundationFund, partnersFund],
+  }, { tiered: false });
+
+  beforeEach(async function () {
+    // Whitelisted and at a single refundable rate, not open yet
+    Object.assign(this, await fixtures.load('ready'));
+  });
+
+  it('lists each depositor once, in order of their first deposit', async function () {
+    await increaseTimeTo(this.openingTime + 1);
+    await this.crowdsale.buyTokens(investor2, { value: ether(1), from: investor2 });
+    await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
+    await this.crowdsale.buyTokens(investor2, { value: ether(1), from: investor2 });
+
+    (await this.crowdsale.depositorCount()).should.be.bignumber.equal(2);
+    (await this.crowdsale.depositors(0)).should.equal(investor2);
+    (await this.crowdsale.depositors(1)).should.equal(investor1);
+  });
+
+  it('leaves out purchases that go straight to the wallet', async function () {
+    await this.crowdsale.setTiers([500, 250], [0, 0], [0, ether(1)], [false, true]);
+    await this.crowdsale.setRefundPolicy(1);
+    await increaseTimeTo(this.openingTime + 1);
+    await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
+    (await this.crowdsale.depositorCount()).should.be.bignumber.equal(0);
+
+    await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
+    (await this.crowdsale.depositorCount()).should.be.bignumber.equal(1);
+  });
+
+  describe('after a failed sale', function() {
+    beforeEach(async function () {
+      await increaseTimeTo(this.openingTime + 1);
+      await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
+      await this.crowdsale.buyTokens(investor2, { value: ether(2), from: investor2 });
+      await this.crowdsale.buyTokens(investor3, { value: ether(3), from: investor3 });
+    });
+
+    it('refunds only once the sale is finalized', async function () {
+      await increaseTimeTo(this.closingTime + 1);
+      await this.crowdsale.processRefunds(10).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('refunds in batches and keeps its progress', async function () {
+      await increaseTimeTo(this.closingTime + 1);
+      await this.crowdsale.finalize();
+
+      const balance = web3.eth.getBalance(investor3);
+      const { logs } = await this.crowdsale.processRefunds(2);
+      logs[0].event.should.equal('RefundsProcessed');
+      logs[0].args.from.should.be.bignumber.equal(0);
+      logs[0].args.to.should.be.bignumber.equal(2);
+      (await this.vault.deposited(investor1)).should.be.bignumber.equal(0);
+      (await this.vault.deposited(investor2)).should.be.bignumber.equal(0);
+      (await this.vault.deposited(investor3)).should.be.bignumber.equal(ether(3));
+
+      await this.crowdsale.processRefunds(2);
+      (await this.crowdsale.refundsProcessed()).should.be.bignumber.equal(3);
+      web3.eth.getBalance(investor3).should.be.bignumber.equal(balance.plus(ether(3)));
+      web3.eth.getBalance(this.vault.address).should.be.bignumber.equal(0);
+
+      await this.crowdsale.processRefunds(2).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('skips investors that already claimed their refund', async function () {
+      await increaseTimeTo(this.closingTime + 1);
+      await this.crowdsale.finalize();
+      await this.crowdsale.claimRefund({ from: investor2 });
+
+      const { logs } = await this.crowdsale.processRefunds(3);
+      logs.map(log => log.event).should.deep.equal(['RefundsProcessed']);
+      web3.eth.getBalance(this.vault.address).should.be.bignumber.equal(0);
+    });
+
+    it('rejects invalid batches and non-admin calls', async function () {
+      await increaseTimeTo(this.closingTime + 1);
+      await this.crowdsale.finalize();
+      await this.crowdsale.processRefunds(0).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.processRefunds(101).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.processRefunds(10, { from: investor1 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('logs refunds that fail and carries on', async function () {
+      const rejecting = await RejectingInvestorMock.new();
+      await this.crowdsale.addToWhitelist(rejecting.address);
+      await rejecting.buy(this.crowdsale.address, { value: ether(1) });
+      await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
+      await increaseTimeTo(this.closingTime + 1);
+      await this.crowdsale.finalize();
+
+      const { logs } = await this.crowdsale.processRefunds(10);
+      logs[0].event.should.equal('RefundFailed');
+      logs[0].args.investor.should.equal(rejecting.address);
+      (await this.crowdsale.refundsProcessed()).should.be.bignumber.equal(4);
+      (await this.vault.deposited(rejecting.address)).should.be.bignumber.equal(ether(1));
+      web3.eth.getBalance(this.vault.address).should.be.bignumber.equal(ether(1));
+    });
+  });
+
+  it('refunds stablecoin deposits in the same batches', async function () {
+    const { stablecoin, vault, coins } = await setupStablecoin(this.crowdsale, {
+      wallet,
+      decimals: 6,
+      rate: ether(0.002),
+      investors: [investor2],
+      balance: 1000,
+    });
+    await increaseTimeTo(this.openingTime + 1);
+    await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
+    await this.crowdsale.buyTokens(investor2, { value: ether(1), from: investor2 });
+    await this.crowdsale.buyTokensWithStablecoin(investor2, coins(500), { from: investor2 });
+    await increaseTimeTo(this.closingTime + 1);
+    await this.crowdsale.finalize();
+
+    await this.crowdsale.processRefunds(10);
+    (await vault.deposited(investor2)).should.be.bignumber.equal(0);
+    (await stablecoin.balanceOf(investor2)).should.be.bignumber.equal(coins(1000));
+  });
+
+  describe('refund tool', function() {
+    beforeEach(async function () {
+      this.messages = [];
+      this.ctx = {
+        crowdsale: this.crowdsale,
+        token: this.token,
+        RefundVault,
+        StablecoinRefundVault,
+        web3,
+        from: _,
+        log: (message) => this.messages.push(message),
+      };
+      await increaseTimeTo(this.openingTime + 1);
+      await this.crowdsale.buyTokens(investor1, { value: ether(1), from: investor1 });
+      await this.crowdsale.buyTokens(investor2, { value: ether(2), from: investor2 });
+      await this.crowdsale.buyTokens(investor3, { value: ether(3), from: investor3 });
+      await increaseTimeTo(this.closingTime + 1);
+    });
+
+    it('refuses to refund before finalization', async function () {
+      await admin.runCommand(this.ctx, ['refunds', 'process']).should.be.rejectedWith('The crowdsale is not finalized yet');
+    });
+
+    it('runs the batches and reports paid and outstanding refunds', async function () {
+      await this.crowdsale.finalize();
+      await this.crowdsale.claimRefund({ from: investor1 });
+
+      const before = await admin.runCommand(this.ctx, ['refunds'], { json: true });
+      before.processed.should.equal(0);
+      before.depositors.map(depositor => depositor.outstanding)
+        .should.deep.equal(['0', ether(2).toString(10), ether(3).toString(10)]);
+      before.depositors[0].refunded.should.equal(ether(1).toString(10));
+
+      const report = await admin.runCommand(this.ctx, ['refunds', 'process'], { batchSize: '2' });
+      this.messages.should.include('Refunding depositors 0 to 1');
+      this.messages.should.include('Refunding depositors 2 to 2');
+      report.processed.should.equal(3);
+      report.depositors.map(depositor => depositor.refunded)
+        .should.deep.equal([ether(1), ether(2), ether(3)].map(amount => amount.toString(10)));
+
+      const text = this.messages[this.messages.length - 1];
+      text.should.include('Refunds: 3 of 3 depositors processed, 3 paid, 0 outstanding');
+      text.should.include(`${investor3}  paid 3 ETH`);
+
+      await admin.runCommand(this.ctx, ['refunds', 'process']).should.be.rejectedWith('All 3 depositors have already been processed');
+    });
+
+    it('checks the batch size and the sender', async function () {
+      await this.crowdsale.finalize();
+      await admin.runCommand(this.ctx, ['refunds', 'process'], { batchSize: '500' })
+        .should.be.rejectedWith('The batch size must be between 1 and 100');
+
+      this.ctx.from = investor1;
+      await admin.runCommand(this.ctx, ['refunds', 'process']).should.be.rejectedWith(/not the crowdsale owner/);
+    });
+
+    it('flags refunds that failed', async function () {
+      await this.crowdsale.finalize();
+      const report = await admin.refunds(this.ctx);
+      report.depositors[1].processed = true;
+
+      const { formatRefunds } = require('../lib/refunds');
+      formatRefunds(report).should.include(`${investor2}  owed 2 ETH (refund failed)`);
+    });
+  });
+});
@@ -0,0 +1,316 @@
+import { duration } from './helpers/increaseTime';
+
+const {
+  loadSaleConfig,
+  validateSaleConfig,
+  tierArguments,
+  reserveArguments,
+  hasVestingSchedule,
+  vestingArguments,
+  maxTokenSupply,
+  ZERO_ADDRESS,
+} = require('../lib/saleConfig');
+
+require('chai').should();
+
+contract('sale config', function([_, wallet, foundersFund, foundationFund, partnersFund]) {
+  const now = 1500000000;
+
+  beforeEach(function () {
+    this.config = {
+      token: { name: 'Dapp Token', symbol: 'DAPP', decimals: 18, cap: 100000 },
+      rate: 500,
+      cap: 100,
+      goal: 50,
+      openingTime: now + duration.minutes(1),
+      closingTime: now + duration.weeks(1),
+      releaseTime: now + duration.years(1),
+      wallet: wallet,
+      tokenSaleShare: 7000,
+      reserves: [
+        { fund: foundersFund, share: 1000 },
+        { fund: foundationFund, share: 1000 },
+        { fund: partnersFund, share: 1000 },
+      ],
+    };
+  });
+
+  describe('loading', function() {
+    it('loads the development config with the given accounts', function () {
+      const accounts = [_, wallet, foundersFund, foundationFund];
+      const config = loadSaleConfig('development', { accounts, now });
+      config.wallet.should.equal(_);
+      config.reserves[0].fund.should.equal(wallet);
+      config.openingTime.should.be.above(now);
+      config.tiers.should.have.lengthOf(2);
+      config.refundPolicy.should.equal('exclude-non-refundable');
+      config.kycTierCaps.should.deep.equal([5, 50]);
+      config.stablecoin.address.should.equal('mock');
+      validateSaleConfig(config, now).should.be.empty;
+    });
+
+    it('rejects unknown networks', function () {
+      (() => loadSaleConfig('nowhere', {})).should.throw(/No sale config/);
+    });
+  });
+
+  describe('validation', function() {
+    it('accepts a valid config', function () {
+      validateSaleConfig(this.config, now).should.be.empty;
+    });
+
+    it('rejects zero fund addresses', function () {
+      this.config.reserves[2].fund = ZERO_ADDRESS;
+      validateSaleConfig(this.config, now).should.include('reserves[2].fund must not be the zero address');
+    });
+
+    it('rejects duplicate fund addresses', function () {
+      this.config.reserves[1].fund = this.config.reserves[0].fund;
+      validateSaleConfig(this.config, now).should.include('reserves[1].fund duplicates reserves[0].fund');
+      this.config.reserves[0].fund = this.config.wallet;
+      validateSaleConfig(this.config, now).should.include('reserves[0].fund duplicates wallet');
+    });
+
+    it('rejects a goal above the cap', function () {
+      this.config.goal = 101;
+      validateSaleConfig(this.config, now).should.include('goal must not exceed cap');
+    });
+
+    it('rejects a closing time before the opening time', function () {
+      this.config.closingTime = this.config.openingTime;
+      validateSaleConfig(this.config, now).should.include('openingTime must be before closingTime');
+    });
+
+    it('rejects a release time before the closing time', function () {
+      this.config.releaseTime = this.config.closingTime;
+      validateSaleConfig(this.config, now).should.include('closingTime must be before releaseTime');
+    });
+
+    it('rejects an opening time in the past', function () {
+      this.config.openingTime = now - 1;
+      validateSaleConfig(this.config, now).should.have.lengthOf(1);
+    });
+
+    it('rejects a KYC approver that is not an address', function () {
+      this.config.kycApprover = ZERO_ADDRESS;
+      validateSaleConfig(this.config, now).should.deep.equal(['kycApprover must be an address']);
+    });
+
+    it('checks the stablecoin', function () {
+      this.config.stablecoin = { address: 'mock', decimals: 6, rate: 0.002 };
+      validateSaleConfig(this.config, now).should.be.empty;
+
+      this.config.stablecoin = { address: ZERO_ADDRESS, decimals: 6.5, rate: 0 };
+      validateSaleConfig(this.config, now).should.deep.equal([
+        "stablecoin.address must be an address or 'mock'",
+        'stablecoin.decimals must be an integer from 0 to 36',
+        'stablecoin.rate must be greater than zero',
+      ]);
+    });
+
+    it('checks the bonuses', function () {
+      this.config.referralBonus = 500;
+      this.config.volumeBonuses = [{ minContribution: 10, bonus: 250 }, { minContribution: 25, bonus: 500 }];
+      validateSaleConfig(this.config, now).should.be.empty;
+
+      this.config.referralBonus = 12.5;
+      this.config.volumeBonuses = [{ minContribution: 10, bonus: 250 }, { minContribution: 10, bonus: 10001 }];
+      validateSaleConfig(this.config, now).should.deep.equal([
+        'referralBonus must be a number of basis points from 0 to 10000',
+        'volumeBonuses[1].minContribution must be above the previous one',
+        'volumeBonuses[1].bonus must be a number of basis points from 0 to 10000',
+      ]);
+    });
+
+    it('requires a token supply cap the sale fits under', function () {
+      delete this.config.token.cap;
+      validateSaleConfig(this.config, now).should.deep.equal(['token.cap must be greater than zero']);
+
+      // 50,000 tokens sold at rate 500, 71,429 with the reserves, 76,429 with the bonuses
+      this.config.token.cap = 71429;
+      validateSaleConfig(this.config, now).should.be.empty;
+      this.config.referralBonus = 500;
+      this.config.volumeBonuses = [{ minContribution: 10, bonus: 250 }, { minContribution: 25, bonus: 500 }];
+      validateSaleConfig(this.config, now).should.deep.equal([
+        'token.cap must be at least 76429 tokens, the supply of a sold out sale',
+      ]);
+      maxTokenSupply(this.config).should.be.closeTo(76428.57, 0.01);
+    });
+
+    it('accounts for the best tier rate and the token decimals', function () {
+      this.config.tiers = [{ rate: 500, refundable: true }, { rate: 1000, weiThreshold: 50, refundable: true }];
+      maxTokenSupply(this.config).should.be.closeTo(142857.14, 0.01);
+
+      this.config.token.decimals = 16;
+      maxTokenSupply(this.config).should.be.closeTo(14285714.29, 0.01);
+    });
+
+    it('accepts KYC tier caps within the sale cap', function () {
+      this.config.kycTierCaps = [5, 50];
+      validateSaleConfig(this.config, now).should.be.empty;
+    });
+
+    it('rejects KYC tier caps beyond the sale cap or below the minimum contribution', function () {
+      this.config.kycTierCaps = [0.001, 101];
+      validateSaleConfig(this.config, now).should.deep.equal([
+        'kycTierCaps[0] must be between 0.002 and cap',
+        'kycTierCaps[1] must be between 0.002 and cap',
+      ]);
+    });
+  });
+
+  describe('tiers', function() {
+    beforeEach(function () {
+      this.config.refundPolicy = 'exclude-non-refundable';
+      this.config.tiers = [
+        { rate: 500, refundable: false },
+        { rate: 250, startTime: this.config.openingTime + duration.days(2), weiThreshold: 25, refundable: true },
+      ];
+    });
+
+    it('accepts a valid schedule', function () {
+      validateSaleConfig(this.config, now).should.be.empty;
+    });
+
+    it('requires the first tier to start with the sale at the sale rate', function () {
+      this.config.tiers[0] = { rate: 400, startTime: this.config.openingTime + 1, refundable: false };
+      validateSaleConfig(this.config, now).should.deep.equal([
+        'tiers[0] starts with the sale and takes no startTime or weiThreshold',
+        'tiers[0].rate must equal rate',
+      ]);
+    });
+
+    it('requires later tiers to have a trigger', function () {
+      this.config.tiers[1] = { rate: 250, refundable: true };
+      validateSaleConfig(this.config, now).should.include('tiers[1] needs a startTime or a weiThreshold');
+    });
+
+    it('rejects start times outside the sale', function () {
+      this.config.tiers[1].startTime = this.config.closingTime;
+      validateSaleConfig(this.config, now).should.include('tiers[1].startTime must be within the sale');
+    });
+
+    it('rejects thresholds beyond the cap', function () {
+      this.config.tiers[1].weiThreshold = 100;
+      validateSaleConfig(this.config, now).should.include('tiers[1].weiThreshold must be between zero and cap');
+    });
+
+    it('requires start times and thresholds to increase from tier to tier', function () {
+      this.config.tiers.push({ rate: 200, startTime: this.config.openingTime + duration.days(1), weiThreshold: 25, refundable: true });
+      validateSaleConfig(this.config, now).should.deep.equal([
+        'tiers[2].startTime must be after the start times of the tiers before it',
+        'tiers[2].weiThreshold must be above the thresholds of the tiers before it',
+      ]);
+    });
+
+    it('rejects tiers without a refund choice', function () {
+      delete this.config.tiers[1].refundable;
+      validateSaleConfig(this.config, now).should.include('tiers[1].refundable must be true or false');
+    });
+
+    it('rejects non-refundable tiers when every purchase is refundable', function () {
+      this.config.refundPolicy = 'all-refundable';
+      validateSaleConfig(this.config, now).should.deep.equal([
+        "tiers[0] is not refundable, which needs refundPolicy 'exclude-non-refundable'",
+      ]);
+    });
+
+    it('rejects unknown refund policies', function () {
+      this.config.refundPolicy = 'none';
+      validateSaleConfig(this.config, now).should.include('refundPolicy must be one of: all-refundable, exclude-non-refundable');
+    });
+
+    it('builds the setTiers arguments', function () {
+      const ether = (n) => n * 1000;
+      tierArguments(this.config.tiers, ether).should.deep.equal([
+        [500, 250],
+        [0, this.config.openingTime + duration.days(2)],
+        [0, 25000],
+        [false, true],
+      ]);
+    });
+  });
+
+  describe('reserves', function() {
+    it('requires the shares to add up to 100%', function () {
+      this.config.reserves[2].share = 999;
+      validateSaleConfig(this.config, now).should.deep.equal([
+        'tokenSaleShare and reserve shares must add up to 10000 basis points, not 9999',
+      ]);
+    });
+
+    it('accepts odd splits and a sale without reserves', function () {
+      this.config.tokenSaleShare = 6667;
+      this.config.reserves.forEach(reserve => { reserve.share = 1111; });
+      validateSaleConfig(this.config, now).should.be.empty;
+
+      this.config.tokenSaleShare = 10000;
+      this.config.reserves = [];
+      validateSaleConfig(this.config, now).should.be.empty;
+    });
+
+    it('rejects shares that are not whole basis points', function () {
+      this.config.tokenSaleShare = 70;
+      this.config.reserves[0].share = 10.5;
+      this.config.reserves[1].share = 0;
+      validateSaleConfig(this.config, now).should.deep.equal([
+        'reserves[0].share must be a positive number of basis points',
+        'reserves[1].share must be a positive number of basis points',
+      ]);
+
+      delete this.config.tokenSaleShare;
+      validateSaleConfig(this.config, now).should.include('tokenSaleShare must be a positive number of basis points');
+    });
+
+    it('rejects more reserves than the crowdsale supports', function () {
+      this.config.tokenSaleShare = 4000;
+      this.config.reserves = [1, 2, 3, 4, 5, 6].map(n => ({ fund: '0x' + String(n).repeat(40), share: 1000 }));
+      validateSaleConfig(this.config, now).should.deep.equal(['reserves must not have more than 5 entries']);
+    });
+
+    it('checks the vesting schedules', function () {
+      Object.assign(this.config.reserves[0], { cliff: duration.years(2), duration: duration.years(1) });
+      Object.assign(this.config.reserves[1], { duration: 10.5, revocable: 'yes' });
+      validateSaleConfig(this.config, now).should.deep.equal([
+        'reserves[0].cliff must not exceed its duration',
+        'reserves[1].duration must be a whole number of seconds',
+        'reserves[1].revocable must be true or false',
+      ]);
+    });
+
+    it('builds the constructor and setVestingSchedule arguments', function () {
+      this.config.reserves[2] = { fund: partnersFund, share: 1000, duration: duration.days(360), period: duration.days(30) };
+
+      reserveArguments(this.config).should.deep.equal([7000, [foundersFund, foundationFund, partnersFund], [1000, 1000, 1000]]);
+      hasVestingSchedule(this.config.reserves[0]).should.be.false;
+      hasVestingSchedule(this.config.reserves[2]).should.be.true;
+      vestingArguments(2, this.config.reserves[2]).should.deep.equal([2, 0, duration.days(360), duration.days(30), false]);
+    });
+  });
+
+  describe('multisig', function() {
+    beforeEach(function () {
+      this.config.multisig = { owners: [_, wallet, partnersFund], required: 2 };
+    });
+
+    it('accepts the multisig as the wallet', function () {
+      this.config.wallet = 'multisig';
+      validateSaleConfig(this.config, now).should.be.empty;
+
+      delete this.config.multisig;
+      validateSaleConfig(this.config, now).should.include('wallet must be an address');
+    });
+
+    it('checks the owners and threshold', function () {
+      this.config.multisig = { owners: [_, '0x1234', _], required: 4 };
+      validateSaleConfig(this.config, now).should.deep.equal([
+        'multisig.owners[1] must be an address',
+        'multisig.owners[2] duplicates multisig.owners[0]',
+        'multisig.required must be a number of owners from 1 to the number of owners',
+      ]);
+
+      this.config.multisig = { owners: [], required: 1 };
+      validateSaleConfig(this.config, now).should.deep.equal(['multisig.owners must be a non-empty list']);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+import runScenario from './helpers/scenario';
+import { randomSeed } from './helpers/random';
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .should();
+
+// Randomized runs of the whole sale, see helpers/scenario.js. Each run draws
+// a fresh seed unless SCENARIO_SEED replays one; SCENARIO_COUNT sets the
+// number of runs and SCENARIO_STEPS the number of steps while the sale is open.
+const COUNT = parseInt(process.env.SCENARIO_COUNT || '2', 10);
+const STEPS = parseInt(process.env.SCENARIO_STEPS || '20', 10);
+const seeds = process.env.SCENARIO_SEED
+  ? [Number(process.env.SCENARIO_SEED)]
+  : Array.from({ length: COUNT }, randomSeed);
+
+contract('sale scenarios', function([owner, wallet, foundersFund, foundationFund, partnersFund, ...investors]) {
+  seeds.forEach(seed => {
+    it(`keeps the invariants with seed ${seed}`, async function () {
+      const history = await runScenario(seed, {
+        owner,
+        wallet,
+        funds: [foundersFund, foundationFund, partnersFund],
+        investors,
+      }, STEPS);
+      history.should.not.be.empty;
+    });
+  });
+});
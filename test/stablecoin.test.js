@@ -0,0 +1,187 @@
+import ether from './helpers/ether';
+import EVMRevert from './helpers/EVMRevert';
+import { increaseTimeTo } from './helpers/increaseTime';
+import saleFixtures from './helpers/fixtures';
+import setupStablecoin from './helpers/stablecoin';
+
+const BigNumber = web3.BigNumber;
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .use(require('chai-bignumber')(BigNumber))
+  .should();
+
+const StablecoinMock = artifacts.require('StablecoinMock');
+const StablecoinRefundVault = artifacts.require('StablecoinRefundVault');
+
+contract('stablecoin purchases', function([_, wallet, investor1, investor2, foundersFund, foundationFund, partnersFund, other]) {
+  // 1 coin is worth 0.002 ether, i.e. 500 coins per ether
+  const DECIMALS = 6;
+  const RATE = ether(0.002);
+
+  const fixtures = saleFixtures({
+    owner: _,
+    wallet,
+    investors: [investor1, investor2],
+    funds: [foundersFund, foundationFund, partnersFund],
+  }, { tiered: false });
+
+  beforeEach(async function () {
+    // Whitelisted and at a single rate of 500 tokens per ether, not open yet
+    Object.assign(this, await fixtures.load('ready'));
+  });
+
+  describe('configuration', function() {
+    it('accepts a vault owned by the crowdsale and logs it', async function () {
+      const stablecoin = await StablecoinMock.new('Mock USD', 'MUSD', DECIMALS);
+      const vault = await StablecoinRefundVault.new(wallet, stablecoin.address);
+      await this.crowdsale.setStablecoin(vault.address, DECIMALS, RATE).should.be.rejectedWith(EVMRevert);
+
+      await vault.transferOwnership(this.crowdsale.address);
+      await this.crowdsale.setStablecoin(vault.address, DECIMALS, RATE, { from: investor1 }).should.be.rejectedWith(EVMRevert);
+      const { logs } = await this.crowdsale.setStablecoin(vault.address, DECIMALS, RATE);
+      logs[0].event.should.equal('StablecoinSet');
+      logs[0].args.stablecoin.should.equal(stablecoin.address);
+      (await this.crowdsale.stablecoinToWei(10 ** DECIMALS * 3)).should.be.bignumber.equal(ether(0.006));
+    });
+
+    it('requires the vault to pay out to the wallet', async function () {
+      const stablecoin = await StablecoinMock.new('Mock USD', 'MUSD', DECIMALS);
+      const vault = await StablecoinRefundVault.new(other, stablecoin.address);
+      await vault.transferOwnership(this.crowdsale.address);
+      await this.crowdsale.setStablecoin(vault.address, DECIMALS, RATE).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('cannot be changed once the sale has opened', async function () {
+      await increaseTimeTo(this.openingTime + 1);
+      await setupStablecoin(this.crowdsale, { wallet, decimals: DECIMALS, rate: RATE }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('rejects stablecoin purchases when none is accepted', async function () {
+      await increaseTimeTo(this.openingTime + 1);
+      await this.crowdsale.buyTokensWithStablecoin(investor1, 1000, { from: investor1 }).should.be.rejectedWith(EVMRevert);
+    });
+  });
+
+  describe('during the sale', function() {
+    beforeEach(async function () {
+      Object.assign(this, await setupStablecoin(this.crowdsale, {
+        wallet,
+        decimals: DECIMALS,
+        rate: RATE,
+        investors: [investor1, investor2],
+        balance: 50000,
+      }));
+      await increaseTimeTo(this.openingTime + 1);
+    });
+
+    it('counts the wei value of the purchase', async function () {
+      const { logs } = await this.crowdsale.buyTokensWithStablecoin(investor1, this.coins(5000), { from: investor1 });
+      logs.map(log => log.event).should.deep.equal(['TokenPurchase', 'StablecoinPurchase']);
+      logs[1].args.amount.should.be.bignumber.equal(this.coins(5000));
+      logs[1].args.weiAmount.should.be.bignumber.equal(ether(10));
+
+      (await this.crowdsale.weiRaised()).should.be.bignumber.equal(ether(10));
+      (await this.crowdsale.refundableWeiRaised()).should.be.bignumber.equal(ether(10));
+      (await this.crowdsale.stablecoinRaised()).should.be.bignumber.equal(this.coins(5000));
+      (await this.crowdsale.getUserContribution(investor1)).should.be.bignumber.equal(ether(10));
+      (await this.token.balanceOf(investor1)).should.be.bignumber.equal(ether(10).times(500));
+      (await this.stablecoin.balanceOf(this.vault.address)).should.be.bignumber.equal(this.coins(5000));
+      (await this.vault.deposited(investor1)).should.be.bignumber.equal(this.coins(5000));
+    });
+
+    it('needs an approval and a whitelisted beneficiary', async function () {
+      await this.crowdsale.buyTokensWithStablecoin(investor1, this.coins(60000), { from: investor1 }).should.be.rejectedWith(EVMRevert);
+      await this.stablecoin.mint(other, this.coins(100));
+      await this.crowdsale.buyTokensWithStablecoin(other, this.coins(10), { from: other }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('shares the investor cap with ether purchases', async function () {
+      await this.crowdsale.buyTokens(investor1, { value: ether(20), from: investor1 });
+      await this.crowdsale.buyTokensWithStablecoin(investor1, this.coins(15000), { from: investor1 });
+      (await this.crowdsale.getUserContribution(investor1)).should.be.bignumber.equal(ether(50));
+
+      await this.crowdsale.buyTokensWithStablecoin(investor1, this.coins(1), { from: investor1 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('shares the sale cap with ether purchases', async function () {
+      await this.crowdsale.buyTokensWithStablecoin(investor1, this.coins(25000), { from: investor1 });
+      await this.crowdsale.buyTokens(investor2, { value: ether(45), from: investor2 });
+      await this.crowdsale.buyTokensWithStablecoin(investor2, this.coins(2501), { from: investor2 }).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.buyTokensWithStablecoin(investor2, this.coins(2500), { from: investor2 });
+      (await this.crowdsale.capReached()).should.be.true;
+    });
+
+    it('stops while purchases are paused', async function () {
+      await this.crowdsale.pause();
+      await this.crowdsale.buyTokensWithStablecoin(investor1, this.coins(10), { from: investor1 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    describe('when the goal is reached in both currencies', function() {
+      beforeEach(async function () {
+        await this.crowdsale.buyTokens(investor1, { value: ether(30), from: investor1 });
+        await this.crowdsale.buyTokensWithStablecoin(investor2, this.coins(10000), { from: investor2 });
+        await increaseTimeTo(this.closingTime + 1);
+        await this.crowdsale.finalize();
+      });
+
+      it('sends the stablecoins to the wallet', async function () {
+        (await this.crowdsale.goalReached()).should.be.true;
+        (await this.vault.state()).should.be.bignumber.equal(2);
+        (await this.stablecoin.balanceOf(wallet)).should.be.bignumber.equal(this.coins(10000));
+        await this.crowdsale.claimStablecoinRefund({ from: investor2 }).should.be.rejectedWith(EVMRevert);
+      });
+
+      it('mints the reserves on the combined supply', async function () {
+        const totalSupply = await this.token.totalSupply();
+        totalSupply.should.be.bignumber.equal(ether(50).times(500).times(10000).div(7000).floor());
+      });
+    });
+
+    describe('when the goal is missed', function() {
+      beforeEach(async function () {
+        await this.crowdsale.buyTokens(investor1, { value: ether(10), from: investor1 });
+        await this.crowdsale.buyTokensWithStablecoin(investor1, this.coins(3000), { from: investor1 });
+        await this.crowdsale.buyTokensWithStablecoin(investor2, this.coins(1234.5), { from: investor2 });
+        await increaseTimeTo(this.closingTime + 1);
+        await this.crowdsale.finalize();
+      });
+
+      it('refunds each currency from its vault', async function () {
+        await this.crowdsale.claimStablecoinRefund({ from: investor1 });
+        await this.crowdsale.claimStablecoinRefund({ from: investor2 });
+        (await this.stablecoin.balanceOf(investor1)).should.be.bignumber.equal(this.coins(50000));
+        (await this.stablecoin.balanceOf(investor2)).should.be.bignumber.equal(this.coins(50000));
+
+        const balance = web3.eth.getBalance(investor1);
+        await this.crowdsale.claimRefund({ from: investor1, gasPrice: 0 });
+        web3.eth.getBalance(investor1).should.be.bignumber.equal(balance.plus(ether(10)));
+      });
+    });
+  });
+
+  describe('with a non-refundable tier', function() {
+    beforeEach(async function () {
+      await this.crowdsale.setTiers([500, 250], [0, 0], [0, ether(10)], [false, true]);
+      await this.crowdsale.setRefundPolicy(1);
+      Object.assign(this, await setupStablecoin(this.crowdsale, {
+        wallet,
+        decimals: DECIMALS,
+        rate: RATE,
+        investors: [investor1],
+        balance: 10000,
+      }));
+      await increaseTimeTo(this.openingTime + 1);
+    });
+
+    it('sends the non-refundable part to the wallet', async function () {
+      // 12 ether worth: 10 in the PreICO tier, 2 in the refundable tier
+      await this.crowdsale.buyTokensWithStablecoin(investor1, this.coins(6000), { from: investor1 });
+
+      (await this.crowdsale.refundableWeiRaised()).should.be.bignumber.equal(ether(2));
+      (await this.stablecoin.balanceOf(wallet)).should.be.bignumber.equal(this.coins(5000));
+      (await this.vault.deposited(investor1)).should.be.bignumber.equal(this.coins(1000));
+      (await this.token.balanceOf(investor1)).should.be.bignumber.equal(ether(10).times(500).plus(ether(2).times(250)));
+    });
+  });
+});
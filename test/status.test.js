@@ -0,0 +1,175 @@
+import ether from './helpers/ether';
+import { increaseTimeTo, duration } from './helpers/increaseTime';
+import saleFixtures from './helpers/fixtures';
+import setupStablecoin from './helpers/stablecoin';
+
+const { formatUnits, formatCountdown, collectStatus, formatStatus } = require('../lib/status');
+const { ZERO_ADDRESS } = require('../lib/saleConfig');
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .should();
+
+const RefundVault = artifacts.require('./RefundVault');
+const DappTokenVesting = artifacts.require('./DappTokenVesting');
+const StablecoinRefundVault = artifacts.require('./StablecoinRefundVault');
+const DetailedERC20 = artifacts.require('DetailedERC20');
+
+contract('sale status', function([_, wallet, investor1, investor2, foundersFund, foundationFund, partnersFund]) {
+  describe('formatting', function() {
+    it('formats amounts in whole units', function () {
+      formatUnits('1500000000000000000', 18).should.equal('1.5');
+      formatUnits('2000', 18).should.equal('0.000000000000002');
+      formatUnits('0', 18).should.equal('0');
+      formatUnits('100', 0).should.equal('100');
+    });
+
+    it('formats countdowns in both directions', function () {
+      formatCountdown(1000 + duration.days(2) + duration.minutes(3) + 4, 1000).should.equal('in 2d 3m 4s');
+      formatCountdown(1000, 1000 + duration.hours(1)).should.equal('1h 0s ago');
+    });
+  });
+
+  describe('snapshot', function() {
+    const fixtures = saleFixtures({
+      owner: _,
+      wallet,
+      investors: [investor1, investor2],
+      funds: [foundersFund, foundationFund, partnersFund],
+    }, {
+      tiered: false,
+      volumeBonuses: [{ minContribution: ether(2), bonus: 250 }],
+      // Partners vest monthly over a year
+      vestingSchedules: [{ reserve: 2, cliff: 0, duration: duration.days(360), period: duration.days(30), revocable: true }],
+    });
+
+    beforeEach(async function () {
+      Object.assign(this, await fixtures.load('ready'));
+      // PreICO for the first ether only
+      await this.crowdsale.setTiers([500, 250], [0, 0], [0, ether(1)], [false, true]);
+      // 500 MUSD per ether
+      Object.assign(this, await setupStablecoin(this.crowdsale, {
+        wallet,
+        decimals: 6,
+        rate: ether(0.002),
+        investors: [investor2],
+        balance: 1000,
+      }));
+      await increaseTimeTo(this.openingTime + 1);
+
+      this.ctx = {
+        crowdsale: this.crowdsale,
+        token: this.token,
+        RefundVault,
+        DappTokenVesting,
+        StablecoinRefundVault,
+        DetailedERC20,
+        web3,
+      };
+    });
+
+    it('reports an open sale', async function () {
+      await this.crowdsale.buyTokens(investor1, { value: ether(3), from: investor1 });
+
+      const status = await collectStatus(this.ctx);
+      status.crowdsale.tier.should.equal(1);
+      status.crowdsale.rate.should.equal('250');
+      status.crowdsale.tiers.should.deep.equal([
+        { rate: '500', startTime: 0, weiThreshold: '0', refundable: false },
+        { rate: '250', startTime: 0, weiThreshold: ether(1).toString(10), refundable: true },
+      ]);
+      status.crowdsale.weiRaised.should.equal(ether(3).toString(10));
+      status.crowdsale.refundableWeiRaised.should.equal(ether(2).toString(10));
+      status.crowdsale.refundPolicy.should.equal('exclude-non-refundable');
+      status.crowdsale.kycTierCaps.should.deep.equal([ether(50).toString(10)]);
+      status.crowdsale.tokenSaleShare.should.equal(7000);
+      status.crowdsale.reserves.map(reserve => reserve.share).should.deep.equal([1000, 1000, 1000]);
+      status.crowdsale.reserves[2].should.include({ fund: partnersFund, duration: duration.days(360), revocable: true });
+      status.crowdsale.volumeBonuses.should.deep.equal([{ minContribution: ether(2).toString(10), bonus: 250 }]);
+      status.crowdsale.bonusTokens.should.equal(
+        new web3.BigNumber(status.crowdsale.tokensSold).times(250).dividedToIntegerBy(10000).toString(10)
+      );
+      status.crowdsale.goalReached.should.be.false;
+      status.vault.state.should.equal('Active');
+      status.vault.balance.should.equal(ether(2).toString(10));
+      status.token.paused.should.be.true;
+      status.token.owner.should.equal(this.crowdsale.address);
+      status.vesting.should.be.empty;
+
+      const text = formatStatus(status);
+      text.should.include('raised:       3 ETH (2 ETH refundable)');
+      text.should.include('* 1: rate 250, refundable, starts at 1 ETH raised');
+      text.should.include('approver:     none');
+      text.should.include('tier 0 cap:   50 ETH per investor');
+      text.should.include('purchases:    allowed');
+      text.should.include('token sale:   70%');
+      text.should.include(`reserve 0:    10% to ${foundersFund}, released at the release time`);
+      text.should.include(`reserve 2:    10% to ${partnersFund}, vesting over 360 days, every 30 days, revocable`);
+      text.should.include('referral:     none');
+      text.should.include('volume 0:     2.5% from 2 ETH contributed');
+      text.should.include('supply cap:   1000000 DAPP (');
+      text.should.include('snapshots:    0');
+    });
+
+    it('reports the vesting contracts once finalized', async function () {
+      await this.crowdsale.buyTokens(investor1, { value: ether(26), from: investor1 });
+      await this.crowdsale.buyTokens(investor2, { value: ether(26), from: investor2 });
+      await increaseTimeTo(this.closingTime + 1);
+      await this.crowdsale.finalize();
+
+      const status = await collectStatus(this.ctx);
+      status.crowdsale.isFinalized.should.be.true;
+      status.vault.state.should.equal('Closed');
+      status.token.mintingFinished.should.be.true;
+      status.token.totalSupply.should.equal(status.crowdsale.finalSupply);
+      status.vesting.map(grant => grant.beneficiary).should.deep.equal([foundersFund, foundationFund, partnersFund]);
+      status.vesting.forEach(grant => grant.start.should.equal(this.releaseTime));
+      status.vesting[2].should.include({ duration: duration.days(360), period: duration.days(30), revocable: true, releasable: '0' });
+
+      const text = formatStatus(status);
+      text.should.include(`Reserve 0 vesting ${status.vesting[0].address}`);
+      text.should.include('every 30 days');
+    });
+
+    it('reports stablecoin purchases', async function () {
+      await this.crowdsale.buyTokensWithStablecoin(investor2, this.coins(750), { from: investor2 });
+
+      const status = await collectStatus(this.ctx);
+      status.crowdsale.weiRaised.should.equal(ether(1.5).toString(10));
+      status.stablecoin.should.deep.include({ address: this.stablecoin.address, symbol: 'MUSD', decimals: 6, raised: '750000000' });
+      status.stablecoin.vault.should.deep.equal({ address: this.vault.address, state: 'Active', balance: '250000000' });
+
+      const text = formatStatus(status);
+      text.should.include(`Stablecoin ${this.stablecoin.address} (MUSD)`);
+      text.should.include('rate:         0.002 ETH per MUSD');
+      text.should.include('raised:       750 MUSD');
+      text.should.include('vault funds:  250 MUSD');
+    });
+
+    it('reports a paused and extended sale', async function () {
+      await this.crowdsale.pause();
+      await this.crowdsale.extendClosingTime(duration.days(2));
+
+      const status = await collectStatus(this.ctx);
+      status.crowdsale.should.include({ paused: true, closingTime: this.closingTime + duration.days(2), closingTimeExtension: duration.days(2) });
+      const text = formatStatus(status);
+      text.should.include('purchases:    paused');
+      text.should.include(', extended by 2 days');
+    });
+
+    it('reports refunds when the goal is missed', async function () {
+      await this.crowdsale.buyTokens(investor1, { value: ether(2), from: investor1 });
+      await increaseTimeTo(this.closingTime + 1);
+      await this.crowdsale.finalize();
+      await this.crowdsale.processRefunds(1);
+
+      const status = await collectStatus(this.ctx);
+      status.vault.should.include({ state: 'Refunding', depositors: 1, refundsProcessed: 1 });
+      status.vesting.should.be.empty;
+      status.token.should.include({ owner: ZERO_ADDRESS, paused: true, mintingFinished: true });
+      const text = formatStatus(status);
+      text.should.include('depositors:   1 (1 refunded in batches)');
+      text.should.include('owner:        none (renounced)');
+    });
+  });
+});
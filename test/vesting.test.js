@@ -0,0 +1,227 @@
+import ether from './helpers/ether';
+import EVMRevert from './helpers/EVMRevert';
+import { increaseTimeTo, duration } from './helpers/increaseTime';
+import latestTime from './helpers/latestTime';
+import saleFixtures from './helpers/fixtures';
+
+const { vestedAmount, vestingMilestones } = require('../lib/vesting');
+
+const BigNumber = web3.BigNumber;
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .use(require('chai-bignumber')(BigNumber))
+  .should();
+
+const DappToken = artifacts.require('DappToken');
+const DappTokenVesting = artifacts.require('DappTokenVesting');
+
+contract('reserve vesting', function([_, wallet, investor1, investor2, foundersFund, foundationFund, partnersFund]) {
+  const FOUNDERS = 0;
+  const PARTNERS = 2;
+
+  // Releases what has vested and checks it against the JS schedule at the block it was mined in
+  const releaseAndCheck = async function (vesting, token, schedule, total) {
+    const releasedBefore = await vesting.released(token.address);
+    const { receipt } = await vesting.release(token.address);
+    const time = web3.eth.getBlock(receipt.blockNumber).timestamp;
+    const released = (await vesting.released(token.address)).minus(releasedBefore);
+    released.should.be.bignumber.equal(vestedAmount(schedule, total, time).minus(releasedBefore));
+    return time;
+  };
+
+  describe('helpers', function() {
+    it('lists the monthly milestones after the cliff', function () {
+      const schedule = { start: 1000, cliff: duration.days(90), duration: duration.days(360), period: duration.days(30) };
+      const milestones = vestingMilestones(schedule, new BigNumber(1200));
+
+      milestones.should.have.lengthOf(10);
+      milestones[0].time.should.equal(1000 + duration.days(90));
+      milestones[0].vested.should.be.bignumber.equal(300);
+      milestones[1].vested.should.be.bignumber.equal(400);
+      milestones[9].time.should.equal(1000 + duration.days(360));
+      milestones[9].vested.should.be.bignumber.equal(1200);
+    });
+
+    it('lists the cliff and the end of continuous schedules', function () {
+      const schedule = { start: 0, cliff: duration.years(1), duration: duration.years(4), period: 0 };
+      vestingMilestones(schedule, new BigNumber(400)).map(milestone => milestone.vested.toNumber())
+        .should.deep.equal([100, 400]);
+      vestedAmount(schedule, new BigNumber(400), duration.years(1) - 1).should.be.bignumber.equal(0);
+      vestedAmount(schedule, new BigNumber(400), duration.years(2)).should.be.bignumber.equal(200);
+    });
+  });
+
+  describe('DappTokenVesting', function() {
+    beforeEach(async function () {
+      this.token = await DappToken.new('Dapp Token', 'DAPP', 18, ether(1000000));
+      this.total = ether(1200);
+      this.start = latestTime() + duration.days(1);
+    });
+
+    const deploy = async function (context, schedule, revocable) {
+      context.schedule = Object.assign({ start: context.start }, schedule);
+      context.vesting = await DappTokenVesting.new(
+        foundersFund,
+        context.start,
+        schedule.cliff,
+        schedule.duration,
+        schedule.period,
+        revocable
+      );
+      await context.token.mint(context.vesting.address, context.total);
+    };
+
+    it('releases monthly steps from the cliff on', async function () {
+      await deploy(this, { cliff: duration.days(90), duration: duration.days(360), period: duration.days(30) }, false);
+
+      await increaseTimeTo(this.start + duration.days(89));
+      await this.vesting.release(this.token.address).should.be.rejectedWith(EVMRevert);
+
+      for (const milestone of vestingMilestones(this.schedule, this.total)) {
+        await increaseTimeTo(milestone.time);
+        await releaseAndCheck(this.vesting, this.token, this.schedule, this.total);
+        (await this.token.balanceOf(foundersFund)).should.be.bignumber.equal(milestone.vested);
+      }
+    });
+
+    it('releases linearly after a one year cliff', async function () {
+      await deploy(this, { cliff: duration.years(1), duration: duration.years(4), period: 0 }, false);
+
+      await increaseTimeTo(this.start + duration.years(1) - duration.hours(1));
+      (await this.vesting.releasableAmount(this.token.address)).should.be.bignumber.equal(0);
+
+      for (const time of [duration.years(1), duration.years(2), duration.years(3) + duration.days(100), duration.years(4)]) {
+        await increaseTimeTo(this.start + time);
+        await releaseAndCheck(this.vesting, this.token, this.schedule, this.total);
+      }
+      (await this.token.balanceOf(foundersFund)).should.be.bignumber.equal(this.total);
+    });
+
+    it('returns the unvested part to the owner when revoked', async function () {
+      await deploy(this, { cliff: 0, duration: duration.days(360), period: duration.days(30) }, true);
+
+      await increaseTimeTo(this.start + duration.days(180));
+      await this.vesting.revoke(this.token.address, { from: _ });
+
+      (await this.token.balanceOf(_)).should.be.bignumber.equal(ether(600));
+      await this.vesting.release(this.token.address);
+      (await this.token.balanceOf(foundersFund)).should.be.bignumber.equal(ether(600));
+    });
+
+    it('cannot be revoked unless revocable', async function () {
+      await deploy(this, { cliff: 0, duration: duration.days(360), period: 0 }, false);
+      await this.vesting.revoke(this.token.address, { from: _ }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('rejects periods longer than the duration', async function () {
+      await DappTokenVesting.new(foundersFund, this.start, 0, duration.days(30), duration.days(31), false)
+        .should.be.rejectedWith(EVMRevert);
+    });
+  });
+
+  describe('crowdsale reserves', function() {
+    const fixtures = saleFixtures({
+      owner: _,
+      wallet,
+      investors: [investor1, investor2],
+      funds: [foundersFund, foundationFund, partnersFund],
+    }, {
+      vestingSchedules: [
+        { reserve: FOUNDERS, cliff: duration.years(1), duration: duration.years(4), period: 0, revocable: true },
+        { reserve: PARTNERS, cliff: 0, duration: duration.days(360), period: duration.days(30), revocable: false },
+      ],
+    });
+
+    beforeEach(async function () {
+      // Configured with these schedules, not open yet
+      Object.assign(this, await fixtures.load('ready'));
+      this.foundersSchedule = { start: this.releaseTime, cliff: duration.years(1), duration: duration.years(4), period: 0 };
+      this.partnersSchedule = { start: this.releaseTime, cliff: 0, duration: duration.days(360), period: duration.days(30) };
+    });
+
+    it('logs schedule changes', async function () {
+      const { logs } = await this.crowdsale.setVestingSchedule(PARTNERS, 0, duration.days(90), duration.days(30), true);
+      logs[0].event.should.equal('VestingScheduleSet');
+      logs[0].args.reserve.should.be.bignumber.equal(PARTNERS);
+      logs[0].args.period.should.be.bignumber.equal(duration.days(30));
+    });
+
+    it('rejects invalid schedules', async function () {
+      await this.crowdsale.setVestingSchedule(3, 0, 0, 0, false).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.setVestingSchedule(FOUNDERS, duration.years(2), duration.years(1), 0, false).should.be.rejectedWith(EVMRevert);
+      await this.crowdsale.setVestingSchedule(FOUNDERS, 0, duration.days(10), duration.days(30), false).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('prevents non-admin from setting schedules', async function () {
+      await this.crowdsale.setVestingSchedule(FOUNDERS, 0, 0, 0, false, { from: investor1 }).should.be.rejectedWith(EVMRevert);
+    });
+
+    it('prevents changing schedules once the sale has opened', async function () {
+      await increaseTimeTo(this.openingTime + 1);
+      await this.crowdsale.setVestingSchedule(FOUNDERS, 0, 0, 0, false).should.be.rejectedWith(EVMRevert);
+    });
+
+    describe('after finalization', function() {
+      beforeEach(async function () {
+        // investor1 and investor2 put 26 ether each into the ICO tier
+        Object.assign(this, await fixtures.load('finalized'));
+
+        const vesting = async (reserve) => {
+          const [, , , , , , address] = await this.crowdsale.reserves(reserve);
+          return DappTokenVesting.at(address);
+        };
+        this.foundersVesting = await vesting(FOUNDERS);
+        this.foundationVesting = await vesting(1);
+        this.partnersVesting = await vesting(PARTNERS);
+        this.reserveAmount = await this.token.balanceOf(this.foundersVesting.address);
+      });
+
+      it('creates each reserve with its schedule, owned by the wallet', async function () {
+        (await this.foundersVesting.beneficiary()).should.equal(foundersFund);
+        (await this.foundersVesting.owner()).should.equal(wallet);
+        (await this.foundersVesting.start()).should.be.bignumber.equal(this.releaseTime);
+        (await this.foundersVesting.cliff()).should.be.bignumber.equal(this.releaseTime + duration.years(1));
+        (await this.foundersVesting.revocable()).should.be.true;
+        (await this.partnersVesting.period()).should.be.bignumber.equal(duration.days(30));
+        (await this.partnersVesting.revocable()).should.be.false;
+      });
+
+      it('keeps the allocation percentages', async function () {
+        const totalSupply = await this.token.totalSupply();
+        this.reserveAmount.should.be.bignumber.equal(totalSupply.dividedToIntegerBy(10));
+        (await this.token.balanceOf(this.partnersVesting.address)).should.be.bignumber.equal(this.reserveAmount);
+      });
+
+      it('releases the default schedule in full at the release time', async function () {
+        await this.foundationVesting.release(this.token.address).should.be.rejectedWith(EVMRevert);
+        await increaseTimeTo(this.releaseTime);
+        await this.foundationVesting.release(this.token.address);
+        (await this.token.balanceOf(foundationFund)).should.be.bignumber.equal(this.reserveAmount);
+      });
+
+      it('releases the reserves at each milestone', async function () {
+        for (const milestone of vestingMilestones(this.partnersSchedule, this.reserveAmount)) {
+          await increaseTimeTo(milestone.time);
+          await releaseAndCheck(this.partnersVesting, this.token, this.partnersSchedule, this.reserveAmount);
+          (await this.token.balanceOf(partnersFund)).should.be.bignumber.equal(milestone.vested);
+        }
+
+        await increaseTimeTo(this.releaseTime + duration.years(2));
+        await releaseAndCheck(this.foundersVesting, this.token, this.foundersSchedule, this.reserveAmount);
+      });
+
+      it('lets the wallet revoke the unvested founders grant', async function () {
+        await increaseTimeTo(this.releaseTime + duration.years(2));
+        await this.foundersVesting.revoke(this.token.address, { from: _ }).should.be.rejectedWith(EVMRevert);
+        const { receipt } = await this.foundersVesting.revoke(this.token.address, { from: wallet });
+
+        const time = web3.eth.getBlock(receipt.blockNumber).timestamp;
+        const vested = vestedAmount(this.foundersSchedule, this.reserveAmount, time);
+        (await this.token.balanceOf(wallet)).should.be.bignumber.equal(this.reserveAmount.minus(vested));
+        await this.foundersVesting.release(this.token.address);
+        (await this.token.balanceOf(foundersFund)).should.be.bignumber.equal(vested);
+      });
+    });
+  });
+});
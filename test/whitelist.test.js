@@ -0,0 +1,140 @@
+import ether from './helpers/ether';
+import saleFixtures from './helpers/fixtures';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  GAS_PER_KYC_TIER,
+  loadWhitelistEntries,
+  loadWhitelist,
+  batchSizeForGasLimit,
+  bootstrapWhitelist,
+  bootstrapKycTiers,
+} = require('../lib/whitelist');
+
+require('chai')
+  .use(require('chai-as-promised'))
+  .should();
+
+contract('whitelist bootstrapping', function([_, wallet, investor1, investor2, investor3, foundersFund, foundationFund, partnersFund]) {
+  const writeFile = (name, contents) => {
+    const file = path.join(os.tmpdir(), `whitelist-${Date.now()}-${name}`);
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  describe('loading', function() {
+    it('reads a CSV with a header, comments and extra columns', function () {
+      const file = writeFile('investors.csv', `address,name\n# comment\n${investor1},alice\n\n${investor2},bob\n`);
+      loadWhitelist(file).should.deep.equal([investor1, investor2]);
+    });
+
+    it('reads a JSON list of addresses or objects', function () {
+      const file = writeFile('investors.json', JSON.stringify([investor1, { address: investor2 }]));
+      loadWhitelist(file).should.deep.equal([investor1, investor2]);
+    });
+
+    it('drops duplicate addresses', function () {
+      const file = writeFile('investors.json', JSON.stringify([investor1, investor1.toUpperCase().replace('0X', '0x')]));
+      loadWhitelist(file).should.deep.equal([investor1]);
+    });
+
+    it('rejects invalid addresses', function () {
+      const file = writeFile('investors.csv', `${investor1}\n0x1234\n`);
+      (() => loadWhitelist(file)).should.throw(/Invalid addresses/);
+    });
+
+    it('reads KYC tiers from the tier column of a CSV', function () {
+      const file = writeFile('investors.csv', `address,name,tier\n${investor1},alice,1\n${investor2},bob,\n`);
+      loadWhitelistEntries(file).should.deep.equal([
+        { address: investor1, tier: 1 },
+        { address: investor2, tier: undefined },
+      ]);
+    });
+
+    it('reads KYC tiers from JSON objects', function () {
+      const file = writeFile('investors.json', JSON.stringify([investor1, { address: investor2, tier: 0 }]));
+      loadWhitelistEntries(file).should.deep.equal([
+        { address: investor1, tier: undefined },
+        { address: investor2, tier: 0 },
+      ]);
+    });
+
+    it('rejects invalid KYC tiers', function () {
+      const file = writeFile('investors.csv', `address,tier\n${investor1},accredited\n`);
+      (() => loadWhitelistEntries(file)).should.throw(/Invalid KYC tiers/);
+    });
+
+    it('rejects conflicting KYC tiers for the same address', function () {
+      const file = writeFile('investors.csv', `address,tier\n${investor1},0\n${investor1},1\n`);
+      (() => loadWhitelistEntries(file)).should.throw(/Conflicting KYC tiers/);
+    });
+  });
+
+  describe('batching', function() {
+    it('sizes batches to stay under the gas limit', function () {
+      batchSizeForGasLimit(4700000).should.equal(148);
+    });
+
+    it('sizes KYC tier batches by their own gas cost', function () {
+      batchSizeForGasLimit(4700000, GAS_PER_KYC_TIER).should.equal(106);
+    });
+
+    it('rejects gas limits too low for a single address', function () {
+      (() => batchSizeForGasLimit(50000)).should.throw(/too low/);
+    });
+  });
+
+  describe('bootstrapping', function() {
+    const fixtures = saleFixtures({
+      owner: _,
+      wallet,
+      investors: [investor1, investor2],
+      funds: [foundersFund, foundationFund, partnersFund],
+    });
+
+    beforeEach(async function () {
+      // Deployed with only investor1 whitelisted
+      Object.assign(this, await fixtures.load('deployed'));
+      await this.crowdsale.addToWhitelist(investor1);
+    });
+
+    it('whitelists new addresses in batches and skips existing ones', async function () {
+      const batches = [];
+      const result = await bootstrapWhitelist(this.crowdsale, [investor1, investor2, investor3], {
+        from: _,
+        batchSize: 1,
+        log: (message) => batches.push(message),
+      });
+
+      result.added.should.deep.equal([investor2, investor3]);
+      result.skipped.should.deep.equal([investor1]);
+      batches.should.have.lengthOf(2);
+
+      (await this.crowdsale.whitelist(investor2)).should.be.true;
+      (await this.crowdsale.whitelist(investor3)).should.be.true;
+    });
+
+    it('assigns KYC tiers in batches and skips unchanged ones', async function () {
+      await this.crowdsale.setKycTierCap(1, ether(50));
+      await this.crowdsale.setKycTiers([investor1], [1]);
+
+      const result = await bootstrapKycTiers(this.crowdsale, [
+        { address: investor1, tier: 1 },
+        { address: investor2, tier: 1 },
+        { address: investor3, tier: undefined },
+      ], { from: _, batchSize: 1 });
+
+      result.assigned.should.deep.equal([investor2]);
+      result.unchanged.should.deep.equal([investor1]);
+      (await this.crowdsale.kycTiers(investor2)).toNumber().should.equal(1);
+      (await this.crowdsale.kycTiers(investor3)).toNumber().should.equal(0);
+    });
+
+    it('rejects KYC tiers the crowdsale does not have', async function () {
+      await bootstrapKycTiers(this.crowdsale, [{ address: investor2, tier: 1 }], { from: _, batchSize: 1 })
+        .should.be.rejectedWith(/KYC tier 1 .* does not exist/);
+    });
+  });
+});
@@ -22,7 +22,7 @@ module.exports = {
           `https://ropsten.infura.io/${process.env.INFURA_API_KEY}`
         )
       },
-      gas: 5000000,
+      gas: 6500000,
       gasPrice: 25000000000,
       network_id: 3
     }